@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "aqi_logs" ADD COLUMN     "sources" JSONB;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ingestion_runs" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "locationsTotal" INTEGER NOT NULL DEFAULT 0,
+    "locationsSucceeded" INTEGER NOT NULL DEFAULT 0,
+    "locationsSkipped" INTEGER NOT NULL DEFAULT 0,
+    "locationsFailed" INTEGER NOT NULL DEFAULT 0,
+    "failures" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "ingestion_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ingestion_runs_startedAt_idx" ON "ingestion_runs"("startedAt");
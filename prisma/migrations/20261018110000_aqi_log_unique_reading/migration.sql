@@ -0,0 +1,16 @@
+-- Readings are unique per location, timestamp and source. Duplicates stored
+-- before this rule are merged by `npm run db:dedupe`, which reports what it
+-- merged; the index is not created while any are left.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM "aqi_logs"
+        GROUP BY "locationId", "timestamp", "source"
+        HAVING COUNT(*) > 1
+    ) THEN
+        RAISE EXCEPTION 'aqi_logs holds duplicate readings (same location, timestamp and source). Run `npm run db:dedupe`, then `npx prisma migrate resolve --rolled-back 20261018110000_aqi_log_unique_reading` and deploy again';
+    END IF;
+END $$;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "aqi_logs_locationId_timestamp_source_key" ON "aqi_logs"("locationId", "timestamp", "source");
@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE "satellite_granules" (
+    "id" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "fileSize" INTEGER NOT NULL,
+    "fileModifiedAt" TIMESTAMP(3) NOT NULL,
+    "format" TEXT NOT NULL,
+    "satellite" TEXT NOT NULL,
+    "product" TEXT,
+    "acquiredAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "locationsSampled" INTEGER NOT NULL DEFAULT 0,
+    "gridPointsSampled" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "satellite_granules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "aod_observations" (
+    "id" TEXT NOT NULL,
+    "granuleId" TEXT NOT NULL,
+    "locationId" TEXT,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "aod" DOUBLE PRECISION NOT NULL,
+    "pm25Estimate" DOUBLE PRECISION,
+    "calibrationId" TEXT,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "aod_observations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "aod_calibrations" (
+    "id" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "coefficients" JSONB NOT NULL,
+    "r2" DOUBLE PRECISION,
+    "sampleSize" INTEGER NOT NULL,
+    "windowDays" INTEGER NOT NULL,
+    "maxTimeDiffMinutes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "aod_calibrations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "satellite_granules_acquiredAt_idx" ON "satellite_granules"("acquiredAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "satellite_granules_fileName_fileSize_fileModifiedAt_key" ON "satellite_granules"("fileName", "fileSize", "fileModifiedAt");
+
+-- CreateIndex
+CREATE INDEX "aod_observations_locationId_timestamp_idx" ON "aod_observations"("locationId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "aod_observations_timestamp_idx" ON "aod_observations"("timestamp");
+
+-- CreateIndex
+CREATE INDEX "aod_observations_latitude_longitude_idx" ON "aod_observations"("latitude", "longitude");
+
+-- CreateIndex
+CREATE INDEX "aod_calibrations_createdAt_idx" ON "aod_calibrations"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "aod_observations" ADD CONSTRAINT "aod_observations_granuleId_fkey" FOREIGN KEY ("granuleId") REFERENCES "satellite_granules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "aod_observations" ADD CONSTRAINT "aod_observations_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "locations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
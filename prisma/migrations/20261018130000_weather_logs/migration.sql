@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "weather_logs" (
+    "id" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "temperature" DOUBLE PRECISION,
+    "humidity" DOUBLE PRECISION,
+    "pressure" DOUBLE PRECISION,
+    "windSpeed" DOUBLE PRECISION,
+    "windDirection" DOUBLE PRECISION,
+    "precipitation" DOUBLE PRECISION,
+    "cloudCover" DOUBLE PRECISION,
+    "source" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "weather_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "ingestion_runs" ADD COLUMN "weatherSaved" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "weather_logs_locationId_timestamp_source_key" ON "weather_logs"("locationId", "timestamp", "source");
+
+-- CreateIndex
+CREATE INDEX "weather_logs_locationId_timestamp_idx" ON "weather_logs"("locationId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "weather_logs_timestamp_idx" ON "weather_logs"("timestamp");
+
+-- AddForeignKey
+ALTER TABLE "weather_logs" ADD CONSTRAINT "weather_logs_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "locations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "aqi_logs" ADD COLUMN "nh3" DOUBLE PRECISION,
+ADD COLUMN "pb" DOUBLE PRECISION;
@@ -0,0 +1,9 @@
+-- Document the canonical units of the concentration columns
+COMMENT ON COLUMN "aqi_logs"."pm25" IS 'µg/m³';
+COMMENT ON COLUMN "aqi_logs"."pm10" IS 'µg/m³';
+COMMENT ON COLUMN "aqi_logs"."no2" IS 'µg/m³';
+COMMENT ON COLUMN "aqi_logs"."so2" IS 'µg/m³';
+COMMENT ON COLUMN "aqi_logs"."co" IS 'mg/m³';
+COMMENT ON COLUMN "aqi_logs"."o3" IS 'µg/m³';
+COMMENT ON COLUMN "aqi_logs"."nh3" IS 'µg/m³';
+COMMENT ON COLUMN "aqi_logs"."pb" IS 'µg/m³';
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "aqi_logs" ADD COLUMN "qcStatus" TEXT NOT NULL DEFAULT 'unchecked',
+ADD COLUMN "qcFlags" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "locations_isActive_latitude_longitude_idx" ON "locations"("isActive", "latitude", "longitude");
@@ -1,18 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const RealAQIService = require('../services/realAqiService');
+const aqiService = require('../services/aqiServiceInstance');
 const AIService = require('../services/aiService');
 const DatabaseService = require('../services/databaseService');
 const { formatResponse, categorizeAQI } = require('../utils/helpers');
+const { parseQCMode } = require('../utils/qualityControl');
 
-const aqiService = new RealAQIService();
 const aiService = new AIService();
 const dbService = new DatabaseService();
 
 /**
  * GET /api/ai-forecast
  * Get AI-enhanced AQI predictions using Hugging Face models
- * Query params: lat, lng, hours (optional), includeAI (optional)
+ * Query params: lat, lng, hours (optional), includeAI (optional),
+ *   qc (optional: all | strict, for the stored history the forecast learns from)
  */
 router.get('/', async (req, res) => {
   try {
@@ -43,13 +44,20 @@ router.get('/', async (req, res) => {
       );
     }
 
+    const qc = parseQCMode(req.query.qc);
+    if (!qc) {
+      return res.status(400).json(
+        formatResponse(false, null, 'QC must be either "all" or "strict"')
+      );
+    }
+
     console.log(`🤖 Generating AI-enhanced forecast for (${latitude}, ${longitude}), ${forecastHours} hours`);
 
     // Get current conditions
     const currentData = await aqiService.fetchRealTimeAQI(latitude, longitude);
     
     // Get historical data for AI training
-    const historicalData = await dbService.getHistoricalData(latitude, longitude, 168); // 7 days
+    const historicalData = await dbService.getHistoricalData(latitude, longitude, 168, qc); // 7 days
     
     // Get traditional forecast as baseline
     const traditionalForecast = await aqiService.fetchForecastData(latitude, longitude, forecastHours);
@@ -119,6 +127,7 @@ router.get('/', async (req, res) => {
       healthAdvice: aiHealthAdvice || getBasicHealthAdvice(currentData.data.aqi.value),
       patterns: aiPatterns || { detected: false, reason: 'AI disabled or failed' },
       summary: generateForecastSummary(enhancedForecast),
+      qc,
       dataSource: 'combined-ai-real-data',
       isRealData: true,
       generatedAt: new Date().toISOString()
@@ -192,6 +201,7 @@ router.get('/health', async (req, res) => {
 /**
  * GET /api/ai-patterns
  * Analyze pollution patterns using AI
+ * Query params: lat, lng, timeRange (optional), qc (optional: all | strict)
  */
 router.get('/patterns', async (req, res) => {
   try {
@@ -206,6 +216,13 @@ router.get('/patterns', async (req, res) => {
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lng);
 
+    const qc = parseQCMode(req.query.qc);
+    if (!qc) {
+      return res.status(400).json(
+        formatResponse(false, null, 'QC must be either "all" or "strict"')
+      );
+    }
+
     // Get location data
     const locationData = {
       lat: latitude,
@@ -215,7 +232,7 @@ router.get('/patterns', async (req, res) => {
 
     // Get historical data for pattern analysis
     const days = timeRange === '7d' ? 7 : timeRange === '30d' ? 30 : 7;
-    const historicalData = await dbService.getHistoricalData(latitude, longitude, days * 24);
+    const historicalData = await dbService.getHistoricalData(latitude, longitude, days * 24, qc);
 
     // Analyze patterns with AI
     const patterns = await aiService.analyzePollutionPatterns(locationData, timeRange);
@@ -223,6 +240,7 @@ router.get('/patterns', async (req, res) => {
     res.json(formatResponse(true, {
       location: locationData,
       timeRange,
+      qc,
       patterns,
       historicalSummary: summarizeHistoricalData(historicalData),
       insights: generatePatternInsights(patterns, historicalData)
@@ -1,20 +1,70 @@
 const express = require('express');
 const router = express.Router();
-const RealAQIService = require('../services/realAqiService');
+const aqiService = require('../services/aqiServiceInstance');
 const DatabaseService = require('../services/databaseService');
-const { formatResponse, categorizeAQI } = require('../utils/helpers');
+const WeatherService = require('../services/weatherService');
+const { formatResponse, categorizeAQI, calculateBearing, compassDirection } = require('../utils/helpers');
+const { AQI_CATEGORIES } = require('../utils/constants');
+const { calculateNAQIFromReadings, getSubIndexBreakdown } = require('../utils/naqi');
+const {
+  parseStandard,
+  describeStandard,
+  calculateIndex,
+  calculateIndexFromReadings,
+  compareReadingsWithWHO
+} = require('../utils/aqiStandards');
+const { CANONICAL_UNITS } = require('../utils/units');
+const { negotiateLanguage, categoryLabel, localizeStandard } = require('../utils/i18n');
+const { parseQCMode } = require('../utils/qualityControl');
+const {
+  IDW_POWER,
+  IDW_NEIGHBOURS,
+  SEARCH_MARGIN_KM,
+  MAX_STATION_DISTANCE_KM,
+  MAX_GRID_CELLS,
+  DEFAULT_RESOLUTION,
+  MIN_RESOLUTION,
+  MAX_RESOLUTION,
+  GRID_VALUES,
+  parseBBox,
+  expandBBox,
+  gridSize,
+  interpolateGrid
+} = require('../utils/interpolation');
+const {
+  STEP_MINUTES,
+  MAX_TRAJECTORY_HOURS,
+  WIND_SEARCH_RADIUS_KM,
+  WIND_TIME_WINDOW_HOURS,
+  traceBackTrajectory,
+  upwindDistricts,
+  sourcesAlongPath,
+  loadSources
+} = require('../utils/trajectory');
 
-const aqiService = new RealAQIService();
 const dbService = new DatabaseService();
+const weatherService = new WeatherService();
+
+// Stored weather older than this is refreshed from the weather providers
+const WEATHER_MAX_AGE_HOURS = 3;
+
+// Limits of /nearby
+const MAX_NEARBY_STATIONS = 50;
+const MAX_NEARBY_RADIUS_KM = 500;
+
+// Fastest wind a trajectory is expected to ride, bounds the area searched for wind observations
+const TRAJECTORY_MAX_WIND_KMH = 50;
 
 /**
  * GET /api/aqi
  * Get real-time AQI data for a location
- * Query params: lat, lng, radius (optional)
+ * Query params: lat, lng, radius (optional), mode (optional: priority | fusion),
+ *   standard (optional: naqi | us_epa | eu_caqi), lang (optional: en | hi | ta | bn | mr | te,
+ *   defaults to the Accept-Language header)
  */
 router.get('/', async (req, res) => {
   try {
-    const { lat, lng, radius = 10 } = req.query;
+    const { lat, lng, radius = 10, mode } = req.query;
 
     // Validate required parameters
     if (!lat || !lng) {
@@ -46,25 +96,53 @@ router.get('/', async (req, res) => {
       );
     }
 
+    if (mode && !['priority', 'fusion'].includes(mode)) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Mode must be either "priority" or "fusion"')
+      );
+    }
+    const fetchMode = mode || aqiService.fetchMode;
+
+    const standard = parseStandard(req.query.standard);
+    if (!standard) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Standard must be one of "naqi", "us_epa" or "eu_caqi"')
+      );
+    }
+
+    const language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    if (!language) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Language must be one of "en", "hi", "ta", "bn", "mr" or "te"')
+      );
+    }
+    res.vary('Accept-Language').set('Content-Language', language);
+
     // First, try to get recent data from database (within last hour)
     const cachedData = await dbService.getLatestAQI(latitude, longitude, searchRadius);
     
-    if (cachedData && isDataFresh(cachedData.timestamp)) {
-      const response = formatCachedAQIResponse(cachedData);
+    // In fusion mode only a fused reading (one with provenance) counts as a cache hit
+    if (cachedData && isDataFresh(cachedData.timestamp) && (fetchMode !== 'fusion' || cachedData.sources)) {
+      const response = await withStandard({
+        ...formatCachedAQIResponse(cachedData),
+        weather: await getCurrentWeather(cachedData.locationId, latitude, longitude)
+      }, cachedData.locationId, standard, language);
       return res.json(
         formatResponse(true, response, 'AQI data retrieved from cache', {
           source: 'cache',
-          dataAge: getDataAge(cachedData.timestamp)
+          dataAge: getDataAge(cachedData.timestamp),
+          language
         })
       );
     }
 
     // If no fresh cached data, fetch from external API
-    const freshData = await aqiService.fetchRealTimeAQI(latitude, longitude, searchRadius);
+    const freshData = await aqiService.fetchRealTimeAQI(latitude, longitude, searchRadius, { mode: fetchMode });
     
     // Save fresh data to database
+    let savedLog = null;
     try {
-      await dbService.saveAQIData(freshData);
+      savedLog = await dbService.saveAQIData(freshData);
     } catch (saveError) {
       console.error('Failed to save AQI data to database:', saveError);
       // Continue even if saving fails
@@ -72,25 +150,47 @@ router.get('/', async (req, res) => {
 
     // Format and categorize the response
     const aqiCategory = categorizeAQI(freshData.aqi.value);
-    const response = {
+    const response = await withStandard({
       location: freshData.location,
       aqi: {
         ...freshData.aqi,
         ...aqiCategory
       },
       pollutants: freshData.pollutants,
+      units: CANONICAL_UNITS,
+      weather: await getCurrentWeather(
+        savedLog ? savedLog.locationId : null,
+        latitude,
+        longitude,
+        // IQAir readings carry their own weather, used if no weather provider answers
+        freshData.weather ? formatWeather(freshData.weather, freshData.aqi.lastUpdated, freshData.source) : null
+      ),
+      ...(freshData.sources && { sources: freshData.sources, fusion: freshData.fusion }),
+      qc: savedLog ? { status: savedLog.qcStatus, flags: savedLog.qcFlags } : null,
       source: freshData.source,
       lastUpdated: freshData.aqi.lastUpdated
-    };
+    }, savedLog ? savedLog.locationId : null, standard, language);
 
     res.json(
       formatResponse(true, response, 'AQI data retrieved successfully', {
         source: 'external_api',
-        isRealData: freshData.isRealData || false
+        isRealData: freshData.isRealData || false,
+        mode: fetchMode,
+        provider: freshData.providerReport.used,
+        providerAttempts: freshData.providerReport.attempts,
+        language
       })
     );
 
   } catch (error) {
+    if (error.providerReport) {
+      return res.status(503).json(
+        formatResponse(false, null, 'No AQI data provider is available at the moment', {
+          providerAttempts: error.providerReport.attempts
+        })
+      );
+    }
+
     console.error('Error in AQI endpoint:', error);
     res.status(500).json(
       formatResponse(false, null, 'Failed to retrieve AQI data', {
@@ -129,10 +229,257 @@ router.get('/locations', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/aqi/providers
+ * List data-source adapters with their priority, enable flag and health
+ */
+router.get('/providers', async (req, res) => {
+  try {
+    const providers = aqiService.getProviderStatus();
+
+    res.json(
+      formatResponse(true, providers, `${providers.length} data providers registered`)
+    );
+
+  } catch (error) {
+    console.error('Error getting provider status:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve provider status')
+    );
+  }
+});
+
+/**
+ * GET /api/aqi/grid
+ * Interpolate the latest station readings onto a regular grid (inverse-distance weighting)
+ * Query params: bbox (west,south,east,north), resolution (optional, degrees),
+ *   pollutant (optional: aqi | pm25 | pm10 | no2 | so2 | co | o3 | nh3),
+ *   format (optional: geojson | matrix), maxAge (optional, hours), qc (optional: all | strict)
+ */
+router.get('/grid', async (req, res) => {
+  try {
+    const { resolution, pollutant = 'aqi', format = 'geojson', maxAge = 3 } = req.query;
+
+    const bbox = parseBBox(req.query.bbox);
+    if (!bbox) {
+      return res.status(400).json(
+        formatResponse(false, null, 'bbox must be "west,south,east,north" in degrees')
+      );
+    }
+
+    const cellSize = resolution === undefined ? DEFAULT_RESOLUTION : parseFloat(resolution);
+    if (isNaN(cellSize) || cellSize < MIN_RESOLUTION || cellSize > MAX_RESOLUTION) {
+      return res.status(400).json(
+        formatResponse(false, null, `Resolution must be between ${MIN_RESOLUTION} and ${MAX_RESOLUTION} degrees`)
+      );
+    }
+
+    const { rows, cols } = gridSize(bbox, cellSize);
+    if (rows * cols > MAX_GRID_CELLS) {
+      return res.status(400).json(
+        formatResponse(false, null, `Grid of ${rows}x${cols} cells exceeds ${MAX_GRID_CELLS} cells, use a coarser resolution or a smaller bbox`)
+      );
+    }
+
+    if (!GRID_VALUES.includes(pollutant)) {
+      return res.status(400).json(
+        formatResponse(false, null, `Pollutant must be one of: ${GRID_VALUES.join(', ')}`)
+      );
+    }
+
+    if (!['geojson', 'matrix'].includes(format)) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Format must be either "geojson" or "matrix"')
+      );
+    }
+
+    const maxAgeHours = parseInt(maxAge);
+    if (isNaN(maxAgeHours) || maxAgeHours < 1 || maxAgeHours > 24) {
+      return res.status(400).json(
+        formatResponse(false, null, 'maxAge must be between 1 and 24 hours')
+      );
+    }
+
+    const qc = parseQCMode(req.query.qc);
+    if (!qc) {
+      return res.status(400).json(
+        formatResponse(false, null, 'QC must be either "all" or "strict"')
+      );
+    }
+
+    // Stations around the box shape its edges
+    const logs = await dbService.getLatestAQIInBounds(expandBBox(bbox), maxAgeHours, qc);
+    const stations = logs
+      .filter(log => log[pollutant] !== null && log[pollutant] !== undefined)
+      .map(log => ({
+        locationId: log.locationId,
+        name: log.location.name,
+        latitude: log.location.latitude,
+        longitude: log.location.longitude,
+        value: log[pollutant],
+        source: log.source,
+        timestamp: log.timestamp
+      }));
+
+    if (stations.length === 0) {
+      return res.status(404).json(
+        formatResponse(false, null, `No ${pollutant} readings from the last ${maxAgeHours} hours in or around the bounding box`)
+      );
+    }
+
+    const grid = interpolateGrid(stations, bbox, cellSize);
+
+    const response = {
+      bbox: [bbox.west, bbox.south, bbox.east, bbox.north],
+      resolution: cellSize,
+      pollutant,
+      unit: pollutant === 'aqi' ? null : CANONICAL_UNITS[pollutant],
+      method: {
+        name: 'idw',
+        power: IDW_POWER,
+        neighbours: IDW_NEIGHBOURS,
+        searchMarginKm: SEARCH_MARGIN_KM,
+        maxStationDistanceKm: MAX_STATION_DISTANCE_KM
+      },
+      stations,
+      grid: format === 'matrix' ? formatGridMatrix(grid, bbox) : formatGridGeoJSON(grid, pollutant)
+    };
+
+    res.json(
+      formatResponse(true, response, `Interpolated ${grid.rows}x${grid.cols} grid from ${stations.length} stations`, {
+        format,
+        cells: grid.rows * grid.cols,
+        emptyCells: grid.cells.filter(cell => cell.value === null).length,
+        qc
+      })
+    );
+
+  } catch (error) {
+    console.error('Error building AQI grid:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to build AQI grid')
+    );
+  }
+});
+
+/**
+ * GET /api/aqi/stations.geojson
+ * Every active monitoring station with its latest reading, as a GeoJSON FeatureCollection
+ * Query params: bbox (optional, west,south,east,north),
+ *   category (optional, comma-separated NAQI categories, e.g. POOR,VERY_POOR)
+ */
+router.get('/stations.geojson', async (req, res) => {
+  try {
+    let bbox;
+    if (req.query.bbox !== undefined) {
+      bbox = parseBBox(req.query.bbox);
+      if (!bbox) {
+        return res.status(400).json(
+          formatResponse(false, null, 'bbox must be "west,south,east,north" in degrees')
+        );
+      }
+    }
+
+    let categories = null;
+    if (req.query.category) {
+      categories = String(req.query.category).split(',').map(category => category.trim().toUpperCase());
+      const unknown = categories.filter(category => !AQI_CATEGORIES[category]);
+      if (unknown.length > 0) {
+        return res.status(400).json(
+          formatResponse(false, null, `Category must be one of: ${Object.keys(AQI_CATEGORIES).join(', ')}`)
+        );
+      }
+    }
+
+    const stations = await dbService.getStationsWithLatestAQI(bbox);
+
+    // A category filter only matches stations with a reading
+    const features = stations
+      .map(formatStationFeature)
+      .filter(feature => !categories || categories.includes(feature.properties.category));
+
+    res.type('application/geo+json').json({
+      type: 'FeatureCollection',
+      ...(bbox && { bbox: [bbox.west, bbox.south, bbox.east, bbox.north] }),
+      features,
+      meta: {
+        timestamp: new Date().toISOString(),
+        count: features.length,
+        withReadings: features.filter(feature => feature.properties.aqi !== null).length,
+        ...(categories && { categories })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error building station layer:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve stations')
+    );
+  }
+});
+
+/**
+ * GET /api/aqi/nearby
+ * The k nearest active monitoring stations with distance, bearing and latest reading
+ * Query params: lat, lng, k (optional, 1-50), radius (optional, km)
+ */
+router.get('/nearby', async (req, res) => {
+  try {
+    const { lat, lng, k = 5, radius = 50 } = req.query;
+
+    if (!lat || !lng) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Latitude and longitude are required')
+      );
+    }
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180')
+      );
+    }
+
+    const count = parseInt(k);
+    if (isNaN(count) || count < 1 || count > MAX_NEARBY_STATIONS) {
+      return res.status(400).json(
+        formatResponse(false, null, `k must be between 1 and ${MAX_NEARBY_STATIONS}`)
+      );
+    }
+
+    const searchRadius = parseFloat(radius);
+    if (isNaN(searchRadius) || searchRadius <= 0 || searchRadius > MAX_NEARBY_RADIUS_KM) {
+      return res.status(400).json(
+        formatResponse(false, null, `Radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km`)
+      );
+    }
+
+    const stations = await dbService.getNearbyStations(latitude, longitude, count, searchRadius);
+
+    res.json(
+      formatResponse(true, {
+        location: { latitude, longitude },
+        stations: stations.map(station => formatNearbyStation(station, latitude, longitude))
+      }, `Found ${stations.length} stations within ${searchRadius}km`, {
+        k: count,
+        radius: searchRadius
+      })
+    );
+
+  } catch (error) {
+    console.error('Error finding nearby stations:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to find nearby monitoring stations')
+    );
+  }
+});
+
 /**
  * GET /api/aqi/nearest
  * Get AQI data for the nearest monitoring station
- * Query params: lat, lng
+ * Query params: lat, lng, standard (optional: naqi | us_epa | eu_caqi),
+ *   lang (optional, defaults to the Accept-Language header)
  */
 router.get('/nearest', async (req, res) => {
   try {
@@ -144,6 +491,21 @@ router.get('/nearest', async (req, res) => {
       );
     }
 
+    const standard = parseStandard(req.query.standard);
+    if (!standard) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Standard must be one of "naqi", "us_epa" or "eu_caqi"')
+      );
+    }
+
+    const language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    if (!language) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Language must be one of "en", "hi", "ta", "bn", "mr" or "te"')
+      );
+    }
+    res.vary('Accept-Language').set('Content-Language', language);
+
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lng);
 
@@ -156,11 +518,15 @@ router.get('/nearest', async (req, res) => {
       );
     }
 
-    const response = formatCachedAQIResponse(nearestData);
-    
+    const response = await withStandard({
+      ...formatCachedAQIResponse(nearestData),
+      weather: await getCurrentWeather(nearestData.locationId, nearestData.location.latitude, nearestData.location.longitude)
+    }, nearestData.locationId, standard, language);
+
     res.json(
       formatResponse(true, response, 'Nearest station data retrieved', {
-        distance: calculateDistance(latitude, longitude, nearestData.location.latitude, nearestData.location.longitude)
+        distance: calculateDistance(latitude, longitude, nearestData.location.latitude, nearestData.location.longitude),
+        language
       })
     );
 
@@ -172,6 +538,92 @@ router.get('/nearest', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/aqi/:locationId/trajectory
+ * Back-trajectory of the air reaching a station: where it came from over the
+ * past hours according to the stored wind observations, the districts it
+ * crossed and known fire and industrial sources along the way
+ * Query params: hours (optional, 1-72), at (optional, arrival time, ISO)
+ */
+router.get('/:locationId/trajectory', async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    const { hours = 24, at } = req.query;
+
+    const traceHours = parseInt(hours);
+    if (isNaN(traceHours) || traceHours < 1 || traceHours > MAX_TRAJECTORY_HOURS) {
+      return res.status(400).json(
+        formatResponse(false, null, `Hours must be between 1 and ${MAX_TRAJECTORY_HOURS}`)
+      );
+    }
+
+    const arrival = at ? new Date(at) : new Date();
+    if (isNaN(arrival.getTime()) || arrival > new Date()) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Invalid time. Use an ISO timestamp that is not in the future')
+      );
+    }
+
+    const location = await dbService.getLocationById(locationId);
+    if (!location) {
+      return res.status(404).json(
+        formatResponse(false, null, 'Location not found')
+      );
+    }
+
+    const reach = Math.min(traceHours * TRAJECTORY_MAX_WIND_KMH, 2000) + WIND_SEARCH_RADIUS_KM;
+    const windowMs = WIND_TIME_WINDOW_HOURS * 60 * 60 * 1000;
+    const observations = await dbService.getWindObservations(
+      expandBBox({ west: location.longitude, south: location.latitude, east: location.longitude, north: location.latitude }, reach),
+      new Date(arrival.getTime() - traceHours * 60 * 60 * 1000 - windowMs),
+      new Date(arrival.getTime() + windowMs)
+    );
+
+    const { points, distanceKm, complete } = traceBackTrajectory(location, arrival, traceHours, observations);
+    if (points.length === 0) {
+      return res.status(404).json(
+        formatResponse(false, null, `No wind observations within ${WIND_SEARCH_RADIUS_KM}km of this location around that time`)
+      );
+    }
+
+    const hoursTraced = points[points.length - 1].hoursBack;
+    const sources = sourcesAlongPath(points, loadSources());
+
+    res.json(
+      formatResponse(true, {
+        location: {
+          id: location.id,
+          name: location.name,
+          state: location.state,
+          latitude: location.latitude,
+          longitude: location.longitude
+        },
+        arrivalTime: arrival.toISOString(),
+        hoursTraced,
+        path: formatTrajectory(points, distanceKm, location.id),
+        upwindDistricts: upwindDistricts(points),
+        sources: {
+          type: 'FeatureCollection',
+          features: sources.map(formatSourceFeature)
+        }
+      }, complete
+        ? `Traced air ${hoursTraced}h back`
+        : `Traced air ${hoursTraced}h back, wind observations run out beyond that`, {
+        hours: traceHours,
+        stepMinutes: STEP_MINUTES,
+        complete,
+        windObservations: observations.length
+      })
+    );
+
+  } catch (error) {
+    console.error('Error tracing back-trajectory:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to trace back-trajectory')
+    );
+  }
+});
+
 /**
  * Helper function to check if data is fresh (within last hour)
  * @param {Date} timestamp - Data timestamp
@@ -195,6 +647,403 @@ function getDataAge(timestamp) {
   return Math.round((now - dataTime) / (1000 * 60));
 }
 
+/**
+ * Helper function to publish the AQI in the requested standard, with the
+ * WHO guideline comparison. Averages come from the location's stored
+ * readings; a reading that could not be stored is used on its own.
+ * @param {object} response - Formatted AQI response
+ * @param {string|null} locationId - Location of the reading
+ * @param {string} standard - Standard key
+ * @param {string} language - Language of the category labels
+ * @returns {Promise<object>} Response with the published AQI, the averages and whoGuidelines
+ */
+async function withStandard(response, locationId, standard, language) {
+  const at = new Date(response.aqi.lastUpdated);
+  const readings = locationId
+    ? await dbService.getNAQIReadings(locationId, at)
+    : [{ timestamp: at, ...response.pollutants }];
+
+  const published = standard === 'naqi'
+    ? withNAQI(response, locationId ? readings : null)
+    : withIndex(response, readings, standard);
+
+  return {
+    ...localizeLabels(published, standard, language),
+    standard: localizeStandard(describeStandard(standard), language),
+    whoGuidelines: compareReadingsWithWHO(readings, at)
+  };
+}
+
+/**
+ * Helper function to translate the category labels of a published AQI, its
+ * sub-indices and its prominent pollutant
+ * @param {object} response - Response with the published AQI
+ * @param {string} standard - Standard key
+ * @param {string} language - Language code
+ * @returns {object} Response with translated labels
+ */
+function localizeLabels(response, standard, language) {
+  const localize = item => (item && item.category
+    ? { ...item, label: categoryLabel(standard, item.category, language) || item.label }
+    : item);
+
+  return {
+    ...response,
+    aqi: {
+      ...localize(response.aqi),
+      prominentPollutant: localize(response.aqi.prominentPollutant)
+    },
+    subIndices: Object.fromEntries(
+      Object.entries(response.subIndices || {}).map(([pollutant, subIndex]) => [pollutant, localize(subIndex)])
+    )
+  };
+}
+
+/**
+ * Helper function to publish the official NAQI: 24-hour averages (8-hour
+ * maximum for CO and O3) of the location's stored readings. When that is not
+ * possible the reading's own (instantaneous) AQI is kept and the reason given.
+ * @param {object} response - Formatted AQI response
+ * @param {array|null} readings - Stored readings of the last 24 hours, null if the reading was not stored
+ * @returns {object} Response with the published AQI and the averages
+ */
+function withNAQI(response, readings) {
+  const at = new Date(response.aqi.lastUpdated);
+  const naqi = readings ? calculateNAQIFromReadings(readings, at) : null;
+
+  if (naqi && naqi.valid) {
+    return {
+      ...response,
+      aqi: {
+        ...categorizeAQI(naqi.aqi),
+        lastUpdated: response.aqi.lastUpdated,
+        method: 'NAQI',
+        instantaneousValue: response.aqi.value,
+        prominentPollutant: naqi.prominentPollutant
+      },
+      subIndices: naqi.subIndices,
+      missingPollutants: naqi.missingPollutants,
+      excludedPollutants: naqi.excludedPollutants,
+      averages: naqi.averages,
+      averagingWindow: naqi.window
+    };
+  }
+
+  // Sub-indices of the latest reading's own concentrations
+  const breakdown = getSubIndexBreakdown(response.pollutants);
+
+  return {
+    ...response,
+    aqi: {
+      ...response.aqi,
+      method: 'instantaneous',
+      naqiUnavailable: naqi ? naqi.reason : 'Reading could not be stored, no history to average',
+      prominentPollutant: breakdown.prominentPollutant
+    },
+    subIndices: breakdown.subIndices,
+    missingPollutants: breakdown.missingPollutants,
+    excludedPollutants: breakdown.excludedPollutants,
+    averages: naqi ? naqi.averages : {},
+    ...(naqi && { averagingWindow: naqi.window })
+  };
+}
+
+/**
+ * Helper function to publish the US EPA AQI (NowCast for PM, 8-hour means
+ * for O3 and CO) or the hourly European CAQI. Without enough recent hours the
+ * reading's own concentrations are indexed instead.
+ * @param {object} response - Formatted AQI response
+ * @param {array} readings - Stored readings of the last 24 hours
+ * @param {string} standard - Standard key (us_epa or eu_caqi)
+ * @returns {object} Response with the published AQI and the averages
+ */
+function withIndex(response, readings, standard) {
+  const at = new Date(response.aqi.lastUpdated);
+  const averaged = calculateIndexFromReadings(standard, readings, at);
+  const index = averaged.value !== null ? averaged : calculateIndex(standard, response.pollutants);
+
+  return {
+    ...response,
+    aqi: {
+      value: index.value,
+      category: index.category,
+      label: index.label,
+      color: index.color,
+      lastUpdated: response.aqi.lastUpdated,
+      method: averaged.value !== null ? (standard === 'us_epa' ? 'NowCast' : 'hourly') : 'instantaneous',
+      naqiValue: response.aqi.value,
+      prominentPollutant: index.prominentPollutant
+    },
+    subIndices: index.subIndices,
+    missingPollutants: index.missingPollutants,
+    excludedPollutants: index.excludedPollutants,
+    averages: averaged.averages
+  };
+}
+
+/**
+ * Helper function to get current weather for a reading: the latest stored
+ * observation for the location, else a live fetch (saved for next time)
+ * @param {string|null} locationId - Location of the AQI reading
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {object|null} fallback - Weather to use if no provider answers
+ * @returns {Promise<object|null>} Weather block
+ */
+async function getCurrentWeather(locationId, latitude, longitude, fallback = null) {
+  try {
+    if (locationId) {
+      const stored = await dbService.getLatestWeather(locationId, WEATHER_MAX_AGE_HOURS);
+      if (stored) {
+        return formatWeather(stored, stored.timestamp.toISOString(), stored.source);
+      }
+    }
+
+    const fetched = await weatherService.fetchCurrentWeather(latitude, longitude);
+    if (fetched) {
+      if (locationId) {
+        await dbService.saveWeatherData(locationId, fetched);
+      }
+      return formatWeather(fetched.weather, fetched.timestamp, fetched.source);
+    }
+  } catch (error) {
+    // Weather is supplementary, never fail the AQI response because of it
+    console.error('Failed to get weather:', error.message);
+  }
+
+  return fallback;
+}
+
+/**
+ * Helper function to format a weather block
+ * @param {object} weather - Weather fields (log or provider data)
+ * @param {string} observedAt - Observation time
+ * @param {string} source - Weather source
+ * @returns {object} Weather block
+ */
+function formatWeather(weather, observedAt, source) {
+  return {
+    temperature: weather.temperature ?? null,
+    humidity: weather.humidity ?? null,
+    pressure: weather.pressure ?? null,
+    windSpeed: weather.windSpeed ?? null,
+    windDirection: weather.windDirection ?? null,
+    precipitation: weather.precipitation ?? null,
+    cloudCover: weather.cloudCover ?? null,
+    observedAt,
+    source
+  };
+}
+
+/**
+ * Helper function to format a back-trajectory as GeoJSON: the path as a
+ * LineString and the parcel's position every hour as Points
+ * @param {array} points - traceBackTrajectory() points
+ * @param {number} distanceKm - Length of the path
+ * @param {string} locationId - Location the air arrives at
+ * @returns {object} GeoJSON FeatureCollection
+ */
+function formatTrajectory(points, distanceKm, locationId) {
+  const hourly = points.filter(point => Number.isInteger(point.hoursBack));
+
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map(point => [point.longitude, point.latitude])
+        },
+        properties: {
+          locationId,
+          arrivalTime: points[0].timestamp,
+          startTime: points[points.length - 1].timestamp,
+          distanceKm
+        }
+      },
+      ...hourly.map(point => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [point.longitude, point.latitude]
+        },
+        properties: {
+          hoursBack: point.hoursBack,
+          timestamp: point.timestamp,
+          windSpeed: point.windSpeed,
+          windDirection: point.windDirection
+        }
+      }))
+    ]
+  };
+}
+
+/**
+ * Helper function to format an emission source near a trajectory as a GeoJSON Point feature
+ * @param {object} source - sourcesAlongPath() source
+ * @returns {object} GeoJSON Feature
+ */
+function formatSourceFeature(source) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [source.longitude, source.latitude]
+    },
+    properties: {
+      type: source.type,
+      name: source.name,
+      detectedAt: source.detectedAt,
+      distanceKm: source.distanceKm,
+      hoursBack: source.hoursBack,
+      ...source.properties
+    }
+  };
+}
+
+/**
+ * Helper function to format a station and its latest reading as a GeoJSON Point feature
+ * @param {object} station - getStationsWithLatestAQI() row
+ * @returns {object} GeoJSON Feature
+ */
+function formatStationFeature(station) {
+  // Locations without a reading come back with null reading columns
+  const hasReading = station.aqi !== null;
+  const category = hasReading ? categorizeAQI(station.aqi) : null;
+
+  return {
+    type: 'Feature',
+    id: station.locationId,
+    geometry: {
+      type: 'Point',
+      coordinates: [station.longitude, station.latitude]
+    },
+    properties: {
+      locationId: station.locationId,
+      name: station.name,
+      state: station.state,
+      stationType: station.stationType,
+      stationCode: station.stationCode,
+      aqi: station.aqi,
+      category: category ? category.category : null,
+      label: category ? category.label : null,
+      color: category ? category.color : null,
+      prominentPollutant: station.prominentPollutant,
+      source: station.source,
+      qcStatus: station.qcStatus,
+      lastUpdated: station.timestamp,
+      dataAgeMinutes: hasReading ? getDataAge(station.timestamp) : null
+    }
+  };
+}
+
+/**
+ * Helper function to format a nearby station with its position relative to the search point
+ * @param {object} station - getNearbyStations() row
+ * @param {number} latitude - Search latitude
+ * @param {number} longitude - Search longitude
+ * @returns {object} Station with distance, bearing and latest reading
+ */
+function formatNearbyStation(station, latitude, longitude) {
+  const reading = station.latestReading;
+  const category = reading ? categorizeAQI(reading.aqi) : null;
+  const bearing = calculateBearing(latitude, longitude, station.latitude, station.longitude);
+
+  return {
+    locationId: station.id,
+    name: station.name,
+    state: station.state,
+    stationType: station.stationType,
+    stationCode: station.stationCode,
+    latitude: station.latitude,
+    longitude: station.longitude,
+    distanceKm: Math.round(station.distanceKm * 100) / 100,
+    bearing: Math.round(bearing),
+    direction: compassDirection(bearing),
+    latestReading: reading ? {
+      aqi: reading.aqi,
+      category: category.category,
+      label: category.label,
+      color: category.color,
+      prominentPollutant: reading.prominentPollutant,
+      pollutants: {
+        pm25: reading.pm25,
+        pm10: reading.pm10,
+        no2: reading.no2,
+        so2: reading.so2,
+        co: reading.co,
+        o3: reading.o3,
+        nh3: reading.nh3,
+        pb: reading.pb
+      },
+      source: reading.source,
+      qcStatus: reading.qcStatus,
+      timestamp: reading.timestamp
+    } : null,
+    dataAgeMinutes: reading ? getDataAge(reading.timestamp) : null
+  };
+}
+
+/**
+ * Helper function to format an interpolated grid as a GeoJSON FeatureCollection
+ * of cell polygons. AQI cells also carry their NAQI category and color.
+ * @param {object} grid - interpolateGrid() result
+ * @param {string} pollutant - Interpolated value
+ * @returns {object} GeoJSON FeatureCollection
+ */
+function formatGridGeoJSON(grid, pollutant) {
+  return {
+    type: 'FeatureCollection',
+    features: grid.cells.map(cell => {
+      const category = pollutant === 'aqi' && cell.value !== null ? categorizeAQI(Math.round(cell.value)) : null;
+      return {
+        type: 'Feature',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [cell.west, cell.south],
+            [cell.east, cell.south],
+            [cell.east, cell.north],
+            [cell.west, cell.north],
+            [cell.west, cell.south]
+          ]]
+        },
+        properties: {
+          row: cell.row,
+          col: cell.col,
+          value: cell.value,
+          uncertainty: cell.uncertainty,
+          nearestStationKm: cell.nearestStationKm,
+          stationsUsed: cell.stationsUsed,
+          ...(category && { category: category.category, color: category.color })
+        }
+      };
+    })
+  };
+}
+
+/**
+ * Helper function to format an interpolated grid as row-major matrices,
+ * first row at the north edge, first column at the west edge
+ * @param {object} grid - interpolateGrid() result
+ * @param {object} bbox - { west, south, east, north }
+ * @returns {object} { rows, cols, origin, values, uncertainty }
+ */
+function formatGridMatrix(grid, bbox) {
+  const matrix = field => Array.from({ length: grid.rows }, (_, row) =>
+    grid.cells.slice(row * grid.cols, (row + 1) * grid.cols).map(cell => cell[field])
+  );
+
+  return {
+    rows: grid.rows,
+    cols: grid.cols,
+    origin: { latitude: bbox.north, longitude: bbox.west },
+    values: matrix('value'),
+    uncertainty: matrix('uncertainty')
+  };
+}
+
 /**
  * Helper function to format cached AQI response
  * @param {object} cachedData - Cached AQI data from database
@@ -209,7 +1058,8 @@ function formatCachedAQIResponse(cachedData) {
       latitude: cachedData.location.latitude,
       longitude: cachedData.location.longitude,
       state: cachedData.location.state,
-      stationType: cachedData.location.stationType
+      stationType: cachedData.location.stationType,
+      stationCode: cachedData.location.stationCode
     },
     aqi: {
       value: cachedData.aqi,
@@ -222,8 +1072,13 @@ function formatCachedAQIResponse(cachedData) {
       no2: cachedData.no2,
       so2: cachedData.so2,
       co: cachedData.co,
-      o3: cachedData.o3
+      o3: cachedData.o3,
+      nh3: cachedData.nh3,
+      pb: cachedData.pb
     },
+    units: CANONICAL_UNITS,
+    ...(cachedData.sources && { sources: cachedData.sources }),
+    qc: { status: cachedData.qcStatus, flags: cachedData.qcFlags },
     source: cachedData.source
   };
 }
@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const aqiService = require('../services/aqiServiceInstance');
+const DatabaseService = require('../services/databaseService');
+const { formatResponse } = require('../utils/helpers');
+const { SEARCH_MARGIN_KM, expandBBox, indexStations, interpolateIDW } = require('../utils/interpolation');
+const {
+  TRAVEL_MODES,
+  MAX_ROUTES,
+  MAX_ROUTE_LENGTH_KM,
+  parseRouteCoordinates,
+  lineLength,
+  sampleRoute,
+  summarizeExposure,
+  compareRoutes
+} = require('../utils/exposure');
+
+const dbService = new DatabaseService();
+
+// Station readings older than this are left out of the surface
+const READING_MAX_AGE_HOURS = 3;
+
+// Departures within this of now use the current readings
+const CURRENT_WINDOW_HOURS = 1;
+
+// How far back and ahead a trip may start
+const MAX_PAST_HOURS = 24 * 7;
+const MAX_FORECAST_HOURS = 96;
+
+/**
+ * POST /api/exposure/route
+ * Air pollution exposure along one or more routes: inhaled PM2.5 dose, AQI,
+ * time in each NAQI category and the most polluted segments. Several routes
+ * are compared and the cleanest is recommended.
+ * Body: { routes: [{ id, polyline, precision, geometry, durationMinutes }], departureTime, mode }
+ *   (a single route can also be given as top-level polyline or geometry)
+ */
+router.post('/route', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { mode = 'walking' } = body;
+    const submitted = Array.isArray(body.routes) ? body.routes : [body];
+
+    if (submitted.length === 0 || submitted.length > MAX_ROUTES) {
+      return res.status(400).json(
+        formatResponse(false, null, `Submit 1-${MAX_ROUTES} routes`)
+      );
+    }
+
+    const travelMode = TRAVEL_MODES[mode];
+    if (!travelMode) {
+      return res.status(400).json(
+        formatResponse(false, null, `Mode must be one of: ${Object.keys(TRAVEL_MODES).join(', ')}`)
+      );
+    }
+
+    const now = new Date();
+    const departure = body.departureTime ? new Date(body.departureTime) : now;
+    const hoursFromNow = (departure - now) / (60 * 60 * 1000);
+    if (isNaN(departure.getTime()) || hoursFromNow < -MAX_PAST_HOURS || hoursFromNow > MAX_FORECAST_HOURS) {
+      return res.status(400).json(
+        formatResponse(false, null, `Departure time must be a valid ISO timestamp from ${MAX_PAST_HOURS / 24} days ago to ${MAX_FORECAST_HOURS} hours ahead`)
+      );
+    }
+
+    const routes = [];
+    for (let i = 0; i < submitted.length; i++) {
+      const route = submitted[i] || {};
+      const coordinates = parseRouteCoordinates(route);
+      if (!coordinates) {
+        return res.status(400).json(
+          formatResponse(false, null, `Route ${i + 1} must be an encoded polyline or a GeoJSON LineString`)
+        );
+      }
+
+      const length = lineLength(coordinates);
+      if (length === 0 || length > MAX_ROUTE_LENGTH_KM) {
+        return res.status(400).json(
+          formatResponse(false, null, `Route ${i + 1} must be longer than 0 and at most ${MAX_ROUTE_LENGTH_KM} km`)
+        );
+      }
+
+      // A duration from the routing engine beats the mode's typical speed
+      let speedKmh = travelMode.speedKmh;
+      if (route.durationMinutes !== undefined) {
+        const minutes = parseFloat(route.durationMinutes);
+        if (isNaN(minutes) || minutes <= 0) {
+          return res.status(400).json(
+            formatResponse(false, null, `Route ${i + 1} durationMinutes must be a positive number`)
+          );
+        }
+        speedKmh = length / (minutes / 60);
+      }
+
+      routes.push({ id: route.id !== undefined ? String(route.id) : `route-${i + 1}`, coordinates, speedKmh });
+    }
+
+    const surface = await loadSurface(routes, departure, now);
+    if (surface.stationCount === 0) {
+      return res.status(404).json(
+        formatResponse(false, null, 'No air quality readings near the route')
+      );
+    }
+
+    const results = routes.map(route => {
+      const steps = sampleRoute(route.coordinates).map(step => {
+        const at = new Date(departure.getTime() + step.fromKm / route.speedKmh * 60 * 60 * 1000);
+        const factor = surface.trend(at);
+        const aqi = interpolateIDW(surface.stations.aqi, step.latitude, step.longitude).value;
+        const pm25 = interpolateIDW(surface.stations.pm25, step.latitude, step.longitude).value;
+        return {
+          ...step,
+          aqi: aqi !== null ? aqi * factor.aqi : null,
+          pm25: pm25 !== null ? pm25 * factor.pm25 : null
+        };
+      });
+
+      return {
+        id: route.id,
+        ...summarizeExposure(steps, { speedKmh: route.speedKmh, inhalationRate: travelMode.inhalationRate, departure })
+      };
+    });
+
+    const response = {
+      departureTime: departure.toISOString(),
+      mode,
+      surface: surface.description,
+      routes: results,
+      comparison: results.length > 1 ? compareRoutes(results) : null
+    };
+
+    res.json(
+      formatResponse(true, response, results.length > 1
+        ? `Compared ${results.length} routes, ${response.comparison.recommended} is the cleanest`
+        : 'Route exposure calculated', {
+        routes: results.length
+      })
+    );
+
+  } catch (error) {
+    console.error('Error calculating route exposure:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to calculate route exposure')
+    );
+  }
+});
+
+/**
+ * Helper function to build the AQI surface the routes are sampled on: the
+ * station readings as of the departure (the latest ones for current and
+ * future trips), scaled hour by hour by the forecast trend for future trips.
+ * AQI follows the forecast AQI and PM2.5 the forecast PM2.5; an AQI ratio is
+ * not a concentration ratio, so without a PM2.5 forecast PM2.5 is not scaled.
+ * @param {array} routes - Parsed routes with coordinates
+ * @param {Date} departure - Departure time
+ * @param {Date} now - Request time
+ * @returns {Promise<object>} { stations: { aqi, pm25 } as indexStations() indexes, stationCount
+ *   (stations with an AQI), trend(time) → { aqi, pm25 } factors, description }
+ */
+async function loadSurface(routes, departure, now) {
+  const hoursFromNow = (departure - now) / (60 * 60 * 1000);
+  const type = hoursFromNow > CURRENT_WINDOW_HOURS ? 'forecast' : (hoursFromNow < -CURRENT_WINDOW_HOURS ? 'historical' : 'current');
+  const readingsAt = type === 'historical' ? departure : now;
+
+  const all = routes.flatMap(route => route.coordinates);
+  const bbox = expandBBox({
+    west: Math.min(...all.map(([lng]) => lng)),
+    south: Math.min(...all.map(([, lat]) => lat)),
+    east: Math.max(...all.map(([lng]) => lng)),
+    north: Math.max(...all.map(([, lat]) => lat))
+  }, SEARCH_MARGIN_KM);
+
+  const logs = await dbService.getLatestAQIInBounds(bbox, READING_MAX_AGE_HOURS, 'all', readingsAt);
+  const stationsWith = field => logs
+    .filter(log => log[field] !== null && log[field] !== undefined)
+    .map(log => ({ latitude: log.location.latitude, longitude: log.location.longitude, value: log[field] }));
+  const aqiStations = stationsWith('aqi');
+
+  const description = {
+    type,
+    readingsAsOf: readingsAt.toISOString(),
+    stations: logs.length,
+    forecastModel: null,
+    pm25Forecast: null
+  };
+
+  let trend = () => ({ aqi: 1, pm25: 1 });
+  if (type === 'forecast') {
+    const forecast = await getForecastTrend(bbox, departure, routes, now);
+    if (forecast) {
+      trend = forecast.trend;
+      description.forecastModel = forecast.model;
+      description.pm25Forecast = forecast.pm25;
+    }
+  }
+
+  return {
+    stations: { aqi: indexStations(aqiStations), pm25: indexStations(stationsWith('pm25')) },
+    stationCount: aqiStations.length,
+    trend,
+    description
+  };
+}
+
+/**
+ * Helper function to get the forecast trend at the centre of the routes:
+ * each forecast hour's AQI, and PM2.5 when the forecast has it for every
+ * hour, relative to the first hour
+ * @param {object} bbox - Area of the routes
+ * @param {Date} departure - Departure time
+ * @param {array} routes - Parsed routes with speedKmh
+ * @param {Date} now - Request time
+ * @returns {Promise<object|null>} { trend(time) → { aqi, pm25 } factors, model, pm25 (whether
+ *   PM2.5 follows its own forecast) }, or null without a forecast
+ */
+async function getForecastTrend(bbox, departure, routes, now) {
+  // Long enough to cover the slowest route's arrival
+  const longestTripHours = Math.max(...routes.map(route => lineLength(route.coordinates) / route.speedKmh));
+  const hours = Math.min(Math.ceil((departure - now) / (60 * 60 * 1000) + longestTripHours) + 1, MAX_FORECAST_HOURS);
+
+  try {
+    const forecastData = await aqiService.fetchForecastData((bbox.south + bbox.north) / 2, (bbox.west + bbox.east) / 2, hours);
+    const steps = forecastData && forecastData.forecast;
+    if (!steps || steps.length === 0 || !steps[0].predictedAqi) return null;
+
+    const baseline = steps[0].predictedAqi;
+    const pm25Of = step => (step.pollutants && step.pollutants.pm25 > 0 ? step.pollutants.pm25 : null);
+    const hasPM25 = steps.every(step => pm25Of(step) !== null);
+
+    return {
+      model: forecastData.model,
+      pm25: hasPM25,
+      trend: time => {
+        const step = steps.reduce((closest, candidate) =>
+          Math.abs(new Date(candidate.timestamp) - time) < Math.abs(new Date(closest.timestamp) - time) ? candidate : closest
+        );
+        return {
+          aqi: step.predictedAqi / baseline,
+          pm25: hasPM25 ? pm25Of(step) / pm25Of(steps[0]) : 1
+        };
+      }
+    };
+  } catch (error) {
+    console.error('Forecast for route exposure failed:', error.message);
+    return null;
+  }
+}
+
+module.exports = router;
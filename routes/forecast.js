@@ -1,16 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const RealAQIService = require('../services/realAqiService');
+const aqiService = require('../services/aqiServiceInstance');
 const DatabaseService = require('../services/databaseService');
 const { formatResponse, categorizeAQI } = require('../utils/helpers');
+const { CANONICAL_UNITS } = require('../utils/units');
+const { STANDARDS, parseStandard, describeStandard, calculateIndex, compareReadingsWithWHO } = require('../utils/aqiStandards');
+const { negotiateLanguage, translateCategoryLabel, localizeStandard } = require('../utils/i18n');
+const { findPlace } = require('../utils/gazetteer');
 
-const aqiService = new RealAQIService();
 const dbService = new DatabaseService();
 
 /**
  * GET /api/forecast
  * Get AQI predictions for the next 24-72 hours
- * Query params: lat, lng, hours (optional), city (optional)
+ * Query params: lat, lng, hours (optional), city (optional),
+ *   standard (optional: naqi | us_epa | eu_caqi), lang (optional: en | hi | ta | bn | mr | te,
+ *   defaults to the Accept-Language header)
  */
 router.get('/', async (req, res) => {
   try {
@@ -31,19 +36,33 @@ router.get('/', async (req, res) => {
       );
     }
 
-    let latitude, longitude, locationName;
+    const standard = parseStandard(req.query.standard);
+    if (!standard) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Standard must be one of "naqi", "us_epa" or "eu_caqi"')
+      );
+    }
+
+    const language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    if (!language) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Language must be one of "en", "hi", "ta", "bn", "mr" or "te"')
+      );
+    }
+    res.vary('Accept-Language').set('Content-Language', language);
+
+    let latitude, longitude, place;
 
-    // If city is provided, get coordinates
+    // If city is provided, get coordinates from the gazetteer
     if (city) {
-      const location = await findCityCoordinates(city);
-      if (!location) {
+      place = findPlace(city);
+      if (!place) {
         return res.status(404).json(
           formatResponse(false, null, `City "${city}" not found`)
         );
       }
-      latitude = location.latitude;
-      longitude = location.longitude;
-      locationName = location.name;
+      latitude = place.latitude;
+      longitude = place.longitude;
     } else {
       // Validate coordinates
       latitude = parseFloat(lat);
@@ -71,19 +90,31 @@ router.get('/', async (req, res) => {
       );
     }
 
+    if (standard !== 'naqi' && !hasConcentrations(forecastData.forecast)) {
+      return res.status(422).json(
+        formatResponse(false, null, `The ${forecastData.model} forecast has no pollutant concentrations, only NAQI is available`)
+      );
+    }
+    const forecast = localizeForecast(applyStandard(forecastData.forecast, standard), standard, language);
+
     // Calculate forecast summary
-    const forecastSummary = calculateForecastSummary(forecastData.forecast);
+    const forecastSummary = calculateForecastSummary(forecast, STANDARDS[standard].peakThreshold);
 
     // Format response
     const response = {
-      location: locationName ? { name: locationName, latitude, longitude } : forecastData.location,
+      location: place
+        ? { name: place.name, district: place.district, state: place.state, latitude, longitude }
+        : forecastData.location,
       forecastPeriod: {
         hours: forecastHours,
         from: new Date().toISOString(),
         to: new Date(Date.now() + forecastHours * 60 * 60 * 1000).toISOString()
       },
-      forecast: forecastData.forecast,
+      standard: localizeStandard(describeStandard(standard), language),
+      forecast,
+      units: CANONICAL_UNITS,
       summary: forecastSummary,
+      whoGuidelines: compareForecastWithWHO(forecast),
       model: forecastData.model,
       accuracy: forecastData.accuracy,
       isRealData: forecastData.isRealData,
@@ -101,11 +132,22 @@ router.get('/', async (req, res) => {
       formatResponse(true, response, 'Forecast generated successfully', {
         hoursAhead: forecastHours,
         dataPoints: forecastData.forecast.length,
-        model: forecastData.model
+        model: forecastData.model,
+        provider: forecastData.providerReport.used,
+        providerAttempts: forecastData.providerReport.attempts,
+        language
       })
     );
 
   } catch (error) {
+    if (error.providerReport) {
+      return res.status(503).json(
+        formatResponse(false, null, 'Forecast data unavailable at the moment', {
+          providerAttempts: error.providerReport.attempts
+        })
+      );
+    }
+
     console.error('Error in forecast endpoint:', error);
     res.status(500).json(
       formatResponse(false, null, 'Failed to generate forecast', {
@@ -118,7 +160,9 @@ router.get('/', async (req, res) => {
 /**
  * GET /api/forecast/daily
  * Get daily AQI forecast summary
- * Query params: lat, lng, days (optional), city (optional)
+ * Query params: lat, lng, days (optional), city (optional),
+ *   standard (optional: naqi | us_epa | eu_caqi), lang (optional: en | hi | ta | bn | mr | te,
+ *   defaults to the Accept-Language header)
  */
 router.get('/daily', async (req, res) => {
   try {
@@ -137,10 +181,25 @@ router.get('/daily', async (req, res) => {
       );
     }
 
+    const standard = parseStandard(req.query.standard);
+    if (!standard) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Standard must be one of "naqi", "us_epa" or "eu_caqi"')
+      );
+    }
+
+    const language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    if (!language) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Language must be one of "en", "hi", "ta", "bn", "mr" or "te"')
+      );
+    }
+    res.vary('Accept-Language').set('Content-Language', language);
+
     let latitude, longitude;
 
     if (city) {
-      const location = await findCityCoordinates(city);
+      const location = findPlace(city);
       if (!location) {
         return res.status(404).json(
           formatResponse(false, null, `City "${city}" not found`)
@@ -163,8 +222,15 @@ router.get('/daily', async (req, res) => {
       );
     }
 
+    if (standard !== 'naqi' && !hasConcentrations(forecastData.forecast)) {
+      return res.status(422).json(
+        formatResponse(false, null, `The ${forecastData.model} forecast has no pollutant concentrations, only NAQI is available`)
+      );
+    }
+
     // Group hourly data into daily summaries
-    const dailyForecasts = groupForecastByDay(forecastData.forecast, forecastDays);
+    const forecast = localizeForecast(applyStandard(forecastData.forecast, standard), standard, language);
+    const dailyForecasts = groupForecastByDay(forecast, forecastDays);
 
     const response = {
       location: forecastData.location,
@@ -173,6 +239,7 @@ router.get('/daily', async (req, res) => {
         from: new Date().toISOString().split('T')[0],
         to: new Date(Date.now() + forecastDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
       },
+      standard: localizeStandard(describeStandard(standard), language),
       dailyForecast: dailyForecasts,
       model: forecastData.model,
       isRealData: forecastData.isRealData
@@ -181,11 +248,22 @@ router.get('/daily', async (req, res) => {
     res.json(
       formatResponse(true, response, 'Daily forecast generated successfully', {
         daysAhead: forecastDays,
-        model: forecastData.model
+        model: forecastData.model,
+        provider: forecastData.providerReport.used,
+        providerAttempts: forecastData.providerReport.attempts,
+        language
       })
     );
 
   } catch (error) {
+    if (error.providerReport) {
+      return res.status(503).json(
+        formatResponse(false, null, 'Daily forecast data unavailable', {
+          providerAttempts: error.providerReport.attempts
+        })
+      );
+    }
+
     console.error('Error in daily forecast endpoint:', error);
     res.status(500).json(
       formatResponse(false, null, 'Failed to generate daily forecast')
@@ -215,57 +293,71 @@ router.get('/accuracy', async (req, res) => {
 });
 
 /**
- * Find city coordinates from name
- * @param {string} cityName - City name to search
- * @returns {Promise<object|null>} City coordinates
+ * Check whether every forecast step carries pollutant concentrations
+ * @param {array} forecasts - Array of forecast data points
+ * @returns {boolean} Whether the forecast can be indexed in another standard
  */
-async function findCityCoordinates(cityName) {
-  // Major Indian cities database
-  const cities = [
-    { name: 'Delhi', latitude: 28.6139, longitude: 77.2090, state: 'Delhi' },
-    { name: 'New Delhi', latitude: 28.6139, longitude: 77.2090, state: 'Delhi' },
-    { name: 'Mumbai', latitude: 19.0760, longitude: 72.8777, state: 'Maharashtra' },
-    { name: 'Bangalore', latitude: 12.9716, longitude: 77.5946, state: 'Karnataka' },
-    { name: 'Bengaluru', latitude: 12.9716, longitude: 77.5946, state: 'Karnataka' },
-    { name: 'Chennai', latitude: 13.0827, longitude: 80.2707, state: 'Tamil Nadu' },
-    { name: 'Kolkata', latitude: 22.5726, longitude: 88.3639, state: 'West Bengal' },
-    { name: 'Hyderabad', latitude: 17.3850, longitude: 78.4867, state: 'Telangana' },
-    { name: 'Pune', latitude: 18.5204, longitude: 73.8567, state: 'Maharashtra' },
-    { name: 'Ahmedabad', latitude: 23.0225, longitude: 72.5714, state: 'Gujarat' },
-    { name: 'Jaipur', latitude: 26.9124, longitude: 75.7873, state: 'Rajasthan' },
-    { name: 'Surat', latitude: 21.1702, longitude: 72.8311, state: 'Gujarat' },
-    { name: 'Lucknow', latitude: 26.8467, longitude: 80.9462, state: 'Uttar Pradesh' },
-    { name: 'Kanpur', latitude: 26.4499, longitude: 80.3319, state: 'Uttar Pradesh' },
-    { name: 'Nagpur', latitude: 21.1458, longitude: 79.0882, state: 'Maharashtra' },
-    { name: 'Indore', latitude: 22.7196, longitude: 75.8577, state: 'Madhya Pradesh' },
-    { name: 'Thane', latitude: 19.2183, longitude: 72.9781, state: 'Maharashtra' },
-    { name: 'Bhopal', latitude: 23.2599, longitude: 77.4126, state: 'Madhya Pradesh' },
-    { name: 'Visakhapatnam', latitude: 17.6868, longitude: 83.2185, state: 'Andhra Pradesh' },
-    { name: 'Pimpri-Chinchwad', latitude: 18.6298, longitude: 73.7997, state: 'Maharashtra' }
-  ];
-
-  const normalizedSearch = cityName.toLowerCase().trim();
-  
-  // Find exact match first
-  let city = cities.find(c => c.name.toLowerCase() === normalizedSearch);
-  
-  // If no exact match, find partial match
-  if (!city) {
-    city = cities.find(c => 
-      c.name.toLowerCase().includes(normalizedSearch) || 
-      normalizedSearch.includes(c.name.toLowerCase())
-    );
-  }
+function hasConcentrations(forecasts) {
+  return forecasts.every(f => f.pollutants);
+}
+
+/**
+ * Re-index forecast steps in the requested standard. Each hour is indexed
+ * from its own forecast concentrations.
+ * @param {array} forecasts - Array of forecast data points (NAQI)
+ * @param {string} standard - Standard key
+ * @returns {array} Forecast data points in the standard
+ */
+function applyStandard(forecasts, standard) {
+  if (standard === 'naqi') return forecasts;
+
+  return forecasts.map(f => {
+    const index = calculateIndex(standard, f.pollutants);
+    return {
+      ...f,
+      predictedAqi: index.value,
+      category: index.label,
+      color: index.color,
+      prominentPollutant: index.prominentPollutant ? index.prominentPollutant.pollutant : null,
+      naqiValue: f.predictedAqi
+    };
+  });
+}
+
+/**
+ * Translate the category labels of forecast steps
+ * @param {array} forecasts - Array of forecast data points in the standard
+ * @param {string} standard - Standard key
+ * @param {string} language - Language code
+ * @returns {array} Forecast data points with translated categories
+ */
+function localizeForecast(forecasts, standard, language) {
+  return forecasts.map(f => ({ ...f, category: translateCategoryLabel(standard, f.category, language) }));
+}
 
-  return city || null;
+/**
+ * Compare the first 24 forecast hours with the WHO guidelines
+ * @param {array} forecasts - Array of forecast data points
+ * @returns {object|null} WHO comparison, or null without forecast concentrations
+ */
+function compareForecastWithWHO(forecasts) {
+  if (!hasConcentrations(forecasts)) return null;
+
+  const firstDay = forecasts.slice(0, 24);
+  const readings = firstDay.map(f => ({ timestamp: f.timestamp, ...f.pollutants }));
+  return {
+    ...compareReadingsWithWHO(readings, firstDay[firstDay.length - 1].timestamp),
+    window: { from: firstDay[0].timestamp, to: firstDay[firstDay.length - 1].timestamp }
+  };
 }
 
 /**
  * Calculate forecast summary statistics
  * @param {array} forecasts - Array of forecast data points
+ * @param {number} peakThreshold - Index above which an hour counts as peak pollution
  * @returns {object} Forecast summary
  */
-function calculateForecastSummary(forecasts) {
+function calculateForecastSummary(forecasts, peakThreshold = 150) {
   if (forecasts.length === 0) return {};
 
   const aqiValues = forecasts.map(f => f.predictedAqi);
@@ -284,7 +376,7 @@ function calculateForecastSummary(forecasts) {
 
   // Peak pollution times
   const peakHours = forecasts
-    .filter(f => f.predictedAqi > 150)
+    .filter(f => f.predictedAqi > peakThreshold)
     .map(f => new Date(f.timestamp).getHours());
 
   // Most common category
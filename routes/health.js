@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { formatResponse, categorizeAQI, getHealthAdvice } = require('../utils/helpers');
+const { negotiateLanguage, translate, categoryLabel } = require('../utils/i18n');
 
 /**
  * GET /api/health-advice
  * Get health recommendations based on AQI level
- * Query params: aqi (required), category (optional)
+ * Query params: aqi (required), category (optional), lang (optional: en | hi | ta | bn | mr | te)
+ * Also honours the Accept-Language header when lang is not given
  */
 router.get('/', async (req, res) => {
   try {
@@ -25,34 +27,43 @@ router.get('/', async (req, res) => {
       );
     }
 
+    const language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    if (!language) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Language must be one of "en", "hi", "ta", "bn", "mr" or "te"')
+      );
+    }
+    res.vary('Accept-Language').set('Content-Language', language);
+
     // Get AQI category if not provided
     const aqiCategory = category || categorizeAQI(aqiValue);
     const categoryKey = typeof aqiCategory === 'object' ? aqiCategory.category : aqiCategory;
     
     // Get health advice
-    const healthAdvice = getHealthAdvice(categoryKey);
+    const healthAdvice = getHealthAdvice(categoryKey, language);
     
     // Determine risk level
     const riskLevel = getRiskLevel(aqiValue);
     
     // Get specific recommendations based on AQI level
-    const specificRecommendations = getSpecificRecommendations(aqiValue);
+    const specificRecommendations = getSpecificRecommendations(aqiValue, language);
 
     const response = {
       aqi: aqiValue,
       category: categoryKey,
-      categoryInfo: typeof aqiCategory === 'object' ? aqiCategory : categorizeAQI(aqiValue),
+      categoryInfo: localizeCategory(typeof aqiCategory === 'object' ? aqiCategory : categorizeAQI(aqiValue), language),
       riskLevel: riskLevel,
       advice: healthAdvice,
       specificRecommendations: specificRecommendations,
-      vulnerableGroups: getVulnerableGroupAdvice(aqiValue),
-      protectiveMeasures: getProtectiveMeasures(aqiValue)
+      vulnerableGroups: getVulnerableGroupAdvice(aqiValue, language),
+      protectiveMeasures: getProtectiveMeasures(aqiValue, language)
     };
 
     res.json(
       formatResponse(true, response, 'Health advice generated successfully', {
         aqiLevel: categoryKey,
-        riskLevel: riskLevel
+        riskLevel: riskLevel,
+        language
       })
     );
 
@@ -70,6 +81,7 @@ router.get('/', async (req, res) => {
  * GET /api/health-advice/bulk
  * Get health advice for multiple AQI values
  * Request body: { aqiValues: [number] }
+ * Query params: lang (optional), or the Accept-Language header
  */
 router.post('/bulk', async (req, res) => {
   try {
@@ -87,6 +99,14 @@ router.post('/bulk', async (req, res) => {
       );
     }
 
+    const language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    if (!language) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Language must be one of "en", "hi", "ta", "bn", "mr" or "te"')
+      );
+    }
+    res.vary('Accept-Language').set('Content-Language', language);
+
     const results = aqiValues.map(aqi => {
       const aqiValue = parseInt(aqi);
       if (isNaN(aqiValue) || aqiValue < 0 || aqiValue > 1000) {
@@ -97,12 +117,12 @@ router.post('/bulk', async (req, res) => {
       }
 
       const aqiCategory = categorizeAQI(aqiValue);
-      const healthAdvice = getHealthAdvice(aqiCategory.category);
+      const healthAdvice = getHealthAdvice(aqiCategory.category, language);
       
       return {
         aqi: aqiValue,
         category: aqiCategory.category,
-        label: aqiCategory.label,
+        label: categoryLabel('naqi', aqiCategory.category, language),
         riskLevel: getRiskLevel(aqiValue),
         advice: {
           general: healthAdvice.general,
@@ -112,7 +132,7 @@ router.post('/bulk', async (req, res) => {
     });
 
     res.json(
-      formatResponse(true, results, `Health advice generated for ${results.length} AQI values`)
+      formatResponse(true, results, `Health advice generated for ${results.length} AQI values`, { language })
     );
 
   } catch (error) {
@@ -126,9 +146,18 @@ router.post('/bulk', async (req, res) => {
 /**
  * GET /api/health-advice/categories
  * Get all AQI categories with their health implications
+ * Query params: lang (optional), or the Accept-Language header
  */
 router.get('/categories', async (req, res) => {
   try {
+    const language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    if (!language) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Language must be one of "en", "hi", "ta", "bn", "mr" or "te"')
+      );
+    }
+    res.vary('Accept-Language').set('Content-Language', language);
+
     const categories = [
       'GOOD', 'SATISFACTORY', 'MODERATE', 'POOR', 'VERY_POOR', 'SEVERE'
     ];
@@ -136,21 +165,21 @@ router.get('/categories', async (req, res) => {
     const categoryInfo = categories.map(category => {
       const sampleAQI = getSampleAQI(category);
       const aqiCategory = categorizeAQI(sampleAQI);
-      const healthAdvice = getHealthAdvice(category);
+      const healthAdvice = getHealthAdvice(category, language);
 
       return {
         category: category,
-        label: aqiCategory.label,
+        label: categoryLabel('naqi', category, language),
         color: aqiCategory.color,
         range: getAQIRange(category),
         riskLevel: getRiskLevel(sampleAQI),
         healthImplications: healthAdvice,
-        protectiveMeasures: getProtectiveMeasures(sampleAQI)
+        protectiveMeasures: getProtectiveMeasures(sampleAQI, language)
       };
     });
 
     res.json(
-      formatResponse(true, categoryInfo, 'AQI categories and health information retrieved')
+      formatResponse(true, categoryInfo, 'AQI categories and health information retrieved', { language })
     );
 
   } catch (error) {
@@ -178,63 +207,33 @@ function getRiskLevel(aqi) {
 /**
  * Get specific recommendations based on AQI level
  * @param {number} aqi - AQI value
+ * @param {string} lang - Language code
  * @returns {object} Specific recommendations
  */
-function getSpecificRecommendations(aqi) {
-  const recommendations = {
-    outdoor: [],
-    indoor: [],
-    health: [],
-    travel: []
-  };
-
-  if (aqi <= 50) {
-    recommendations.outdoor = ['Perfect for all outdoor activities', 'Ideal time for exercise and sports'];
-    recommendations.indoor = ['Natural ventilation recommended', 'Windows can be kept open'];
-    recommendations.health = ['No health precautions needed', 'Enjoy fresh air activities'];
-    recommendations.travel = ['All outdoor travel is safe'];
-  } else if (aqi <= 100) {
-    recommendations.outdoor = ['Generally safe for outdoor activities', 'Sensitive individuals should monitor symptoms'];
-    recommendations.indoor = ['Good air circulation recommended', 'Air purifiers beneficial for sensitive individuals'];
-    recommendations.health = ['Unusually sensitive people may experience minor symptoms'];
-    recommendations.travel = ['Travel is generally safe for all'];
-  } else if (aqi <= 200) {
-    recommendations.outdoor = ['Limit prolonged outdoor exertion', 'Consider indoor alternatives for exercise'];
-    recommendations.indoor = ['Keep windows closed during peak pollution hours', 'Use air purifiers if available'];
-    recommendations.health = ['People with respiratory conditions should limit outdoor exposure'];
-    recommendations.travel = ['Consider avoiding peak traffic hours', 'Use air-conditioned transport when possible'];
-  } else if (aqi <= 300) {
-    recommendations.outdoor = ['Avoid outdoor activities', 'Cancel outdoor sports and events'];
-    recommendations.indoor = ['Stay indoors as much as possible', 'Use air purifiers continuously'];
-    recommendations.health = ['Wear N95 masks when going outside', 'People with heart/lung conditions should stay indoors'];
-    recommendations.travel = ['Postpone non-essential travel', 'Use masks in public transport'];
-  } else if (aqi <= 400) {
-    recommendations.outdoor = ['Avoid all outdoor activities', 'Stay indoors with air purification'];
-    recommendations.indoor = ['Seal windows and doors', 'Run air purifiers on high setting'];
-    recommendations.health = ['Everyone should wear N95/N99 masks outside', 'Seek medical attention if experiencing symptoms'];
-    recommendations.travel = ['Avoid all non-essential travel', 'Emergency travel only with proper protection'];
-  } else {
-    recommendations.outdoor = ['Emergency conditions - stay indoors', 'Do not go outside unless absolutely necessary'];
-    recommendations.indoor = ['Create a clean air room', 'Multiple air purifiers recommended'];
-    recommendations.health = ['Health emergency - serious effects for everyone', 'Immediate medical attention for any symptoms'];
-    recommendations.travel = ['Emergency travel only', 'Full respiratory protection required'];
-  }
-
-  return recommendations;
+function getSpecificRecommendations(aqi, lang) {
+  let level = 'SEVERE';
+  if (aqi <= 400) level = 'VERY_POOR';
+  if (aqi <= 300) level = 'POOR';
+  if (aqi <= 200) level = 'MODERATE';
+  if (aqi <= 100) level = 'SATISFACTORY';
+  if (aqi <= 50) level = 'GOOD';
+
+  return { ...translate(lang, `specificRecommendations.${level}`) };
 }
 
 /**
  * Get advice for vulnerable groups
  * @param {number} aqi - AQI value
+ * @param {string} lang - Language code
  * @returns {object} Vulnerable group advice
  */
-function getVulnerableGroupAdvice(aqi) {
+function getVulnerableGroupAdvice(aqi, lang) {
   return {
-    children: getGroupAdvice(aqi, 'children'),
-    elderly: getGroupAdvice(aqi, 'elderly'),
-    pregnant: getGroupAdvice(aqi, 'pregnant'),
-    respiratory: getGroupAdvice(aqi, 'respiratory'),
-    heart: getGroupAdvice(aqi, 'heart')
+    children: getGroupAdvice(aqi, 'children', lang),
+    elderly: getGroupAdvice(aqi, 'elderly', lang),
+    pregnant: getGroupAdvice(aqi, 'pregnant', lang),
+    respiratory: getGroupAdvice(aqi, 'respiratory', lang),
+    heart: getGroupAdvice(aqi, 'heart', lang)
   };
 }
 
@@ -242,90 +241,41 @@ function getVulnerableGroupAdvice(aqi) {
  * Get advice for specific vulnerable group
  * @param {number} aqi - AQI value
  * @param {string} group - Vulnerable group
+ * @param {string} lang - Language code
  * @returns {string} Group-specific advice
  */
-function getGroupAdvice(aqi, group) {
-  const advice = {
-    children: {
-      good: 'Perfect for outdoor play and activities',
-      moderate: 'Limit intense outdoor activities, watch for symptoms',
-      poor: 'Keep indoors, avoid outdoor play',
-      severe: 'Stay indoors completely, seek medical help if symptoms develop'
-    },
-    elderly: {
-      good: 'Safe for all activities',
-      moderate: 'Monitor health, limit strenuous outdoor activities',
-      poor: 'Stay indoors, avoid physical exertion',
-      severe: 'Complete indoor isolation, immediate medical attention for symptoms'
-    },
-    pregnant: {
-      good: 'Safe for normal activities',
-      moderate: 'Reduce outdoor exposure, monitor wellbeing',
-      poor: 'Minimize outdoor time, use air purifiers',
-      severe: 'Stay indoors, consult healthcare provider'
-    },
-    respiratory: {
-      good: 'Normal activities with regular medication',
-      moderate: 'Have rescue inhaler ready, limit outdoor time',
-      poor: 'Stay indoors, increase medication as prescribed',
-      severe: 'Emergency protocols, immediate medical care if symptoms worsen'
-    },
-    heart: {
-      good: 'Normal activities and exercise',
-      moderate: 'Reduce intensity of physical activities',
-      poor: 'Avoid physical exertion, stay indoors',
-      severe: 'Complete rest, emergency medical care for chest symptoms'
-    }
-  };
-
+function getGroupAdvice(aqi, group, lang) {
   let level = 'good';
   if (aqi > 100) level = 'moderate';
   if (aqi > 200) level = 'poor';
   if (aqi > 300) level = 'severe';
 
-  return advice[group]?.[level] || 'Consult healthcare provider for specific advice';
+  return translate(lang, `vulnerableGroups.${group}.${level}`) || translate(lang, 'vulnerableGroups.default');
 }
 
 /**
  * Get protective measures for AQI level
  * @param {number} aqi - AQI value
+ * @param {string} lang - Language code
  * @returns {object} Protective measures
  */
-function getProtectiveMeasures(aqi) {
-  const measures = {
-    masks: [],
-    airPurifiers: [],
-    windows: '',
-    ventilation: '',
-    plants: []
-  };
+function getProtectiveMeasures(aqi, lang) {
+  let level = 'severe';
+  if (aqi <= 300) level = 'high';
+  if (aqi <= 200) level = 'moderate';
+  if (aqi <= 100) level = 'low';
 
-  if (aqi <= 100) {
-    measures.masks = ['Not necessary for general population'];
-    measures.windows = 'Can be kept open for natural ventilation';
-    measures.ventilation = 'Natural air circulation is beneficial';
-    measures.plants = ['Indoor plants can help improve air quality'];
-  } else if (aqi <= 200) {
-    measures.masks = ['N95 masks for sensitive individuals when outdoors'];
-    measures.airPurifiers = ['HEPA air purifiers recommended'];
-    measures.windows = 'Close during peak pollution hours (usually evening)';
-    measures.ventilation = 'Use mechanical ventilation when possible';
-    measures.plants = ['Spider plants', 'Peace lilies', 'Snake plants'];
-  } else if (aqi <= 300) {
-    measures.masks = ['N95 masks mandatory for all outdoor activities'];
-    measures.airPurifiers = ['HEPA air purifiers on high setting', 'Consider multiple units'];
-    measures.windows = 'Keep all windows and doors closed';
-    measures.ventilation = 'Avoid natural ventilation, use air conditioning';
-    measures.plants = ['Increase indoor plants for air purification'];
-  } else {
-    measures.masks = ['N95/N99 masks essential', 'P100 masks for extended exposure'];
-    measures.airPurifiers = ['Industrial-grade air purifiers', 'Multiple HEPA units per room'];
-    measures.windows = 'Seal all openings to prevent outdoor air entry';
-    measures.ventilation = 'Complete isolation from outdoor air';
-    measures.plants = ['Maximize indoor plants but ensure proper care'];
-  }
+  return { ...translate(lang, `protectiveMeasures.${level}`) };
+}
 
-  return measures;
+/**
+ * Label a NAQI category in the response language
+ * @param {object} category - categorizeAQI() result
+ * @param {string} lang - Language code
+ * @returns {object} Category with translated label
+ */
+function localizeCategory(category, lang) {
+  return { ...category, label: categoryLabel('naqi', category.category, lang) || category.label };
 }
 
 /**
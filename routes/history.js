@@ -2,22 +2,39 @@ const express = require('express');
 const router = express.Router();
 const DatabaseService = require('../services/databaseService');
 const { formatResponse } = require('../utils/helpers');
+const { parseStandard, describeStandard, compareWithWHO } = require('../utils/aqiStandards');
+const { CANONICAL_UNITS } = require('../utils/units');
+const { parseQCMode } = require('../utils/qualityControl');
+const { INDEX_POLLUTANTS } = require('../utils/naqi');
 
 const dbService = new DatabaseService();
 
+// The lat/lng selector picks the nearest station within this radius (km)
+const DEFAULT_STATION_RADIUS_KM = 10;
+const MAX_STATION_RADIUS_KM = 100;
+
+// Most locations /compare overlays
+const MAX_COMPARE_LOCATIONS = 10;
+
+// Values /compare can plot: the AQI or the average concentration of a pollutant
+const COMPARE_METRICS = ['aqi', ...INDEX_POLLUTANTS];
+
 /**
  * GET /api/history
  * Get historical AQI data for a location
- * Query params: city, days (optional), aggregation (optional)
+ * Query params: one of city, locationId, stationCode or lat/lng (with optional radius, km),
+ *   days (optional), aggregation (optional), standard (optional: naqi | us_epa | eu_caqi),
+ *   qc (optional: all | strict)
  */
 router.get('/', async (req, res) => {
   try {
-    const { city, days = 7, aggregation = 'daily' } = req.query;
+    const { days = 7, aggregation = 'daily' } = req.query;
 
     // Validate required parameters
-    if (!city) {
+    const selector = parseLocationSelector(req.query);
+    if (selector.error) {
       return res.status(400).json(
-        formatResponse(false, null, 'City parameter is required')
+        formatResponse(false, null, selector.error)
       );
     }
 
@@ -35,22 +52,52 @@ router.get('/', async (req, res) => {
       );
     }
 
+    const standard = parseStandard(req.query.standard);
+    if (!standard) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Standard must be one of "naqi", "us_epa" or "eu_caqi"')
+      );
+    }
+
+    const qc = parseQCMode(req.query.qc);
+    if (!qc) {
+      return res.status(400).json(
+        formatResponse(false, null, 'QC must be either "all" or "strict"')
+      );
+    }
+
+    const target = await resolveLocation(selector);
+    if (!target) {
+      return res.status(404).json(
+        formatResponse(false, null, locationNotFoundMessage(selector))
+      );
+    }
+
+    if (target.matches) {
+      return res.status(409).json(
+        formatResponse(false, { matches: target.matches.map(formatStation) }, ambiguousStationMessage(selector.stationCode, target.matches))
+      );
+    }
+
     // Get historical data
-    const historicalData = await dbService.getHistoricalAQI(city, numDays, aggregation);
+    const historicalData = await dbService.getHistoricalAQI(target.filter, numDays, aggregation, standard, qc);
 
-    if (historicalData.length === 0) {
+    // Mock history only stands in for a city; a station's history is its own readings
+    if (historicalData.length === 0 && selector.type === 'city') {
       // Generate mock historical data if no real data exists
-      const mockData = generateMockHistoricalData(city, numDays, aggregation);
+      const mockData = generateMockHistoricalData(target.name, numDays, aggregation);
       
       return res.json(
         formatResponse(true, {
-          location: city,
+          location: target.location,
           period: {
             from: new Date(Date.now() - numDays * 24 * 60 * 60 * 1000).toISOString(),
             to: new Date().toISOString(),
             days: numDays
           },
           aggregation: aggregation,
+          // Mock history has no concentrations to re-index
+          standard: describeStandard('naqi'),
           trends: mockData.trends,
           summary: mockData.summary,
           isRealData: false
@@ -61,34 +108,52 @@ router.get('/', async (req, res) => {
       );
     }
 
+    // Meteorological drivers for the same periods
+    const weatherByPeriod = await dbService.getHistoricalWeather(target.filter, numDays, aggregation);
+
     // Calculate summary statistics
-    const summary = calculateSummary(historicalData);
+    const summary = historicalData.length > 0 ? {
+      ...calculateSummary(historicalData),
+      weather: summarizeWeather(Object.values(weatherByPeriod))
+    } : null;
 
     // Format the response
     const response = {
-      location: city,
+      location: target.location,
       period: {
         from: new Date(Date.now() - numDays * 24 * 60 * 60 * 1000).toISOString(),
         to: new Date().toISOString(),
         days: numDays
       },
       aggregation: aggregation,
-      trends: historicalData.map(item => ({
-        [aggregation === 'daily' ? 'date' : 'hour']: aggregation === 'daily' 
-          ? item.date.toISOString().split('T')[0]
-          : item.hour.toISOString(),
-        avgAqi: item.avgAqi,
-        maxAqi: item.maxAqi,
-        minAqi: item.minAqi,
-        category: item.category,
-        dataPoints: parseInt(item.dataPoints)
-      })),
+      standard: describeStandard(standard),
+      trends: historicalData.map(item => {
+        const period = periodKey(item, aggregation);
+        return {
+          [aggregation === 'daily' ? 'date' : 'hour']: period,
+          avgAqi: item.avgAqi,
+          maxAqi: item.maxAqi,
+          minAqi: item.minAqi,
+          category: item.category,
+          prominentPollutant: item.prominentPollutant,
+          prominentCounts: item.prominentCounts,
+          pollutants: item.pollutants,
+          whoGuidelines: compareWithWHO(item.pollutants, aggregation === 'daily' ? 'daily mean' : 'hourly mean'),
+          dataPoints: parseInt(item.dataPoints),
+          flaggedPoints: item.flaggedPoints,
+          weather: weatherByPeriod[period] || null
+        };
+      }),
+      units: CANONICAL_UNITS,
+      qc,
       summary,
       isRealData: true
     };
 
     res.json(
-      formatResponse(true, response, 'Historical data retrieved successfully', {
+      formatResponse(true, response, historicalData.length > 0
+        ? 'Historical data retrieved successfully'
+        : 'No readings stored for this station in the period', {
         dataSource: 'database',
         recordCount: historicalData.length
       })
@@ -106,16 +171,18 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/history/summary
- * Get summary statistics for a city over a period
- * Query params: city, days (optional)
+ * Get summary statistics for a location over a period
+ * Query params: one of city, locationId, stationCode or lat/lng (with optional radius, km),
+ *   days (optional), qc (optional: all | strict)
  */
 router.get('/summary', async (req, res) => {
   try {
-    const { city, days = 30 } = req.query;
+    const { days = 30 } = req.query;
 
-    if (!city) {
+    const selector = parseLocationSelector(req.query);
+    if (selector.error) {
       return res.status(400).json(
-        formatResponse(false, null, 'City parameter is required')
+        formatResponse(false, null, selector.error)
       );
     }
 
@@ -126,13 +193,33 @@ router.get('/summary', async (req, res) => {
       );
     }
 
-    const historicalData = await dbService.getHistoricalAQI(city, numDays, 'daily');
+    const qc = parseQCMode(req.query.qc);
+    if (!qc) {
+      return res.status(400).json(
+        formatResponse(false, null, 'QC must be either "all" or "strict"')
+      );
+    }
+
+    const target = await resolveLocation(selector);
+    if (!target) {
+      return res.status(404).json(
+        formatResponse(false, null, locationNotFoundMessage(selector))
+      );
+    }
+
+    if (target.matches) {
+      return res.status(409).json(
+        formatResponse(false, { matches: target.matches.map(formatStation) }, ambiguousStationMessage(selector.stationCode, target.matches))
+      );
+    }
+
+    const historicalData = await dbService.getHistoricalAQI(target.filter, numDays, 'daily', 'naqi', qc);
     
-    if (historicalData.length === 0) {
-      const mockSummary = generateMockSummary(city, numDays);
+    if (historicalData.length === 0 && selector.type === 'city') {
+      const mockSummary = generateMockSummary(target.name, numDays);
       return res.json(
         formatResponse(true, {
-          location: city,
+          location: target.location,
           period: {
             days: numDays,
             from: new Date(Date.now() - numDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
@@ -144,19 +231,22 @@ router.get('/summary', async (req, res) => {
       );
     }
 
-    const summary = calculateDetailedSummary(historicalData);
+    const summary = historicalData.length > 0 ? calculateDetailedSummary(historicalData) : null;
 
     res.json(
       formatResponse(true, {
-        location: city,
+        location: target.location,
         period: {
           days: numDays,
           from: new Date(Date.now() - numDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
           to: new Date().toISOString().split('T')[0]
         },
+        qc,
         summary,
         isRealData: true
-      }, 'Summary statistics retrieved successfully')
+      }, historicalData.length > 0
+        ? 'Summary statistics retrieved successfully'
+        : 'No readings stored for this station in the period')
     );
 
   } catch (error) {
@@ -167,6 +257,295 @@ router.get('/summary', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/history/compare
+ * Historical series of several stations on one time axis, for overlaying on a chart
+ * Query params: locationIds and/or stationCodes (comma-separated, up to 10 in total),
+ *   days (optional), aggregation (optional), metric (optional: aqi or a pollutant),
+ *   standard (optional: naqi | us_epa | eu_caqi), qc (optional: all | strict)
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    const { days = 7, aggregation = 'daily', metric = 'aqi' } = req.query;
+
+    const locationIds = splitList(req.query.locationIds);
+    const stationCodes = splitList(req.query.stationCodes);
+    const requested = locationIds.length + stationCodes.length;
+    if (requested === 0 || requested > MAX_COMPARE_LOCATIONS) {
+      return res.status(400).json(
+        formatResponse(false, null, `Provide 1-${MAX_COMPARE_LOCATIONS} locations in locationIds and/or stationCodes`)
+      );
+    }
+
+    const numDays = parseInt(days);
+    if (isNaN(numDays) || numDays < 1 || numDays > 90) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Days must be between 1 and 90')
+      );
+    }
+
+    if (!['daily', 'hourly'].includes(aggregation)) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Aggregation must be either "daily" or "hourly"')
+      );
+    }
+
+    if (!COMPARE_METRICS.includes(metric)) {
+      return res.status(400).json(
+        formatResponse(false, null, `Metric must be one of: ${COMPARE_METRICS.join(', ')}`)
+      );
+    }
+
+    const standard = parseStandard(req.query.standard);
+    if (!standard) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Standard must be one of "naqi", "us_epa" or "eu_caqi"')
+      );
+    }
+
+    const qc = parseQCMode(req.query.qc);
+    if (!qc) {
+      return res.status(400).json(
+        formatResponse(false, null, 'QC must be either "all" or "strict"')
+      );
+    }
+
+    const byCode = await Promise.all(stationCodes.map(code => dbService.findLocationsByStationCode(code)));
+    const ambiguous = stationCodes.findIndex((code, i) => byCode[i].length > 1);
+    if (ambiguous !== -1) {
+      return res.status(409).json(
+        formatResponse(false, { matches: byCode[ambiguous].map(formatStation) }, ambiguousStationMessage(stationCodes[ambiguous], byCode[ambiguous]))
+      );
+    }
+
+    const found = [
+      ...await Promise.all(locationIds.map(id => dbService.getLocationById(id))),
+      ...byCode.map(matches => matches[0] || null)
+    ];
+
+    const unknown = [...locationIds, ...stationCodes].filter((selector, i) => !found[i]);
+    if (unknown.length > 0) {
+      return res.status(404).json(
+        formatResponse(false, null, `Unknown locations: ${unknown.join(', ')}`)
+      );
+    }
+
+    // The same station asked for by id and by code is compared once
+    const stations = found.filter((station, i) => found.findIndex(other => other.id === station.id) === i);
+
+    const histories = await Promise.all(stations.map(station =>
+      dbService.getHistoricalAQI({ locationId: station.id }, numDays, aggregation, standard, qc)
+    ));
+
+    const timestamps = periodAxis(numDays, aggregation);
+    const series = stations.map((station, i) => {
+      const byPeriod = new Map(histories[i].map(item => [periodKey(item, aggregation), item]));
+      const values = timestamps.map(period => {
+        const item = byPeriod.get(period);
+        if (!item) return null;
+        return metric === 'aqi' ? item.avgAqi : item.pollutants[metric];
+      });
+
+      return {
+        location: formatStation(station),
+        values,
+        dataPoints: timestamps.map(period => byPeriod.has(period) ? parseInt(byPeriod.get(period).dataPoints) : 0),
+        summary: summarizeSeries(values)
+      };
+    });
+
+    res.json(
+      formatResponse(true, {
+        period: {
+          from: new Date(Date.now() - numDays * 24 * 60 * 60 * 1000).toISOString(),
+          to: new Date().toISOString(),
+          days: numDays
+        },
+        aggregation,
+        metric,
+        unit: metric === 'aqi' ? null : CANONICAL_UNITS[metric],
+        standard: describeStandard(standard),
+        qc,
+        timestamps,
+        series
+      }, `Compared ${series.length} locations`, {
+        dataSource: 'database',
+        locations: series.length,
+        periods: timestamps.length
+      })
+    );
+
+  } catch (error) {
+    console.error('Error in history compare endpoint:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to compare historical data')
+    );
+  }
+});
+
+/**
+ * Helper function to read which location a history request is for: a city,
+ * one station by id or station code, or the nearest station to lat/lng
+ * @param {object} query - Request query
+ * @returns {object} { type, ... } selector, or { error }
+ */
+function parseLocationSelector(query) {
+  const { city, locationId, stationCode, lat, lng, radius = DEFAULT_STATION_RADIUS_KM } = query;
+  const given = [city, locationId, stationCode, lat || lng].filter(Boolean);
+
+  if (given.length === 0) {
+    return { error: 'One of city, locationId, stationCode or lat/lng is required' };
+  }
+  if (given.length > 1) {
+    return { error: 'Use only one of city, locationId, stationCode or lat/lng' };
+  }
+
+  if (city) return { type: 'city', city };
+  if (locationId) return { type: 'locationId', locationId };
+  if (stationCode) return { type: 'stationCode', stationCode };
+
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+    return { error: 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180' };
+  }
+
+  const searchRadius = parseFloat(radius);
+  if (isNaN(searchRadius) || searchRadius <= 0 || searchRadius > MAX_STATION_RADIUS_KM) {
+    return { error: `Radius must be between 0 and ${MAX_STATION_RADIUS_KM} km` };
+  }
+
+  return { type: 'coordinates', latitude, longitude, radius: searchRadius };
+}
+
+/**
+ * Helper function to look up the location a selector names
+ * @param {object} selector - parseLocationSelector() selector
+ * @returns {Promise<object|null>} { filter, location, name }: the database filter, the location
+ *   as reported (the city name, or the station) and a display name; { matches } when a station
+ *   code names several stations; null if no station matches
+ */
+async function resolveLocation(selector) {
+  if (selector.type === 'city') {
+    return { filter: selector.city, location: selector.city, name: selector.city };
+  }
+
+  let station;
+  if (selector.type === 'locationId') {
+    station = await dbService.getLocationById(selector.locationId);
+  } else if (selector.type === 'stationCode') {
+    const matches = await dbService.findLocationsByStationCode(selector.stationCode);
+    if (matches.length > 1) return { matches };
+    station = matches[0];
+  } else {
+    station = await dbService.findNearestLocation(selector.latitude, selector.longitude, selector.radius);
+  }
+  if (!station) return null;
+
+  return { filter: { locationId: station.id }, location: formatStation(station), name: station.name };
+}
+
+/**
+ * Helper function to explain why a selector matched no station
+ * @param {object} selector - parseLocationSelector() selector
+ * @returns {string} Error message
+ */
+function locationNotFoundMessage(selector) {
+  return selector.type === 'coordinates'
+    ? `No monitoring stations found within ${selector.radius}km`
+    : 'Location not found';
+}
+
+/**
+ * Helper function to explain a station code that names several stations
+ * @param {string} stationCode - Requested station code
+ * @param {array} matches - Matching locations
+ * @returns {string} Error message
+ */
+function ambiguousStationMessage(stationCode, matches) {
+  return `Station code ${stationCode} matches ${matches.length} stations, select one by locationId`;
+}
+
+/**
+ * Helper function to describe a station in history responses
+ * @param {object} station - Location record (with distanceKm when found by coordinates)
+ * @returns {object} Station details
+ */
+function formatStation(station) {
+  return {
+    id: station.id,
+    name: station.name,
+    state: station.state,
+    stationCode: station.stationCode,
+    latitude: station.latitude,
+    longitude: station.longitude,
+    ...(station.distanceKm !== undefined && { distanceKm: Math.round(station.distanceKm * 100) / 100 })
+  };
+}
+
+/**
+ * Helper function to split a comma-separated query parameter
+ * @param {string} value - Query value
+ * @returns {array} Non-empty trimmed items
+ */
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Helper function to get the period label of a history entry
+ * @param {object} item - getHistoricalAQI() entry
+ * @param {string} aggregation - 'daily' or 'hourly'
+ * @returns {string} Date (YYYY-MM-DD) or hour (ISO)
+ */
+function periodKey(item, aggregation) {
+  return aggregation === 'daily'
+    ? item.date.toISOString().split('T')[0]
+    : item.hour.toISOString();
+}
+
+/**
+ * Helper function to list every period of a history query, so series with
+ * gaps line up
+ * @param {number} days - Number of days
+ * @param {string} aggregation - 'daily' or 'hourly'
+ * @returns {array} Period labels, oldest first
+ */
+function periodAxis(days, aggregation) {
+  // Same start and rounding as getHistoricalAQI
+  const start = new Date();
+  start.setDate(start.getDate() - days);
+  if (aggregation === 'daily') {
+    start.setUTCHours(0, 0, 0, 0);
+  } else {
+    start.setMinutes(0, 0, 0);
+  }
+
+  const step = aggregation === 'daily' ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+  const periods = [];
+  for (let time = start.getTime(); time <= Date.now(); time += step) {
+    periods.push(periodKey({ date: new Date(time), hour: new Date(time) }, aggregation));
+  }
+  return periods;
+}
+
+/**
+ * Helper function to summarize one compared series
+ * @param {array} values - Values per period (null without data)
+ * @returns {object} { mean, max, min, coverage } with coverage the share of periods with data
+ */
+function summarizeSeries(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return { mean: null, max: null, min: null, coverage: 0 };
+
+  return {
+    mean: Math.round(present.reduce((sum, value) => sum + value, 0) / present.length * 10) / 10,
+    max: Math.max(...present),
+    min: Math.min(...present),
+    coverage: Math.round(present.length / values.length * 100) / 100
+  };
+}
+
 /**
  * Generate mock historical data for development/testing
  * @param {string} city - City name
@@ -267,10 +646,61 @@ function calculateSummary(data) {
     minAqi: Math.min(...aqiValues),
     trendDirection,
     mostCommonCategory,
+    ...(data.some(item => item.prominentCounts) && { dominantPollutants: calculateDominantPollutants(data) }),
     totalDataPoints: data.reduce((sum, item) => sum + (item.dataPoints || 1), 0)
   };
 }
 
+/**
+ * Count how often each pollutant was the prominent one, over all readings
+ * @param {array} data - Historical data array with prominentCounts
+ * @returns {array} [{ pollutant, readings, percent }] most frequent first
+ */
+function calculateDominantPollutants(data) {
+  const totals = {};
+  data.forEach(item => {
+    Object.entries(item.prominentCounts || {}).forEach(([pollutant, count]) => {
+      totals[pollutant] = (totals[pollutant] || 0) + count;
+    });
+  });
+
+  const readings = Object.values(totals).reduce((sum, count) => sum + count, 0);
+  return Object.entries(totals)
+    .sort(([, a], [, b]) => b - a)
+    .map(([pollutant, count]) => ({
+      pollutant,
+      readings: count,
+      percent: Math.round((count / readings) * 100)
+    }));
+}
+
+/**
+ * Summarize weather over the whole period
+ * @param {array} periods - Aggregated weather per day/hour
+ * @returns {object|null} Averages, total precipitation and coverage
+ */
+function summarizeWeather(periods) {
+  if (periods.length === 0) return null;
+
+  const average = field => {
+    const values = periods.map(period => period[field]).filter(value => value !== null);
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+  };
+  const precipitation = periods.map(period => period.precipitation).filter(value => value !== null);
+
+  return {
+    avgTemperature: average('temperature'),
+    avgHumidity: average('humidity'),
+    avgPressure: average('pressure'),
+    avgWindSpeed: average('windSpeed'),
+    totalPrecipitation: precipitation.length > 0
+      ? Math.round(precipitation.reduce((sum, value) => sum + value, 0) * 10) / 10
+      : null,
+    periodsWithWeather: periods.length
+  };
+}
+
 /**
  * Calculate detailed summary statistics
  * @param {array} data - Historical data array
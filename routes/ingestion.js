@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseService = require('../services/databaseService');
+const { formatResponse } = require('../utils/helpers');
+
+const dbService = new DatabaseService();
+
+/**
+ * GET /api/ingestion/runs
+ * Get scheduler status and the most recent ingestion runs
+ * Query params: limit (optional)
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const runLimit = parseInt(limit);
+    if (isNaN(runLimit) || runLimit < 1 || runLimit > 100) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Limit must be between 1 and 100')
+      );
+    }
+
+    const runs = await dbService.getIngestionRuns(runLimit);
+    const ingestionService = req.app.locals.ingestionService;
+
+    res.json(
+      formatResponse(true, {
+        scheduler: ingestionService ? ingestionService.getStatus() : { scheduled: false },
+        runs
+      }, `Found ${runs.length} ingestion runs`)
+    );
+
+  } catch (error) {
+    console.error('Error getting ingestion runs:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve ingestion runs')
+    );
+  }
+});
+
+module.exports = router;
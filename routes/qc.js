@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseService = require('../services/databaseService');
+const { formatResponse } = require('../utils/helpers');
+const { QC_CHECKS } = require('../utils/qualityControl');
+
+const dbService = new DatabaseService();
+
+/**
+ * GET /api/qc/stations
+ * QC summary per station: readings passed, flagged and not yet checked,
+ * with flag counts by check and pollutant
+ * Query params: days (optional), city (optional, station name or place)
+ */
+router.get('/stations', async (req, res) => {
+  try {
+    const { days = 7, city = '' } = req.query;
+
+    const numDays = parseInt(days);
+    if (isNaN(numDays) || numDays < 1 || numDays > 365) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Days must be between 1 and 365')
+      );
+    }
+
+    const stations = await dbService.getQCSummary(numDays, city.trim());
+    const totals = stations.reduce((acc, station) => {
+      acc.readings += station.readings;
+      acc.passed += station.passed;
+      acc.flagged += station.flagged;
+      acc.unchecked += station.unchecked;
+      return acc;
+    }, { readings: 0, passed: 0, flagged: 0, unchecked: 0 });
+
+    res.json(
+      formatResponse(true, {
+        period: {
+          from: new Date(Date.now() - numDays * 24 * 60 * 60 * 1000).toISOString(),
+          to: new Date().toISOString(),
+          days: numDays
+        },
+        checks: QC_CHECKS,
+        totals,
+        stations
+      }, `QC summary for ${stations.length} stations`)
+    );
+
+  } catch (error) {
+    console.error('Error getting QC summary:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve QC summary')
+    );
+  }
+});
+
+module.exports = router;
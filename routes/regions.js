@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseService = require('../services/databaseService');
+const { formatResponse, categorizeAQI } = require('../utils/helpers');
+const { parseQCMode } = require('../utils/qualityControl');
+const { REGION_LEVELS, hasRegions, summarizeRegions, regionGeometry } = require('../utils/regions');
+
+const dbService = new DatabaseService();
+
+/**
+ * GET /api/regions/:level
+ * Current AQI rolled up by state or district: mean, max and population-weighted
+ * AQI of the stations in each region, with station counts
+ * Query params: maxAge (optional, hours), qc (optional: all | strict),
+ *   state (optional, districts of one state, or that state at the state level), format (optional: json | geojson)
+ */
+router.get('/:level', async (req, res) => {
+  try {
+    const { level } = req.params;
+    const { maxAge = 3, format = 'json', state } = req.query;
+
+    if (!REGION_LEVELS.includes(level)) {
+      return res.status(400).json(
+        formatResponse(false, null, `Level must be one of: ${REGION_LEVELS.join(', ')}`)
+      );
+    }
+
+    if (!hasRegions(level)) {
+      return res.status(501).json(
+        formatResponse(false, null, `No ${level} boundaries installed, see data/boundaries/README.md`)
+      );
+    }
+
+    if (!['json', 'geojson'].includes(format)) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Format must be either "json" or "geojson"')
+      );
+    }
+
+    const maxAgeHours = parseInt(maxAge);
+    if (isNaN(maxAgeHours) || maxAgeHours < 1 || maxAgeHours > 24) {
+      return res.status(400).json(
+        formatResponse(false, null, 'maxAge must be between 1 and 24 hours')
+      );
+    }
+
+    const qc = parseQCMode(req.query.qc);
+    if (!qc) {
+      return res.status(400).json(
+        formatResponse(false, null, 'QC must be either "all" or "strict"')
+      );
+    }
+
+    // Stations without a reading in the window still count towards the region
+    const since = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    // With qc=strict a station's latest reading is its latest one not flagged by QC
+    const stations = (await dbService.getStationsWithLatestAQI(undefined, qc)).map(station => ({
+      latitude: station.latitude,
+      longitude: station.longitude,
+      aqi: isCurrent(station, since) ? station.aqi : null
+    }));
+
+    // A state is its own region at the state level
+    const stateOf = region => (level === 'state' ? region.name : region.state);
+    const summary = summarizeRegions(level, stations);
+    const regions = summary.regions
+      .filter(region => !state || (stateOf(region) || '').toLowerCase() === String(state).trim().toLowerCase())
+      .map(region => ({ ...region, category: formatCategory(region.aqi.mean) }));
+
+    const meta = {
+      maxAge: maxAgeHours,
+      qc,
+      boundaries: summary.method,
+      unassignedStations: summary.unassigned
+    };
+
+    if (format === 'geojson') {
+      return res.type('application/geo+json').json({
+        type: 'FeatureCollection',
+        features: regions.map(region => ({
+          type: 'Feature',
+          id: region.id,
+          geometry: regionGeometry(level, region.id),
+          properties: region
+        })),
+        meta: { timestamp: new Date().toISOString(), count: regions.length, ...meta }
+      });
+    }
+
+    res.json(
+      formatResponse(true, { level, regions }, `AQI for ${regions.length} ${level === 'state' ? 'states' : 'districts'}`, meta)
+    );
+
+  } catch (error) {
+    console.error('Error building region rollup:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve region AQI')
+    );
+  }
+});
+
+/**
+ * Helper function to check whether a station's latest reading is current
+ * @param {object} station - Station with its latest reading
+ * @param {number} since - Oldest accepted reading time (ms)
+ * @returns {boolean} Whether the reading counts
+ */
+function isCurrent(station, since) {
+  if (station.aqi === null || station.aqi === undefined || !station.timestamp) return false;
+  return new Date(station.timestamp).getTime() >= since;
+}
+
+/**
+ * Helper function to describe the NAQI category of a region's AQI
+ * @param {number|null} aqi - Mean AQI
+ * @returns {object|null} { category, label, color }
+ */
+function formatCategory(aqi) {
+  if (aqi === null) return null;
+  const { category, label, color } = categorizeAQI(aqi);
+  return { category, label, color };
+}
+
+module.exports = router;
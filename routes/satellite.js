@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseService = require('../services/databaseService');
+const { formatResponse, categorizeAQI } = require('../utils/helpers');
+const { calculateIndianAQI } = require('../utils/naqi');
+
+const dbService = new DatabaseService();
+
+/**
+ * GET /api/satellite/estimate
+ * Satellite-derived PM2.5 estimate for a point (nearest sample of the latest granule)
+ * Query params: lat, lng, radius (optional, km), hours (optional)
+ */
+router.get('/estimate', async (req, res) => {
+  try {
+    const { lat, lng, radius = 25, hours = 24 } = req.query;
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Valid lat and lng are required parameters')
+      );
+    }
+
+    const searchRadius = parseFloat(radius);
+    const lookbackHours = parseInt(hours);
+    if (isNaN(searchRadius) || searchRadius <= 0 || searchRadius > 100) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Radius must be between 0 and 100 km')
+      );
+    }
+    if (isNaN(lookbackHours) || lookbackHours < 1 || lookbackHours > 168) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Hours must be between 1 and 168')
+      );
+    }
+
+    const observation = await dbService.getNearestAODObservation(latitude, longitude, searchRadius, lookbackHours);
+    if (!observation) {
+      return res.status(404).json(
+        formatResponse(false, null, `No satellite retrieval within ${searchRadius} km in the last ${lookbackHours} hours`)
+      );
+    }
+
+    const aqi = observation.pm25Estimate !== null ? calculateIndianAQI({ pm25: observation.pm25Estimate }) : null;
+    const calibration = observation.calibrationId
+      ? { id: observation.calibrationId, calibrated: true }
+      : { id: null, calibrated: false };
+
+    res.json(
+      formatResponse(true, {
+        location: { latitude, longitude },
+        sample: {
+          latitude: observation.latitude,
+          longitude: observation.longitude,
+          distanceKm: Math.round(observation.distanceKm * 10) / 10,
+          locationId: observation.locationId
+        },
+        aod: observation.aod,
+        pm25Estimate: observation.pm25Estimate,
+        aqi: aqi !== null ? { value: aqi, category: categorizeAQI(aqi).label, basedOn: 'pm25' } : null,
+        timestamp: observation.timestamp,
+        satellite: observation.granule.satellite,
+        product: observation.granule.product,
+        calibration,
+        source: 'Satellite-AOD'
+      }, 'Satellite PM2.5 estimate retrieved successfully')
+    );
+
+  } catch (error) {
+    console.error('Error getting satellite estimate:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve satellite estimate')
+    );
+  }
+});
+
+/**
+ * GET /api/satellite/granules
+ * Watcher status and the most recently ingested granules
+ * Query params: limit (optional)
+ */
+router.get('/granules', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const granuleLimit = parseInt(limit);
+    if (isNaN(granuleLimit) || granuleLimit < 1 || granuleLimit > 100) {
+      return res.status(400).json(
+        formatResponse(false, null, 'Limit must be between 1 and 100')
+      );
+    }
+
+    const granules = await dbService.getSatelliteGranules(granuleLimit);
+    const satelliteService = req.app.locals.satelliteService;
+
+    res.json(
+      formatResponse(true, {
+        watcher: satelliteService ? satelliteService.getStatus() : { watching: false },
+        granules
+      }, `Found ${granules.length} satellite granules`)
+    );
+
+  } catch (error) {
+    console.error('Error getting satellite granules:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve satellite granules')
+    );
+  }
+});
+
+/**
+ * GET /api/satellite/calibration
+ * The AOD → PM2.5 model currently used for estimates
+ */
+router.get('/calibration', async (req, res) => {
+  try {
+    const calibration = await req.app.locals.satelliteService.getCalibration();
+
+    res.json(
+      formatResponse(true, calibration, calibration.calibrated
+        ? 'Calibration retrieved successfully'
+        : 'No calibration fitted yet, using default coefficients')
+    );
+
+  } catch (error) {
+    console.error('Error getting satellite calibration:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to retrieve satellite calibration')
+    );
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseService = require('../services/databaseService');
+const { formatResponse } = require('../utils/helpers');
+const { GRID_VALUES, MAX_STATION_DISTANCE_KM, expandBBox } = require('../utils/interpolation');
+const { MAX_TILE_ZOOM, isValidTile, tileBounds, renderTile } = require('../utils/tiles');
+const { FRAME_WINDOW_HOURS, frameKey, readTile, writeTile } = require('../utils/tileCache');
+
+const dbService = new DatabaseService();
+
+// How long clients and CDNs may reuse a tile
+const LATEST_TILE_MAX_AGE_SECONDS = 300;
+const HISTORICAL_TILE_MAX_AGE_SECONDS = 3600;
+
+/**
+ * GET /api/tiles/:z/:x/:y.png
+ * XYZ map tile of the interpolated AQI surface, colored by NAQI category
+ * Query params: layer (optional: aqi | pm25 | pm10 | no2 | so2 | co | o3 | nh3),
+ *   time (optional, ISO timestamp of a historical frame)
+ */
+router.get('/:z/:x/:y.png', async (req, res) => {
+  try {
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+    const { layer = 'aqi', time } = req.query;
+
+    if (!isValidTile(z, x, y)) {
+      return res.status(400).json(
+        formatResponse(false, null, `Invalid tile, zoom must be 0-${MAX_TILE_ZOOM} and x, y within 0-2^zoom`)
+      );
+    }
+
+    if (!GRID_VALUES.includes(layer)) {
+      return res.status(400).json(
+        formatResponse(false, null, `Layer must be one of: ${GRID_VALUES.join(', ')}`)
+      );
+    }
+
+    // Historical frames are hourly
+    let frameTime = null;
+    if (time !== undefined) {
+      const requested = new Date(time);
+      if (isNaN(requested.getTime()) || requested > new Date()) {
+        return res.status(400).json(
+          formatResponse(false, null, 'Time must be a valid ISO timestamp in the past')
+        );
+      }
+      frameTime = new Date(Math.floor(requested.getTime() / 3600000) * 3600000);
+    }
+
+    const frame = frameKey(frameTime);
+    const cached = await readTile(layer, frame, z, x, y);
+    if (cached) {
+      return sendTile(res, cached, frameTime, 'hit');
+    }
+
+    // Every station that can reach a pixel of the tile, so tiles match at their edges.
+    // A failed query throws, so a database outage is never cached as a blank tile.
+    const renderStartedAt = Date.now();
+    const logs = await dbService.getLatestAQIInBounds(
+      expandBBox(tileBounds(z, x, y), MAX_STATION_DISTANCE_KM),
+      FRAME_WINDOW_HOURS,
+      'all',
+      frameTime || new Date()
+    );
+    const stations = logs
+      .filter(log => log[layer] !== null && log[layer] !== undefined)
+      .map(log => ({ latitude: log.location.latitude, longitude: log.location.longitude, value: log[layer] }));
+
+    const png = renderTile(stations, z, x, y, layer);
+    // Skipped if new readings invalidated the frame while this one rendered
+    await writeTile(layer, frame, z, x, y, png, renderStartedAt);
+
+    sendTile(res, png, frameTime, 'miss');
+
+  } catch (error) {
+    console.error('Error rendering tile:', error);
+    res.status(500).json(
+      formatResponse(false, null, 'Failed to render tile')
+    );
+  }
+});
+
+/**
+ * Helper function to send a tile image
+ * @param {object} res - Express response
+ * @param {Buffer} png - Tile image
+ * @param {Date|null} frameTime - Historical frame, null for the latest readings
+ * @param {string} cacheStatus - 'hit' or 'miss'
+ */
+function sendTile(res, png, frameTime, cacheStatus) {
+  const maxAge = frameTime ? HISTORICAL_TILE_MAX_AGE_SECONDS : LATEST_TILE_MAX_AGE_SECONDS;
+  res.set({
+    'Content-Type': 'image/png',
+    'Cache-Control': `public, max-age=${maxAge}`,
+    'X-Tile-Cache': cacheStatus
+  });
+  res.send(png);
+}
+
+module.exports = router;
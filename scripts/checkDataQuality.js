@@ -0,0 +1,40 @@
+/**
+ * Re-run the QC checks (range, consistency, flatline, spike) on stored AQI
+ * logs, e.g. readings stored before QC existed or imported history.
+ *
+ * Usage: node scripts/checkDataQuality.js [--days 30] [--dry-run]
+ */
+require('dotenv').config();
+const DatabaseService = require('../services/databaseService');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const daysIndex = process.argv.indexOf('--days');
+  const days = daysIndex !== -1 ? parseInt(process.argv[daysIndex + 1]) : 30;
+
+  if (isNaN(days) || days < 1) {
+    console.error('❌ --days must be a positive number');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbService = new DatabaseService();
+
+  try {
+    const result = await dbService.recheckAQILogs(days, dryRun);
+    console.log(`🔍 Checked ${result.checked} readings from the last ${days} days, ${result.flagged} flagged`);
+
+    if (dryRun) {
+      console.log(`ℹ️ Dry run, ${result.updated} readings would change`);
+    } else {
+      console.log(`✅ Updated QC flags of ${result.updated} readings`);
+    }
+  } catch (error) {
+    console.error('❌ QC check failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbService.disconnect();
+  }
+}
+
+main();
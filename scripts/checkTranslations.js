@@ -0,0 +1,43 @@
+/**
+ * Report the English messages each locale catalogue does not translate.
+ * Untranslated messages are served in English; exits with code 1 if any
+ * are missing so the check can gate a release.
+ *
+ * Usage: node scripts/checkTranslations.js [--lang hi]
+ */
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, LANGUAGE_NAMES, findMissingTranslations } = require('../utils/i18n');
+
+function main() {
+  const langIndex = process.argv.indexOf('--lang');
+  const languages = langIndex !== -1
+    ? [process.argv[langIndex + 1]]
+    : SUPPORTED_LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE);
+
+  const unknown = languages.filter(language => !SUPPORTED_LANGUAGES.includes(language));
+  if (unknown.length > 0) {
+    console.error(`❌ Unsupported language: ${unknown.join(', ')} (supported: ${SUPPORTED_LANGUAGES.join(', ')})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let missingTotal = 0;
+  languages.forEach(language => {
+    const missing = findMissingTranslations(language);
+    missingTotal += missing.length;
+
+    if (missing.length === 0) {
+      console.log(`✅ ${language} (${LANGUAGE_NAMES[language]}): complete`);
+      return;
+    }
+
+    console.log(`⚠️ ${language} (${LANGUAGE_NAMES[language]}): ${missing.length} missing`);
+    missing.forEach(key => console.log(`   - ${key}`));
+  });
+
+  if (missingTotal > 0) {
+    console.log(`\n${missingTotal} messages fall back to English`);
+    process.exitCode = 1;
+  }
+}
+
+main();
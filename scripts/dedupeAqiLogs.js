@@ -0,0 +1,32 @@
+/**
+ * One-time cleanup of duplicate AQI logs (same location, timestamp and
+ * source) stored before readings were made unique. The unique-reading
+ * migration refuses to run while duplicates are left, so run this first.
+ *
+ * Usage: node scripts/dedupeAqiLogs.js [--dry-run]
+ */
+require('dotenv').config();
+const DatabaseService = require('../services/databaseService');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const dbService = new DatabaseService();
+
+  try {
+    const result = await dbService.deduplicateAQILogs(dryRun);
+    console.log(`🔍 ${result.duplicateGroups} readings stored more than once (${result.duplicateRows} extra rows)`);
+
+    if (dryRun) {
+      console.log('ℹ️ Dry run, nothing changed');
+    } else {
+      console.log(`✅ Merged ${result.rowsMerged} duplicate AQI logs, recomputed the AQI of ${result.rowsRecomputed} readings`);
+    }
+  } catch (error) {
+    console.error('❌ Deduplication failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbService.disconnect();
+  }
+}
+
+main();
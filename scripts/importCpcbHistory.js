@@ -0,0 +1,118 @@
+/**
+ * Bulk-import historical CPCB data (CSV or XLSX exports from the CCR portal
+ * or the public CPCB datasets) into AQI logs.
+ *
+ * Usage:
+ *   node scripts/importCpcbHistory.js <file...> [options]
+ *
+ * Options:
+ *   --stations <file>       Station metadata (name, code, latitude, longitude, state)
+ *                           used to create locations that are not in the database yet
+ *   --station <name>        Station for files with no station column or preamble
+ *   --station-code <code>   Station code for files with no station column
+ *   --batch-size <n>        Rows per insert (default 500)
+ *   --checkpoint <file>     Progress file for resuming (default .cpcb-import-checkpoint.json)
+ *   --report <file>         Write the validation report as JSON
+ *   --dry-run               Validate only, write nothing
+ */
+require('dotenv').config();
+const fs = require('fs');
+const HistoryImportService = require('../services/historyImportService');
+
+function parseArgs(argv) {
+  const args = { files: [], dryRun: false };
+  const valueOptions = {
+    '--stations': 'stationsFile',
+    '--station': 'stationName',
+    '--station-code': 'stationCode',
+    '--batch-size': 'batchSize',
+    '--checkpoint': 'checkpointFile',
+    '--report': 'reportFile'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (valueOptions[arg]) {
+      args[valueOptions[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+
+  if (args.batchSize) {
+    args.batchSize = parseInt(args.batchSize);
+  }
+  return args;
+}
+
+function printReport(report) {
+  console.log(`\n📄 ${report.file}${report.dryRun ? ' (dry run)' : ''}`);
+  console.log(`   Rows read: ${report.rowsRead}, valid: ${report.rowsValid}, invalid: ${report.rowsInvalid}, inserted: ${report.rowsInserted}, already stored: ${report.rowsDuplicate}`);
+  if (report.rowsSkippedFromCheckpoint > 0) {
+    console.log(`   Resumed: skipped ${report.rowsSkippedFromCheckpoint} rows already imported`);
+  }
+  if (report.valuesDropped > 0) {
+    console.log(`   Out-of-range values dropped: ${report.valuesDropped}`);
+  }
+  if (report.rowsFlagged > 0) {
+    console.log(`   Rows flagged by QC: ${report.rowsFlagged}`);
+  }
+  if (report.dateRange.from) {
+    console.log(`   Date range: ${report.dateRange.from} → ${report.dateRange.to}`);
+  }
+  Object.entries(report.stations).forEach(([station, stats]) => {
+    console.log(`   📍 ${station}: ${stats.rows} rows (${stats.from} → ${stats.to})`);
+  });
+  if (report.unknownStations.length > 0) {
+    console.log(`   ⚠️ Unknown stations (add them with --stations): ${report.unknownStations.join(', ')}`);
+  }
+  report.errors.slice(0, 10).forEach(error => console.log(`   ❌ Row ${error.row}: ${error.error}`));
+  if (report.errors.length > 10) {
+    console.log(`   ... ${report.errors.length - 10} more errors in the report`);
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (args.files.length === 0) {
+    console.error('Usage: node scripts/importCpcbHistory.js <file...> [--stations file] [--dry-run]');
+    process.exit(1);
+  }
+
+  const importService = new HistoryImportService(args);
+  const reports = [];
+
+  try {
+    for (const file of args.files) {
+      try {
+        const report = await importService.importFile(file);
+        reports.push(report);
+        printReport(report);
+      } catch (error) {
+        console.error(`❌ ${file}: ${error.message}`);
+        reports.push({ file, error: error.message });
+        process.exitCode = 1;
+      }
+    }
+
+    if (args.reportFile) {
+      fs.writeFileSync(args.reportFile, JSON.stringify(reports, null, 2));
+      console.log(`\n📝 Report written to ${args.reportFile}`);
+    }
+  } finally {
+    await importService.disconnect();
+  }
+}
+
+main();
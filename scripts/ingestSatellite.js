@@ -0,0 +1,48 @@
+/**
+ * Ingest every AOD granule in a directory once (outside the server watcher),
+ * then refresh the AOD → PM2.5 calibration.
+ *
+ * Usage: node scripts/ingestSatellite.js [directory]   (default SATELLITE_DATA_DIR)
+ *        node scripts/ingestSatellite.js --calibrate    (refit the calibration only)
+ */
+require('dotenv').config();
+const SatelliteService = require('../services/satelliteService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const satelliteService = new SatelliteService();
+  const directory = args.find(arg => !arg.startsWith('--'));
+  if (directory) {
+    satelliteService.dataDir = directory;
+  }
+
+  try {
+    if (args.includes('--calibrate')) {
+      const calibration = await satelliteService.calibrate();
+      if (!calibration.calibrated) {
+        console.log(`⚠️ ${calibration.reason}`);
+      }
+      return;
+    }
+
+    if (!satelliteService.dataDir) {
+      console.error('Usage: node scripts/ingestSatellite.js <directory> (or set SATELLITE_DATA_DIR)');
+      process.exitCode = 1;
+      return;
+    }
+
+    const results = await satelliteService.scanDirectory();
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(`✅ ${count('processed')} granules ingested, ${count('skipped')} already ingested, ${count('failed')} failed`);
+    if (count('failed') > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Satellite ingestion failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await satelliteService.dbService.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,22 @@
+/**
+ * Run one ingestion pass over every active location, outside the scheduler.
+ *
+ * Usage: node scripts/runIngestion.js
+ */
+require('dotenv').config();
+const IngestionService = require('../services/ingestionService');
+
+async function main() {
+  const ingestionService = new IngestionService();
+
+  try {
+    const result = await ingestionService.runOnce('manual');
+    if (result && result.status === 'failed') {
+      process.exitCode = 1;
+    }
+  } finally {
+    await ingestionService.dbService.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,37 @@
+/**
+ * Sync every CPCB station from the data.gov.in real-time feed into the
+ * database: one Location per station (with stationCode) and one AQILog per
+ * station reading.
+ *
+ * Usage: node scripts/syncCpcbStations.js
+ */
+require('dotenv').config();
+const AQIService = require('../services/aqiService');
+const DatabaseService = require('../services/databaseService');
+
+async function main() {
+  const cpcbService = new AQIService();
+  const dbService = new DatabaseService();
+
+  if (!cpcbService.hasApiKey()) {
+    console.error('❌ CPCB_API_KEY is not configured (get one from https://data.gov.in)');
+    process.exit(1);
+  }
+
+  try {
+    console.log('📡 Fetching CPCB station feed...');
+    const readings = await cpcbService.fetchAllStationData();
+    console.log(`📊 ${readings.length} stations reporting`);
+
+    const result = await dbService.saveStationReadings(readings);
+    console.log(`✅ Saved ${result.saved} station readings, ${result.failed} failed`);
+    result.failures.forEach(failure => console.error(`   - ${failure.station}: ${failure.error}`));
+  } catch (error) {
+    console.error('❌ CPCB sync failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbService.disconnect();
+  }
+}
+
+main();
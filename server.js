@@ -2,6 +2,8 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { PrismaClient } = require('./generated/prisma');
+const IngestionService = require('./services/ingestionService');
+const SatelliteService = require('./services/satelliteService');
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +15,14 @@ const PORT = process.env.PORT || 5000;
 // Initialize Prisma client
 const prisma = new PrismaClient();
 
+// Background ingestion of tracked locations
+const ingestionService = new IngestionService();
+app.locals.ingestionService = ingestionService;
+
+// Satellite AOD granules dropped into SATELLITE_DATA_DIR
+const satelliteService = new SatelliteService();
+app.locals.satelliteService = satelliteService;
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -33,6 +43,12 @@ app.use('/api/history', require('./routes/history'));
 app.use('/api/health-advice', require('./routes/health'));
 app.use('/api/forecast', require('./routes/forecast'));
 app.use('/api/ai-forecast', require('./routes/aiForecast'));
+app.use('/api/ingestion', require('./routes/ingestion'));
+app.use('/api/satellite', require('./routes/satellite'));
+app.use('/api/qc', require('./routes/qc'));
+app.use('/api/tiles', require('./routes/tiles'));
+app.use('/api/regions', require('./routes/regions'));
+app.use('/api/exposure', require('./routes/exposure'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -54,6 +70,8 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
+  await ingestionService.stop();
+  satelliteService.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -63,6 +81,14 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📖 API Documentation: http://localhost:${PORT}/docs`);
   console.log(`🔍 Health Check: http://localhost:${PORT}/`);
+
+  if (process.env.ENABLE_CRON_JOBS === 'true') {
+    ingestionService.start();
+  }
+
+  if (process.env.SATELLITE_DATA_DIR) {
+    satelliteService.start();
+  }
 });
 
 module.exports = app;
@@ -1,14 +1,57 @@
 const axios = require('axios');
 const { formatResponse } = require('../utils/helpers');
+const { subIndexToConcentration } = require('../utils/naqi');
+const { ProviderNoDataError } = require('../utils/errors');
+const { reverseGeocode } = require('../utils/gazetteer');
+const { MOCK_BASE_AQI } = require('../utils/constants');
+
+// data.gov.in "Real time Air Quality Index from various locations" (CPCB CAAQMS feed)
+const DEFAULT_CPCB_RESOURCE_ID = '3b01bcb8-0b14-4abf-b6f2-c1bfd384ba69';
+
+// CPCB feed pollutant ids → response pollutant keys
+const CPCB_POLLUTANTS = {
+  'PM2.5': 'pm25',
+  'PM10': 'pm10',
+  'NO2': 'no2',
+  'SO2': 'so2',
+  'CO': 'co',
+  'OZONE': 'o3',
+  'O3': 'o3',
+  'NH3': 'nh3',
+  'PB': 'pb'
+};
 
 class AQIService {
-  constructor() {
+  /**
+   * @param {object} options - { timeoutMs, quota }: per-page request timeout and the
+   *   QuotaBudget charged for every feed page fetched (none when run standalone)
+   */
+  constructor(options = {}) {
     this.cpcbApiKey = process.env.CPCB_API_KEY;
-    this.cpcbBaseUrl = process.env.CPCB_BASE_URL || 'https://api.cpcbccr.com';
+    this.cpcbBaseUrl = process.env.CPCB_BASE_URL || 'https://api.data.gov.in/resource';
+    this.cpcbResourceId = process.env.CPCB_RESOURCE_ID || DEFAULT_CPCB_RESOURCE_ID;
+
+    // The feed is refreshed hourly and holds every station, so keep one copy
+    this.cacheTtlMs = (parseInt(process.env.CPCB_CACHE_MINUTES) || 15) * 60 * 1000;
+    this.stationCache = null;
+
+    this.requestTimeoutMs = options.timeoutMs || parseInt(process.env.AQI_PROVIDER_TIMEOUT_MS) || 10000;
+    this.quota = options.quota || null;
   }
 
   /**
-   * Fetch real-time AQI data from CPCB API
+   * Check whether a data.gov.in API key is configured
+   * @returns {boolean} Whether the CPCB feed can be called
+   */
+  hasApiKey() {
+    return Boolean(this.cpcbApiKey) &&
+      !this.cpcbApiKey.startsWith('placeholder_') &&
+      !this.cpcbApiKey.startsWith('your_') &&
+      this.cpcbApiKey !== 'not_available_publicly';
+  }
+
+  /**
+   * Fetch real-time AQI data from the nearest CPCB station
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
    * @param {number} radius - Search radius in km
@@ -16,22 +59,11 @@ class AQIService {
    */
   async fetchRealTimeAQI(lat, lng, radius = 10) {
     try {
-      // Since CPCB API might not be immediately available, we'll use mock data
-      // In production, replace this with actual CPCB API call
-      if (this.cpcbApiKey === 'placeholder_cpcb_key') {
+      if (!this.hasApiKey()) {
         return this.getMockAQIData(lat, lng);
       }
 
-      // Actual CPCB API call (uncomment when API key is available)
-      /*
-      const response = await axios.get(`${this.cpcbBaseUrl}/aqi/nearest`, {
-        params: { lat, lng, radius },
-        headers: { 'Authorization': `Bearer ${this.cpcbApiKey}` }
-      });
-      return this.formatCPCBResponse(response.data);
-      */
-
-      return this.getMockAQIData(lat, lng);
+      return await this.findNearestStation(lat, lng, radius);
     } catch (error) {
       console.error('Error fetching AQI data:', error.message);
       
@@ -40,6 +72,177 @@ class AQIService {
     }
   }
 
+  /**
+   * Find the nearest CPCB station with a current reading
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Search radius in km
+   * @returns {Promise<object>} Formatted AQI data for the station
+   */
+  async findNearestStation(lat, lng, radius = 10) {
+    const stations = await this.fetchStationReadings();
+
+    let nearest = null;
+    let minDistance = Infinity;
+
+    for (const station of stations) {
+      const distance = this.calculateDistance(lat, lng, station.latitude, station.longitude);
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = station;
+      }
+    }
+
+    if (!nearest || minDistance > radius) {
+      throw new ProviderNoDataError('cpcb', `No CPCB station within ${radius} km`);
+    }
+
+    return this.formatCPCBResponse(nearest);
+  }
+
+  /**
+   * Get formatted AQI data for every station in the CPCB feed
+   * @returns {Promise<array>} One formatted reading per station
+   */
+  async fetchAllStationData() {
+    const stations = await this.fetchStationReadings();
+    return stations.map(station => this.formatCPCBResponse(station));
+  }
+
+  /**
+   * Fetch the CPCB feed and group its per-pollutant records by station
+   * @returns {Promise<array>} Station readings
+   */
+  async fetchStationReadings() {
+    if (this.stationCache && Date.now() - this.stationCache.fetchedAt < this.cacheTtlMs) {
+      return this.stationCache.stations;
+    }
+
+    const records = await this.fetchFeedRecords();
+    const stations = this.groupStationRecords(records);
+
+    if (stations.length === 0) {
+      throw new Error('CPCB feed returned no station records');
+    }
+
+    this.stationCache = { fetchedAt: Date.now(), stations };
+    return stations;
+  }
+
+  /**
+   * Fetch all records of the data.gov.in feed, following pagination. Each
+   * page is one request against the quota.
+   * @returns {Promise<array>} Raw per-pollutant records
+   * @throws {ProviderRateLimitError} If the quota runs out before the last page
+   */
+  async fetchFeedRecords() {
+    const url = `${this.cpcbBaseUrl}/${this.cpcbResourceId}`;
+    const pageSize = 1000;
+    const maxPages = 20;
+    const records = [];
+
+    for (let page = 0; page < maxPages; page++) {
+      if (this.quota) this.quota.consume(1);
+
+      const response = await axios.get(url, {
+        params: {
+          'api-key': this.cpcbApiKey,
+          format: 'json',
+          limit: pageSize,
+          offset: page * pageSize
+        },
+        timeout: this.requestTimeoutMs
+      });
+
+      const pageRecords = response.data.records || [];
+      records.push(...pageRecords);
+
+      const total = parseInt(response.data.total) || 0;
+      if (pageRecords.length < pageSize || records.length >= total) {
+        break;
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Group per-pollutant feed records into one reading per station
+   * @param {array} records - Raw records (one row per station and pollutant)
+   * @returns {array} Station readings with sub-indices per pollutant
+   */
+  groupStationRecords(records) {
+    const stations = new Map();
+
+    for (const record of records) {
+      const pollutant = CPCB_POLLUTANTS[(record.pollutant_id || '').toUpperCase()];
+      const latitude = parseFloat(record.latitude);
+      const longitude = parseFloat(record.longitude);
+      if (!pollutant || isNaN(latitude) || isNaN(longitude)) continue;
+
+      const key = `${record.state}|${record.city}|${record.station}`;
+      if (!stations.has(key)) {
+        stations.set(key, {
+          station: record.station,
+          city: record.city,
+          state: (record.state || '').replace(/_/g, ' '),
+          latitude,
+          longitude,
+          stationCode: this.buildStationCode(record.station),
+          lastUpdated: null,
+          subIndices: {},
+          ranges: {}
+        });
+      }
+
+      const station = stations.get(key);
+      // Older versions of the resource used pollutant_avg/min/max
+      const avg = parseFloat(record.avg_value ?? record.pollutant_avg);
+      if (!isNaN(avg)) {
+        station.subIndices[pollutant] = avg;
+        station.ranges[pollutant] = {
+          min: parseFloat(record.min_value ?? record.pollutant_min),
+          max: parseFloat(record.max_value ?? record.pollutant_max)
+        };
+      }
+
+      const updated = this.parseFeedTimestamp(record.last_update);
+      if (updated && (!station.lastUpdated || updated > station.lastUpdated)) {
+        station.lastUpdated = updated;
+      }
+    }
+
+    return [...stations.values()].filter(station => Object.keys(station.subIndices).length > 0);
+  }
+
+  /**
+   * Build a stable station code. The feed carries no CPCB site id, so the code
+   * is derived from the station name (which includes the operating agency).
+   * @param {string} stationName - Station name, e.g. "Anand Vihar, Delhi - DPCC"
+   * @returns {string} Station code, e.g. "CPCB_ANAND_VIHAR_DELHI_DPCC"
+   */
+  buildStationCode(stationName) {
+    const slug = (stationName || 'UNKNOWN')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return `CPCB_${slug}`;
+  }
+
+  /**
+   * Parse a feed timestamp ("DD-MM-YYYY HH:mm:ss", Indian Standard Time)
+   * @param {string} value - Feed timestamp
+   * @returns {Date|null} Parsed date
+   */
+  parseFeedTimestamp(value) {
+    const match = /^(\d{2})-(\d{2})-(\d{4}) (\d{2}):(\d{2}):(\d{2})$/.exec((value || '').trim());
+    if (!match) return null;
+
+    const [, day, month, year, hour, minute, second] = match;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+05:30`);
+    return isNaN(date) ? null : date;
+  }
+
   /**
    * Generate mock AQI data for development/testing
    * @param {number} lat - Latitude
@@ -60,6 +263,7 @@ class AQIService {
         name: cityData.name,
         latitude: lat,
         longitude: lng,
+        district: cityData.district,
         state: cityData.state,
         stationType: isError ? 'Mock-Fallback' : 'Mock-CPCB'
       },
@@ -85,34 +289,18 @@ class AQIService {
    * Get mock city data based on coordinates
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
-   * @returns {object} City information with typical AQI
+   * @returns {object} Nearest place from the gazetteer with the typical AQI of its state
    */
   getCityMockData(lat, lng) {
-    // Major Indian cities with typical AQI ranges
-    const cities = [
-      { name: 'New Delhi', lat: 28.6139, lng: 77.2090, state: 'Delhi', baseAQI: 180 },
-      { name: 'Mumbai', lat: 19.0760, lng: 72.8777, state: 'Maharashtra', baseAQI: 120 },
-      { name: 'Bangalore', lat: 12.9716, lng: 77.5946, state: 'Karnataka', baseAQI: 100 },
-      { name: 'Chennai', lat: 13.0827, lng: 80.2707, state: 'Tamil Nadu', baseAQI: 110 },
-      { name: 'Kolkata', lat: 22.5726, lng: 88.3639, state: 'West Bengal', baseAQI: 150 },
-      { name: 'Hyderabad', lat: 17.3850, lng: 78.4867, state: 'Telangana', baseAQI: 130 },
-      { name: 'Pune', lat: 18.5204, lng: 73.8567, state: 'Maharashtra', baseAQI: 115 },
-      { name: 'Ahmedabad', lat: 23.0225, lng: 72.5714, state: 'Gujarat', baseAQI: 125 }
-    ];
-
-    // Find closest city
-    let closestCity = cities[0];
-    let minDistance = this.calculateDistance(lat, lng, cities[0].lat, cities[0].lng);
-
-    for (const city of cities) {
-      const distance = this.calculateDistance(lat, lng, city.lat, city.lng);
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestCity = city;
-      }
-    }
+    const place = reverseGeocode(lat, lng);
+    const state = place ? place.state : null;
 
-    return closestCity;
+    return {
+      name: place ? place.name : 'Unknown Location',
+      district: place ? place.district : null,
+      state,
+      baseAQI: MOCK_BASE_AQI[state] || MOCK_BASE_AQI.default
+    };
   }
 
   /**
@@ -150,33 +338,48 @@ class AQIService {
   }
 
   /**
-   * Format CPCB API response (for when real API is available)
-   * @param {object} data - Raw CPCB response
+   * Format a CPCB station reading.
+   * The feed publishes per-pollutant sub-indices; the station AQI is the
+   * highest sub-index and concentrations are recovered from the NAQI breakpoints.
+   * @param {object} station - Station reading from groupStationRecords
    * @returns {object} Formatted AQI data
    */
-  formatCPCBResponse(data) {
-    // This will be implemented when actual CPCB API structure is known
+  formatCPCBResponse(station) {
+    const aqi = Math.round(Math.max(...Object.values(station.subIndices)));
+
+    const toConcentration = (pollutant, decimals = 1) => {
+      const subIndex = station.subIndices[pollutant];
+      if (subIndex === undefined) return null;
+      const factor = Math.pow(10, decimals);
+      return Math.round(subIndexToConcentration(pollutant, subIndex) * factor) / factor;
+    };
+
     return {
       location: {
-        name: data.station_name || 'Unknown',
-        latitude: data.latitude || 0,
-        longitude: data.longitude || 0,
-        state: data.state || 'Unknown',
-        stationType: 'CPCB'
+        name: station.station,
+        latitude: station.latitude,
+        longitude: station.longitude,
+        city: station.city,
+        state: station.state,
+        stationCode: station.stationCode,
+        stationType: 'CPCB-CAAQMS'
       },
       aqi: {
-        value: data.aqi || 0,
-        category: this.getAQICategory(data.aqi || 0),
-        lastUpdated: data.last_updated || new Date().toISOString()
+        value: aqi,
+        category: this.getAQICategory(aqi),
+        lastUpdated: (station.lastUpdated || new Date()).toISOString()
       },
       pollutants: {
-        pm25: data.pm25 || 0,
-        pm10: data.pm10 || 0,
-        no2: data.no2 || 0,
-        so2: data.so2 || 0,
-        co: data.co || 0,
-        o3: data.o3 || 0
+        pm25: toConcentration('pm25'),
+        pm10: toConcentration('pm10'),
+        no2: toConcentration('no2'),
+        so2: toConcentration('so2'),
+        co: toConcentration('co', 2),
+        o3: toConcentration('o3'),
+        nh3: toConcentration('nh3'),
+        pb: toConcentration('pb', 2)
       },
+      subIndices: station.subIndices,
       source: 'CPCB',
       isRealData: true
     };
@@ -0,0 +1,6 @@
+const RealAQIService = require('./realAqiService');
+
+// One AQI service per process. Circuit breakers, quota budgets and health live
+// on the providers of its registry, so every route, the ingestion worker and
+// /api/aqi/providers must go through the same instance.
+module.exports = new RealAQIService();
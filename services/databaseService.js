@@ -1,5 +1,14 @@
 const { PrismaClient } = require('../generated/prisma');
-const { categorizeAQI } = require('../utils/helpers');
+const { categorizeAQI, calculateDistance } = require('../utils/helpers');
+const { calculateIndianAQI, getProminentPollutant, INDEX_POLLUTANTS } = require('../utils/naqi');
+const { indexReadings } = require('../utils/aqiStandards');
+const { QC_STATUS, QC_HISTORY_HOURS, checkSeries, summarizeFlags } = require('../utils/qualityControl');
+const { invalidateTiles } = require('../utils/tileCache');
+const { CITY_RADIUS_KM, findPlace } = require('../utils/gazetteer');
+const { expandBBox } = require('../utils/interpolation');
+
+// Rows (or duplicate groups) updated per transaction when re-checking or deduplicating stored readings
+const QC_UPDATE_BATCH_SIZE = 200;
 
 class DatabaseService {
   constructor() {
@@ -16,26 +25,46 @@ class DatabaseService {
       // First, ensure location exists or create it
       const location = await this.upsertLocation(aqiData.location);
 
-      // Save AQI log
-      const aqiLog = await this.prisma.aQILog.create({
-        data: {
-          locationId: location.id,
-          aqi: aqiData.aqi.value,
-          category: aqiData.aqi.category,
-          pm25: aqiData.pollutants.pm25,
-          pm10: aqiData.pollutants.pm10,
-          no2: aqiData.pollutants.no2,
-          so2: aqiData.pollutants.so2,
-          co: aqiData.pollutants.co,
-          o3: aqiData.pollutants.o3,
-          source: aqiData.source,
-          timestamp: new Date(aqiData.aqi.lastUpdated)
-        },
+      const reading = {
+        aqi: aqiData.aqi.value,
+        category: aqiData.aqi.category,
+        pm25: aqiData.pollutants.pm25,
+        pm10: aqiData.pollutants.pm10,
+        no2: aqiData.pollutants.no2,
+        so2: aqiData.pollutants.so2,
+        co: aqiData.pollutants.co,
+        o3: aqiData.pollutants.o3,
+        nh3: aqiData.pollutants.nh3,
+        pb: aqiData.pollutants.pb,
+        prominentPollutant: getProminentPollutant(aqiData.pollutants),
+        sources: aqiData.sources || undefined
+      };
+      const key = {
+        locationId: location.id,
+        timestamp: new Date(aqiData.aqi.lastUpdated),
+        source: aqiData.source
+      };
+
+      const [checked] = await this.applyQualityControl([{ ...key, ...reading }]);
+      reading.qcStatus = checked.qcStatus;
+      reading.qcFlags = checked.qcFlags;
+
+      // One row per (location, timestamp, source): saving the same reading
+      // again (e.g. an unchanged provider timestamp) updates it in place
+      const aqiLog = await this.prisma.aQILog.upsert({
+        where: { locationId_timestamp_source: key },
+        update: reading,
+        create: { ...key, ...reading },
         include: {
           location: true
         }
       });
 
+      // Map tiles showing this reading are re-rendered on the next request
+      if (!key.source.startsWith('Mock')) {
+        await invalidateTiles([key.timestamp]);
+      }
+
       return aqiLog;
     } catch (error) {
       console.error('Error saving AQI data:', error);
@@ -43,6 +72,152 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Save one AQI log per station reading (e.g. a full CPCB feed snapshot)
+   * @param {array} readings - Formatted AQI data, one per station
+   * @returns {Promise<object>} Counts of saved and failed readings
+   */
+  async saveStationReadings(readings) {
+    let saved = 0;
+    const failures = [];
+
+    for (const reading of readings) {
+      try {
+        await this.saveAQIData(reading);
+        saved++;
+      } catch (error) {
+        failures.push({ station: reading.location.name, error: error.message });
+      }
+    }
+
+    return { saved, failed: failures.length, failures };
+  }
+
+  /**
+   * Insert many AQI logs in one statement (bulk historical import).
+   * Readings already stored for the same location, timestamp and source are skipped.
+   * @param {array} logs - AQILog rows
+   * @returns {Promise<number>} Number of rows inserted
+   */
+  async insertAQILogs(logs) {
+    try {
+      const result = await this.prisma.aQILog.createMany({ data: logs, skipDuplicates: true });
+      if (result.count > 0) {
+        await invalidateTiles(logs.map(log => log.timestamp));
+      }
+      return result.count;
+    } catch (error) {
+      console.error('Error inserting AQI logs:', error);
+      throw new Error('Failed to insert AQI logs');
+    }
+  }
+
+  /**
+   * Run the QC checks on AQI logs before they are stored. Each log is checked
+   * against the readings before it from the same location and source, both
+   * stored ones and earlier logs in the list.
+   * @param {array} logs - AQILog rows (locationId, source, timestamp, pollutants)
+   * @returns {Promise<array>} The logs with qcStatus and qcFlags set
+   */
+  async applyQualityControl(logs) {
+    const series = {};
+    logs.forEach(log => {
+      const key = `${log.locationId}|${log.source}`;
+      (series[key] = series[key] || []).push(log);
+    });
+
+    const results = new Map();
+    for (const group of Object.values(series)) {
+      const sorted = [...group].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      const history = await this.getQCHistory(sorted[0].locationId, sorted[0].source, new Date(sorted[0].timestamp));
+      const checked = checkSeries([...history, ...sorted]).slice(history.length);
+      sorted.forEach((log, i) => results.set(log, checked[i]));
+    }
+
+    return logs.map(log => ({
+      ...log,
+      qcStatus: results.get(log).status,
+      qcFlags: results.get(log).flags
+    }));
+  }
+
+  /**
+   * Get the stored readings a new reading is quality-checked against
+   * @param {string} locationId - Location id
+   * @param {string} source - Reading source
+   * @param {Date} before - Timestamp of the new reading
+   * @returns {Promise<array>} Readings of the QC window, oldest first
+   */
+  async getQCHistory(locationId, source, before) {
+    return this.prisma.aQILog.findMany({
+      where: {
+        locationId,
+        source,
+        timestamp: {
+          gte: new Date(before.getTime() - QC_HISTORY_HOURS * 60 * 60 * 1000),
+          lt: before
+        }
+      },
+      select: {
+        timestamp: true,
+        pm25: true,
+        pm10: true,
+        no2: true,
+        so2: true,
+        co: true,
+        o3: true,
+        nh3: true,
+        pb: true
+      },
+      orderBy: { timestamp: 'asc' }
+    });
+  }
+
+  /**
+   * Find a location by station code, falling back to an exact name match
+   * @param {string} stationCode - Station code (e.g. CPCB_ANAND_VIHAR_DELHI_DPCC)
+   * @param {string} stationName - Station name
+   * @returns {Promise<object|null>} Location record
+   */
+  async findLocationByStation(stationCode, stationName) {
+    try {
+      if (stationCode) {
+        const location = await this.prisma.location.findFirst({ where: { stationCode } });
+        if (location) return location;
+      }
+
+      if (stationName) {
+        return await this.prisma.location.findFirst({
+          where: { name: { equals: stationName, mode: 'insensitive' } }
+        });
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error finding station location:', error);
+      throw new Error('Failed to look up station');
+    }
+  }
+
+  /**
+   * Find every location with a station code. Codes are not unique (the same
+   * station name in two cities can build the same code), so callers decide
+   * what to do with several matches.
+   * @param {string} stationCode - Station code (e.g. CPCB_ANAND_VIHAR_DELHI_DPCC)
+   * @returns {Promise<array>} Matching locations, by name
+   */
+  async findLocationsByStationCode(stationCode) {
+    try {
+      return await this.prisma.location.findMany({
+        where: { stationCode },
+        orderBy: [{ name: 'asc' }, { id: 'asc' }]
+      });
+    } catch (error) {
+      console.error('Error finding stations by code:', error);
+      throw new Error('Failed to look up station');
+    }
+  }
+
   /**
    * Create or update location
    * @param {object} locationData - Location information
@@ -61,6 +236,7 @@ class DatabaseService {
           name: locationData.name,
           state: locationData.state,
           stationType: locationData.stationType,
+          ...(locationData.stationCode && { stationCode: locationData.stationCode }),
           updatedAt: new Date()
         },
         create: {
@@ -69,7 +245,8 @@ class DatabaseService {
           longitude: locationData.longitude,
           state: locationData.state,
           stationType: locationData.stationType,
-          country: 'India'
+          stationCode: locationData.stationCode,
+          country: locationData.country || 'India'
         }
       });
     } catch (error) {
@@ -78,6 +255,90 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Find the nearest active location within a radius
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Search radius in km
+   * @returns {Promise<object|null>} Location with distanceKm
+   */
+  async findNearestLocation(lat, lng, radius = 10) {
+    const locations = await this.findNearestLocations(lat, lng, 1, radius);
+    return locations[0] || null;
+  }
+
+  /**
+   * Find the k nearest active locations within a radius. A bounding box
+   * around the radius narrows the rows on the (isActive, latitude, longitude)
+   * index before any distance is computed, so the query does not scan the
+   * whole table.
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} k - Number of locations
+   * @param {number} radius - Search radius in km
+   * @returns {Promise<array>} Locations with distanceKm, nearest first
+   */
+  async findNearestLocations(lat, lng, k = 1, radius = 10) {
+    const bbox = expandBBox({ west: lng, south: lat, east: lng, north: lat }, radius);
+
+    return await this.prisma.$queryRaw`
+      SELECT * FROM (
+        SELECT id, name, latitude, longitude, state, "stationType", "stationCode",
+               6371 * 2 * asin(sqrt(
+                 power(sin(radians(latitude - ${lat}) / 2), 2)
+                 + cos(radians(${lat})) * cos(radians(latitude))
+                 * power(sin(radians(longitude - ${lng}) / 2), 2)
+               )) AS "distanceKm"
+        FROM locations
+        WHERE "isActive" = true
+          AND latitude BETWEEN ${bbox.south} AND ${bbox.north}
+          AND longitude BETWEEN ${bbox.west} AND ${bbox.east}
+      ) nearby
+      WHERE "distanceKm" <= ${radius}
+      ORDER BY "distanceKm" ASC
+      LIMIT ${k}
+    `;
+  }
+
+  /**
+   * Get the k nearest active stations with their latest reading (null without one).
+   * Mock readings are left out.
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} k - Number of stations
+   * @param {number} radius - Search radius in km
+   * @returns {Promise<array>} Locations with distanceKm and latestReading, nearest first
+   */
+  async getNearbyStations(lat, lng, k = 5, radius = 50) {
+    try {
+      const locations = await this.findNearestLocations(lat, lng, k, radius);
+      if (locations.length === 0) return [];
+
+      // One index lookup per station instead of loading each station's history
+      const readings = await this.prisma.$queryRaw`
+        SELECT l.id AS "locationId", a.aqi, a.pm25, a.pm10, a.no2, a.so2, a.co, a.o3,
+               a.nh3, a.pb, a."prominentPollutant", a.source, a."timestamp", a."qcStatus"
+        FROM locations l
+        JOIN LATERAL (
+          SELECT aqi, pm25, pm10, no2, so2, co, o3, nh3, pb,
+                 "prominentPollutant", source, "timestamp", "qcStatus"
+          FROM aqi_logs
+          WHERE "locationId" = l.id
+            AND source NOT LIKE 'Mock%'
+          ORDER BY "timestamp" DESC
+          LIMIT 1
+        ) a ON true
+        WHERE l.id = ANY(${locations.map(location => location.id)})
+      `;
+      const latest = new Map(readings.map(reading => [reading.locationId, reading]));
+
+      return locations.map(location => ({ ...location, latestReading: latest.get(location.id) || null }));
+    } catch (error) {
+      console.error('Error getting nearby stations:', error);
+      throw new Error('Failed to retrieve nearby stations');
+    }
+  }
+
   /**
    * Get latest AQI data for a location
    * @param {number} lat - Latitude
@@ -87,38 +348,11 @@ class DatabaseService {
    */
   async getLatestAQI(lat, lng, radius = 10) {
     try {
-      // Find locations within radius using raw SQL for distance calculation
-      const locations = await this.prisma.$queryRaw`
-        SELECT id, name, latitude, longitude, state, "stationType"
-        FROM locations 
-        WHERE (
-          6371 * acos(
-            cos(radians(${lat})) 
-            * cos(radians(latitude)) 
-            * cos(radians(longitude) - radians(${lng})) 
-            + sin(radians(${lat})) 
-            * sin(radians(latitude))
-          )
-        ) <= ${radius}
-        AND "isActive" = true
-        ORDER BY (
-          6371 * acos(
-            cos(radians(${lat})) 
-            * cos(radians(latitude)) 
-            * cos(radians(longitude) - radians(${lng})) 
-            + sin(radians(${lat})) 
-            * sin(radians(latitude))
-          )
-        ) ASC
-        LIMIT 1
-      `;
-
-      if (locations.length === 0) {
+      const location = await this.findNearestLocation(lat, lng, radius);
+      if (!location) {
         return null;
       }
 
-      const location = locations[0];
-
       // Get latest AQI data for this location
       const latestAQI = await this.prisma.aQILog.findFirst({
         where: {
@@ -139,116 +373,468 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get the latest reading of every active location inside a bounding box.
+   * Mock readings are left out.
+   * @param {object} bbox - { west, south, east, north } in degrees
+   * @param {number} maxAgeHours - Ignore readings older than this
+   * @param {string} qc - 'all', or 'strict' to leave out readings flagged by QC
+   * @param {Date} at - Latest readings as of this time (default now)
+   * @returns {Promise<array>} AQI logs with their location
+   * @throws {Error} If the query fails, so callers do not mistake an outage for an empty area
+   */
+  async getLatestAQIInBounds(bbox, maxAgeHours = 3, qc = 'all', at = new Date()) {
+    try {
+      return await this.prisma.aQILog.findMany({
+        where: {
+          timestamp: {
+            gte: new Date(at.getTime() - maxAgeHours * 60 * 60 * 1000),
+            lte: at
+          },
+          NOT: { source: { startsWith: 'Mock' } },
+          ...qcFilter(qc),
+          location: {
+            isActive: true,
+            latitude: { gte: bbox.south, lte: bbox.north },
+            longitude: { gte: bbox.west, lte: bbox.east }
+          }
+        },
+        distinct: ['locationId'],
+        orderBy: [{ locationId: 'asc' }, { timestamp: 'desc' }],
+        include: { location: true }
+      });
+    } catch (error) {
+      console.error('Error getting latest AQI in bounds:', error);
+      throw new Error('Failed to retrieve readings in bounds');
+    }
+  }
+
+  /**
+   * Get every active location with its latest reading (null without one).
+   * Mock readings are left out.
+   * @param {object} bbox - { west, south, east, north } in degrees
+   * @param {string} qc - 'all', or 'strict' to take the latest reading not flagged by QC
+   * @returns {Promise<array>} Locations with aqi, prominentPollutant, source, timestamp and qcStatus
+   */
+  async getStationsWithLatestAQI(bbox = { west: -180, south: -90, east: 180, north: 90 }, qc = 'all') {
+    try {
+      return await this.prisma.$queryRaw`
+        SELECT l.id AS "locationId", l.name, l.latitude, l.longitude, l.state,
+               l."stationType", l."stationCode",
+               a.aqi, a."prominentPollutant", a.source, a."timestamp", a."qcStatus"
+        FROM locations l
+        LEFT JOIN LATERAL (
+          SELECT aqi, "prominentPollutant", source, "timestamp", "qcStatus"
+          FROM aqi_logs
+          WHERE "locationId" = l.id
+            AND source NOT LIKE 'Mock%'
+            AND (${qc} <> 'strict' OR "qcStatus" <> ${QC_STATUS.FLAGGED})
+          ORDER BY "timestamp" DESC
+          LIMIT 1
+        ) a ON true
+        WHERE l."isActive" = true
+          AND l.latitude BETWEEN ${bbox.south} AND ${bbox.north}
+          AND l.longitude BETWEEN ${bbox.west} AND ${bbox.east}
+        ORDER BY l.name ASC
+      `;
+    } catch (error) {
+      console.error('Error getting stations with latest AQI:', error);
+      throw new Error('Failed to retrieve stations');
+    }
+  }
+
+  /**
+   * Get the stored readings a location's NAQI is averaged from (the 24 hours up to `at`).
+   * Mock readings and readings flagged by QC are left out.
+   * @param {string} locationId - Location id
+   * @param {Date} at - End of the averaging window
+   * @returns {Promise<array>} Readings with timestamp and pollutant concentrations
+   */
+  async getNAQIReadings(locationId, at = new Date()) {
+    try {
+      const end = new Date(at);
+      return await this.prisma.aQILog.findMany({
+        where: {
+          locationId,
+          timestamp: {
+            gt: new Date(end.getTime() - 24 * 60 * 60 * 1000),
+            lte: end
+          },
+          NOT: { source: { startsWith: 'Mock' } },
+          ...qcFilter('strict')
+        },
+        select: {
+          timestamp: true,
+          pm25: true,
+          pm10: true,
+          no2: true,
+          so2: true,
+          co: true,
+          o3: true,
+          nh3: true,
+          pb: true
+        },
+        orderBy: { timestamp: 'asc' }
+      });
+    } catch (error) {
+      console.error('Error getting NAQI readings:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the stored readings of the nearest location, e.g. as forecast input.
+   * Mock readings are left out.
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} hours - Number of hours to look back
+   * @param {string} qc - 'all', or 'strict' to leave out readings flagged by QC
+   * @param {number} radius - Search radius in km
+   * @returns {Promise<array>} Readings, oldest first (empty without a location nearby)
+   */
+  async getHistoricalData(lat, lng, hours = 168, qc = 'all', radius = 10) {
+    try {
+      const location = await this.findNearestLocation(lat, lng, radius);
+      if (!location) {
+        return [];
+      }
+
+      return await this.prisma.aQILog.findMany({
+        where: {
+          locationId: location.id,
+          timestamp: { gte: new Date(Date.now() - hours * 60 * 60 * 1000) },
+          NOT: { source: { startsWith: 'Mock' } },
+          ...qcFilter(qc)
+        },
+        orderBy: { timestamp: 'asc' }
+      });
+    } catch (error) {
+      console.error('Error getting historical data:', error);
+      return [];
+    }
+  }
+
   /**
    * Get historical AQI data for a location
-   * @param {string} cityName - City name
+   * @param {string|object} location - City name, or { locationId } for one station
    * @param {number} days - Number of days to look back
    * @param {string} aggregation - 'hourly' or 'daily'
+   * @param {string} standard - Index to report: 'naqi' (stored values), 'us_epa' or 'eu_caqi'
+   * @param {string} qc - 'all', or 'strict' to leave out readings flagged by QC
    * @returns {Promise<array>} Historical AQI data
    */
-  async getHistoricalAQI(cityName, days = 7, aggregation = 'daily') {
+  async getHistoricalAQI(location, days = 7, aggregation = 'daily', standard = 'naqi', qc = 'all') {
     try {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      if (aggregation === 'daily') {
-        // Daily aggregation using Prisma query
-        const results = await this.prisma.aQILog.findMany({
-          where: {
-            location: {
-              name: {
-                contains: cityName,
-                mode: 'insensitive'
-              }
-            },
-            timestamp: {
-              gte: startDate
-            }
-          },
-          include: {
-            location: true
+      // Other standards re-index each reading from the 12 hours before it
+      const queryStart = standard === 'naqi' ? startDate : new Date(startDate.getTime() - 12 * 60 * 60 * 1000);
+
+      const results = await this.prisma.aQILog.findMany({
+        where: {
+          location: locationFilter(location),
+          timestamp: {
+            gte: queryStart
           },
-          orderBy: {
-            timestamp: 'asc'
-          }
-        });
+          ...qcFilter(qc)
+        },
+        include: {
+          location: true
+        },
+        orderBy: {
+          timestamp: 'asc'
+        }
+      });
 
-        // Group by date and calculate daily aggregations
-        const dailyData = {};
-        results.forEach(record => {
-          const date = record.timestamp.toISOString().split('T')[0];
-          if (!dailyData[date]) {
-            dailyData[date] = {
-              date: new Date(date),
-              aqiValues: [],
-              categories: []
-            };
-          }
-          dailyData[date].aqiValues.push(record.aqi);
-          dailyData[date].categories.push(record.category);
-        });
+      const records = standard === 'naqi' ? results : reindexRecords(results, standard, startDate);
 
-        // Calculate daily statistics
-        return Object.values(dailyData).map(day => ({
-          date: day.date,
-          avgAqi: Math.round(day.aqiValues.reduce((sum, val) => sum + val, 0) / day.aqiValues.length),
-          maxAqi: Math.max(...day.aqiValues),
-          minAqi: Math.min(...day.aqiValues),
-          category: getMostCommonCategory(day.categories),
-          dataPoints: day.aqiValues.length
-        }));
-      } else {
-        // Hourly data - return individual records grouped by hour
-        const results = await this.prisma.aQILog.findMany({
+      // Group by date or hour
+      const periods = {};
+      records.forEach(record => {
+        const period = new Date(record.timestamp);
+        if (aggregation === 'daily') {
+          period.setUTCHours(0, 0, 0, 0);
+        } else {
+          period.setMinutes(0, 0, 0); // Round to hour
+        }
+        const key = period.toISOString();
+
+        if (!periods[key]) {
+          periods[key] = {
+            period,
+            records: [],
+            aqiValues: [],
+            categories: [],
+            prominentPollutants: [],
+            flaggedPoints: 0
+          };
+        }
+        periods[key].records.push(record);
+        periods[key].aqiValues.push(record.aqi);
+        periods[key].categories.push(record.category);
+        periods[key].prominentPollutants.push(record.prominentPollutant);
+        if (record.qcStatus === QC_STATUS.FLAGGED) periods[key].flaggedPoints++;
+      });
+
+      // Calculate statistics per period
+      return Object.values(periods).map(group => ({
+        [aggregation === 'daily' ? 'date' : 'hour']: group.period,
+        avgAqi: Math.round(group.aqiValues.reduce((sum, val) => sum + val, 0) / group.aqiValues.length),
+        maxAqi: Math.max(...group.aqiValues),
+        minAqi: Math.min(...group.aqiValues),
+        category: getMostCommonCategory(group.categories),
+        ...summarizeProminentPollutants(group.prominentPollutants),
+        pollutants: averagePollutants(group.records),
+        dataPoints: group.aqiValues.length,
+        flaggedPoints: group.flaggedPoints
+      }));
+    } catch (error) {
+      console.error('Error getting historical AQI:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Summarize QC results per station
+   * @param {number} days - Number of days to look back
+   * @param {string} cityName - Only stations whose name contains this, or near the gazetteer place of that name (optional)
+   * @returns {Promise<array>} Per-station counts, most flagged first
+   */
+  async getQCSummary(days = 7, cityName = '') {
+    try {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const namePattern = `%${cityName}%`;
+      const bounds = cityBounds(cityName) || { west: null, south: null, east: null, north: null };
+
+      const stations = await this.prisma.$queryRaw`
+        SELECT l.id AS "locationId", l.name, l."stationCode", l.state,
+               COUNT(*)::int AS readings,
+               COUNT(*) FILTER (WHERE a."qcStatus" = 'passed')::int AS passed,
+               COUNT(*) FILTER (WHERE a."qcStatus" = 'flagged')::int AS flagged,
+               COUNT(*) FILTER (WHERE a."qcStatus" = 'unchecked')::int AS unchecked,
+               MAX(a."timestamp") FILTER (WHERE a."qcStatus" = 'flagged') AS "lastFlaggedAt"
+        FROM aqi_logs a
+        JOIN locations l ON l.id = a."locationId"
+        WHERE a."timestamp" >= ${since}
+          AND (l.name ILIKE ${namePattern}
+            OR (l.latitude BETWEEN ${bounds.south}::float8 AND ${bounds.north}::float8
+              AND l.longitude BETWEEN ${bounds.west}::float8 AND ${bounds.east}::float8))
+        GROUP BY l.id
+        ORDER BY flagged DESC, l.name ASC
+      `;
+
+      const flagCounts = await this.prisma.$queryRaw`
+        SELECT a."locationId", flag, COUNT(*)::int AS count
+        FROM aqi_logs a
+        JOIN locations l ON l.id = a."locationId"
+        CROSS JOIN LATERAL unnest(a."qcFlags") AS flag
+        WHERE a."timestamp" >= ${since}
+          AND (l.name ILIKE ${namePattern}
+            OR (l.latitude BETWEEN ${bounds.south}::float8 AND ${bounds.north}::float8
+              AND l.longitude BETWEEN ${bounds.west}::float8 AND ${bounds.east}::float8))
+        GROUP BY a."locationId", flag
+      `;
+
+      return stations.map(station => {
+        const checked = station.passed + station.flagged;
+        return {
+          ...station,
+          flaggedPercent: checked > 0 ? Math.round(station.flagged / checked * 1000) / 10 : null,
+          ...summarizeFlags(flagCounts.filter(row => row.locationId === station.locationId))
+        };
+      });
+    } catch (error) {
+      console.error('Error getting QC summary:', error);
+      throw new Error('Failed to summarize data quality');
+    }
+  }
+
+  /**
+   * Re-run the QC checks on stored readings (e.g. readings stored before QC
+   * existed, or after the checks change)
+   * @param {number} days - Number of days to re-check
+   * @param {boolean} dryRun - Only count the changes
+   * @returns {Promise<object>} { checked, flagged, updated }
+   */
+  async recheckAQILogs(days = 30, dryRun = false) {
+    try {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const series = await this.prisma.aQILog.groupBy({
+        by: ['locationId', 'source'],
+        where: { timestamp: { gte: since } }
+      });
+
+      const result = { checked: 0, flagged: 0, updated: 0 };
+      for (const { locationId, source } of series) {
+        const readings = await this.prisma.aQILog.findMany({
           where: {
-            location: {
-              name: {
-                contains: cityName,
-                mode: 'insensitive'
-              }
-            },
-            timestamp: {
-              gte: startDate
-            }
+            locationId,
+            source,
+            timestamp: { gte: new Date(since.getTime() - QC_HISTORY_HOURS * 60 * 60 * 1000) }
           },
-          include: {
-            location: true
-          },
-          orderBy: {
-            timestamp: 'asc'
-          }
+          orderBy: { timestamp: 'asc' }
         });
 
-        // Group by hour
-        const hourlyData = {};
-        results.forEach(record => {
-          const hour = new Date(record.timestamp);
-          hour.setMinutes(0, 0, 0); // Round to hour
-          const hourKey = hour.toISOString();
-          
-          if (!hourlyData[hourKey]) {
-            hourlyData[hourKey] = {
-              hour: hour,
-              aqiValues: [],
-              categories: []
-            };
+        const updates = [];
+        checkSeries(readings).forEach((qc, i) => {
+          const reading = readings[i];
+          if (reading.timestamp < since) return;
+
+          result.checked++;
+          if (qc.status === QC_STATUS.FLAGGED) result.flagged++;
+          if (reading.qcStatus !== qc.status || reading.qcFlags.join() !== qc.flags.join()) {
+            updates.push(this.prisma.aQILog.update({
+              where: { id: reading.id },
+              data: { qcStatus: qc.status, qcFlags: qc.flags }
+            }));
           }
-          hourlyData[hourKey].aqiValues.push(record.aqi);
-          hourlyData[hourKey].categories.push(record.category);
         });
 
-        return Object.values(hourlyData).map(hour => ({
-          hour: hour.hour,
-          avgAqi: Math.round(hour.aqiValues.reduce((sum, val) => sum + val, 0) / hour.aqiValues.length),
-          maxAqi: Math.max(...hour.aqiValues),
-          minAqi: Math.min(...hour.aqiValues),
-          category: getMostCommonCategory(hour.categories),
-          dataPoints: hour.aqiValues.length
-        }));
+        result.updated += updates.length;
+        if (dryRun) continue;
+        for (let i = 0; i < updates.length; i += QC_UPDATE_BATCH_SIZE) {
+          await this.prisma.$transaction(updates.slice(i, i + QC_UPDATE_BATCH_SIZE));
+        }
       }
+
+      return result;
     } catch (error) {
-      console.error('Error getting historical AQI:', error);
-      return [];
+      console.error('Error re-checking AQI logs:', error);
+      throw new Error('Failed to re-check AQI logs');
+    }
+  }
+
+  /**
+   * Save a weather observation for a location
+   * @param {string} locationId - Location id
+   * @param {object} weatherData - Formatted weather data { weather, timestamp, source }
+   * @returns {Promise<object>} Saved weather log
+   */
+  async saveWeatherData(locationId, weatherData) {
+    try {
+      const key = {
+        locationId,
+        timestamp: new Date(weatherData.timestamp),
+        source: weatherData.source
+      };
+
+      // Same rule as AQI logs: one row per (location, timestamp, source)
+      return await this.prisma.weatherLog.upsert({
+        where: { locationId_timestamp_source: key },
+        update: weatherData.weather,
+        create: { ...key, ...weatherData.weather }
+      });
+    } catch (error) {
+      console.error('Error saving weather data:', error);
+      throw new Error('Failed to save weather data to database');
+    }
+  }
+
+  /**
+   * Get the latest weather observation for a location
+   * @param {string} locationId - Location id
+   * @param {number} maxAgeHours - Ignore observations older than this
+   * @returns {Promise<object|null>} Weather log
+   */
+  async getLatestWeather(locationId, maxAgeHours = 3) {
+    try {
+      return await this.prisma.weatherLog.findFirst({
+        where: {
+          locationId,
+          timestamp: { gte: new Date(Date.now() - maxAgeHours * 60 * 60 * 1000) }
+        },
+        orderBy: { timestamp: 'desc' }
+      });
+    } catch (error) {
+      console.error('Error getting latest weather:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the wind observations of every location in an area over a period
+   * @param {object} bbox - { west, south, east, north } in degrees
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period
+   * @returns {Promise<array>} [{ latitude, longitude, timestamp, windSpeed, windDirection }]
+   */
+  async getWindObservations(bbox, from, to) {
+    try {
+      const logs = await this.prisma.weatherLog.findMany({
+        where: {
+          timestamp: { gte: from, lte: to },
+          windSpeed: { not: null },
+          windDirection: { not: null },
+          location: {
+            latitude: { gte: bbox.south, lte: bbox.north },
+            longitude: { gte: bbox.west, lte: bbox.east }
+          }
+        },
+        select: {
+          timestamp: true,
+          windSpeed: true,
+          windDirection: true,
+          location: { select: { latitude: true, longitude: true } }
+        }
+      });
+
+      return logs.map(log => ({
+        latitude: log.location.latitude,
+        longitude: log.location.longitude,
+        timestamp: log.timestamp,
+        windSpeed: log.windSpeed,
+        windDirection: log.windDirection
+      }));
+    } catch (error) {
+      console.error('Error getting wind observations:', error);
+      throw new Error('Failed to retrieve wind observations');
+    }
+  }
+
+  /**
+   * Get historical weather for a location, aggregated like getHistoricalAQI
+   * @param {string|object} location - City name, or { locationId } for one station
+   * @param {number} days - Number of days to look back
+   * @param {string} aggregation - 'hourly' or 'daily'
+   * @returns {Promise<object>} Aggregated weather keyed by date (YYYY-MM-DD) or hour (ISO)
+   */
+  async getHistoricalWeather(location, days = 7, aggregation = 'daily') {
+    try {
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - days);
+
+      const results = await this.prisma.weatherLog.findMany({
+        where: {
+          location: locationFilter(location),
+          timestamp: {
+            gte: startDate
+          }
+        },
+        orderBy: {
+          timestamp: 'asc'
+        }
+      });
+
+      const groups = {};
+      results.forEach(record => {
+        let key;
+        if (aggregation === 'daily') {
+          key = record.timestamp.toISOString().split('T')[0];
+        } else {
+          const hour = new Date(record.timestamp);
+          hour.setMinutes(0, 0, 0);
+          key = hour.toISOString();
+        }
+        (groups[key] = groups[key] || []).push(record);
+      });
+
+      return Object.fromEntries(
+        Object.entries(groups).map(([key, records]) => [key, aggregateWeather(records)])
+      );
+    } catch (error) {
+      console.error('Error getting historical weather:', error);
+      return {};
     }
   }
 
@@ -279,7 +865,334 @@ class DatabaseService {
   }
 
   /**
-   * Cleanup old AQI data (older than specified days)
+   * Get a location by id
+   * @param {string} locationId - Location id
+   * @returns {Promise<object|null>} Location
+   */
+  async getLocationById(locationId) {
+    try {
+      return await this.prisma.location.findUnique({ where: { id: locationId } });
+    } catch (error) {
+      console.error('Error getting location:', error);
+      throw new Error('Failed to retrieve location');
+    }
+  }
+
+  /**
+   * Get all active locations (for scheduled ingestion)
+   * @returns {Promise<array>} Active locations
+   */
+  async getActiveLocations() {
+    try {
+      return await this.prisma.location.findMany({
+        where: { isActive: true },
+        orderBy: { name: 'asc' }
+      });
+    } catch (error) {
+      console.error('Error getting active locations:', error);
+      throw new Error('Failed to load active locations');
+    }
+  }
+
+  /**
+   * Record the start of an ingestion run
+   * @param {string} trigger - What started the run ('schedule', 'startup', 'manual')
+   * @returns {Promise<object>} Ingestion run record
+   */
+  async createIngestionRun(trigger = 'schedule') {
+    return this.prisma.ingestionRun.create({
+      data: { trigger, status: 'running' }
+    });
+  }
+
+  /**
+   * Record the outcome of an ingestion run
+   * @param {string} runId - Ingestion run id
+   * @param {object} result - Run outcome (status, counts, failures, error)
+   * @returns {Promise<object>} Updated ingestion run record
+   */
+  async completeIngestionRun(runId, result) {
+    return this.prisma.ingestionRun.update({
+      where: { id: runId },
+      data: {
+        status: result.status,
+        finishedAt: new Date(),
+        durationMs: result.durationMs,
+        locationsTotal: result.locationsTotal,
+        locationsSucceeded: result.locationsSucceeded,
+        locationsSkipped: result.locationsSkipped,
+        locationsFailed: result.locationsFailed,
+        weatherSaved: result.weatherSaved,
+        failures: result.failures.length > 0 ? result.failures : undefined,
+        error: result.error
+      }
+    });
+  }
+
+  /**
+   * Get the most recent ingestion runs
+   * @param {number} limit - Number of runs to return
+   * @returns {Promise<array>} Ingestion runs, newest first
+   */
+  async getIngestionRuns(limit = 20) {
+    try {
+      return await this.prisma.ingestionRun.findMany({
+        orderBy: { startedAt: 'desc' },
+        take: limit
+      });
+    } catch (error) {
+      console.error('Error getting ingestion runs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Find a satellite granule that has already been ingested
+   * @param {object} file - { fileName, fileSize, fileModifiedAt }
+   * @returns {Promise<object|null>} Granule record
+   */
+  async findSatelliteGranule(file) {
+    return this.prisma.satelliteGranule.findUnique({
+      where: { fileName_fileSize_fileModifiedAt: file }
+    });
+  }
+
+  /**
+   * Record a satellite granule being processed
+   * @param {object} granule - File details, format, satellite, product, acquiredAt
+   * @returns {Promise<object>} Granule record
+   */
+  async createSatelliteGranule(granule) {
+    return this.prisma.satelliteGranule.create({
+      data: { ...granule, status: 'processing' }
+    });
+  }
+
+  /**
+   * Record the outcome of processing a satellite granule
+   * @param {string} granuleId - Granule id
+   * @param {object} result - { status, locationsSampled, gridPointsSampled, error }
+   * @returns {Promise<object>} Updated granule record
+   */
+  async completeSatelliteGranule(granuleId, result) {
+    return this.prisma.satelliteGranule.update({
+      where: { id: granuleId },
+      data: { ...result, processedAt: new Date() }
+    });
+  }
+
+  /**
+   * Get the most recently acquired satellite granules
+   * @param {number} limit - Number of granules to return
+   * @returns {Promise<array>} Granules, newest first
+   */
+  async getSatelliteGranules(limit = 20) {
+    try {
+      return await this.prisma.satelliteGranule.findMany({
+        orderBy: { acquiredAt: 'desc' },
+        take: limit
+      });
+    } catch (error) {
+      console.error('Error getting satellite granules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save sampled AOD values (locations and grid points) of one granule
+   * @param {array} observations - AODObservation rows
+   * @returns {Promise<number>} Number of rows saved
+   */
+  async saveAODObservations(observations) {
+    const result = await this.prisma.aODObservation.createMany({ data: observations });
+    return result.count;
+  }
+
+  /**
+   * Pair AOD samples at locations with the closest ground PM2.5 reading
+   * @param {number} windowDays - How far back to look
+   * @param {number} maxTimeDiffMinutes - Largest gap between satellite pass and reading
+   * @returns {Promise<array>} [{ aod, pm25 }]
+   */
+  async getAODCalibrationPairs(windowDays = 90, maxTimeDiffMinutes = 60) {
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+    return this.prisma.$queryRaw`
+      SELECT o.aod, g.pm25
+      FROM aod_observations o
+      JOIN LATERAL (
+        SELECT a.pm25
+        FROM aqi_logs a
+        WHERE a."locationId" = o."locationId"
+          AND a.pm25 IS NOT NULL
+          AND a.source NOT ILIKE '%mock%'
+          AND a."timestamp" BETWEEN o."timestamp" - (${maxTimeDiffMinutes}::int * INTERVAL '1 minute')
+                                AND o."timestamp" + (${maxTimeDiffMinutes}::int * INTERVAL '1 minute')
+        ORDER BY ABS(EXTRACT(EPOCH FROM (a."timestamp" - o."timestamp")))
+        LIMIT 1
+      ) g ON true
+      WHERE o."locationId" IS NOT NULL
+        AND o."timestamp" >= ${since}
+    `;
+  }
+
+  /**
+   * Store a fitted AOD → PM2.5 calibration
+   * @param {object} calibration - Method, coefficients, fit statistics
+   * @returns {Promise<object>} Calibration record
+   */
+  async saveAODCalibration(calibration) {
+    return this.prisma.aODCalibration.create({ data: calibration });
+  }
+
+  /**
+   * Get the calibration currently in use
+   * @returns {Promise<object|null>} Most recent calibration
+   */
+  async getLatestAODCalibration() {
+    return this.prisma.aODCalibration.findFirst({
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Get the nearest recent satellite sample to a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} maxDistanceKm - Search radius
+   * @param {number} hours - How far back to look
+   * @returns {Promise<object|null>} AOD observation with its granule
+   */
+  async getNearestAODObservation(lat, lng, maxDistanceKm = 25, hours = 24) {
+    try {
+      const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+      const latDelta = maxDistanceKm / 111;
+      const lngDelta = maxDistanceKm / (111 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+      const candidates = await this.prisma.aODObservation.findMany({
+        where: {
+          timestamp: { gte: since },
+          latitude: { gte: lat - latDelta, lte: lat + latDelta },
+          longitude: { gte: lng - lngDelta, lte: lng + lngDelta }
+        },
+        include: { granule: true },
+        orderBy: [{ timestamp: 'desc' }, { granuleId: 'asc' }],
+        take: 500
+      });
+
+      // Closest sample from the most recent granule covering the point
+      let nearest = null;
+      for (const candidate of candidates) {
+        if (nearest && candidate.granuleId !== nearest.granuleId) break;
+        const distanceKm = calculateDistance(lat, lng, candidate.latitude, candidate.longitude);
+        if (distanceKm <= maxDistanceKm && (!nearest || distanceKm < nearest.distanceKm)) {
+          nearest = { ...candidate, distanceKm };
+        }
+      }
+
+      return nearest;
+    } catch (error) {
+      console.error('Error getting nearest AOD observation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Merge AQI logs that share a location, timestamp and source. The newest row
+   * of each group is kept, with missing pollutant values and sources filled
+   * from older rows; its AQI, category and prominent pollutant are then
+   * recomputed from the merged concentrations. It keeps the QC flags of every
+   * row of the group and is flagged if any of them was. Runs before the
+   * unique-reading migration, so only the columns the table already has are merged.
+   * @param {boolean} dryRun - Only count the duplicates
+   * @returns {Promise<object>} { duplicateGroups, duplicateRows, rowsMerged, rowsRecomputed }
+   */
+  async deduplicateAQILogs(dryRun = false) {
+    try {
+      const [counts] = await this.prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "duplicateGroups", COALESCE(SUM("count" - 1), 0)::int AS "duplicateRows"
+        FROM (
+          SELECT COUNT(*) AS "count"
+          FROM aqi_logs
+          GROUP BY "locationId", "timestamp", "source"
+          HAVING COUNT(*) > 1
+        ) AS groups
+      `;
+
+      if (dryRun || counts.duplicateRows === 0) {
+        return { ...counts, rowsMerged: 0, rowsRecomputed: 0 };
+      }
+
+      const columns = new Set((await this.prisma.$queryRaw`
+        SELECT column_name AS name
+        FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'aqi_logs'
+      `).map(column => column.name));
+
+      // Newest row of each group first
+      const rows = await this.prisma.$queryRaw`
+        SELECT a.*
+        FROM aqi_logs AS a
+        JOIN (
+          SELECT "locationId", "timestamp", "source"
+          FROM aqi_logs
+          GROUP BY "locationId", "timestamp", "source"
+          HAVING COUNT(*) > 1
+        ) AS d ON d."locationId" = a."locationId" AND d."timestamp" = a."timestamp" AND d."source" = a."source"
+        ORDER BY a."locationId", a."timestamp", a."source", a."createdAt" DESC, a.id DESC
+      `;
+
+      const groups = [];
+      rows.forEach(row => {
+        const last = groups[groups.length - 1];
+        const key = `${row.locationId}|${new Date(row.timestamp).getTime()}|${row.source}`;
+        if (last && last.key === key) {
+          last.rows.push(row);
+        } else {
+          groups.push({ key, rows: [row] });
+        }
+      });
+
+      const result = { ...counts, rowsMerged: 0, rowsRecomputed: 0 };
+      for (let i = 0; i < groups.length; i += QC_UPDATE_BATCH_SIZE) {
+        const queries = [];
+        const dropped = [];
+
+        groups.slice(i, i + QC_UPDATE_BATCH_SIZE).forEach(({ rows: [kept, ...older] }) => {
+          const changes = mergeDuplicateReadings(kept, older, columns);
+          const assignments = Object.keys(changes);
+          if (assignments.length > 0) {
+            // Column names come from the fixed lists in mergeDuplicateReadings
+            const sets = assignments.map((column, index) =>
+              `"${column}" = $${index + 1}${column === 'sources' ? '::jsonb' : ''}`
+            );
+            const values = assignments.map(column =>
+              column === 'sources' ? JSON.stringify(changes[column]) : changes[column]
+            );
+            queries.push(this.prisma.$executeRawUnsafe(
+              `UPDATE aqi_logs SET ${sets.join(', ')} WHERE id = $${assignments.length + 1}`,
+              ...values,
+              kept.id
+            ));
+          }
+          if (changes.aqi !== undefined) result.rowsRecomputed++;
+          dropped.push(...older.map(row => row.id));
+        });
+
+        queries.push(this.prisma.$executeRaw`DELETE FROM aqi_logs WHERE id = ANY(${dropped})`);
+        const outcomes = await this.prisma.$transaction(queries);
+        result.rowsMerged += outcomes[outcomes.length - 1];
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error deduplicating AQI logs:', error);
+      throw new Error('Failed to deduplicate AQI logs');
+    }
+  }
+
+  /**
+   * Cleanup old AQI and weather data (older than specified days)
    * @param {number} daysToKeep - Number of days to keep
    * @returns {Promise<number>} Number of deleted records
    */
@@ -295,9 +1208,16 @@ class DatabaseService {
           }
         }
       });
+      const weatherResult = await this.prisma.weatherLog.deleteMany({
+        where: {
+          timestamp: {
+            lt: cutoffDate
+          }
+        }
+      });
 
-      console.log(`Cleaned up ${result.count} old AQI records`);
-      return result.count;
+      console.log(`Cleaned up ${result.count} old AQI records and ${weatherResult.count} weather records`);
+      return result.count + weatherResult.count;
     } catch (error) {
       console.error('Error cleaning up old data:', error);
       return 0;
@@ -312,6 +1232,107 @@ class DatabaseService {
   }
 }
 
+/**
+ * Helper function to merge a duplicate group into its newest row: empty
+ * pollutant values and sources are filled from the older rows (newest first),
+ * the AQI, category and prominent pollutant follow the merged concentrations,
+ * and the QC flags of every row are kept
+ * @param {object} kept - Newest row of the group
+ * @param {array} older - The group's other rows, newest first
+ * @param {Set} columns - Columns the aqi_logs table has
+ * @returns {object} Changed columns of the kept row
+ */
+function mergeDuplicateReadings(kept, older, columns) {
+  const changes = {};
+  const pollutants = INDEX_POLLUTANTS.filter(pollutant => columns.has(pollutant));
+
+  [...pollutants, 'sources'].forEach(column => {
+    if (kept[column] !== null && kept[column] !== undefined) return;
+    const donor = older.find(row => row[column] !== null && row[column] !== undefined);
+    if (donor) changes[column] = donor[column];
+  });
+
+  if (pollutants.some(pollutant => pollutant in changes)) {
+    const merged = Object.fromEntries(pollutants.map(pollutant => [pollutant, pollutant in changes ? changes[pollutant] : kept[pollutant]]));
+    changes.aqi = calculateIndianAQI(merged);
+    changes.category = categorizeAQI(changes.aqi).label;
+    if (columns.has('prominentPollutant')) {
+      changes.prominentPollutant = getProminentPollutant(merged);
+    }
+  }
+
+  if (columns.has('qcStatus')) {
+    const group = [kept, ...older];
+    const flags = [...new Set(group.flatMap(row => row.qcFlags || []))].sort();
+    const statuses = group.map(row => row.qcStatus);
+    const status = statuses.includes(QC_STATUS.FLAGGED)
+      ? QC_STATUS.FLAGGED
+      : (statuses.includes(QC_STATUS.PASSED) ? QC_STATUS.PASSED : QC_STATUS.UNCHECKED);
+
+    if (status !== kept.qcStatus) changes.qcStatus = status;
+    if (flags.join() !== (kept.qcFlags || []).join()) changes.qcFlags = flags;
+  }
+
+  return changes;
+}
+
+/**
+ * Helper function to build the Prisma filter for a QC mode
+ * @param {string} qc - 'all' or 'strict'
+ * @returns {object} Where clause fragment (empty for 'all')
+ */
+function qcFilter(qc) {
+  return qc === 'strict' ? { qcStatus: { not: QC_STATUS.FLAGGED } } : {};
+}
+
+/**
+ * Helper function to build the Prisma location filter for a city: stations
+ * whose name contains it, or within CITY_RADIUS_KM of the gazetteer place
+ * of that name (so "Bangalore" also finds "..., Bengaluru - KSPCB")
+ * @param {string} cityName - City name
+ * @returns {object} Where clause for the location relation
+ */
+function cityFilter(cityName) {
+  const byName = { name: { contains: cityName, mode: 'insensitive' } };
+  const bounds = cityBounds(cityName);
+  if (!bounds) return byName;
+
+  return {
+    OR: [
+      byName,
+      {
+        latitude: { gte: bounds.south, lte: bounds.north },
+        longitude: { gte: bounds.west, lte: bounds.east }
+      }
+    ]
+  };
+}
+
+/**
+ * Helper function to filter history by a city or a single station
+ * @param {string|object} location - City name, or { locationId }
+ * @returns {object} Prisma location filter
+ */
+function locationFilter(location) {
+  return typeof location === 'string' ? cityFilter(location) : { id: location.locationId };
+}
+
+/**
+ * Helper function to get the area around a city
+ * @param {string} cityName - City name
+ * @returns {object|null} { west, south, east, north }, or null if the gazetteer has no place of that name
+ */
+function cityBounds(cityName) {
+  // Exact names only, so a station name like "Anand Vihar" is not read as the town of Anand
+  const place = cityName ? findPlace(cityName, { prefix: false }) : null;
+  if (!place) return null;
+
+  return expandBBox(
+    { west: place.longitude, south: place.latitude, east: place.longitude, north: place.latitude },
+    CITY_RADIUS_KM
+  );
+}
+
 /**
  * Helper function to get most common category from array
  * @param {array} categories - Array of category strings
@@ -328,4 +1349,111 @@ function getMostCommonCategory(categories) {
   return Object.keys(counts).reduce((a, b) => counts[a] > counts[b] ? a : b);
 }
 
+/**
+ * Helper function to count how often each pollutant was prominent
+ * (readings stored before the pollutant was recorded are not counted)
+ * @param {array} pollutants - Prominent pollutant of each reading (may contain nulls)
+ * @returns {object} { prominentPollutant, prominentCounts }
+ */
+function summarizeProminentPollutants(pollutants) {
+  const prominentCounts = pollutants
+    .filter(Boolean)
+    .reduce((acc, pollutant) => {
+      acc[pollutant] = (acc[pollutant] || 0) + 1;
+      return acc;
+    }, {});
+  const ranked = Object.keys(prominentCounts).sort((a, b) => prominentCounts[b] - prominentCounts[a]);
+
+  return { prominentPollutant: ranked[0] || null, prominentCounts };
+}
+
+/**
+ * Helper function to re-index stored readings in another standard. Readings
+ * are indexed per location, each from the readings before it; readings
+ * without any index value are dropped.
+ * @param {array} records - AQI logs, oldest first (including 12 hours before `from`)
+ * @param {string} standard - Standard key (us_epa or eu_caqi)
+ * @param {Date} from - Start of the requested period
+ * @returns {array} Records in the period with aqi, category and prominentPollutant replaced
+ */
+function reindexRecords(records, standard, from) {
+  const byLocation = {};
+  records.forEach(record => {
+    if (!byLocation[record.locationId]) byLocation[record.locationId] = [];
+    byLocation[record.locationId].push(record);
+  });
+
+  const reindexed = [];
+  Object.values(byLocation).forEach(locationRecords => {
+    const indices = indexReadings(standard, locationRecords);
+    locationRecords.forEach((record, i) => {
+      if (record.timestamp < from || indices[i].value === null) return;
+      reindexed.push({
+        ...record,
+        aqi: indices[i].value,
+        category: indices[i].label,
+        prominentPollutant: indices[i].prominentPollutant ? indices[i].prominentPollutant.pollutant : null
+      });
+    });
+  });
+
+  return reindexed.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Helper function to average pollutant concentrations over AQI logs
+ * @param {array} records - AQI logs
+ * @returns {object} Mean concentration per pollutant (null without data)
+ */
+function averagePollutants(records) {
+  return Object.fromEntries(INDEX_POLLUTANTS.map(pollutant => {
+    const values = records.map(record => record[pollutant]).filter(value => value !== null && value !== undefined);
+    if (values.length === 0) return [pollutant, null];
+    const factor = pollutant === 'co' || pollutant === 'pb' ? 100 : 10;
+    return [pollutant, Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * factor) / factor];
+  }));
+}
+
+/**
+ * Helper function to average weather observations.
+ * Wind direction is a vector mean (weighted by speed), so 350° and 10° give 0°, not 180°.
+ * @param {array} records - Weather logs
+ * @returns {object} Averaged weather with total precipitation
+ */
+function aggregateWeather(records) {
+  const average = field => {
+    const values = records.map(record => record[field]).filter(value => value !== null);
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+  };
+
+  let u = 0;
+  let v = 0;
+  records.forEach(record => {
+    if (record.windDirection === null) return;
+    const weight = record.windSpeed ?? 1;
+    u += weight * Math.sin(record.windDirection * Math.PI / 180);
+    v += weight * Math.cos(record.windDirection * Math.PI / 180);
+  });
+  const hasWind = records.some(record => record.windDirection !== null) && (u !== 0 || v !== 0);
+
+  const precipitation = records
+    .map(record => record.precipitation)
+    .filter(value => value !== null);
+
+  return {
+    temperature: average('temperature'),
+    humidity: average('humidity'),
+    pressure: average('pressure'),
+    windSpeed: average('windSpeed'),
+    windDirection: hasWind ? Math.round((Math.atan2(u, v) * 180 / Math.PI + 360) % 360) : null,
+    // Observations are hourly totals, so the sum approximates the period total
+    precipitation: precipitation.length > 0
+      ? Math.round(precipitation.reduce((sum, value) => sum + value, 0) * 100) / 100
+      : null,
+    cloudCover: average('cloudCover'),
+    dataPoints: records.length
+  };
+}
+
 module.exports = DatabaseService;
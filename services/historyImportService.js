@@ -0,0 +1,563 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const DatabaseService = require('./databaseService');
+const { calculateIndianAQI, getProminentPollutant } = require('../utils/naqi');
+const { categorizeAQI } = require('../utils/helpers');
+const { CANONICAL_UNITS, parseUnit, toCanonical, roundConcentration } = require('../utils/units');
+const { QC_STATUS, RANGE_LIMITS } = require('../utils/qualityControl');
+
+// Normalised column header → pollutant key. Values are taken to be in
+// canonical units (CO mg/m³, everything else µg/m³) unless the header names
+// another unit, e.g. "CO (ug/m3)" or "Ozone [ppb]".
+const POLLUTANT_COLUMNS = {
+  'pm2.5': 'pm25',
+  'pm25': 'pm25',
+  'pm10': 'pm10',
+  'no2': 'no2',
+  'so2': 'so2',
+  'co': 'co',
+  'o3': 'o3',
+  'ozone': 'o3',
+  'nh3': 'nh3',
+  'pb': 'pb'
+};
+
+const TIMESTAMP_COLUMNS = ['from date', 'datetime', 'date time', 'timestamp', 'date', 'time'];
+const STATION_NAME_COLUMNS = ['station', 'station name', 'stationname'];
+const STATION_CODE_COLUMNS = ['stationid', 'station id', 'station code', 'stationcode', 'site id'];
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_DAYS = 25569;
+
+const IMPORT_SOURCE = 'CPCB-Import';
+const MAX_REPORTED_ERRORS = 50;
+
+class HistoryImportService {
+  /**
+   * @param {object} options - Import options
+   * @param {boolean} options.dryRun - Parse and validate against the database, write nothing
+   * @param {number} options.batchSize - Rows per insert
+   * @param {string} options.stationsFile - CSV/XLSX of station metadata (name, code, lat, lng, state)
+   * @param {string} options.stationName - Station for files without a station column
+   * @param {string} options.stationCode - Station code for files without a station column
+   * @param {string} options.checkpointFile - Where import progress is stored for resuming
+   */
+  constructor(options = {}) {
+    this.dryRun = options.dryRun || false;
+    this.batchSize = options.batchSize || 500;
+    this.stationName = options.stationName || null;
+    this.stationCode = options.stationCode || null;
+    this.checkpointFile = options.checkpointFile || path.join(process.cwd(), '.cpcb-import-checkpoint.json');
+    this.stationsFile = options.stationsFile || null;
+    // Read on the first import
+    this.stationsMeta = null;
+    this.dbService = new DatabaseService();
+    this.locationCache = new Map();
+  }
+
+  /**
+   * Import one CPCB export file
+   * @param {string} filePath - CSV or XLSX file
+   * @returns {Promise<object>} Validation and import report
+   */
+  async importFile(filePath) {
+    const report = {
+      file: path.basename(filePath),
+      dryRun: this.dryRun,
+      rowsRead: 0,
+      rowsValid: 0,
+      rowsInvalid: 0,
+      rowsInserted: 0,
+      rowsDuplicate: 0,
+      rowsFlagged: 0,
+      rowsSkippedFromCheckpoint: 0,
+      valuesDropped: 0,
+      stations: {},
+      unknownStations: [],
+      dateRange: { from: null, to: null },
+      errors: []
+    };
+
+    if (!this.stationsMeta) {
+      this.stationsMeta = this.stationsFile ? await this.loadStationsMeta(this.stationsFile) : [];
+    }
+
+    const rows = await this.readRows(filePath);
+    const table = this.parseTable(rows, report);
+    const checkpointKey = this.getCheckpointKey(filePath);
+    const checkpoint = this.dryRun ? 0 : this.readCheckpoint(checkpointKey);
+
+    let batch = [];
+    let committedRows = checkpoint;
+
+    for (const record of table.records) {
+      report.rowsRead++;
+
+      if (record.rowIndex < checkpoint) {
+        report.rowsSkippedFromCheckpoint++;
+        continue;
+      }
+
+      const issue = this.validateRecord(record, report);
+      if (issue) {
+        this.addError(report, record.rowNumber, issue);
+        continue;
+      }
+
+      const location = await this.resolveLocation(record, report);
+      if (!location) {
+        this.addError(report, record.rowNumber, `Unknown station "${record.stationName || record.stationCode}"`);
+        continue;
+      }
+
+      report.rowsValid++;
+      this.trackStation(report, record);
+      batch.push({ record, location });
+
+      if (batch.length >= this.batchSize) {
+        await this.flush(batch, report);
+        committedRows = record.rowIndex + 1;
+        this.writeCheckpoint(checkpointKey, committedRows);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await this.flush(batch, report);
+    }
+    if (table.records.length > 0) {
+      this.writeCheckpoint(checkpointKey, table.records[table.records.length - 1].rowIndex + 1);
+    }
+
+    report.rowsInvalid = report.rowsRead - report.rowsSkippedFromCheckpoint - report.rowsValid;
+    return report;
+  }
+
+  /**
+   * Read the first sheet of a CSV or XLSX file as rows of cells. CSV cells are
+   * kept as text; XLSX cells keep their type (dates as Date). Empty cells are
+   * null and empty rows are left out.
+   * @param {string} filePath - File to read
+   * @returns {Promise<array>} Rows (arrays of raw cell values)
+   */
+  async readRows(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = path.extname(filePath).toLowerCase() === '.csv'
+      ? await workbook.csv.readFile(filePath, { map: value => value })
+      : (await workbook.xlsx.readFile(filePath)).worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow(row => {
+      const cells = Array.from({ length: sheet.columnCount }, (_, i) => this.cellValue(row.getCell(i + 1).value));
+      if (cells.some(cell => cell !== null)) rows.push(cells);
+    });
+    return rows;
+  }
+
+  /**
+   * Plain value of a cell (the result of a formula, the text of rich text or a link)
+   * @param {*} value - ExcelJS cell value
+   * @returns {*} Number, string, Date or null
+   */
+  cellValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'object' || value instanceof Date) return value;
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return this.cellValue(value.result);
+    if (value.text !== undefined) return this.cellValue(value.text);
+    return null;
+  }
+
+  /**
+   * Locate the data table (CCR exports have a preamble) and turn rows into records
+   * @param {array} rows - Raw rows
+   * @param {object} report - Import report (for errors)
+   * @returns {object} { records, columns }
+   */
+  parseTable(rows, report) {
+    const headerIndex = rows.findIndex(row => {
+      const headers = row.map(cell => this.normalizeHeader(cell));
+      return headers.some(h => TIMESTAMP_COLUMNS.includes(h)) && headers.some(h => POLLUTANT_COLUMNS[h]);
+    });
+
+    if (headerIndex === -1) {
+      throw new Error('No data table found (expected a date column and pollutant columns)');
+    }
+
+    const headers = rows[headerIndex].map(cell => this.normalizeHeader(cell));
+    const timestampColumn = TIMESTAMP_COLUMNS.map(name => headers.indexOf(name)).find(index => index !== -1);
+    const stationNameColumn = headers.findIndex(h => STATION_NAME_COLUMNS.includes(h));
+    const stationCodeColumn = headers.findIndex(h => STATION_CODE_COLUMNS.includes(h));
+    const pollutantColumns = headers
+      .map((header, index) => ({ pollutant: POLLUTANT_COLUMNS[header], index }))
+      .filter(column => column.pollutant)
+      .map(column => ({ ...column, unit: this.headerUnit(rows[headerIndex][column.index]) || CANONICAL_UNITS[column.pollutant] }));
+
+    // CCR station-wise exports name the station in the preamble ("Station", "<name>")
+    const preambleStation = this.findPreambleValue(rows.slice(0, headerIndex), STATION_NAME_COLUMNS);
+
+    const records = [];
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+      const row = rows[i];
+      const rawTimestamp = row[timestampColumn];
+      if (rawTimestamp === null || rawTimestamp === '') continue;
+
+      const pollutants = {};
+      pollutantColumns.forEach(({ pollutant, index, unit }) => {
+        const value = this.parseNumber(row[index]);
+        pollutants[pollutant] = unit === CANONICAL_UNITS[pollutant]
+          ? value
+          : roundConcentration(pollutant, toCanonical(pollutant, value, unit));
+      });
+
+      records.push({
+        rowIndex: i,
+        rowNumber: i + 1,
+        rawTimestamp,
+        timestamp: this.parseTimestamp(rawTimestamp),
+        stationName: (stationNameColumn !== -1 && row[stationNameColumn]) || preambleStation || this.stationName,
+        stationCode: (stationCodeColumn !== -1 && row[stationCodeColumn]) || this.stationCode,
+        pollutants
+      });
+    }
+
+    return { records, columns: pollutantColumns.map(column => column.pollutant) };
+  }
+
+  /**
+   * Check a record and drop implausible values
+   * @param {object} record - Parsed record
+   * @param {object} report - Import report
+   * @returns {string|null} Reason the whole row is invalid, or null
+   */
+  validateRecord(record, report) {
+    if (!record.timestamp) {
+      return `Unparseable timestamp "${record.rawTimestamp}"`;
+    }
+    if (record.timestamp > new Date()) {
+      return `Timestamp in the future "${record.rawTimestamp}"`;
+    }
+
+    Object.entries(record.pollutants).forEach(([pollutant, value]) => {
+      if (value !== null && (value < 0 || value > RANGE_LIMITS[pollutant])) {
+        record.pollutants[pollutant] = null;
+        report.valuesDropped++;
+      }
+    });
+
+    const hasValues = Object.values(record.pollutants).some(value => value !== null);
+    return hasValues ? null : 'No pollutant values';
+  }
+
+  /**
+   * Find or create the Location for a record's station
+   * @param {object} record - Parsed record
+   * @param {object} report - Import report
+   * @returns {Promise<object|null>} Location, or null if the station is unknown
+   */
+  async resolveLocation(record, report) {
+    const key = `${record.stationCode || ''}|${record.stationName || ''}`;
+    if (this.locationCache.has(key)) {
+      return this.locationCache.get(key);
+    }
+
+    const meta = this.findStationMeta(record.stationName, record.stationCode);
+    const stationName = meta?.name || record.stationName;
+    const stationCode = meta?.code || record.stationCode || (stationName ? this.buildStationCode(stationName) : null);
+
+    let location = await this.dbService.findLocationByStation(stationCode, stationName);
+
+    if (!location && meta && meta.latitude !== null && meta.longitude !== null) {
+      const locationData = {
+        name: meta.name,
+        latitude: meta.latitude,
+        longitude: meta.longitude,
+        state: meta.state,
+        stationCode,
+        stationType: 'CPCB-CAAQMS'
+      };
+      // Dry run: report the station as matched without creating it
+      location = this.dryRun
+        ? { id: null, ...locationData }
+        : await this.dbService.upsertLocation(locationData);
+    }
+
+    if (!location && !report.unknownStations.includes(stationName || stationCode)) {
+      report.unknownStations.push(stationName || stationCode);
+    }
+
+    this.locationCache.set(key, location);
+    return location;
+  }
+
+  /**
+   * Quality-check a batch of records and insert them as AQI logs; readings
+   * already stored are skipped
+   * @param {array} batch - [{ record, location }]
+   * @param {object} report - Import report (inserted/duplicate/flagged counts)
+   */
+  async flush(batch, report) {
+    if (this.dryRun) return;
+
+    const logs = await this.dbService.applyQualityControl(
+      batch.map(({ record, location }) => this.buildLog(record, location))
+    );
+    report.rowsFlagged += logs.filter(log => log.qcStatus === QC_STATUS.FLAGGED).length;
+
+    const inserted = await this.dbService.insertAQILogs(logs);
+    report.rowsInserted += inserted;
+    report.rowsDuplicate += logs.length - inserted;
+  }
+
+  /**
+   * Build an AQILog row, computing the AQI the same way as live readings
+   * @param {object} record - Parsed record
+   * @param {object} location - Location
+   * @returns {object} AQILog data
+   */
+  buildLog(record, location) {
+    const aqi = calculateIndianAQI(record.pollutants);
+
+    return {
+      locationId: location.id,
+      aqi,
+      category: categorizeAQI(aqi).label,
+      pm25: record.pollutants.pm25 ?? null,
+      pm10: record.pollutants.pm10 ?? null,
+      no2: record.pollutants.no2 ?? null,
+      so2: record.pollutants.so2 ?? null,
+      co: record.pollutants.co ?? null,
+      o3: record.pollutants.o3 ?? null,
+      nh3: record.pollutants.nh3 ?? null,
+      pb: record.pollutants.pb ?? null,
+      prominentPollutant: getProminentPollutant(record.pollutants),
+      source: IMPORT_SOURCE,
+      timestamp: record.timestamp
+    };
+  }
+
+  /**
+   * Parse the many timestamp formats found in CPCB exports (all IST unless stated)
+   *   "01-01-2022 00:00", "01-01-2022 00:00:00", "01/01/2022 00:00",
+   *   "01-Jan-2022 - 00:00", "2022-01-01 00:00:00", ISO 8601, Excel dates and serial numbers
+   * @param {string|number|Date} value - Raw timestamp cell
+   * @returns {Date|null} Parsed timestamp
+   */
+  parseTimestamp(value) {
+    // Excel stores the wall-clock time, which ExcelJS reads as UTC
+    if (typeof value === 'number' || value instanceof Date) {
+      const wallClock = value instanceof Date
+        ? value
+        : new Date(Math.round((value - EXCEL_EPOCH_DAYS) * 86400) * 1000);
+      if (isNaN(wallClock)) return null;
+      return this.buildISTDate(
+        wallClock.getUTCFullYear(), wallClock.getUTCMonth() + 1, wallClock.getUTCDate(),
+        wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds()
+      );
+    }
+
+    const text = String(value).trim();
+
+    // ISO 8601 with an explicit offset
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const date = new Date(text);
+      return isNaN(date) ? null : date;
+    }
+
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (match) {
+      const [, y, m, d, H = 0, M = 0, S = 0] = match;
+      return this.buildISTDate(y, m, d, H, M, S);
+    }
+
+    match = /^(\d{1,2})[-/.](\d{1,2}|[A-Za-z]{3})[-/.](\d{4})(?:\s*-?\s*(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (match) {
+      const [, d, month, y, H = 0, M = 0, S = 0] = match;
+      const m = isNaN(month) ? MONTHS[month.toLowerCase()] : month;
+      if (!m) return null;
+      return this.buildISTDate(y, m, d, H, M, S);
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a Date from wall-clock parts in Indian Standard Time
+   * @returns {Date|null} Date, or null if the parts are out of range
+   */
+  buildISTDate(year, month, day, hour = 0, minute = 0, second = 0) {
+    const [y, mo, d, h, mi, s] = [year, month, day, hour, minute, second].map(Number);
+    if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 24 || mi > 59 || s > 59) return null;
+
+    // CCR uses "24:00" for the end of the day
+    const utcMillis = Date.UTC(y, mo - 1, d, h, mi, s) - (5.5 * 60 * 60 * 1000);
+    const date = new Date(utcMillis);
+    return isNaN(date) ? null : date;
+  }
+
+  /**
+   * Normalise a column header: lowercase, drop units in brackets
+   * @param {*} cell - Header cell
+   * @returns {string} Normalised header
+   */
+  normalizeHeader(cell) {
+    return String(cell ?? '')
+      .toLowerCase()
+      .replace(/\(.*?\)|\[.*?\]/g, '')
+      .replace(/[_\s]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Read the unit from a column header, e.g. "PM2.5 (ug/m3)"
+   * @param {*} cell - Header cell
+   * @returns {string|null} Unit, or null if the header names none we know
+   */
+  headerUnit(cell) {
+    const match = String(cell ?? '').match(/\((.*?)\)|\[(.*?)\]/);
+    return match ? parseUnit(match[1] ?? match[2]) : null;
+  }
+
+  /**
+   * Parse a numeric cell; CPCB uses "None", "NA", "-" and blanks for missing data
+   * @param {*} value - Cell value
+   * @returns {number|null} Parsed number
+   */
+  parseNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+
+    const number = parseFloat(String(value).replace(/,/g, '').trim());
+    return isNaN(number) ? null : number;
+  }
+
+  /**
+   * Find a "label, value" pair in the preamble rows of a CCR export
+   * @param {array} rows - Preamble rows
+   * @param {array} labels - Accepted labels (normalised)
+   * @returns {string|null} Value next to the label
+   */
+  findPreambleValue(rows, labels) {
+    for (const row of rows) {
+      const index = row.findIndex(cell => labels.includes(this.normalizeHeader(cell).replace(/:$/, '')));
+      if (index !== -1) {
+        const value = row.slice(index + 1).find(cell => cell !== null && String(cell).trim() !== '');
+        if (value) return String(value).trim();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load station metadata (name, code, latitude, longitude, state) from CSV/XLSX
+   * @param {string} filePath - Stations file
+   * @returns {Promise<array>} Station metadata
+   */
+  async loadStationsMeta(filePath) {
+    const rows = await this.readRows(filePath);
+    const headers = (rows[0] || []).map(cell => this.normalizeHeader(cell));
+    const column = names => headers.findIndex(h => names.includes(h));
+
+    const nameColumn = column([...STATION_NAME_COLUMNS, 'name']);
+    const codeColumn = column(STATION_CODE_COLUMNS);
+    const latColumn = column(['latitude', 'lat']);
+    const lngColumn = column(['longitude', 'lng', 'lon', 'long']);
+    const stateColumn = column(['state']);
+
+    return rows.slice(1).map(row => ({
+      name: nameColumn !== -1 ? String(row[nameColumn] || '').trim() : null,
+      code: codeColumn !== -1 && row[codeColumn] ? String(row[codeColumn]).trim() : null,
+      latitude: latColumn !== -1 ? this.parseNumber(row[latColumn]) : null,
+      longitude: lngColumn !== -1 ? this.parseNumber(row[lngColumn]) : null,
+      state: stateColumn !== -1 ? row[stateColumn] : null
+    })).filter(station => station.name || station.code);
+  }
+
+  /**
+   * Match a station against the metadata file by code, then by name
+   * @param {string} name - Station name
+   * @param {string} code - Station code
+   * @returns {object|null} Station metadata
+   */
+  findStationMeta(name, code) {
+    if (code) {
+      const byCode = this.stationsMeta.find(station => station.code && station.code.toLowerCase() === String(code).toLowerCase());
+      if (byCode) return byCode;
+    }
+    if (name) {
+      const normalized = String(name).toLowerCase().trim();
+      return this.stationsMeta.find(station => station.name && station.name.toLowerCase() === normalized) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Build a station code the same way as the live CPCB feed adapter
+   * @param {string} stationName - Station name
+   * @returns {string} Station code
+   */
+  buildStationCode(stationName) {
+    const slug = String(stationName)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return `CPCB_${slug}`;
+  }
+
+  /**
+   * Update per-station counts and the overall date range
+   */
+  trackStation(report, record) {
+    const key = record.stationName || record.stationCode;
+    const station = report.stations[key] || (report.stations[key] = { rows: 0, from: null, to: null });
+    const iso = record.timestamp.toISOString();
+
+    station.rows++;
+    if (!station.from || iso < station.from) station.from = iso;
+    if (!station.to || iso > station.to) station.to = iso;
+    if (!report.dateRange.from || iso < report.dateRange.from) report.dateRange.from = iso;
+    if (!report.dateRange.to || iso > report.dateRange.to) report.dateRange.to = iso;
+  }
+
+  addError(report, rowNumber, message) {
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ row: rowNumber, error: message });
+    }
+  }
+
+  /**
+   * Checkpoint key: file name + size + modification time, so edited files restart
+   */
+  getCheckpointKey(filePath) {
+    const stats = fs.statSync(filePath);
+    return `${path.resolve(filePath)}:${stats.size}:${stats.mtimeMs}`;
+  }
+
+  readCheckpoint(key) {
+    if (!fs.existsSync(this.checkpointFile)) return 0;
+    const checkpoints = JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'));
+    return checkpoints[key] || 0;
+  }
+
+  writeCheckpoint(key, rowIndex) {
+    if (this.dryRun) return;
+    const checkpoints = fs.existsSync(this.checkpointFile)
+      ? JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'))
+      : {};
+    checkpoints[key] = rowIndex;
+    fs.writeFileSync(this.checkpointFile, JSON.stringify(checkpoints, null, 2));
+  }
+
+  async disconnect() {
+    await this.dbService.disconnect();
+  }
+}
+
+module.exports = HistoryImportService;
@@ -0,0 +1,205 @@
+const cron = require('node-cron');
+const aqiService = require('./aqiServiceInstance');
+const DatabaseService = require('./databaseService');
+const WeatherService = require('./weatherService');
+
+class IngestionService {
+  constructor() {
+    this.aqiService = aqiService;
+    this.dbService = new DatabaseService();
+    this.weatherService = new WeatherService();
+
+    this.schedule = process.env.AQI_FETCH_INTERVAL || '0 * * * *';
+    this.concurrency = parseInt(process.env.INGESTION_CONCURRENCY) || 3;
+    this.radius = parseFloat(process.env.INGESTION_RADIUS_KM) || 10;
+    // Mock readings would pollute history, so they are skipped unless asked for
+    this.saveMockData = process.env.INGESTION_SAVE_MOCK === 'true';
+    // Fill the gap left while the server was down instead of waiting for the next tick
+    this.runOnStartup = process.env.INGESTION_RUN_ON_STARTUP === 'true';
+
+    this.task = null;
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the cron schedule, with a first run right away if INGESTION_RUN_ON_STARTUP is set
+   * @returns {boolean} Whether the scheduler was started
+   */
+  start() {
+    if (this.task) return true;
+
+    if (!cron.validate(this.schedule)) {
+      console.error(`❌ Invalid AQI_FETCH_INTERVAL "${this.schedule}", ingestion scheduler not started`);
+      return false;
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.runOnce('schedule'), {
+      name: 'aqi-ingestion',
+      noOverlap: true
+    });
+
+    console.log(`⏰ AQI ingestion scheduled (${this.schedule})`);
+
+    if (this.runOnStartup) {
+      this.runOnce('startup');
+    }
+    return true;
+  }
+
+  /**
+   * Stop the cron schedule
+   */
+  async stop() {
+    if (this.task) {
+      await this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Poll every active location once and save the readings
+   * @param {string} trigger - What started the run ('schedule', 'startup', 'manual')
+   * @returns {Promise<object|null>} Run result, or null if a run is already in progress
+   */
+  async runOnce(trigger = 'manual') {
+    if (this.currentRun) {
+      console.log('⏭️ Ingestion run already in progress, skipping');
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const result = {
+      status: 'success',
+      locationsTotal: 0,
+      locationsSucceeded: 0,
+      locationsSkipped: 0,
+      locationsFailed: 0,
+      weatherSaved: 0,
+      failures: [],
+      error: undefined,
+      durationMs: 0
+    };
+
+    this.currentRun = { trigger, startedAt: new Date(startedAt).toISOString() };
+    let run = null;
+
+    try {
+      run = await this.dbService.createIngestionRun(trigger);
+
+      const locations = await this.dbService.getActiveLocations();
+      result.locationsTotal = locations.length;
+      console.log(`📥 Ingestion run started (${trigger}) for ${locations.length} locations`);
+
+      // Work through the locations in small batches to respect provider limits
+      for (let i = 0; i < locations.length; i += this.concurrency) {
+        const batch = locations.slice(i, i + this.concurrency);
+        const outcomes = await Promise.all(batch.map(location => this.ingestLocation(location)));
+
+        outcomes.forEach((outcome, index) => {
+          if (outcome.weatherSaved) {
+            result.weatherSaved++;
+          }
+          if (outcome.status === 'success') {
+            result.locationsSucceeded++;
+          } else if (outcome.status === 'skipped') {
+            result.locationsSkipped++;
+          } else {
+            result.locationsFailed++;
+            result.failures.push({
+              locationId: batch[index].id,
+              location: batch[index].name,
+              error: outcome.error
+            });
+          }
+        });
+      }
+
+      if (result.locationsFailed > 0) {
+        result.status = result.locationsSucceeded > 0 ? 'partial' : 'failed';
+      }
+    } catch (error) {
+      console.error('❌ Ingestion run failed:', error.message);
+      result.status = 'failed';
+      result.error = error.message;
+    } finally {
+      result.durationMs = Date.now() - startedAt;
+      this.currentRun = null;
+      this.lastRun = { trigger, finishedAt: new Date().toISOString(), ...result };
+
+      if (run) {
+        try {
+          await this.dbService.completeIngestionRun(run.id, result);
+        } catch (error) {
+          console.error('Failed to record ingestion run:', error.message);
+        }
+      }
+    }
+
+    console.log(`📥 Ingestion run ${result.status}: ${result.locationsSucceeded} saved, ${result.locationsSkipped} skipped, ${result.locationsFailed} failed, ${result.weatherSaved} weather observations (${result.durationMs}ms)`);
+    return result;
+  }
+
+  /**
+   * Fetch and save the current reading and weather for one location
+   * @param {object} location - Location record
+   * @returns {Promise<object>} { status: 'success' | 'skipped' | 'failed', weatherSaved, error? }
+   */
+  async ingestLocation(location) {
+    let outcome;
+    // Weather is stored under the same location as the AQI reading
+    let locationId = location.id;
+
+    try {
+      const data = await this.aqiService.fetchRealTimeAQI(location.latitude, location.longitude, this.radius);
+
+      if (!data.isRealData && !this.saveMockData) {
+        outcome = { status: 'skipped' };
+      } else {
+        const aqiLog = await this.dbService.saveAQIData(data);
+        locationId = aqiLog.locationId;
+        outcome = { status: 'success' };
+      }
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    return { ...outcome, weatherSaved: await this.ingestWeather(locationId, location) };
+  }
+
+  /**
+   * Fetch and save current weather for a location. Failures never fail the location.
+   * @param {string} locationId - Location the weather is stored under
+   * @param {object} location - Location record (coordinates)
+   * @returns {Promise<boolean>} Whether an observation was saved
+   */
+  async ingestWeather(locationId, location) {
+    try {
+      const weather = await this.weatherService.fetchCurrentWeather(location.latitude, location.longitude);
+      if (!weather) return false;
+
+      await this.dbService.saveWeatherData(locationId, weather);
+      return true;
+    } catch (error) {
+      console.error(`Failed to save weather for ${location.name}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get scheduler state for status reporting
+   * @returns {object} Scheduler status
+   */
+  getStatus() {
+    return {
+      scheduled: Boolean(this.task),
+      schedule: this.schedule,
+      nextRun: this.task ? this.task.getNextRun() : null,
+      concurrency: this.concurrency,
+      currentRun: this.currentRun,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = IngestionService;
@@ -0,0 +1,290 @@
+const { toProviderError, ProviderNoDataError, ProviderRateLimitError } = require('../utils/errors');
+const { retryWithBackoff } = require('../utils/resilience');
+
+const RETRY_BASE_DELAY_MS = parseInt(process.env.AQI_PROVIDER_RETRY_DELAY_MS) || 300;
+const RETRY_MAX_DELAY_MS = 3000;
+
+/**
+ * Registry of data-source adapters (AQI, weather).
+ *
+ * Providers are tried in priority order (lowest first). Priority and the
+ * enable flag can be overridden per deployment without code changes:
+ *   AQI_PROVIDER_<NAME>_PRIORITY=5
+ *   AQI_PROVIDER_<NAME>_ENABLED=false
+ *   AQI_PROVIDER_<NAME>_RELIABILITY=0.8   (weight in fusion mode)
+ *   AQI_PROVIDER_<NAME>_QUOTA_PER_MINUTE=5 / _QUOTA_PER_DAY=500   (API plan limits)
+ *   AQI_PROVIDER_<NAME>_RETRIES=1
+ *
+ * Providers whose circuit breaker is open or whose quota is spent are skipped
+ * straight away instead of waiting for a timeout.
+ */
+class ProviderRegistry {
+  /**
+   * @param {object} options - { envPrefix } prefix of the per-provider overrides
+   *   (default AQI_PROVIDER; the weather registry uses WEATHER_PROVIDER)
+   */
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.envPrefix = options.envPrefix || 'AQI_PROVIDER';
+  }
+
+  /**
+   * Register a provider, applying environment overrides
+   * @param {BaseProvider} provider - Provider adapter
+   * @returns {BaseProvider} Registered provider
+   */
+  register(provider) {
+    const envPrefix = `${this.envPrefix}_${provider.name.toUpperCase()}`;
+    const priority = parseInt(process.env[`${envPrefix}_PRIORITY`]);
+    const enabled = process.env[`${envPrefix}_ENABLED`];
+    const reliability = parseFloat(process.env[`${envPrefix}_RELIABILITY`]);
+    const perMinute = parseInt(process.env[`${envPrefix}_QUOTA_PER_MINUTE`]);
+    const perDay = parseInt(process.env[`${envPrefix}_QUOTA_PER_DAY`]);
+    const retries = parseInt(process.env[`${envPrefix}_RETRIES`]);
+
+    if (!isNaN(priority)) {
+      provider.priority = priority;
+    }
+    if (!isNaN(reliability)) {
+      provider.reliability = Math.max(0, Math.min(1, reliability));
+    }
+    if (enabled !== undefined) {
+      provider.enabled = enabled === 'true';
+    }
+    if (!isNaN(perMinute)) {
+      provider.quota.perMinute = perMinute || null;
+    }
+    if (!isNaN(perDay)) {
+      provider.quota.perDay = perDay || null;
+    }
+    if (!isNaN(retries)) {
+      provider.retries = Math.max(0, retries);
+    }
+
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Remove a provider from the registry
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether a provider was removed
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {BaseProvider|undefined}
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * List providers in the order they will be tried
+   * @returns {array} Providers sorted by priority
+   */
+  list() {
+    return [...this.providers.values()].sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Work out why a provider cannot take part in a request
+   * @param {BaseProvider} provider - Provider adapter
+   * @param {string} capability - Method name
+   * @param {object} context - Request context
+   * @returns {object|null} { reason, retryAt? }, or null if the provider can be called
+   */
+  getSkipReason(provider, capability, context) {
+    if (!provider.enabled) return { reason: 'disabled' };
+    if (!provider.isConfigured()) return { reason: 'not_configured' };
+    if (!provider.supports(capability, context)) return { reason: 'unsupported' };
+
+    const blocked = provider.quota.check(provider.requestCost);
+    if (blocked) {
+      return { reason: blocked.reason, retryAt: new Date(blocked.retryAt).toISOString() };
+    }
+    // Checked last: in half-open state this reserves the single trial call
+    if (!provider.breaker.canRequest()) {
+      return { reason: 'circuit_open', retryAt: provider.breaker.getRetryAt() };
+    }
+    return null;
+  }
+
+  /**
+   * Record a skipped provider in the attempt log
+   */
+  recordSkip(provider, skip, attempts) {
+    attempts.push({ provider: provider.name, status: 'skipped', ...skip });
+  }
+
+  /**
+   * Call one provider with retries, recording the attempt, its health and
+   * the circuit breaker / quota outcome
+   * @param {BaseProvider} provider - Provider adapter
+   * @param {string} capability - Provider method
+   * @param {array} args - Arguments passed before the context
+   * @param {object} context - Request context
+   * @param {array} attempts - Attempt log to append to
+   * @returns {Promise<object|null>} Provider data, or null on failure
+   */
+  async callProvider(provider, capability, args, context, attempts) {
+    const startedAt = Date.now();
+    let retries = 0;
+
+    try {
+      const data = await retryWithBackoff(async () => {
+        provider.quota.consume(provider.requestCost);
+        let result;
+        try {
+          result = await provider[capability](...args, context);
+        } catch (error) {
+          throw toProviderError(provider.name, error);
+        }
+        if (!result) {
+          throw new ProviderNoDataError(provider.name, 'No data returned');
+        }
+        return result;
+      }, {
+        retries: provider.retries,
+        baseDelayMs: RETRY_BASE_DELAY_MS,
+        maxDelayMs: RETRY_MAX_DELAY_MS,
+        onRetry: (error, retry, delayMs) => {
+          retries = retry;
+          console.log(`🔁 ${provider.name}: ${error.code}, retry ${retry}/${provider.retries} in ${delayMs}ms`);
+        }
+      });
+
+      provider.breaker.recordSuccess();
+      provider.recordSuccess();
+      attempts.push({
+        provider: provider.name,
+        status: 'success',
+        ...(retries > 0 && { retries }),
+        durationMs: Date.now() - startedAt
+      });
+      return data;
+    } catch (error) {
+      if (error instanceof ProviderRateLimitError) {
+        provider.quota.block(error.retryAfterMs);
+      }
+
+      if (error.countsAsFailure) {
+        provider.breaker.recordFailure();
+        provider.recordFailure(error.message);
+      } else {
+        provider.breaker.recordNeutral();
+      }
+
+      attempts.push({
+        provider: provider.name,
+        status: 'failed',
+        reason: error.message,
+        errorType: error.code,
+        ...(retries > 0 && { retries }),
+        durationMs: Date.now() - startedAt
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Call providers in priority order until one returns data
+   * @param {string} capability - Provider method, e.g. 'fetchCurrent'
+   * @param {array} args - Arguments passed before the context
+   * @param {object} context - Request context, shared with every provider
+   * @returns {Promise<object>} { data, provider, attempts }
+   */
+  async execute(capability, args = [], context = {}) {
+    const attempts = [];
+    const callContext = { ...context, attempts };
+
+    for (const provider of this.list()) {
+      const skip = this.getSkipReason(provider, capability, callContext);
+      if (skip) {
+        this.recordSkip(provider, skip, attempts);
+        continue;
+      }
+
+      const data = await this.callProvider(provider, capability, args, callContext, attempts);
+      if (data) {
+        return { data, provider: provider.name, attempts };
+      }
+    }
+
+    return { data: null, provider: null, attempts };
+  }
+
+  /**
+   * Call every eligible provider at the same time (fusion mode).
+   * Fallback-only providers (mock) are used only if no other provider answers.
+   * @param {string} capability - Provider method, e.g. 'fetchCurrent'
+   * @param {array} args - Arguments passed before the context
+   * @param {object} context - Request context, shared with every provider
+   * @returns {Promise<object>} { results: [{ provider, data }], attempts }
+   */
+  async executeAll(capability, args = [], context = {}) {
+    const attempts = [];
+    const callContext = { ...context, attempts };
+    const eligible = [];
+    const fallbacks = [];
+
+    for (const provider of this.list()) {
+      // Fallbacks are checked only when they are about to be called: the
+      // check reserves a half-open breaker's trial, which only a call releases
+      if (provider.fallbackOnly) {
+        fallbacks.push(provider);
+        continue;
+      }
+
+      const skip = this.getSkipReason(provider, capability, callContext);
+      if (skip) {
+        this.recordSkip(provider, skip, attempts);
+      } else {
+        eligible.push(provider);
+      }
+    }
+
+    const settled = await Promise.all(eligible.map(async provider => ({
+      provider: provider.name,
+      reliability: provider.reliability,
+      data: await this.callProvider(provider, capability, args, callContext, attempts)
+    })));
+    const results = settled.filter(result => result.data);
+
+    if (results.length === 0) {
+      for (const provider of fallbacks) {
+        const skip = this.getSkipReason(provider, capability, callContext);
+        if (skip) {
+          this.recordSkip(provider, skip, attempts);
+          continue;
+        }
+
+        const data = await this.callProvider(provider, capability, args, callContext, attempts);
+        if (data) {
+          results.push({ provider: provider.name, reliability: provider.reliability, data });
+          break;
+        }
+      }
+    } else {
+      fallbacks.forEach(provider => {
+        attempts.push({ provider: provider.name, status: 'skipped', reason: 'fallback_not_needed' });
+      });
+    }
+
+    return { results, attempts };
+  }
+
+  /**
+   * Get configuration and health of every provider
+   * @returns {array} Provider status list in priority order
+   */
+  getStatus() {
+    return this.list().map(provider => provider.getStatus());
+  }
+}
+
+module.exports = ProviderRegistry;
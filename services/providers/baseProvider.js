@@ -0,0 +1,139 @@
+const { CircuitBreaker, QuotaBudget } = require('../../utils/resilience');
+const { CANONICAL_UNITS } = require('../../utils/units');
+
+/**
+ * Base class for AQI data-source adapters.
+ *
+ * Every adapter exposes the same surface so the ProviderRegistry can order,
+ * enable and health-check sources without knowing anything about them:
+ *   - name / priority / enabled
+ *   - isConfigured()            → API keys present, real data switched on, ...
+ *   - supports(capability, ctx) → whether the adapter can answer this request
+ *   - fetchCurrent(lat, lng, radius, ctx)  → formatted AQI data or null
+ *   - fetchForecast(lat, lng, hours, ctx)  → formatted forecast or null (optional)
+ *
+ * Adapters declare the units their source reports concentrations in; the
+ * service converts them to canonical units (utils/units) before indexing.
+ *
+ * Each provider also owns its resilience state: a circuit breaker and a
+ * request budget matching its API plan. The registry consults both before
+ * calling and retries retryable errors (see utils/resilience).
+ */
+class BaseProvider {
+  /**
+   * @param {string} name - Unique provider id (lowercase, used in env config)
+   * @param {object} options - Defaults, overridable per deployment
+   * @param {string} options.label - Human-readable name
+   * @param {number} options.priority - Lower runs first
+   * @param {boolean} options.enabled - Whether the provider takes part at all
+   * @param {number} options.reliability - Weight (0-1) of this source in fusion mode
+   * @param {boolean} options.fallbackOnly - Only used when no other provider answers
+   * @param {object|QuotaBudget} options.quota - API plan limits { perMinute, perDay }, or
+   *   a budget shared with the other providers of the same API key (see sharedQuota)
+   * @param {number} options.requestCost - Upstream requests made per call
+   * @param {number} options.retries - Retries for retryable errors
+   * @param {object} options.units - Unit per pollutant as reported by the source (default canonical)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.label = options.label || name;
+    this.priority = options.priority ?? 100;
+    this.enabled = options.enabled ?? true;
+    this.reliability = options.reliability ?? 0.5;
+    this.fallbackOnly = options.fallbackOnly ?? false;
+    this.requestCost = options.requestCost ?? 1;
+    this.units = { ...CANONICAL_UNITS, ...options.units };
+    this.retries = options.retries ?? (parseInt(process.env.AQI_PROVIDER_RETRIES) || 2);
+    this.breaker = new CircuitBreaker({
+      failureThreshold: parseInt(process.env.AQI_BREAKER_FAILURE_THRESHOLD) || 5,
+      cooldownMs: (parseInt(process.env.AQI_BREAKER_COOLDOWN_SECONDS) || 60) * 1000
+    });
+    this.quota = options.quota instanceof QuotaBudget ? options.quota : new QuotaBudget(name, options.quota);
+    this.health = {
+      status: 'unknown',
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      totalRequests: 0,
+      totalFailures: 0
+    };
+  }
+
+  /**
+   * Whether the provider has everything it needs (keys, flags) to be called
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether the provider implements a capability for this request
+   * @param {string} capability - Method name, e.g. 'fetchCurrent'
+   * @param {object} context - Request context (lat, lng, ...)
+   * @returns {boolean}
+   */
+  supports(capability, context = {}) {
+    return typeof this[capability] === 'function';
+  }
+
+  /**
+   * Fetch current AQI data
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Search radius in km
+   * @param {object} context - Request context
+   * @returns {Promise<object|null>} Formatted AQI data
+   */
+  async fetchCurrent(lat, lng, radius, context = {}) {
+    throw new Error(`Provider "${this.name}" does not implement fetchCurrent`);
+  }
+
+  /**
+   * Record a successful call for health reporting
+   */
+  recordSuccess() {
+    this.health.totalRequests++;
+    this.health.consecutiveFailures = 0;
+    this.health.lastSuccess = new Date().toISOString();
+    this.health.status = 'healthy';
+  }
+
+  /**
+   * Record a failed call for health reporting
+   * @param {string} reason - Failure reason
+   */
+  recordFailure(reason) {
+    this.health.totalRequests++;
+    this.health.totalFailures++;
+    this.health.consecutiveFailures++;
+    this.health.lastFailure = new Date().toISOString();
+    this.health.lastError = reason;
+    this.health.status = this.health.consecutiveFailures >= 3 ? 'down' : 'degraded';
+  }
+
+  /**
+   * Get provider configuration and health for status reporting
+   * @returns {object} Provider status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      label: this.label,
+      priority: this.priority,
+      enabled: this.enabled,
+      reliability: this.reliability,
+      fallbackOnly: this.fallbackOnly,
+      units: this.units,
+      configured: this.isConfigured(),
+      retries: this.retries,
+      circuit: this.breaker.getStatus(),
+      quota: this.quota.getStatus(),
+      capabilities: ['fetchCurrent', 'fetchForecast'].filter(c => this.supports(c)),
+      health: { ...this.health }
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,41 @@
+const BaseProvider = require('./baseProvider');
+const AQIService = require('../aqiService');
+
+// Rough bounding box of India; CPCB only has stations inside it
+const INDIA_BOUNDS = { minLat: 6.5, maxLat: 37.5, minLng: 68.0, maxLng: 97.5 };
+
+/**
+ * CPCB (Central Pollution Control Board) station adapter, backed by the
+ * data.gov.in real-time CAAQMS feed. Preferred for Indian locations because
+ * it reports measured reference-station data rather than modelled values.
+ */
+class CPCBProvider extends BaseProvider {
+  /**
+   * @param {RealAQIService} service - Owning service
+   */
+  constructor(service) {
+    // The feed is charged per page fetched rather than per call, as calls
+    // answered from the station cache make no request
+    super('cpcb', { label: 'CPCB', priority: 5, reliability: 1.0, requestCost: 0 });
+    this.service = service;
+    this.cpcbService = new AQIService({ timeoutMs: service.requestTimeoutMs, quota: this.quota });
+  }
+
+  isConfigured() {
+    return this.service.useRealData && this.cpcbService.hasApiKey();
+  }
+
+  supports(capability, context = {}) {
+    if (!super.supports(capability, context)) return false;
+    if (context.lat === undefined || context.lng === undefined) return true;
+
+    return context.lat >= INDIA_BOUNDS.minLat && context.lat <= INDIA_BOUNDS.maxLat &&
+      context.lng >= INDIA_BOUNDS.minLng && context.lng <= INDIA_BOUNDS.maxLng;
+  }
+
+  async fetchCurrent(lat, lng, radius) {
+    return this.cpcbService.findNearestStation(lat, lng, radius);
+  }
+}
+
+module.exports = CPCBProvider;
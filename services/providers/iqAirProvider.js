@@ -0,0 +1,32 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * IQAir AirVisual API adapter (nearest city, current conditions only)
+ */
+class IQAirProvider extends BaseProvider {
+  /**
+   * @param {RealAQIService} service - Service holding the API key and formatters
+   */
+  constructor(service) {
+    super('iqair', {
+      label: 'IQAir',
+      priority: 20,
+      reliability: 0.7,
+      // Community (free) plan: 5 calls/minute, 500 calls/day
+      quota: { perMinute: 5, perDay: 500 },
+      // Paid plans add gases as mixing ratios
+      units: { pm25: 'µg/m³', pm10: 'µg/m³', o3: 'ppb', no2: 'ppb', so2: 'ppb', co: 'ppm' }
+    });
+    this.service = service;
+  }
+
+  isConfigured() {
+    return this.service.useRealData && this.service.isUsableKey(this.service.iqAirApiKey);
+  }
+
+  async fetchCurrent(lat, lng) {
+    return this.service.fetchFromIQAir(lat, lng);
+  }
+}
+
+module.exports = IQAirProvider;
@@ -0,0 +1,27 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Mock data adapter. Always configured and runs last, so requests still get
+ * an answer when no real source is available.
+ */
+class MockProvider extends BaseProvider {
+  /**
+   * @param {RealAQIService} service - Service holding the mock generators
+   */
+  constructor(service) {
+    super('mock', { label: 'Mock', priority: 1000, reliability: 0.1, fallbackOnly: true, retries: 0 });
+    this.service = service;
+  }
+
+  async fetchCurrent(lat, lng, radius, context = {}) {
+    // Flag as fallback when a real provider was tried and failed
+    const isFallback = (context.attempts || []).some(a => a.status === 'failed');
+    return this.service.getMockAQIData(lat, lng, isFallback);
+  }
+
+  async fetchForecast(lat, lng, hours) {
+    return this.service.getMockForecastData(lat, lng, hours);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,33 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAQ (v3) adapter: measured data from the nearest reporting station
+ */
+class OpenAQProvider extends BaseProvider {
+  /**
+   * @param {RealAQIService} service - Service holding the API key and formatters
+   */
+  constructor(service) {
+    // No units declared: OpenAQ reports them per sensor (µg/m³, ppm or ppb)
+    // and each measurement is converted with its own
+    super('openaq', {
+      label: 'OpenAQ',
+      priority: 8,
+      reliability: 0.9,
+      // 60 requests/minute, 2,000/hour; each call is a station search plus a latest-values request
+      quota: { perMinute: 60, perDay: 48000 },
+      requestCost: 2
+    });
+    this.service = service;
+  }
+
+  isConfigured() {
+    return this.service.useRealData && this.service.isUsableKey(this.service.openAqApiKey);
+  }
+
+  async fetchCurrent(lat, lng, radius) {
+    return this.service.fetchFromOpenAQ(lat, lng, radius);
+  }
+}
+
+module.exports = OpenAQProvider;
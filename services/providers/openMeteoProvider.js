@@ -0,0 +1,30 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Open-Meteo forecast API adapter (current weather, no API key)
+ */
+class OpenMeteoProvider extends BaseProvider {
+  /**
+   * @param {WeatherService} service - Service holding the formatters
+   */
+  constructor(service) {
+    super('openmeteo', {
+      label: 'Open-Meteo',
+      priority: 20,
+      reliability: 0.6,
+      // Free non-commercial use: 600 calls/minute, 10,000 calls/day
+      quota: { perMinute: 600, perDay: 10000 }
+    });
+    this.service = service;
+  }
+
+  isConfigured() {
+    return this.service.useRealData;
+  }
+
+  async fetchCurrent(lat, lng) {
+    return this.service.fetchFromOpenMeteo(lat, lng);
+  }
+}
+
+module.exports = OpenMeteoProvider;
@@ -0,0 +1,37 @@
+const BaseProvider = require('./baseProvider');
+const { sharedQuota } = require('../../utils/resilience');
+
+/**
+ * OpenWeatherMap Air Pollution API adapter (current + 4-day forecast)
+ */
+class OpenWeatherMapProvider extends BaseProvider {
+  /**
+   * @param {RealAQIService} service - Service holding the API key and formatters
+   */
+  constructor(service) {
+    super('openweathermap', {
+      label: 'OpenWeatherMap',
+      priority: 10,
+      reliability: 0.5,
+      // Free plan: 60 calls/minute, 1,000,000 calls/month, shared with the weather APIs
+      quota: sharedQuota('OPENWEATHER_API_KEY', 'openweathermap', { perMinute: 60, perDay: 33000 }),
+      // Every component, CO included, is in µg/m³
+      units: { pm25: 'µg/m³', pm10: 'µg/m³', no2: 'µg/m³', so2: 'µg/m³', co: 'µg/m³', o3: 'µg/m³', nh3: 'µg/m³' }
+    });
+    this.service = service;
+  }
+
+  isConfigured() {
+    return this.service.useRealData && this.service.isUsableKey(this.service.openWeatherApiKey);
+  }
+
+  async fetchCurrent(lat, lng) {
+    return this.service.fetchFromOpenWeatherMap(lat, lng);
+  }
+
+  async fetchForecast(lat, lng, hours) {
+    return this.service.fetchForecastFromOpenWeatherMap(lat, lng, hours);
+  }
+}
+
+module.exports = OpenWeatherMapProvider;
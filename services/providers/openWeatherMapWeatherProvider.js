@@ -0,0 +1,32 @@
+const BaseProvider = require('./baseProvider');
+const { sharedQuota } = require('../../utils/resilience');
+
+/**
+ * OpenWeatherMap current weather adapter
+ */
+class OpenWeatherMapWeatherProvider extends BaseProvider {
+  /**
+   * @param {WeatherService} service - Service holding the API key and formatters
+   */
+  constructor(service) {
+    super('openweathermap', {
+      label: 'OpenWeatherMap Weather',
+      priority: 10,
+      reliability: 0.6,
+      // The key's free plan is shared with the Air Pollution API: 60 calls/minute,
+      // 1,000,000 calls/month across both
+      quota: sharedQuota('OPENWEATHER_API_KEY', 'openweathermap', { perMinute: 60, perDay: 33000 })
+    });
+    this.service = service;
+  }
+
+  isConfigured() {
+    return this.service.useRealData && this.service.isUsableKey(this.service.openWeatherApiKey);
+  }
+
+  async fetchCurrent(lat, lng) {
+    return this.service.fetchFromOpenWeatherMap(lat, lng);
+  }
+}
+
+module.exports = OpenWeatherMapWeatherProvider;
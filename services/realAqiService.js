@@ -1,64 +1,206 @@
 const axios = require('axios');
 const { formatResponse } = require('../utils/helpers');
+const ProviderRegistry = require('./providerRegistry');
+const OpenWeatherMapProvider = require('./providers/openWeatherMapProvider');
+const IQAirProvider = require('./providers/iqAirProvider');
+const CPCBProvider = require('./providers/cpcbProvider');
+const MockProvider = require('./providers/mockProvider');
+const OpenAQProvider = require('./providers/openAqProvider');
+const { describeSources, fusePollutants, summarizeAgreement, weightedMedian } = require('../utils/fusion');
+const { calculateIndianAQI, INDEX_POLLUTANTS } = require('../utils/naqi');
+const { ProviderNoDataError } = require('../utils/errors');
+const { epaSubIndexToConcentration } = require('../utils/aqiStandards');
+const { normalizePollutants } = require('../utils/units');
+const { reverseGeocode } = require('../utils/gazetteer');
+const { MOCK_BASE_AQI } = require('../utils/constants');
+
+// IQAir main pollutant codes → pollutant keys
+const IQAIR_POLLUTANTS = {
+  p2: 'pm25',
+  p1: 'pm10',
+  o3: 'o3',
+  n2: 'no2',
+  s2: 'so2',
+  co: 'co'
+};
 
 class RealAQIService {
   constructor() {
     this.openWeatherApiKey = process.env.OPENWEATHER_API_KEY;
     this.iqAirApiKey = process.env.IQAIR_API_KEY;
+    this.openAqApiKey = process.env.OPENAQ_API_KEY;
     this.useRealData = process.env.USE_REAL_DATA === 'true';
+    // 'priority' = first provider that answers, 'fusion' = consensus of all providers
+    this.fetchMode = process.env.AQI_FETCH_MODE === 'fusion' ? 'fusion' : 'priority';
     
     // API endpoints
     this.openWeatherBaseUrl = 'http://api.openweathermap.org/data/2.5';
     this.iqAirBaseUrl = 'http://api.airvisual.com/v2';
+    this.openAqBaseUrl = 'https://api.openaq.org/v3';
+
+    // Per-request timeout for upstream APIs (retries are handled by the registry)
+    this.requestTimeoutMs = parseInt(process.env.AQI_PROVIDER_TIMEOUT_MS) || 10000;
+
+    // Ignore OpenAQ stations that have not reported recently
+    this.openAqMaxAgeHours = 6;
+
+    // Data-source adapters, tried in priority order
+    this.registry = new ProviderRegistry();
+    this.registerProvider(new CPCBProvider(this));
+    this.registerProvider(new OpenAQProvider(this));
+    this.registerProvider(new OpenWeatherMapProvider(this));
+    this.registerProvider(new IQAirProvider(this));
+    this.registerProvider(new MockProvider(this));
     
     console.log(`🌍 AQI Service initialized with real data: ${this.useRealData}`);
   }
 
   /**
-   * Fetch real-time AQI data from multiple sources
+   * Register an additional data-source adapter
+   * @param {BaseProvider} provider - Provider adapter
+   * @returns {BaseProvider} Registered provider
+   */
+  registerProvider(provider) {
+    return this.registry.register(provider);
+  }
+
+  /**
+   * Get configuration and health of all data-source adapters
+   * @returns {array} Provider status list in priority order
+   */
+  getProviderStatus() {
+    return this.registry.getStatus();
+  }
+
+  /**
+   * Check whether an API key is set and not a placeholder from .env.example
+   * @param {string} key - API key
+   * @returns {boolean} Whether the key can be used
+   */
+  isUsableKey(key) {
+    return Boolean(key) && !key.startsWith('placeholder_') && !key.startsWith('your_');
+  }
+
+  /**
+   * Fetch real-time AQI data from the registered providers
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
    * @param {number} radius - Search radius in km
-   * @returns {Promise<object>} AQI data
+   * @param {object} options - { mode: 'priority' | 'fusion' } (defaults to AQI_FETCH_MODE)
+   * @returns {Promise<object>} AQI data with a providerReport of the attempts
    */
-  async fetchRealTimeAQI(lat, lng, radius = 10) {
-    if (!this.useRealData || !this.openWeatherApiKey || this.openWeatherApiKey === 'placeholder_openweather_key') {
-      console.log('📝 Using mock data - real API keys not configured');
-      return this.getMockAQIData(lat, lng);
+  async fetchRealTimeAQI(lat, lng, radius = 10, options = {}) {
+    if ((options.mode || this.fetchMode) === 'fusion') {
+      return this.fetchFusedAQI(lat, lng, radius);
     }
 
-    try {
-      // Try OpenWeatherMap first (primary source)
-      const owmData = await this.fetchFromOpenWeatherMap(lat, lng);
-      if (owmData) {
-        console.log('✅ Data fetched from OpenWeatherMap');
-        return owmData;
-      }
+    const result = await this.registry.execute('fetchCurrent', [lat, lng, radius], { lat, lng, radius });
+    return this.withProviderReport(result, 'AQI');
+  }
 
-      // Fallback to IQAir if OpenWeatherMap fails
-      if (this.iqAirApiKey && this.iqAirApiKey !== 'placeholder_iqair_key') {
-        const iqAirData = await this.fetchFromIQAir(lat, lng);
-        if (iqAirData) {
-          console.log('✅ Data fetched from IQAir (fallback)');
-          return iqAirData;
-        }
-      }
+  /**
+   * Query all providers at the same time and build a consensus reading.
+   * Each pollutant is the weighted median of the sources, weighted by provider
+   * reliability and distance; sources[] keeps every provider's raw values.
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Search radius in km
+   * @returns {Promise<object>} Fused AQI data with sources[] and a providerReport
+   */
+  async fetchFusedAQI(lat, lng, radius = 10) {
+    const { results, attempts } = await this.registry.executeAll('fetchCurrent', [lat, lng, radius], { lat, lng, radius });
+
+    if (results.length === 0) {
+      return this.withProviderReport({ data: null, provider: null, attempts }, 'AQI');
+    }
 
-      // Final fallback to mock data
-      console.log('⚠️ All APIs failed, using mock data');
-      return this.getMockAQIData(lat, lng, true);
+    const sources = describeSources(results, lat, lng).sort((a, b) => b.weight - a.weight);
+    const providerReport = { used: sources.map(source => source.provider), attempts };
 
-    } catch (error) {
-      console.error('❌ Error fetching real AQI data:', error.message);
-      return this.getMockAQIData(lat, lng, true);
+    if (sources.length === 1) {
+      const single = results.find(result => result.provider === sources[0].provider).data;
+      return {
+        ...single,
+        sources,
+        fusion: { method: 'single_source', agreement: summarizeAgreement(sources, single.aqi.value) },
+        providerReport
+      };
+    }
+
+    const pollutants = fusePollutants(sources);
+    const available = value => (value === null ? undefined : value);
+    const hasIndexPollutants = INDEX_POLLUTANTS.some(pollutant => pollutants[pollutant] !== null);
+
+    const aqi = hasIndexPollutants
+      ? this.convertToIndianAQI(
+        available(pollutants.pm25),
+        available(pollutants.pm10),
+        available(pollutants.no2),
+        available(pollutants.so2),
+        available(pollutants.co),
+        available(pollutants.o3),
+        available(pollutants.nh3),
+        available(pollutants.pb)
+      )
+      : Math.round(weightedMedian(sources.map(source => ({ value: source.aqi, weight: source.weight }))));
+
+    const lastUpdated = sources
+      .map(source => source.lastUpdated)
+      .sort()
+      .pop();
+
+    console.log(`✅ AQI data fused from ${sources.length} providers`);
+
+    return {
+      // The highest-weighted source anchors the reading to a real location
+      location: { ...results.find(result => result.provider === sources[0].provider).data.location },
+      aqi: {
+        value: aqi,
+        category: this.getAQICategory(aqi),
+        lastUpdated
+      },
+      pollutants,
+      sources,
+      fusion: {
+        method: 'weighted_median',
+        weighting: 'reliability × distance',
+        agreement: summarizeAgreement(sources, aqi)
+      },
+      source: 'Fused',
+      isRealData: results.some(result => result.data.isRealData),
+      providerReport
+    };
+  }
+
+  /**
+   * Attach the provider report to a registry result, or throw if nobody answered
+   * @param {object} result - Registry result { data, provider, attempts }
+   * @param {string} kind - What was requested, for logs and errors
+   * @returns {object} Provider data with providerReport
+   */
+  withProviderReport(result, kind) {
+    const providerReport = {
+      used: result.provider,
+      attempts: result.attempts
+    };
+
+    if (!result.data) {
+      console.error(`❌ No provider returned ${kind} data`);
+      const error = new Error(`No data provider returned ${kind} data`);
+      error.providerReport = providerReport;
+      throw error;
     }
+
+    console.log(`✅ ${kind} data fetched from ${result.provider}`);
+    return { ...result.data, providerReport };
   }
 
   /**
    * Fetch data from OpenWeatherMap Air Pollution API
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
-   * @returns {Promise<object|null>} Formatted AQI data
+   * @returns {Promise<object>} Formatted AQI data
+   * @throws {Error} Upstream errors, classified by the provider registry
    */
   async fetchFromOpenWeatherMap(lat, lng) {
     try {
@@ -69,7 +211,7 @@ class RealAQIService {
           lon: lng,
           appid: this.openWeatherApiKey
         },
-        timeout: 10000 // 10 second timeout
+        timeout: this.requestTimeoutMs
       });
 
       const data = response.data;
@@ -82,7 +224,7 @@ class RealAQIService {
 
     } catch (error) {
       console.error('OpenWeatherMap API error:', error.response?.data || error.message);
-      return null;
+      throw error;
     }
   }
 
@@ -90,7 +232,7 @@ class RealAQIService {
    * Fetch data from IQAir API
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
-   * @returns {Promise<object|null>} Formatted AQI data
+   * @returns {Promise<object>} Formatted AQI data
    */
   async fetchFromIQAir(lat, lng) {
     try {
@@ -101,7 +243,7 @@ class RealAQIService {
           lon: lng,
           key: this.iqAirApiKey
         },
-        timeout: 10000
+        timeout: this.requestTimeoutMs
       });
 
       const data = response.data;
@@ -113,8 +255,137 @@ class RealAQIService {
 
     } catch (error) {
       console.error('IQAir API error:', error.response?.data || error.message);
-      return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch measured station data from OpenAQ (v3)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Search radius in km (OpenAQ allows up to 25 km)
+   * @returns {Promise<object>} Formatted AQI data
+   */
+  async fetchFromOpenAQ(lat, lng, radius = 10) {
+    try {
+      const headers = { 'X-API-Key': this.openAqApiKey };
+
+      const locationsResponse = await axios.get(`${this.openAqBaseUrl}/locations`, {
+        params: {
+          coordinates: `${lat},${lng}`,
+          radius: Math.round(Math.min(radius, 25) * 1000),
+          limit: 20
+        },
+        headers,
+        timeout: this.requestTimeoutMs
+      });
+
+      const station = this.selectOpenAQStation(locationsResponse.data.results || [], lat, lng);
+      if (!station) {
+        throw new ProviderNoDataError('openaq', `No recently reporting OpenAQ station within ${radius} km`);
+      }
+
+      const latestResponse = await axios.get(`${this.openAqBaseUrl}/locations/${station.id}/latest`, {
+        headers,
+        timeout: this.requestTimeoutMs
+      });
+
+      const latest = latestResponse.data.results || [];
+      if (latest.length === 0) {
+        throw new Error('No latest measurements returned from OpenAQ');
+      }
+
+      return this.formatOpenAQResponse(station, latest);
+
+    } catch (error) {
+      console.error('OpenAQ API error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the nearest OpenAQ location that has reported recently
+   * @param {array} locations - OpenAQ /locations results
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {object|null} OpenAQ location
+   */
+  selectOpenAQStation(locations, lat, lng) {
+    const cutoff = Date.now() - this.openAqMaxAgeHours * 60 * 60 * 1000;
+
+    return locations
+      .filter(location => location.coordinates && location.datetimeLast?.utc)
+      .filter(location => new Date(location.datetimeLast.utc).getTime() >= cutoff)
+      .map(location => ({
+        ...location,
+        distance: this.calculateDistance(lat, lng, location.coordinates.latitude, location.coordinates.longitude)
+      }))
+      .sort((a, b) => a.distance - b.distance)[0] || null;
+  }
+
+  /**
+   * Format OpenAQ location + latest measurements
+   * @param {object} station - OpenAQ location (with sensors)
+   * @param {array} latest - OpenAQ /locations/{id}/latest results
+   * @returns {object} Formatted AQI data
+   */
+  formatOpenAQResponse(station, latest) {
+    // Latest results only carry sensor ids; the location lists what each sensor measures
+    const sensors = new Map((station.sensors || []).map(sensor => [sensor.id, sensor.parameter]));
+    const measured = {};
+    const units = {};
+    let lastUpdated = null;
+
+    for (const measurement of latest) {
+      const parameter = sensors.get(measurement.sensorsId);
+      if (!parameter || !INDEX_POLLUTANTS.includes(parameter.name) || measurement.value === null || measurement.value < 0) {
+        continue;
+      }
+
+      measured[parameter.name] = measurement.value;
+      units[parameter.name] = parameter.units;
+
+      const measuredAt = measurement.datetime?.utc;
+      if (measuredAt && (!lastUpdated || measuredAt > lastUpdated)) {
+        lastUpdated = measuredAt;
+      }
     }
+
+    const pollutants = this.toCanonicalUnits('openaq', measured, { units });
+    const indianAQI = calculateIndianAQI(pollutants);
+
+    return {
+      location: {
+        name: station.name || station.locality || `OpenAQ ${station.id}`,
+        latitude: station.coordinates.latitude,
+        longitude: station.coordinates.longitude,
+        city: station.locality,
+        country: station.country?.name,
+        stationCode: `OPENAQ_${station.id}`,
+        stationType: 'OpenAQ'
+      },
+      aqi: {
+        value: indianAQI,
+        category: this.getAQICategory(indianAQI),
+        lastUpdated: lastUpdated || station.datetimeLast.utc
+      },
+      pollutants,
+      source: 'OpenAQ',
+      isRealData: true
+    };
+  }
+
+  /**
+   * Convert a provider's pollutant values to canonical units (µg/m³, mg/m³
+   * for CO), using the units the provider adapter declares
+   * @param {string} providerName - Provider that reported the values
+   * @param {object} pollutants - Values keyed by pollutant, in the provider's units
+   * @param {object} options - { units: per-reading unit overrides, temperature (°C), pressure (hPa) }
+   * @returns {object} Canonical concentrations
+   */
+  toCanonicalUnits(providerName, pollutants, options = {}) {
+    const declared = this.registry.get(providerName)?.units || {};
+    return normalizePollutants(pollutants, { ...declared, ...options.units }, options);
   }
 
   /**
@@ -125,10 +396,8 @@ class RealAQIService {
    * @returns {object} Formatted AQI data
    */
   formatOpenWeatherMapResponse(pollution, lat, lng) {
-    const components = pollution.components;
-    
-    // Convert OpenWeatherMap AQI (1-5) to Indian AQI (0-500)
-    const indianAQI = this.convertToIndianAQI(components.pm2_5, components.pm10, components.no2, components.so2, components.co, components.o3);
+    const pollutants = this.toCanonicalUnits('openweathermap', this.mapOpenWeatherMapComponents(pollution.components));
+    const indianAQI = calculateIndianAQI(pollutants);
     
     // Get city name from coordinates (approximate)
     const cityInfo = this.getCityFromCoordinates(lat, lng);
@@ -138,6 +407,7 @@ class RealAQIService {
         name: cityInfo.name,
         latitude: lat,
         longitude: lng,
+        district: cityInfo.district,
         state: cityInfo.state,
         stationType: 'OpenWeatherMap'
       },
@@ -146,20 +416,29 @@ class RealAQIService {
         category: this.getAQICategory(indianAQI),
         lastUpdated: new Date(pollution.dt * 1000).toISOString()
       },
-      pollutants: {
-        pm25: Math.round(components.pm2_5 * 10) / 10,
-        pm10: Math.round(components.pm10 * 10) / 10,
-        no2: Math.round(components.no2 * 10) / 10,
-        so2: Math.round(components.so2 * 10) / 10,
-        co: Math.round(components.co / 1000 * 100) / 100, // Convert to mg/m³
-        o3: Math.round(components.o3 * 10) / 10,
-        nh3: Math.round(components.nh3 * 10) / 10
-      },
+      pollutants,
       source: 'OpenWeatherMap',
       isRealData: true
     };
   }
 
+  /**
+   * Map OpenWeatherMap air pollution components onto pollutant keys
+   * @param {object} components - OpenWeatherMap components (all µg/m³)
+   * @returns {object} Values keyed by pollutant
+   */
+  mapOpenWeatherMapComponents(components) {
+    return {
+      pm25: components.pm2_5,
+      pm10: components.pm10,
+      no2: components.no2,
+      so2: components.so2,
+      co: components.co,
+      o3: components.o3,
+      nh3: components.nh3
+    };
+  }
+
   /**
    * Format IQAir API response
    * @param {object} data - IQAir data
@@ -173,13 +452,16 @@ class RealAQIService {
     
     // IQAir uses US AQI, convert to Indian AQI
     const usAQI = pollution.aqius;
-    const indianAQI = this.convertUSAQIToIndian(usAQI);
+    const indianAQI = this.convertUSAQIToIndian(usAQI, pollution.mainus);
+
+    // IQAir returns the matched city as GeoJSON [lng, lat]
+    const [cityLng, cityLat] = data.location?.coordinates || [lng, lat];
 
     return {
       location: {
         name: data.city,
-        latitude: lat,
-        longitude: lng,
+        latitude: cityLat,
+        longitude: cityLng,
         state: data.state,
         country: data.country,
         stationType: 'IQAir'
@@ -189,20 +471,17 @@ class RealAQIService {
         category: this.getAQICategory(indianAQI),
         lastUpdated: pollution.ts
       },
-      pollutants: {
-        pm25: pollution.p2?.v || 0,
-        pm10: pollution.p1?.v || 0,
-        // IQAir may not provide all pollutants in free tier
-        no2: null,
-        so2: null,
-        co: null,
-        o3: null
-      },
+      // IQAir may not provide all pollutants in free tier
+      pollutants: this.toCanonicalUnits('iqair', {
+        pm25: pollution.p2?.v,
+        pm10: pollution.p1?.v
+      }, { temperature: weather.tp, pressure: weather.pr }),
       weather: {
         temperature: weather.tp,
         humidity: weather.hu,
         pressure: weather.pr,
-        windSpeed: weather.ws
+        windSpeed: weather.ws,
+        windDirection: weather.wd
       },
       source: 'IQAir',
       isRealData: true
@@ -215,133 +494,65 @@ class RealAQIService {
    * @param {number} pm10 - PM10 concentration (μg/m³)
    * @param {number} no2 - NO2 concentration (μg/m³)
    * @param {number} so2 - SO2 concentration (μg/m³)
-   * @param {number} co - CO concentration (μg/m³)
+   * @param {number} co - CO concentration (mg/m³)
    * @param {number} o3 - O3 concentration (μg/m³)
+   * @param {number} nh3 - NH3 concentration (μg/m³)
+   * @param {number} pb - Pb concentration (μg/m³)
    * @returns {number} Indian AQI value
    */
-  convertToIndianAQI(pm25, pm10, no2, so2, co, o3) {
-    // Indian AQI calculation based on the highest sub-index
-    const aqiValues = [];
-
-    // PM2.5 Sub-Index
-    if (pm25 !== undefined) {
-      aqiValues.push(this.calculateSubIndex(pm25, [
-        { cLow: 0, cHigh: 30, iLow: 0, iHigh: 50 },
-        { cLow: 30, cHigh: 60, iLow: 51, iHigh: 100 },
-        { cLow: 60, cHigh: 90, iLow: 101, iHigh: 200 },
-        { cLow: 90, cHigh: 120, iLow: 201, iHigh: 300 },
-        { cLow: 120, cHigh: 250, iLow: 301, iHigh: 400 },
-        { cLow: 250, cHigh: 500, iLow: 401, iHigh: 500 }
-      ]));
-    }
-
-    // PM10 Sub-Index
-    if (pm10 !== undefined) {
-      aqiValues.push(this.calculateSubIndex(pm10, [
-        { cLow: 0, cHigh: 50, iLow: 0, iHigh: 50 },
-        { cLow: 50, cHigh: 100, iLow: 51, iHigh: 100 },
-        { cLow: 100, cHigh: 250, iLow: 101, iHigh: 200 },
-        { cLow: 250, cHigh: 350, iLow: 201, iHigh: 300 },
-        { cLow: 350, cHigh: 430, iLow: 301, iHigh: 400 },
-        { cLow: 430, cHigh: 500, iLow: 401, iHigh: 500 }
-      ]));
-    }
-
-    // NO2 Sub-Index (μg/m³)
-    if (no2 !== undefined) {
-      aqiValues.push(this.calculateSubIndex(no2, [
-        { cLow: 0, cHigh: 40, iLow: 0, iHigh: 50 },
-        { cLow: 40, cHigh: 80, iLow: 51, iHigh: 100 },
-        { cLow: 80, cHigh: 180, iLow: 101, iHigh: 200 },
-        { cLow: 180, cHigh: 280, iLow: 201, iHigh: 300 },
-        { cLow: 280, cHigh: 400, iLow: 301, iHigh: 400 },
-        { cLow: 400, cHigh: 500, iLow: 401, iHigh: 500 }
-      ]));
-    }
-
-    // Return the maximum AQI (most restrictive)
-    return Math.round(Math.max(...aqiValues, 1));
+  convertToIndianAQI(pm25, pm10, no2, so2, co, o3, nh3, pb) {
+    return calculateIndianAQI({ pm25, pm10, no2, so2, co, o3, nh3, pb });
   }
 
   /**
-   * Calculate sub-index for a pollutant
-   * @param {number} concentration - Pollutant concentration
-   * @param {array} breakpoints - AQI breakpoints array
-   * @returns {number} Sub-index value
-   */
-  calculateSubIndex(concentration, breakpoints) {
-    for (const bp of breakpoints) {
-      if (concentration >= bp.cLow && concentration <= bp.cHigh) {
-        return ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (concentration - bp.cLow) + bp.iLow;
-      }
-    }
-    
-    // If concentration exceeds all breakpoints, return maximum AQI
-    return 500;
-  }
-
-  /**
-   * Convert US AQI to Indian AQI (approximate)
+   * Convert a US AQI to the Indian AQI. The US AQI is turned back into the
+   * concentration of its main pollutant with the EPA breakpoints, which is
+   * then indexed with the NAQI breakpoints.
    * @param {number} usAQI - US AQI value
-   * @returns {number} Approximate Indian AQI
+   * @param {string} mainPollutant - IQAir main pollutant code (p2, p1, o3, n2, s2, co)
+   * @returns {number} Indian AQI
    */
-  convertUSAQIToIndian(usAQI) {
-    // Approximate conversion (not exact due to different standards)
-    if (usAQI <= 50) return usAQI; // Good range similar
-    if (usAQI <= 100) return usAQI; // Moderate range similar
-    if (usAQI <= 150) return Math.round(usAQI * 1.33); // Scale up for Indian standards
-    if (usAQI <= 200) return Math.round(usAQI * 1.5);
-    if (usAQI <= 300) return Math.round(usAQI * 1.33);
-    return Math.min(usAQI, 500);
+  convertUSAQIToIndian(usAQI, mainPollutant = 'p2') {
+    const pollutant = IQAIR_POLLUTANTS[mainPollutant] || 'pm25';
+    const concentration = epaSubIndexToConcentration(pollutant, usAQI);
+    return calculateIndianAQI({ [pollutant]: concentration });
   }
 
   /**
-   * Get approximate city from coordinates
+   * Get the nearest named place from the gazetteer
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
-   * @returns {object} City information
+   * @returns {object} { name, district, state, lat, lng } of the place
    */
   getCityFromCoordinates(lat, lng) {
-    // Major Indian cities with coordinates
-    const cities = [
-      { name: 'New Delhi', lat: 28.6139, lng: 77.2090, state: 'Delhi' },
-      { name: 'Mumbai', lat: 19.0760, lng: 72.8777, state: 'Maharashtra' },
-      { name: 'Bangalore', lat: 12.9716, lng: 77.5946, state: 'Karnataka' },
-      { name: 'Chennai', lat: 13.0827, lng: 80.2707, state: 'Tamil Nadu' },
-      { name: 'Kolkata', lat: 22.5726, lng: 88.3639, state: 'West Bengal' },
-      { name: 'Hyderabad', lat: 17.3850, lng: 78.4867, state: 'Telangana' },
-      { name: 'Pune', lat: 18.5204, lng: 73.8567, state: 'Maharashtra' },
-      { name: 'Ahmedabad', lat: 23.0225, lng: 72.5714, state: 'Gujarat' },
-      { name: 'Jaipur', lat: 26.9124, lng: 75.7873, state: 'Rajasthan' },
-      { name: 'Surat', lat: 21.1702, lng: 72.8311, state: 'Gujarat' }
-    ];
-
-    let closestCity = cities[0];
-    let minDistance = this.calculateDistance(lat, lng, cities[0].lat, cities[0].lng);
-
-    for (const city of cities) {
-      const distance = this.calculateDistance(lat, lng, city.lat, city.lng);
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestCity = city;
-      }
+    const place = reverseGeocode(lat, lng);
+    if (!place) {
+      return { name: 'Unknown Location', district: null, state: null, lat, lng };
     }
 
-    return closestCity;
+    return { name: place.name, district: place.district, state: place.state, lat: place.latitude, lng: place.longitude };
   }
 
   /**
-   * Get forecast data from OpenWeatherMap
+   * Get forecast data from the registered providers
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
    * @param {number} hours - Hours ahead (max 96)
-   * @returns {Promise<object>} Forecast data
+   * @returns {Promise<object>} Forecast data with a providerReport of the attempts
    */
   async fetchForecastData(lat, lng, hours = 24) {
-    if (!this.useRealData || !this.openWeatherApiKey) {
-      return this.getMockForecastData(lat, lng, hours);
-    }
+    const result = await this.registry.execute('fetchForecast', [lat, lng, hours], { lat, lng, hours });
+    return this.withProviderReport(result, 'forecast');
+  }
 
+  /**
+   * Get forecast data from OpenWeatherMap
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} hours - Hours ahead (max 96)
+   * @returns {Promise<object>} Forecast data
+   */
+  async fetchForecastFromOpenWeatherMap(lat, lng, hours = 24) {
     try {
       const url = `${this.openWeatherBaseUrl}/air_pollution/forecast`;
       const response = await axios.get(url, {
@@ -350,7 +561,7 @@ class RealAQIService {
           lon: lng,
           appid: this.openWeatherApiKey
         },
-        timeout: 10000
+        timeout: this.requestTimeoutMs
       });
 
       const data = response.data;
@@ -361,14 +572,8 @@ class RealAQIService {
       // Process forecast data (limit to requested hours)
       const maxEntries = Math.min(hours, data.list.length);
       const forecasts = data.list.slice(0, maxEntries).map((item, index) => {
-        const indianAQI = this.convertToIndianAQI(
-          item.components.pm2_5,
-          item.components.pm10,
-          item.components.no2,
-          item.components.so2,
-          item.components.co,
-          item.components.o3
-        );
+        const pollutants = this.toCanonicalUnits('openweathermap', this.mapOpenWeatherMapComponents(item.components));
+        const indianAQI = calculateIndianAQI(pollutants);
 
         return {
           timestamp: new Date(item.dt * 1000).toISOString(),
@@ -376,14 +581,7 @@ class RealAQIService {
           predictedAqi: indianAQI,
           confidence: 0.85, // OpenWeatherMap has good accuracy
           category: this.getAQICategory(indianAQI),
-          pollutants: {
-            pm25: Math.round(item.components.pm2_5 * 10) / 10,
-            pm10: Math.round(item.components.pm10 * 10) / 10,
-            no2: Math.round(item.components.no2 * 10) / 10,
-            so2: Math.round(item.components.so2 * 10) / 10,
-            co: Math.round(item.components.co / 1000 * 100) / 100,
-            o3: Math.round(item.components.o3 * 10) / 10
-          }
+          pollutants
         };
       });
 
@@ -398,7 +596,7 @@ class RealAQIService {
 
     } catch (error) {
       console.error('Forecast API error:', error.message);
-      return this.getMockForecastData(lat, lng, hours);
+      throw error;
     }
   }
 
@@ -451,6 +649,7 @@ class RealAQIService {
         name: cityData.name,
         latitude: lat,
         longitude: lng,
+        district: cityData.district,
         state: cityData.state,
         stationType: isError ? 'Mock-Fallback' : 'Mock-Development'
       },
@@ -473,29 +672,8 @@ class RealAQIService {
   }
 
   getCityMockData(lat, lng) {
-    const cities = [
-      { name: 'New Delhi', lat: 28.6139, lng: 77.2090, state: 'Delhi', baseAQI: 180 },
-      { name: 'Mumbai', lat: 19.0760, lng: 72.8777, state: 'Maharashtra', baseAQI: 120 },
-      { name: 'Bangalore', lat: 12.9716, lng: 77.5946, state: 'Karnataka', baseAQI: 100 },
-      { name: 'Chennai', lat: 13.0827, lng: 80.2707, state: 'Tamil Nadu', baseAQI: 110 },
-      { name: 'Kolkata', lat: 22.5726, lng: 88.3639, state: 'West Bengal', baseAQI: 150 },
-      { name: 'Hyderabad', lat: 17.3850, lng: 78.4867, state: 'Telangana', baseAQI: 130 },
-      { name: 'Pune', lat: 18.5204, lng: 73.8567, state: 'Maharashtra', baseAQI: 115 },
-      { name: 'Ahmedabad', lat: 23.0225, lng: 72.5714, state: 'Gujarat', baseAQI: 125 }
-    ];
-
-    let closestCity = cities[0];
-    let minDistance = this.calculateDistance(lat, lng, cities[0].lat, cities[0].lng);
-
-    for (const city of cities) {
-      const distance = this.calculateDistance(lat, lng, city.lat, city.lng);
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestCity = city;
-      }
-    }
-
-    return closestCity;
+    const city = this.getCityFromCoordinates(lat, lng);
+    return { ...city, baseAQI: MOCK_BASE_AQI[city.state] || MOCK_BASE_AQI.default };
   }
 
   calculateDistance(lat1, lng1, lat2, lng2) {
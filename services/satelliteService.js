@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('./databaseService');
+const { readAODGranule, describeGranule } = require('../utils/aodRaster');
+const { getCalibrationConfig, usablePairs, fitCalibration, estimatePM25, getDefaultCalibration } = require('../utils/aodCalibration');
+
+const GRANULE_EXTENSIONS = ['.h5', '.hdf5', '.he5', '.nc', '.nc4', '.tif', '.tiff'];
+
+// Rough bounding box of India (minLng, minLat, maxLng, maxLat)
+const DEFAULT_GRID_BBOX = [68.0, 6.5, 97.5, 37.5];
+
+class SatelliteService {
+  constructor() {
+    this.dbService = new DatabaseService();
+
+    this.dataDir = process.env.SATELLITE_DATA_DIR || null;
+    this.gridBbox = this.parseBbox(process.env.SATELLITE_GRID_BBOX) || DEFAULT_GRID_BBOX;
+    this.gridResolution = parseFloat(process.env.SATELLITE_GRID_RESOLUTION) || 0.25;
+    // Furthest a pixel centre may be from a location/grid point (swath products)
+    this.maxPixelDistanceKm = parseFloat(process.env.SATELLITE_MAX_PIXEL_DISTANCE_KM) || 10;
+    this.autoCalibrate = process.env.SATELLITE_AUTO_CALIBRATE !== 'false';
+
+    this.watcher = null;
+    this.queue = [];
+    this.processing = false;
+    this.debounceTimers = new Map();
+  }
+
+  /**
+   * Watch the data directory and ingest granules as they arrive
+   * @returns {boolean} Whether the watcher was started
+   */
+  start() {
+    if (this.watcher) return true;
+
+    if (!this.dataDir || !fs.existsSync(this.dataDir)) {
+      console.error(`❌ SATELLITE_DATA_DIR "${this.dataDir}" does not exist, satellite watcher not started`);
+      return false;
+    }
+
+    // Pick up anything dropped in while the server was down
+    this.scanDirectory().catch(error => console.error('❌ Satellite directory scan failed:', error.message));
+
+    this.watcher = fs.watch(this.dataDir, (eventType, fileName) => {
+      if (fileName && this.isGranuleFile(fileName)) {
+        this.scheduleFile(path.join(this.dataDir, fileName));
+      }
+    });
+
+    console.log(`🛰️ Watching ${this.dataDir} for AOD granules`);
+    return true;
+  }
+
+  /**
+   * Stop watching the data directory
+   */
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.debounceTimers.forEach(timer => clearTimeout(timer));
+    this.debounceTimers.clear();
+  }
+
+  /**
+   * Queue every granule in the data directory
+   * @returns {Promise<array>} Results of the files processed
+   */
+  async scanDirectory() {
+    const files = fs.readdirSync(this.dataDir)
+      .filter(fileName => this.isGranuleFile(fileName))
+      .sort()
+      .map(fileName => path.join(this.dataDir, fileName));
+
+    return this.processFiles(files);
+  }
+
+  /**
+   * Wait until a file has stopped changing (still being copied) before queueing it
+   * @param {string} filePath - Granule path
+   */
+  scheduleFile(filePath) {
+    clearTimeout(this.debounceTimers.get(filePath));
+    this.debounceTimers.set(filePath, setTimeout(() => {
+      this.debounceTimers.delete(filePath);
+      if (fs.existsSync(filePath)) {
+        this.processFiles([filePath]).catch(error => console.error('❌ Satellite ingestion failed:', error.message));
+      }
+    }, 5000));
+  }
+
+  /**
+   * Process granules one at a time, then refresh the calibration
+   * @param {array} filePaths - Granule paths
+   * @returns {Promise<array>} Per-file results
+   */
+  async processFiles(filePaths) {
+    this.queue.push(...filePaths.filter(filePath => !this.queue.includes(filePath)));
+    if (this.processing) return [];
+
+    this.processing = true;
+    const results = [];
+    try {
+      while (this.queue.length > 0) {
+        results.push(await this.ingestFile(this.queue.shift()));
+      }
+
+      if (this.autoCalibrate && results.some(result => result.status === 'processed')) {
+        await this.calibrate();
+      }
+    } finally {
+      this.processing = false;
+    }
+    return results;
+  }
+
+  /**
+   * Read one granule and store AOD + PM2.5 estimates at every location and grid point
+   * @param {string} filePath - Granule path
+   * @returns {Promise<object>} { file, status, locationsSampled, gridPointsSampled, error? }
+   */
+  async ingestFile(filePath) {
+    const stats = fs.statSync(filePath);
+    const file = {
+      fileName: path.basename(filePath),
+      fileSize: stats.size,
+      fileModifiedAt: stats.mtime
+    };
+
+    if (await this.dbService.findSatelliteGranule(file)) {
+      return { file: file.fileName, status: 'skipped' };
+    }
+
+    const description = describeGranule(file.fileName);
+    let granule = null;
+
+    try {
+      const { format, raster } = await readAODGranule(filePath);
+      granule = await this.dbService.createSatelliteGranule({
+        ...file,
+        format,
+        satellite: description.satellite,
+        product: description.product,
+        acquiredAt: description.acquiredAt || stats.mtime
+      });
+
+      const calibration = await this.getCalibration();
+      const locations = await this.dbService.getActiveLocations();
+      const observations = this.sampleGranule(raster, locations).map(sample => ({
+        ...sample,
+        granuleId: granule.id,
+        pm25Estimate: estimatePM25(calibration, sample.aod),
+        calibrationId: calibration.id,
+        timestamp: granule.acquiredAt
+      }));
+
+      await this.dbService.saveAODObservations(observations);
+
+      const result = {
+        status: 'processed',
+        locationsSampled: observations.filter(o => o.locationId).length,
+        gridPointsSampled: observations.filter(o => !o.locationId).length
+      };
+      await this.dbService.completeSatelliteGranule(granule.id, result);
+
+      console.log(`🛰️ ${file.fileName}: ${result.locationsSampled} locations, ${result.gridPointsSampled} grid points`);
+      return { file: file.fileName, ...result };
+    } catch (error) {
+      console.error(`❌ ${file.fileName}: ${error.message}`);
+
+      // Record unreadable files so they are not retried on every scan
+      const failure = { status: 'failed', error: error.message };
+      if (granule) {
+        await this.dbService.completeSatelliteGranule(granule.id, failure);
+      } else {
+        await this.dbService.createSatelliteGranule({
+          ...file,
+          format: 'unknown',
+          satellite: description.satellite,
+          product: description.product,
+          acquiredAt: description.acquiredAt || stats.mtime
+        }).then(record => this.dbService.completeSatelliteGranule(record.id, failure));
+      }
+      return { file: file.fileName, ...failure };
+    }
+  }
+
+  /**
+   * Sample AOD at each location and each grid point inside the granule
+   * @param {AODRaster} raster - Granule
+   * @param {array} locations - Location records
+   * @returns {array} [{ locationId, latitude, longitude, aod }]
+   */
+  sampleGranule(raster, locations) {
+    const bounds = raster.getBounds();
+    const maxDistanceDeg = this.maxPixelDistanceKm / 111;
+    const inBounds = (lat, lng) => lat >= bounds.minLat && lat <= bounds.maxLat &&
+      lng >= bounds.minLng && lng <= bounds.maxLng;
+    const samples = [];
+
+    locations.forEach(location => {
+      if (!inBounds(location.latitude, location.longitude)) return;
+      const aod = raster.sample(location.latitude, location.longitude, maxDistanceDeg);
+      if (aod !== null) {
+        samples.push({ locationId: location.id, latitude: location.latitude, longitude: location.longitude, aod });
+      }
+    });
+
+    const [minLng, minLat, maxLng, maxLat] = this.gridBbox;
+    const step = this.gridResolution;
+    for (let lat = minLat; lat <= maxLat + 1e-9; lat += step) {
+      for (let lng = minLng; lng <= maxLng + 1e-9; lng += step) {
+        const latitude = Math.round(lat * 1e4) / 1e4;
+        const longitude = Math.round(lng * 1e4) / 1e4;
+        if (!inBounds(latitude, longitude)) continue;
+
+        const aod = raster.sample(latitude, longitude, maxDistanceDeg);
+        if (aod !== null) {
+          samples.push({ locationId: null, latitude, longitude, aod });
+        }
+      }
+    }
+
+    return samples;
+  }
+
+  /**
+   * Fit a new AOD → PM2.5 calibration from co-located ground readings
+   * @returns {Promise<object>} Stored calibration, or { calibrated: false, reason }
+   */
+  async calibrate() {
+    const config = getCalibrationConfig();
+    // Only pairs the fit can use count towards the minimum
+    const pairs = usablePairs(await this.dbService.getAODCalibrationPairs(config.windowDays, config.maxTimeDiffMinutes));
+
+    if (pairs.length < config.minPairs) {
+      console.log(`🛰️ Calibration skipped: ${pairs.length} usable co-located readings (need ${config.minPairs})`);
+      return { calibrated: false, reason: `Only ${pairs.length} usable co-located readings (need ${config.minPairs})`, sampleSize: pairs.length };
+    }
+
+    const fit = fitCalibration(pairs, config.method, config.order);
+    const calibration = await this.dbService.saveAODCalibration({
+      ...fit,
+      windowDays: config.windowDays,
+      maxTimeDiffMinutes: config.maxTimeDiffMinutes
+    });
+
+    console.log(`🛰️ AOD calibration updated (${fit.method}, r² ${fit.r2}, n=${fit.sampleSize})`);
+    return { ...calibration, calibrated: true };
+  }
+
+  /**
+   * Calibration currently in use (the default model until one has been fitted)
+   * @returns {Promise<object>} Calibration
+   */
+  async getCalibration() {
+    const calibration = await this.dbService.getLatestAODCalibration();
+    return calibration ? { ...calibration, calibrated: true } : getDefaultCalibration();
+  }
+
+  isGranuleFile(fileName) {
+    return GRANULE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+  }
+
+  /**
+   * Parse "minLng,minLat,maxLng,maxLat"
+   * @param {string} value - Bounding box string
+   * @returns {array|null} Bounding box
+   */
+  parseBbox(value) {
+    if (!value) return null;
+    const parts = value.split(',').map(parseFloat);
+    return parts.length === 4 && parts.every(part => !isNaN(part)) ? parts : null;
+  }
+
+  /**
+   * Get watcher state for status reporting
+   * @returns {object} Watcher status
+   */
+  getStatus() {
+    return {
+      watching: Boolean(this.watcher),
+      dataDir: this.dataDir,
+      processing: this.processing,
+      queued: this.queue.length,
+      grid: { bbox: this.gridBbox, resolution: this.gridResolution }
+    };
+  }
+}
+
+module.exports = SatelliteService;
@@ -0,0 +1,227 @@
+const axios = require('axios');
+const ProviderRegistry = require('./providerRegistry');
+const OpenWeatherMapWeatherProvider = require('./providers/openWeatherMapWeatherProvider');
+const OpenMeteoProvider = require('./providers/openMeteoProvider');
+
+// Variables requested from Open-Meteo, in the order they map to our fields
+const OPEN_METEO_VARIABLES = {
+  temperature: 'temperature_2m',
+  humidity: 'relative_humidity_2m',
+  pressure: 'pressure_msl',
+  windSpeed: 'wind_speed_10m',
+  windDirection: 'wind_direction_10m',
+  precipitation: 'precipitation',
+  cloudCover: 'cloud_cover'
+};
+
+/**
+ * Meteorological data (temperature, humidity, pressure, wind, rain, cloud).
+ *
+ * Weather goes through its own provider registry so it gets the same retries,
+ * circuit breakers and quota budgets as the AQI sources. Overrides use the
+ * WEATHER_PROVIDER_<NAME>_* prefix. There is no mock fallback: when no
+ * provider answers, callers get null rather than invented weather.
+ *
+ * Every provider returns the same units: °C, %, hPa (sea level), m/s,
+ * degrees the wind blows from, mm over the last hour, % cloud cover.
+ */
+class WeatherService {
+  constructor() {
+    this.openWeatherApiKey = process.env.OPENWEATHER_API_KEY;
+    this.useRealData = process.env.USE_REAL_DATA === 'true';
+
+    // API endpoints
+    this.openWeatherBaseUrl = 'http://api.openweathermap.org/data/2.5';
+    this.openMeteoBaseUrl = 'https://api.open-meteo.com/v1';
+
+    this.requestTimeoutMs = parseInt(process.env.WEATHER_PROVIDER_TIMEOUT_MS) || 10000;
+
+    this.registry = new ProviderRegistry({ envPrefix: 'WEATHER_PROVIDER' });
+    this.registerProvider(new OpenWeatherMapWeatherProvider(this));
+    this.registerProvider(new OpenMeteoProvider(this));
+  }
+
+  /**
+   * Register an additional weather adapter
+   * @param {BaseProvider} provider - Provider adapter
+   * @returns {BaseProvider} Registered provider
+   */
+  registerProvider(provider) {
+    return this.registry.register(provider);
+  }
+
+  /**
+   * Check whether an API key is set and not a placeholder from .env.example
+   * @param {string} key - API key
+   * @returns {boolean} Whether the key can be used
+   */
+  isUsableKey(key) {
+    return Boolean(key) && !key.startsWith('placeholder_') && !key.startsWith('your_');
+  }
+
+  /**
+   * Fetch current weather from the registered providers
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<object|null>} Weather data with a providerReport, or null if no provider answered
+   */
+  async fetchCurrentWeather(lat, lng) {
+    const result = await this.registry.execute('fetchCurrent', [lat, lng], { lat, lng });
+    return this.withProviderReport(result, 'weather');
+  }
+
+  /**
+   * Attach the provider report to a registry result
+   * @param {object} result - Registry result { data, provider, attempts }
+   * @param {string} kind - What was requested, for logs
+   * @returns {object|null} Provider data with providerReport
+   */
+  withProviderReport(result, kind) {
+    if (!result.data) {
+      console.error(`❌ No provider returned ${kind} data`);
+      return null;
+    }
+
+    return {
+      ...result.data,
+      providerReport: { used: result.provider, attempts: result.attempts }
+    };
+  }
+
+  /**
+   * Fetch current weather from the OpenWeatherMap Current Weather API
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<object>} Formatted weather data
+   * @throws {Error} Upstream errors, classified by the provider registry
+   */
+  async fetchFromOpenWeatherMap(lat, lng) {
+    try {
+      const response = await axios.get(`${this.openWeatherBaseUrl}/weather`, {
+        params: { lat, lon: lng, units: 'metric', appid: this.openWeatherApiKey },
+        timeout: this.requestTimeoutMs
+      });
+
+      if (!response.data || !response.data.main) {
+        throw new Error('No weather returned from OpenWeatherMap');
+      }
+
+      return {
+        location: { latitude: lat, longitude: lng },
+        ...this.formatOpenWeatherMapEntry(response.data),
+        source: 'OpenWeatherMap',
+        isRealData: true
+      };
+
+    } catch (error) {
+      console.error('OpenWeatherMap weather API error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Format one OpenWeatherMap current weather entry
+   * @param {object} entry - OpenWeatherMap entry
+   * @returns {object} { weather, timestamp }
+   */
+  formatOpenWeatherMapEntry(entry) {
+    // Rain and snow are reported over the last hour, sometimes only over 3 hours
+    const rain = entry.rain?.['1h'] ?? (entry.rain?.['3h'] !== undefined ? entry.rain['3h'] / 3 : 0);
+    const snow = entry.snow?.['1h'] ?? (entry.snow?.['3h'] !== undefined ? entry.snow['3h'] / 3 : 0);
+
+    return {
+      weather: this.roundWeather({
+        temperature: entry.main.temp,
+        humidity: entry.main.humidity,
+        pressure: entry.main.sea_level ?? entry.main.pressure,
+        windSpeed: entry.wind?.speed,
+        windDirection: entry.wind?.deg,
+        precipitation: rain + snow,
+        cloudCover: entry.clouds?.all
+      }),
+      timestamp: new Date(entry.dt * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Fetch current weather from Open-Meteo
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<object>} Formatted weather data
+   */
+  async fetchFromOpenMeteo(lat, lng) {
+    try {
+      const response = await axios.get(`${this.openMeteoBaseUrl}/forecast`, {
+        params: this.buildOpenMeteoParams(lat, lng, { current: Object.values(OPEN_METEO_VARIABLES).join(',') }),
+        timeout: this.requestTimeoutMs
+      });
+
+      const current = response.data.current;
+      if (!current) {
+        throw new Error('No weather returned from Open-Meteo');
+      }
+
+      return {
+        location: { latitude: response.data.latitude, longitude: response.data.longitude },
+        weather: this.roundWeather(this.mapOpenMeteoValues(name => current[name])),
+        timestamp: new Date(current.time * 1000).toISOString(),
+        source: 'Open-Meteo',
+        isRealData: true
+      };
+
+    } catch (error) {
+      console.error('Open-Meteo API error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Common Open-Meteo query parameters (SI wind speed, UTC unix timestamps)
+   */
+  buildOpenMeteoParams(lat, lng, extra) {
+    return {
+      latitude: lat,
+      longitude: lng,
+      wind_speed_unit: 'ms',
+      timeformat: 'unixtime',
+      timezone: 'GMT',
+      ...extra
+    };
+  }
+
+  /**
+   * Map Open-Meteo variable values onto our weather fields
+   * @param {function} getValue - Returns the value of an Open-Meteo variable
+   * @returns {object} Weather fields
+   */
+  mapOpenMeteoValues(getValue) {
+    return Object.fromEntries(
+      Object.entries(OPEN_METEO_VARIABLES).map(([field, name]) => [field, getValue(name)])
+    );
+  }
+
+  /**
+   * Round weather values for storage (missing values become null)
+   * @param {object} weather - Raw weather fields
+   * @returns {object} Rounded weather fields
+   */
+  roundWeather(weather) {
+    const round = (value, digits = 1) => {
+      if (value === null || value === undefined || isNaN(value)) return null;
+      const factor = Math.pow(10, digits);
+      return Math.round(value * factor) / factor;
+    };
+
+    return {
+      temperature: round(weather.temperature),
+      humidity: round(weather.humidity, 0),
+      pressure: round(weather.pressure),
+      windSpeed: round(weather.windSpeed),
+      windDirection: round(weather.windDirection, 0),
+      precipitation: round(weather.precipitation, 2),
+      cloudCover: round(weather.cloudCover, 0)
+    };
+  }
+}
+
+module.exports = WeatherService;
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateEPASubIndex, epaSubIndexToConcentration, calculateCAQISubIndex, calculateNowCast } = require('../utils/aqiStandards');
+
+test('EPA truncates concentrations to the breakpoint precision', () => {
+  // 35.49 µg/m³ is 35.4 (the top of Moderate), not 35.5
+  assert.equal(calculateEPASubIndex('pm25', 35.49), 100);
+  assert.equal(calculateEPASubIndex('pm25', 35.5), 101);
+  assert.equal(calculateEPASubIndex('pm25', 9.09), 50);
+});
+
+test('EPA indexes CO in ppm', () => {
+  // 10 mg/m³ is 8.7 ppm after truncation
+  assert.equal(Math.round(calculateEPASubIndex('co', 10)), 93);
+});
+
+test('EPA sub-index is 500 beyond the table and null without a concentration', () => {
+  assert.equal(calculateEPASubIndex('pm25', 1000), 500);
+  assert.equal(calculateEPASubIndex('pm25', null), null);
+  assert.equal(calculateEPASubIndex('nh3', 10), null);
+});
+
+test('EPA sub-index converts back to its concentration', () => {
+  assert.equal(Math.round(epaSubIndexToConcentration('pm25', 100) * 10) / 10, 35.4);
+});
+
+test('NowCast weighs recent hours more when the air is changing', () => {
+  // Weight factor min/max = 0.2, raised to 0.5
+  const nowCast = calculateNowCast([50, 40, 30, 20, 10, null, null, null, null, null, null, null]);
+  assert.equal(Math.round(nowCast * 100) / 100, 41.61);
+  assert.equal(calculateNowCast([20, 20, 20]), 20);
+});
+
+test('NowCast needs 2 of the 3 most recent hours', () => {
+  assert.equal(calculateNowCast([20, null, null, 30, 30]), null);
+  assert.equal(calculateNowCast([0, 0, 0]), 0);
+});
+
+test('CAQI interpolates its grid and extends the last band', () => {
+  assert.equal(calculateCAQISubIndex('pm25', 15), 25);
+  assert.equal(Math.round(calculateCAQISubIndex('pm10', 300) * 10) / 10, 133.3);
+});
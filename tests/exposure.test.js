@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lineLength, sampleRoute } = require('../utils/exposure');
+
+// Degrees of longitude per kilometre along the equator
+const DEGREES_PER_KM = 180 / (Math.PI * 6371);
+
+/**
+ * Build a route along the equator
+ * @param {array} kms - Distance of each point from the start, in km
+ * @returns {array} [[lng, lat]]
+ */
+function equatorRoute(kms) {
+  return kms.map(km => [km * DEGREES_PER_KM, 0]);
+}
+
+test('steps cover the route end to end', () => {
+  const route = equatorRoute([0, 0.7, 2.45, 3.1]);
+  const steps = sampleRoute(route);
+
+  assert.equal(steps[0].fromKm, 0);
+  steps.slice(1).forEach((step, i) => assert.ok(Math.abs(step.fromKm - steps[i].toKm) < 1e-9));
+  assert.ok(Math.abs(steps[steps.length - 1].toKm - lineLength(route)) < 1e-9);
+});
+
+test('steps are at most the sample spacing and never cross a segment boundary', () => {
+  const steps = sampleRoute(equatorRoute([0, 0.7, 2.45, 3.1]));
+
+  steps.forEach(step => {
+    assert.ok(step.toKm - step.fromKm <= 0.2 + 1e-9);
+    assert.equal(Math.floor(step.fromKm + 1e-9), Math.ceil(step.toKm - 1e-9) - 1);
+  });
+});
+
+test('a boundary next to an even cut does not leave a sliver', () => {
+  // The 1 km boundary falls 0.25 m after the 5th even cut of the first edge
+  const steps = sampleRoute(equatorRoute([0, 1.9995]));
+
+  assert.ok(steps.every(step => step.toKm - step.fromKm >= 0.001));
+  assert.ok(steps.some(step => Math.abs(step.toKm - 1) < 1e-9));
+});
+
+test('repeated points are skipped', () => {
+  const steps = sampleRoute(equatorRoute([0, 0, 0.1, 0.1]));
+  assert.equal(steps.length, 1);
+});
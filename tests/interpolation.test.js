@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDistance } = require('../utils/helpers');
+const { IDW_NEIGHBOURS, indexStations, interpolateIDW, interpolateGrid } = require('../utils/interpolation');
+
+test('IDW finds stations across the antimeridian', () => {
+  const stations = [{ latitude: 0, longitude: 179.9, value: 40 }];
+
+  const { value, stationsUsed } = interpolateIDW(stations, 0, -179.9);
+  assert.equal(value, 40);
+  assert.equal(stationsUsed, 1);
+});
+
+test('IDW leaves points with no station within range empty', () => {
+  const stations = [{ latitude: 28.6, longitude: 77.2, value: 150 }];
+
+  assert.equal(interpolateIDW(stations, 19.1, 72.9).value, null);
+  assert.deepEqual(interpolateIDW(stations, 28.6, 77.2), { value: 150, uncertainty: 0, nearestStationKm: 0, stationsUsed: 1 });
+});
+
+test('IDW weighs only the nearest stations, nearest first', () => {
+  // A ring of stations around Delhi, 5 to 60 km out
+  const stations = Array.from({ length: 20 }, (_, i) => ({
+    latitude: 28.6 + (0.05 + i * 0.025) * Math.cos(i),
+    longitude: 77.2 + (0.05 + i * 0.025) * Math.sin(i),
+    value: 50 + i * 10
+  }));
+
+  const nearest = stations
+    .map(station => ({ ...station, distanceKm: calculateDistance(28.6, 77.2, station.latitude, station.longitude) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, IDW_NEIGHBOURS);
+  const weights = nearest.map(station => 1 / Math.pow(station.distanceKm, 2));
+  const expected = nearest.reduce((sum, station, i) => sum + weights[i] * station.value, 0) / weights.reduce((sum, weight) => sum + weight, 0);
+
+  const result = interpolateIDW(indexStations(stations), 28.6, 77.2);
+  assert.equal(result.stationsUsed, IDW_NEIGHBOURS);
+  assert.equal(result.value, Math.round(expected * 10) / 10);
+  assert.equal(result.nearestStationKm, Math.round(nearest[0].distanceKm * 10) / 10);
+});
+
+test('grid cells match single-point IDW at their centres', () => {
+  const stations = [
+    { latitude: 28.5, longitude: 77.1, value: 120 },
+    { latitude: 28.7, longitude: 77.3, value: 180 }
+  ];
+  const { rows, cols, cells } = interpolateGrid(stations, { west: 77, south: 28.4, east: 77.4, north: 28.8 }, 0.2);
+
+  assert.equal(rows * cols, cells.length);
+  cells.forEach(cell => {
+    const centre = interpolateIDW(stations, (cell.south + cell.north) / 2, (cell.west + cell.east) / 2);
+    assert.equal(cell.value, centre.value);
+  });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSubIndex, averageReadings, calculateNAQI, calculateNAQIFromReadings } = require('../utils/naqi');
+
+const AT = new Date(Date.UTC(2025, 6, 5, 12, 0));
+
+/**
+ * Build hourly readings ending at AT
+ * @param {number} hours - Number of hours
+ * @param {function} values - Hours before AT → pollutant concentrations
+ * @returns {array} Readings, newest first
+ */
+function hourlyReadings(hours, values) {
+  return Array.from({ length: hours }, (_, i) => ({
+    timestamp: new Date(AT.getTime() - i * 60 * 60 * 1000),
+    ...values(i)
+  }));
+}
+
+test('sub-index interpolates within the NAQI band', () => {
+  // PM2.5 31-60 µg/m³ → 51-100
+  assert.equal(calculateSubIndex('pm25', 45), 75.5);
+  assert.equal(calculateSubIndex('pm10', 100), 100);
+  assert.equal(calculateSubIndex('pm25', 1000), 500);
+  assert.equal(calculateSubIndex('pm25', -1), null);
+});
+
+test('24-hour mean averages each clock hour once', () => {
+  const readings = [
+    ...hourlyReadings(16, () => ({ pm25: 40 })),
+    // A second reading in the newest hour
+    { timestamp: new Date(AT.getTime() - 30 * 60 * 1000), pm25: 80 }
+  ];
+
+  const { pm25 } = averageReadings(readings, AT);
+  assert.equal(pm25.hours, 16);
+  assert.equal(pm25.statistic, 'mean');
+  // The newest hour's mean is (40 + 80) / 2 = 60
+  assert.equal(pm25.value, Math.round((15 * 40 + 60) / 16 * 10) / 10);
+});
+
+test('24-hour mean needs 16 hours with data', () => {
+  const { pm10 } = averageReadings(hourlyReadings(15, () => ({ pm10: 100 })), AT);
+  assert.equal(pm10.value, null);
+  assert.equal(pm10.requiredHours, 16);
+});
+
+test('CO and O3 use the highest hour of the last 8', () => {
+  const readings = hourlyReadings(10, i => ({ co: i === 9 ? 5 : 1 + i / 10, o3: 50 }));
+  const { co, o3 } = averageReadings(readings, AT);
+
+  // The 5 mg/m³ hour is outside the 8-hour window
+  assert.equal(co.value, 1.7);
+  assert.equal(co.statistic, 'max');
+  assert.equal(o3.value, 50);
+});
+
+test('NAQI needs three pollutants, one of them PM', () => {
+  assert.equal(calculateNAQI({ pm25: 45, no2: 40 }).valid, false);
+  assert.equal(calculateNAQI({ no2: 40, so2: 40, co: 1 }).reason, 'No valid PM2.5 or PM10 average');
+
+  const naqi = calculateNAQI({ pm25: 45, no2: 40, so2: 20 });
+  assert.equal(naqi.valid, true);
+  assert.equal(naqi.aqi, 76);
+  assert.equal(naqi.prominentPollutant.pollutant, 'pm25');
+});
+
+test('NAQI from readings reports why a pollutant was left out', () => {
+  const readings = hourlyReadings(24, i => ({ pm25: 45, pm10: 80, no2: 40, ...(i < 4 && { so2: 20 }) }));
+  const naqi = calculateNAQIFromReadings(readings, AT);
+
+  assert.equal(naqi.valid, true);
+  assert.deepEqual(naqi.pollutantsUsed.sort(), ['no2', 'pm10', 'pm25']);
+  assert.equal(naqi.averages.so2.value, null);
+  assert.equal(naqi.window.to, AT.toISOString());
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProviderRegistry = require('../services/providerRegistry');
+const BaseProvider = require('../services/providers/baseProvider');
+
+/**
+ * Build a provider whose fetchCurrent answers from a function
+ * @param {string} name - Provider name
+ * @param {object} options - BaseProvider options
+ * @param {Function} fetchCurrent - Returns the provider's data (null for none)
+ * @returns {BaseProvider} Provider
+ */
+function stubProvider(name, options, fetchCurrent) {
+  const provider = new BaseProvider(name, { retries: 0, ...options });
+  provider.fetchCurrent = async () => fetchCurrent();
+  return provider;
+}
+
+/**
+ * Put a provider's breaker in the state it has once its cooldown is over
+ * @param {BaseProvider} provider - Provider
+ */
+function coolDown(provider) {
+  provider.breaker.state = 'open';
+  provider.breaker.openedAt = Date.now() - provider.breaker.cooldownMs;
+}
+
+test('executeAll does not reserve the breaker trial of a fallback it does not need', async () => {
+  const registry = new ProviderRegistry();
+  let primaryAnswers = true;
+  registry.register(stubProvider('primary', { priority: 1 }, () => (primaryAnswers ? { aqi: 50 } : null)));
+  const fallback = registry.register(stubProvider('fallback', { priority: 2, fallbackOnly: true }, () => ({ aqi: 60 })));
+  coolDown(fallback);
+
+  const first = await registry.executeAll('fetchCurrent');
+  assert.deepEqual(first.results.map(result => result.provider), ['primary']);
+  assert.equal(first.attempts.find(attempt => attempt.provider === 'fallback').reason, 'fallback_not_needed');
+
+  primaryAnswers = false;
+  const second = await registry.executeAll('fetchCurrent');
+  assert.deepEqual(second.results.map(result => result.provider), ['fallback']);
+  assert.equal(fallback.breaker.state, 'closed');
+});
+
+test('executeAll leaves fallbacks after the one that answers untouched', async () => {
+  const registry = new ProviderRegistry();
+  registry.register(stubProvider('first', { priority: 1, fallbackOnly: true }, () => ({ aqi: 50 })));
+  const second = registry.register(stubProvider('second', { priority: 2, fallbackOnly: true }, () => ({ aqi: 60 })));
+  coolDown(second);
+
+  const { results } = await registry.executeAll('fetchCurrent');
+  assert.deepEqual(results.map(result => result.provider), ['first']);
+  assert.equal(second.breaker.trialInFlight, false);
+  assert.equal(second.breaker.canRequest(), true);
+});
+
+test('execute skips a provider whose circuit is open', async () => {
+  const registry = new ProviderRegistry();
+  const broken = registry.register(stubProvider('broken', { priority: 1 }, () => ({ aqi: 50 })));
+  registry.register(stubProvider('backup', { priority: 2 }, () => ({ aqi: 60 })));
+  broken.breaker.state = 'open';
+  broken.breaker.openedAt = Date.now();
+
+  const { provider, attempts } = await registry.execute('fetchCurrent');
+  assert.equal(provider, 'backup');
+  assert.equal(attempts[0].reason, 'circuit_open');
+});
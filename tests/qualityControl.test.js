@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QC_STATUS, parseQCMode, checkReading, checkSeries, summarizeFlags } = require('../utils/qualityControl');
+
+const START = Date.UTC(2025, 6, 5, 0, 0);
+
+/**
+ * Build a reading some hours after START
+ * @param {number} hours - Hours after START
+ * @param {object} values - Pollutant concentrations
+ * @returns {object} Reading
+ */
+function readingAt(hours, values) {
+  return { timestamp: new Date(START + hours * 60 * 60 * 1000), ...values };
+}
+
+test('a plausible reading passes', () => {
+  assert.deepEqual(checkReading(readingAt(0, { pm25: 40, pm10: 90, co: 1.2 })), { status: QC_STATUS.PASSED, flags: [] });
+});
+
+test('range check flags negative and implausibly high values', () => {
+  const { status, flags } = checkReading(readingAt(0, { pm25: -1, pm10: 3500, co: 1 }));
+  assert.equal(status, QC_STATUS.FLAGGED);
+  assert.deepEqual(flags, ['range:pm25', 'range:pm10']);
+});
+
+test('consistency check flags PM2.5 above PM10', () => {
+  assert.deepEqual(checkReading(readingAt(0, { pm25: 120, pm10: 100 })).flags, ['consistency:pm25']);
+  assert.deepEqual(checkReading(readingAt(0, { pm25: 120 })).flags, []);
+});
+
+test('flatline check needs 4 equal readings over 3 hours', () => {
+  const history = [0, 1, 2].map(hours => readingAt(hours, { pm10: 80 }));
+
+  assert.deepEqual(checkReading(readingAt(3, { pm10: 80 }), history).flags, ['flatline:pm10']);
+  // Only 2 hours covered
+  assert.deepEqual(checkReading(readingAt(2, { pm10: 80 }), history.slice(0, 2)).flags, []);
+  // The value changed
+  assert.deepEqual(checkReading(readingAt(3, { pm10: 81 }), history).flags, []);
+});
+
+test('spike check needs 10x the recent median and the minimum rise', () => {
+  const history = [0, 1, 2].map(hours => readingAt(hours, { pm25: 20 }));
+
+  assert.deepEqual(checkReading(readingAt(3, { pm25: 200 }), history).flags, ['spike:pm25']);
+  assert.deepEqual(checkReading(readingAt(3, { pm25: 150 }), history).flags, []);
+
+  // 10x in clean air is below the minimum rise
+  const clean = [0, 1, 2].map(hours => readingAt(hours, { pm25: 2 }));
+  assert.deepEqual(checkReading(readingAt(3, { pm25: 25 }), clean).flags, []);
+});
+
+test('spike check ignores readings older than its window', () => {
+  const history = [readingAt(0, { pm25: 20 })];
+  assert.deepEqual(checkReading(readingAt(4, { pm25: 200 }), history).flags, []);
+});
+
+test('checkSeries checks each reading against the ones before it', () => {
+  const results = checkSeries([
+    readingAt(0, { pm25: 20 }),
+    readingAt(1, { pm25: 22 }),
+    readingAt(2, { pm25: 250 })
+  ]);
+  assert.deepEqual(results.map(result => result.status), [QC_STATUS.PASSED, QC_STATUS.PASSED, QC_STATUS.FLAGGED]);
+  assert.deepEqual(results[2].flags, ['spike:pm25']);
+});
+
+test('summarizeFlags counts by check and by pollutant', () => {
+  const summary = summarizeFlags([
+    { flag: 'spike:pm10', count: 3 },
+    { flag: 'range:pm10', count: 1 },
+    { flag: 'consistency:pm25', count: 2 }
+  ]);
+  assert.deepEqual(summary.checks, { range: 1, consistency: 2, flatline: 0, spike: 3 });
+  assert.deepEqual(summary.pollutants, { pm10: 4, pm25: 2 });
+});
+
+test('parseQCMode defaults to all and rejects unknown modes', () => {
+  assert.equal(parseQCMode(undefined), 'all');
+  assert.equal(parseQCMode('STRICT'), 'strict');
+  assert.equal(parseQCMode('loose'), null);
+});
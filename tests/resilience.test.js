@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backoffDelay, retryWithBackoff, CircuitBreaker, QuotaBudget, sharedQuota } = require('../utils/resilience');
+const { ProviderRateLimitError } = require('../utils/errors');
+
+test('breaker opens after failureThreshold failures in a row', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 60000 });
+
+  breaker.recordFailure();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.canRequest(), true);
+
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.canRequest(), false);
+  assert.ok(breaker.getRetryAt());
+});
+
+test('a success resets the failure count', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+});
+
+test('half-open breaker allows one trial call at a time', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+  breaker.recordFailure();
+  breaker.openedAt = Date.now() - 1000;
+
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.state, 'half_open');
+  assert.equal(breaker.canRequest(), false);
+
+  // A trial without a verdict frees the slot for the next one
+  breaker.recordNeutral();
+  assert.equal(breaker.canRequest(), true);
+});
+
+test('half-open trial closes the breaker on success and reopens it on failure', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 5, cooldownMs: 1000 });
+  breaker.state = 'open';
+  breaker.openedAt = Date.now() - 1000;
+
+  breaker.canRequest();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+
+  breaker.openedAt = Date.now() - 1000;
+  breaker.canRequest();
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.failures, 0);
+});
+
+test('quota refuses calls over the per-minute limit', () => {
+  const quota = new QuotaBudget('test', { perMinute: 2 });
+
+  quota.consume();
+  quota.consume();
+  assert.equal(quota.check().reason, 'rate_limited');
+  assert.throws(() => quota.consume(), ProviderRateLimitError);
+});
+
+test('quota counts a call\'s cost against the daily limit', () => {
+  const quota = new QuotaBudget('test', { perDay: 5 });
+
+  quota.consume(3);
+  assert.equal(quota.check(2), null);
+  assert.equal(quota.check(3).reason, 'quota_exhausted');
+  assert.equal(quota.getStatus().remainingToday, 2);
+});
+
+test('blocked quota refuses calls until the block ends', () => {
+  const quota = new QuotaBudget('test');
+
+  quota.block(60000);
+  assert.equal(quota.check().reason, 'rate_limited');
+  assert.ok(quota.getStatus().blockedUntil);
+});
+
+test('shared quota is one budget per key', () => {
+  const first = sharedQuota('TEST_SHARED_KEY', 'first', { perMinute: 1 });
+  const second = sharedQuota('TEST_SHARED_KEY', 'second', { perMinute: 1 });
+
+  assert.equal(first, second);
+  first.consume();
+  assert.equal(second.check().reason, 'rate_limited');
+});
+
+test('backoff delay stays within the exponential cap', () => {
+  for (let attempt = 1; attempt <= 6; attempt++) {
+    const delay = backoffDelay(attempt, 100, 1000);
+    assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * Math.pow(2, attempt - 1)));
+  }
+});
+
+test('retries retryable errors and gives up on the others', async () => {
+  let calls = 0;
+  const result = await retryWithBackoff(async () => {
+    calls++;
+    if (calls < 3) throw Object.assign(new Error('timeout'), { retryable: true });
+    return 'ok';
+  }, { retries: 2, baseDelayMs: 1 });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(retryWithBackoff(async () => {
+    calls++;
+    throw new Error('bad request');
+  }, { retries: 2, baseDelayMs: 1 }), error => error.attempts === 1);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertConcentration, normalizePollutants, molarVolume } = require('../utils/units');
+
+/**
+ * Assert two numbers agree to a number of decimals
+ * @param {number} actual - Value under test
+ * @param {number} expected - Reference value
+ * @param {number} decimals - Decimal places that must match
+ */
+function assertClose(actual, expected, decimals = 2) {
+  assert.ok(
+    Math.abs(actual - expected) < Math.pow(10, -decimals) / 2,
+    `expected ${actual} to be ${expected} to ${decimals} decimals`
+  );
+}
+
+test('molar volume is 24.47 L/mol at 25°C and 1013.25 hPa', () => {
+  assertClose(molarVolume(), 24.465, 3);
+});
+
+test('converts ppb to µg/m³ with each gas\'s molecular weight', () => {
+  // 1 ppb = MW / 24.465 µg/m³ at standard conditions
+  assertClose(convertConcentration('no2', 100, 'ppb', 'µg/m³'), 188.06);
+  assertClose(convertConcentration('so2', 100, 'ppb', 'µg/m³'), 261.88);
+  assertClose(convertConcentration('o3', 100, 'ppb', 'µg/m³'), 196.2, 1);
+});
+
+test('converts µg/m³ back to ppb', () => {
+  assertClose(convertConcentration('no2', 188.06, 'µg/m³', 'ppb'), 100);
+});
+
+test('converts CO mixing ratios to mg/m³', () => {
+  assertClose(convertConcentration('co', 1, 'ppm', 'mg/m³'), 1.145, 3);
+  assertClose(convertConcentration('co', 1000, 'ppb', 'mg/m³'), 1.145, 3);
+});
+
+test('converts between mass units without a molecular weight', () => {
+  assert.equal(convertConcentration('co', 1500, 'µg/m³', 'mg/m³'), 1.5);
+  assert.equal(convertConcentration('pm25', 2, 'mg/m³', 'µg/m³'), 2000);
+  assert.equal(convertConcentration('pb', 500, 'ng/m³', 'µg/m³'), 0.5);
+});
+
+test('accepts provider spellings of units', () => {
+  assert.equal(convertConcentration('pm10', 80, 'ug/m3', 'µg/m³'), 80);
+  assert.equal(convertConcentration('pm10', 80, 'μg/m³', 'µg/m³'), 80);
+  assertClose(convertConcentration('no2', 100, 'PPB', 'ug/m3'), 188.06);
+});
+
+test('returns null for unknown units and unconvertible values', () => {
+  assert.equal(convertConcentration('no2', 10, 'furlongs', 'µg/m³'), null);
+  assert.equal(convertConcentration('no2', 10, 'ppb', 'grains'), null);
+  assert.equal(convertConcentration('no2', 10, undefined, 'µg/m³'), null);
+  // Particles have no molecular weight, so no mixing ratio
+  assert.equal(convertConcentration('pm25', 10, 'ppb', 'µg/m³'), null);
+  assert.equal(convertConcentration('pm25', 10, 'µg/m³', 'ppb'), null);
+  assert.equal(convertConcentration('no2', null, 'ppb', 'µg/m³'), null);
+  assert.equal(convertConcentration('no2', NaN, 'ppb', 'µg/m³'), null);
+});
+
+test('uses the reading\'s temperature and pressure when given', () => {
+  // Colder air is denser: 1 ppb NO2 at 0°C is 46.01 / 22.41 µg/m³
+  assertClose(convertConcentration('no2', 100, 'ppb', 'µg/m³', { temperature: 0 }), 205.27);
+  // Half the pressure, half the mass per m³
+  assertClose(convertConcentration('no2', 100, 'ppb', 'µg/m³', { pressure: 506.625 }), 94.03);
+  // Only the given value is overridden
+  assertClose(
+    convertConcentration('no2', 100, 'ppb', 'µg/m³', { temperature: 25, pressure: 1013.25 }),
+    convertConcentration('no2', 100, 'ppb', 'µg/m³'),
+    6
+  );
+});
+
+test('normalizes a reading to canonical units, rounded for storage', () => {
+  const normalized = normalizePollutants(
+    { pm25: 42.26, pm10: 80, no2: 20, so2: 5, co: 1.2, o3: 30 },
+    { pm25: 'ug/m3', pm10: 'µg/m³', no2: 'ppb', so2: 'ppb', co: 'ppm', o3: 'ppb' }
+  );
+
+  assert.deepEqual(normalized, {
+    pm25: 42.3,
+    pm10: 80,
+    no2: 37.6,
+    so2: 13.1,
+    co: 1.37,
+    o3: 58.9,
+    nh3: null,
+    pb: null
+  });
+});
+
+test('normalizes with one unit for every pollutant', () => {
+  const normalized = normalizePollutants({ pm25: 12, co: 1000 }, 'µg/m³');
+  assert.equal(normalized.pm25, 12);
+  assert.equal(normalized.co, 1);
+  assert.equal(normalized.no2, null);
+});
+
+test('leaves pollutants with unknown units out of a normalized reading', () => {
+  const normalized = normalizePollutants({ pm25: 12, no2: 40 }, { pm25: 'µg/m³', no2: 'parts' });
+  assert.equal(normalized.pm25, 12);
+  assert.equal(normalized.no2, null);
+});
+
+test('applies reading conditions when normalizing', () => {
+  const cold = normalizePollutants({ no2: 100 }, { no2: 'ppb' }, { temperature: 0 });
+  assert.equal(cold.no2, 205.3);
+});
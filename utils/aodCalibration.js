@@ -0,0 +1,114 @@
+const regression = require('regression');
+
+const METHODS = ['linear', 'power', 'exponential', 'logarithmic', 'polynomial'];
+
+// Used until enough co-located ground readings exist: PM2.5 = 100 × AOD + 15,
+// a rough average of published AOD-PM2.5 relationships over the Indo-Gangetic Plain
+const DEFAULT_COEFFICIENTS = { linear: [100, 15] };
+
+/**
+ * Calibration settings from the environment
+ * @returns {object} { method, order, windowDays, maxTimeDiffMinutes, minPairs, defaultCoefficients }
+ */
+function getCalibrationConfig() {
+  const method = METHODS.includes(process.env.SATELLITE_PM25_MODEL) ? process.env.SATELLITE_PM25_MODEL : 'linear';
+  const defaults = (process.env.SATELLITE_PM25_DEFAULT_COEFFICIENTS || '')
+    .split(',')
+    .map(parseFloat)
+    .filter(value => !isNaN(value));
+
+  return {
+    method,
+    order: parseInt(process.env.SATELLITE_PM25_POLYNOMIAL_ORDER) || 2,
+    windowDays: parseInt(process.env.SATELLITE_CALIBRATION_DAYS) || 90,
+    maxTimeDiffMinutes: parseInt(process.env.SATELLITE_CALIBRATION_MAX_MINUTES) || 60,
+    minPairs: parseInt(process.env.SATELLITE_CALIBRATION_MIN_PAIRS) || 30,
+    defaultCoefficients: defaults.length > 0 ? defaults : DEFAULT_COEFFICIENTS.linear
+  };
+}
+
+/**
+ * Pairs a calibration can be fitted on. Power, exponential and log fits need
+ * strictly positive values, so the same pairs are used for every method.
+ * @param {array} pairs - [{ aod, pm25 }]
+ * @returns {array} Pairs with positive AOD and PM2.5
+ */
+function usablePairs(pairs) {
+  return pairs.filter(pair => pair.aod > 0 && pair.pm25 > 0);
+}
+
+/**
+ * Fit an AOD → PM2.5 regression
+ * @param {array} pairs - [{ aod, pm25 }]
+ * @param {string} method - Regression method (see METHODS)
+ * @param {number} order - Polynomial order
+ * @returns {object} { method, coefficients, r2, sampleSize }
+ */
+function fitCalibration(pairs, method = 'linear', order = 2) {
+  const usable = usablePairs(pairs);
+  const result = regression[method](usable.map(pair => [pair.aod, pair.pm25]), { order, precision: 6 });
+
+  return {
+    method,
+    coefficients: result.equation,
+    r2: isFinite(result.r2) ? Math.round(result.r2 * 1000) / 1000 : null,
+    sampleSize: usable.length
+  };
+}
+
+/**
+ * Estimate surface PM2.5 from AOD with a calibration
+ * @param {object} calibration - { method, coefficients }
+ * @param {number} aod - Aerosol optical depth
+ * @returns {number|null} PM2.5 (µg/m³)
+ */
+function estimatePM25(calibration, aod) {
+  if (aod === null || aod === undefined || isNaN(aod)) return null;
+  const c = calibration.coefficients;
+  let pm25;
+
+  switch (calibration.method) {
+    case 'power':
+      pm25 = c[0] * Math.pow(aod, c[1]);
+      break;
+    case 'exponential':
+      pm25 = c[0] * Math.exp(c[1] * aod);
+      break;
+    case 'logarithmic':
+      pm25 = aod > 0 ? c[0] + c[1] * Math.log(aod) : null;
+      break;
+    case 'polynomial':
+      // Highest power first, as returned by the regression package
+      pm25 = c.reduce((sum, coefficient, i) => sum + coefficient * Math.pow(aod, c.length - 1 - i), 0);
+      break;
+    default:
+      pm25 = c[0] * aod + c[1];
+  }
+
+  if (pm25 === null || !isFinite(pm25)) return null;
+  return Math.round(Math.max(0, pm25) * 10) / 10;
+}
+
+/**
+ * Calibration used before any fit has been stored
+ * @returns {object} Uncalibrated linear model
+ */
+function getDefaultCalibration() {
+  return {
+    id: null,
+    method: 'linear',
+    coefficients: getCalibrationConfig().defaultCoefficients,
+    r2: null,
+    sampleSize: 0,
+    calibrated: false
+  };
+}
+
+module.exports = {
+  METHODS,
+  getCalibrationConfig,
+  usablePairs,
+  fitCalibration,
+  estimatePM25,
+  getDefaultCalibration
+};
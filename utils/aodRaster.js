@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+
+// Dataset names tried in order when looking for the AOD field
+const AOD_NAME_PATTERNS = [
+  /^aod(_?5[05]0)?$/i,
+  /optical_depth_land_and_ocean/i,
+  /optical_depth_055/i,
+  /optical_depth/i,
+  /aod/i
+];
+const LAT_NAME_PATTERNS = [/^lat(itude)?$/i, /^lat/i, /latitude/i];
+const LON_NAME_PATTERNS = [/^lon(gitude)?$/i, /^lon/i, /longitude/i];
+
+// AOD outside this range is treated as invalid
+const VALID_AOD_RANGE = [0, 5];
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+/**
+ * A single AOD field with its georeferencing. Supports:
+ *   - transform: regular grid from an origin and pixel size (GeoTIFF)
+ *   - axes:      regular grid from 1D latitude/longitude arrays (gridded HDF5/NetCDF)
+ *   - swath:     2D latitude/longitude per pixel (level-2 swath products)
+ */
+class AODRaster {
+  /**
+   * @param {object} options - { values, width, height, georef, fillValue, scale, offset }
+   */
+  constructor(options) {
+    this.values = options.values;
+    this.width = options.width;
+    this.height = options.height;
+    this.georef = options.georef;
+    this.fillValue = options.fillValue ?? null;
+    this.scale = options.scale ?? 1;
+    this.offset = options.offset ?? 0;
+    this.swathIndex = null;
+  }
+
+  /**
+   * Decoded AOD at a pixel, or null for fill/invalid values
+   * @param {number} index - Flat pixel index
+   * @returns {number|null} AOD
+   */
+  valueAt(index) {
+    const raw = this.values[index];
+    if (raw === undefined || raw === null || Number.isNaN(raw)) return null;
+    if (this.fillValue !== null && raw === this.fillValue) return null;
+
+    const aod = raw * this.scale + this.offset;
+    if (aod < VALID_AOD_RANGE[0] || aod > VALID_AOD_RANGE[1]) return null;
+    return Math.round(aod * 1000) / 1000;
+  }
+
+  /**
+   * AOD at a point (nearest pixel)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} maxDistanceDeg - Furthest pixel centre to accept (swath only)
+   * @returns {number|null} AOD, or null outside the granule / no valid retrieval
+   */
+  sample(lat, lng, maxDistanceDeg = 0.1) {
+    const { type } = this.georef;
+    let index = null;
+
+    if (type === 'transform') {
+      const { originX, originY, resX, resY } = this.georef;
+      const col = Math.floor((lng - originX) / resX);
+      const row = Math.floor((lat - originY) / resY);
+      if (col >= 0 && col < this.width && row >= 0 && row < this.height) {
+        index = row * this.width + col;
+      }
+    } else if (type === 'axes') {
+      const row = nearestAxisIndex(this.georef.lat, lat);
+      const col = nearestAxisIndex(this.georef.lon, lng);
+      if (row !== null && col !== null) {
+        index = row * this.width + col;
+      }
+    } else if (type === 'swath') {
+      index = this.nearestSwathPixel(lat, lng, maxDistanceDeg);
+    }
+
+    return index === null ? null : this.valueAt(index);
+  }
+
+  /**
+   * Nearest swath pixel using a coarse bucket index (built on first use)
+   */
+  nearestSwathPixel(lat, lng, maxDistanceDeg) {
+    const cell = Math.max(maxDistanceDeg, 0.05);
+    if (!this.swathIndex || this.swathIndex.cell !== cell) {
+      const buckets = new Map();
+      const { lat: lats, lon: lons } = this.georef;
+      for (let i = 0; i < lats.length; i++) {
+        if (!isFinite(lats[i]) || !isFinite(lons[i])) continue;
+        const key = `${Math.floor(lats[i] / cell)},${Math.floor(lons[i] / cell)}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(i);
+      }
+      this.swathIndex = { cell, buckets };
+    }
+
+    const row = Math.floor(lat / cell);
+    const col = Math.floor(lng / cell);
+    let best = null;
+    let bestDistance = maxDistanceDeg * maxDistanceDeg;
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const bucket = this.swathIndex.buckets.get(`${row + dr},${col + dc}`) || [];
+        for (const i of bucket) {
+          const dLat = this.georef.lat[i] - lat;
+          const dLng = this.georef.lon[i] - lng;
+          const distance = dLat * dLat + dLng * dLng;
+          if (distance <= bestDistance) {
+            bestDistance = distance;
+            best = i;
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Geographic extent of the granule
+   * @returns {object} { minLat, maxLat, minLng, maxLng }
+   */
+  getBounds() {
+    const { type } = this.georef;
+    if (type === 'transform') {
+      const { originX, originY, resX, resY } = this.georef;
+      const x2 = originX + resX * this.width;
+      const y2 = originY + resY * this.height;
+      return {
+        minLat: Math.min(originY, y2),
+        maxLat: Math.max(originY, y2),
+        minLng: Math.min(originX, x2),
+        maxLng: Math.max(originX, x2)
+      };
+    }
+
+    const lats = Array.from(this.georef.lat).filter(isFinite);
+    const lons = Array.from(this.georef.lon).filter(isFinite);
+    return {
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lons),
+      maxLng: Math.max(...lons)
+    };
+  }
+}
+
+/**
+ * Nearest index on a monotonic 1D axis, or null outside it (half a step of slack)
+ */
+function nearestAxisIndex(axis, value) {
+  const n = axis.length;
+  if (n === 0) return null;
+  if (n === 1) return Math.abs(axis[0] - value) < 1e-6 ? 0 : null;
+
+  const ascending = axis[n - 1] > axis[0];
+  const halfStep = Math.abs(axis[1] - axis[0]) / 2;
+  const first = ascending ? axis[0] : axis[n - 1];
+  const last = ascending ? axis[n - 1] : axis[0];
+  if (value < first - halfStep || value > last + halfStep) return null;
+
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if ((axis[mid] < value) === ascending) lo = mid; else hi = mid;
+  }
+  return Math.abs(axis[lo] - value) <= Math.abs(axis[hi] - value) ? lo : hi;
+}
+
+/**
+ * Detect the file format from its magic bytes
+ * @param {string} filePath - Granule path
+ * @returns {string} 'hdf5' (incl. NetCDF-4), 'netcdf', 'geotiff', 'hdf4' or 'unknown'
+ */
+function detectFormat(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const header = Buffer.alloc(8);
+  fs.readSync(fd, header, 0, 8, 0);
+  fs.closeSync(fd);
+
+  if (header.equals(Buffer.from([0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'hdf5';
+  if (header.subarray(0, 3).toString('latin1') === 'CDF') return 'netcdf';
+  if (header.subarray(0, 4).equals(Buffer.from([0x0e, 0x03, 0x13, 0x01]))) return 'hdf4';
+
+  const tiff = header.subarray(0, 4).toString('latin1');
+  if (tiff === 'II*\0' || tiff === 'MM\0*' || tiff === 'II+\0' || tiff === 'MM\0+') return 'geotiff';
+  return 'unknown';
+}
+
+/**
+ * Work out satellite, product and acquisition time from standard file names:
+ *   INSAT: 3DIMG_15OCT2026_0530_L2G_AOD.h5 / 3RIMG_... (INSAT-3DR)
+ *   MODIS: MOD04_L2.A2026288.0530.061.2026288123456.hdf (MOD Terra, MYD Aqua, MCD combined)
+ * @param {string} fileName - Granule file name
+ * @returns {object} { satellite, product, acquiredAt (Date|null) }
+ */
+function describeGranule(fileName) {
+  const base = path.basename(fileName);
+
+  let match = /^(3DIMG|3RIMG)_(\d{2})([A-Z]{3})(\d{4})_(\d{2})(\d{2})_([A-Z0-9]+)_([A-Z0-9]+)/i.exec(base);
+  if (match) {
+    const [, sensor, day, month, year, hour, minute, level, product] = match;
+    const monthIndex = MONTHS[month.toUpperCase()];
+    return {
+      satellite: sensor.toUpperCase() === '3RIMG' ? 'INSAT-3DR' : 'INSAT-3D',
+      product: `${level.toUpperCase()}_${product.toUpperCase()}`,
+      acquiredAt: monthIndex === undefined ? null : new Date(Date.UTC(+year, monthIndex, +day, +hour, +minute))
+    };
+  }
+
+  match = /^(MOD|MYD|MCD)(\w+?)\.A(\d{4})(\d{3})(?:\.(\d{2})(\d{2}))?/i.exec(base);
+  if (match) {
+    const [, platform, product, year, dayOfYear, hour = '00', minute = '00'] = match;
+    const satellites = { MOD: 'MODIS-Terra', MYD: 'MODIS-Aqua', MCD: 'MODIS' };
+    return {
+      satellite: satellites[platform.toUpperCase()],
+      product: `${platform.toUpperCase()}${product}`,
+      acquiredAt: new Date(Date.UTC(+year, 0, +dayOfYear, +hour, +minute))
+    };
+  }
+
+  return { satellite: 'Unknown', product: null, acquiredAt: null };
+}
+
+/**
+ * Pick the AOD, latitude and longitude variables from a list of datasets
+ * @param {array} variables - [{ name, shape, attrs, read() }]
+ * @returns {object} { aod, lat, lon }
+ */
+function selectVariables(variables) {
+  const find = (patterns, filter) => {
+    for (const pattern of patterns) {
+      const found = variables.find(v => pattern.test(v.name.split('/').pop()) && filter(v));
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const aod = find(AOD_NAME_PATTERNS, v => squeeze(v.shape).length === 2);
+  if (!aod) {
+    throw new Error('No 2D AOD dataset found');
+  }
+
+  const [height, width] = squeeze(aod.shape);
+  // Either 2D per-pixel coordinates or 1D axes matching the grid
+  const matchesGrid = axisLength => v => {
+    const shape = squeeze(v.shape);
+    return (shape.length === 2 && shape[0] === height && shape[1] === width) ||
+      (shape.length === 1 && shape[0] === axisLength);
+  };
+  const lat = find(LAT_NAME_PATTERNS, matchesGrid(height));
+  const lon = find(LON_NAME_PATTERNS, matchesGrid(width));
+  if (!lat || !lon) {
+    throw new Error('No latitude/longitude datasets found');
+  }
+
+  return { aod, lat, lon, width, height };
+}
+
+/**
+ * Drop leading/trailing dimensions of size 1 (e.g. a time axis)
+ */
+function squeeze(shape) {
+  return shape.filter(size => size !== 1);
+}
+
+/**
+ * Read CF-style attributes (scale_factor, add_offset, _FillValue)
+ */
+function readScaling(attrs) {
+  const number = value => {
+    const n = Array.isArray(value) || ArrayBuffer.isView(value) ? value[0] : value;
+    return n === undefined || n === null ? null : Number(n);
+  };
+  return {
+    scale: number(attrs.scale_factor) ?? 1,
+    offset: number(attrs.add_offset) ?? 0,
+    fillValue: number(attrs._FillValue) ?? number(attrs.missing_value)
+  };
+}
+
+/**
+ * Build a raster from selected variables (HDF5 and NetCDF share this)
+ */
+function buildRaster({ aod, lat, lon, width, height }) {
+  const latValues = lat.read();
+  const lonValues = lon.read();
+  const swath = squeeze(lat.shape).length === 2;
+
+  return new AODRaster({
+    values: aod.read(),
+    width,
+    height,
+    georef: { type: swath ? 'swath' : 'axes', lat: latValues, lon: lonValues },
+    ...readScaling(aod.attrs)
+  });
+}
+
+/**
+ * Read an HDF5 (or NetCDF-4) granule
+ * @param {string} filePath - Granule path
+ * @returns {Promise<AODRaster>}
+ */
+async function readHDF5(filePath) {
+  const h5wasm = await import('h5wasm/node');
+  await h5wasm.ready;
+  const file = new h5wasm.File(filePath, 'r');
+
+  try {
+    const variables = [];
+    const walk = (group, prefix) => {
+      for (const key of group.keys()) {
+        const item = group.get(key);
+        const name = prefix ? `${prefix}/${key}` : key;
+        if (item instanceof h5wasm.Group) {
+          walk(item, name);
+        } else if (item instanceof h5wasm.Dataset && item.shape && item.shape.length > 0) {
+          const attrs = {};
+          Object.entries(item.attrs).forEach(([attr, value]) => { attrs[attr] = value.value; });
+          variables.push({ name, shape: item.shape, attrs, read: () => item.value });
+        }
+      }
+    };
+    walk(file, '');
+
+    return buildRaster(selectVariables(variables));
+  } finally {
+    file.close();
+  }
+}
+
+/**
+ * Read a NetCDF classic / 64-bit offset granule
+ * @param {string} filePath - Granule path
+ * @returns {Promise<AODRaster>}
+ */
+async function readNetCDF(filePath) {
+  const { NetCDFReader } = require('netcdfjs');
+  const reader = new NetCDFReader(fs.readFileSync(filePath));
+
+  const variables = reader.variables.map(variable => {
+    const attrs = {};
+    variable.attributes.forEach(attr => { attrs[attr.name] = attr.value; });
+    return {
+      name: variable.name,
+      shape: variable.dimensions.map(index => reader.dimensions[index].size),
+      attrs,
+      read: () => reader.getDataVariable(variable).flat()
+    };
+  });
+
+  return buildRaster(selectVariables(variables));
+}
+
+/**
+ * Read a single-band GeoTIFF in geographic (lat/lon) coordinates
+ * @param {string} filePath - Granule path
+ * @returns {Promise<AODRaster>}
+ */
+async function readGeoTIFF(filePath) {
+  const { fromFile } = require('geotiff');
+  const tiff = await fromFile(filePath);
+
+  try {
+    const image = await tiff.getImage();
+    const geoKeys = image.getGeoKeys() || {};
+    if (geoKeys.ProjectedCSTypeGeoKey && !geoKeys.GeographicTypeGeoKey) {
+      throw new Error('Projected GeoTIFFs are not supported; reproject to EPSG:4326');
+    }
+
+    const [originX, originY] = image.getOrigin();
+    const [resX, resY] = image.getResolution();
+    const [values] = await image.readRasters({ samples: [0] });
+    // Files converted from HDF/NetCDF keep scale_factor/add_offset in the GDAL metadata
+    const { scale, offset } = readScaling((await image.getGDALMetadata(0)) || {});
+
+    return new AODRaster({
+      values,
+      width: image.getWidth(),
+      height: image.getHeight(),
+      georef: { type: 'transform', originX, originY, resX, resY },
+      fillValue: image.getGDALNoData(),
+      scale,
+      offset
+    });
+  } finally {
+    tiff.close();
+  }
+}
+
+/**
+ * Read an AOD granule of any supported format
+ * @param {string} filePath - Granule path
+ * @returns {Promise<object>} { format, raster }
+ */
+async function readAODGranule(filePath) {
+  const format = detectFormat(filePath);
+
+  switch (format) {
+    case 'hdf5':
+      return { format, raster: await readHDF5(filePath) };
+    case 'netcdf':
+      return { format, raster: await readNetCDF(filePath) };
+    case 'geotiff':
+      return { format, raster: await readGeoTIFF(filePath) };
+    case 'hdf4':
+      throw new Error('HDF4 granules (MODIS collection files) are not supported; convert to GeoTIFF or NetCDF first');
+    default:
+      throw new Error('Unrecognised file format');
+  }
+}
+
+module.exports = {
+  AODRaster,
+  detectFormat,
+  describeGranule,
+  readAODGranule
+};
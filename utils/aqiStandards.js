@@ -0,0 +1,514 @@
+const {
+  AQI_CATEGORIES,
+  US_EPA_CATEGORIES,
+  US_EPA_BREAKPOINTS,
+  CAQI_CATEGORIES,
+  CAQI_BREAKPOINTS,
+  WHO_GUIDELINES
+} = require('./constants');
+const { categorizeAQI } = require('./helpers');
+const { INDEX_POLLUTANTS, calculateSubIndex, getSubIndexBreakdown } = require('./naqi');
+const { CANONICAL_UNITS, convertConcentration } = require('./units');
+
+// Air quality indices the API can report. peakThreshold is the index above
+// which forecast hours are reported as peak pollution hours.
+const STANDARDS = {
+  naqi: {
+    name: 'National Air Quality Index (CPCB, India)',
+    categories: AQI_CATEGORIES,
+    pollutants: INDEX_POLLUTANTS,
+    peakThreshold: 150
+  },
+  us_epa: {
+    name: 'US EPA Air Quality Index',
+    categories: US_EPA_CATEGORIES,
+    pollutants: Object.keys(US_EPA_BREAKPOINTS),
+    peakThreshold: 100
+  },
+  eu_caqi: {
+    name: 'Common Air Quality Index (Europe)',
+    categories: CAQI_CATEGORIES,
+    pollutants: Object.keys(CAQI_BREAKPOINTS),
+    peakThreshold: 75
+  }
+};
+
+const DEFAULT_STANDARD = 'naqi';
+
+// How each standard averages stored readings: NowCast over 12 hours, the mean
+// of the last N hours, or the latest hour (looking back at most N hours)
+const AVERAGING = {
+  us_epa: {
+    pm25: { statistic: 'nowcast', hours: 12 },
+    pm10: { statistic: 'nowcast', hours: 12 },
+    o3: { statistic: 'mean', hours: 8 },
+    co: { statistic: 'mean', hours: 8 },
+    no2: { statistic: 'latest', hours: 3 },
+    so2: { statistic: 'latest', hours: 3 }
+  },
+  eu_caqi: {
+    pm25: { statistic: 'latest', hours: 3 },
+    pm10: { statistic: 'latest', hours: 3 },
+    o3: { statistic: 'latest', hours: 3 },
+    no2: { statistic: 'latest', hours: 3 },
+    so2: { statistic: 'latest', hours: 3 },
+    co: { statistic: 'mean', hours: 8 }
+  }
+};
+
+// Hourly values needed for a valid mean
+const MIN_HOURS = { 24: 16, 8: 6 };
+
+/**
+ * Resolve the `standard` query parameter
+ * @param {string|undefined} value - Requested standard
+ * @returns {string|null} Standard key, the default when not given, or null if unknown
+ */
+function parseStandard(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_STANDARD;
+  const key = String(value).toLowerCase();
+  return STANDARDS[key] ? key : null;
+}
+
+/**
+ * Public description of a standard
+ * @param {string} standard - Standard key
+ * @returns {object} { id, name, categories }
+ */
+function describeStandard(standard) {
+  return {
+    id: standard,
+    name: STANDARDS[standard].name,
+    categories: Object.entries(STANDARDS[standard].categories).map(([key, category]) => ({
+      category: key,
+      label: category.label,
+      color: category.color,
+      min: category.min,
+      max: category.max === Infinity ? null : category.max
+    }))
+  };
+}
+
+/**
+ * Categorize an index value in a standard's own bands
+ * @param {string} standard - Standard key
+ * @param {number} value - Index value
+ * @returns {object} { category, label, color, value }
+ */
+function categorizeIndex(standard, value) {
+  if (standard === 'naqi') return categorizeAQI(value);
+
+  // CAQI bands share their limits; a value on a limit belongs to the lower band
+  const categories = Object.entries(STANDARDS[standard].categories);
+  const [key, category] = categories.find(([, c]) => value <= c.max) || categories[categories.length - 1];
+  return { category: key, label: category.label, color: category.color, value };
+}
+
+/**
+ * Convert a concentration (µg/m³, mg/m³ for CO) to US EPA units
+ * @param {string} pollutant - Pollutant key
+ * @param {number} concentration - Concentration
+ * @returns {number} µg/m³ for PM, ppm for O3 and CO, ppb for NO2 and SO2
+ */
+function toEPAUnits(pollutant, concentration) {
+  return convertConcentration(pollutant, concentration, CANONICAL_UNITS[pollutant], US_EPA_BREAKPOINTS[pollutant].unit);
+}
+
+/**
+ * Convert a concentration in US EPA units back to µg/m³ (mg/m³ for CO)
+ * @param {string} pollutant - Pollutant key
+ * @param {number} value - Concentration in EPA units
+ * @returns {number} Concentration
+ */
+function fromEPAUnits(pollutant, value) {
+  return convertConcentration(pollutant, value, US_EPA_BREAKPOINTS[pollutant].unit, CANONICAL_UNITS[pollutant]);
+}
+
+/**
+ * Calculate the US EPA sub-index for a pollutant concentration.
+ * Concentrations are truncated to the precision of the breakpoint table first.
+ * @param {string} pollutant - Pollutant key
+ * @param {number} concentration - Concentration (µg/m³, mg/m³ for CO)
+ * @returns {number|null} Sub-index, or null if it cannot be calculated
+ */
+function calculateEPASubIndex(pollutant, concentration) {
+  const table = US_EPA_BREAKPOINTS[pollutant];
+  if (!table || !isValidConcentration(concentration)) return null;
+
+  const factor = Math.pow(10, table.decimals);
+  const value = Math.floor(toEPAUnits(pollutant, concentration) * factor + 1e-9) / factor;
+  const bands = Object.values(US_EPA_CATEGORIES);
+
+  for (let i = 0; i < table.bands.length; i++) {
+    const [cLow, cHigh] = table.bands[i];
+    if (value <= cHigh) {
+      const { min: iLow, max: iHigh } = bands[i];
+      return ((iHigh - iLow) / (cHigh - cLow)) * (Math.max(value, cLow) - cLow) + iLow;
+    }
+  }
+
+  // Beyond the index
+  return 500;
+}
+
+/**
+ * Convert a US EPA sub-index back to the concentration it represents
+ * (for feeds such as IQAir that only publish the US AQI)
+ * @param {string} pollutant - Pollutant key
+ * @param {number} subIndex - Sub-index value (0-500)
+ * @returns {number|null} Concentration (µg/m³, mg/m³ for CO), or null if it cannot be calculated
+ */
+function epaSubIndexToConcentration(pollutant, subIndex) {
+  const table = US_EPA_BREAKPOINTS[pollutant];
+  if (!table || subIndex === null || subIndex === undefined || isNaN(subIndex)) return null;
+
+  const index = Math.max(0, Math.min(500, subIndex));
+  const bands = Object.values(US_EPA_CATEGORIES);
+  const i = Math.max(0, bands.findIndex(band => index <= band.max));
+  const [cLow, cHigh] = table.bands[i];
+  const position = Math.max(0, index - bands[i].min) / (bands[i].max - bands[i].min);
+
+  return fromEPAUnits(pollutant, cLow + position * (cHigh - cLow));
+}
+
+/**
+ * Calculate the CAQI sub-index for a pollutant concentration.
+ * Above the grid (index 100) the last band is extended linearly.
+ * @param {string} pollutant - Pollutant key
+ * @param {number} concentration - Concentration (µg/m³, mg/m³ for CO)
+ * @returns {number|null} Sub-index, or null if it cannot be calculated
+ */
+function calculateCAQISubIndex(pollutant, concentration) {
+  const grid = CAQI_BREAKPOINTS[pollutant];
+  if (!grid || !isValidConcentration(concentration)) return null;
+
+  const value = convertConcentration(pollutant, concentration, CANONICAL_UNITS[pollutant], 'µg/m³');
+  let lower = 0;
+
+  for (let i = 0; i < grid.length; i++) {
+    if (value <= grid[i]) {
+      return 25 * i + 25 * (value - lower) / (grid[i] - lower);
+    }
+    lower = grid[i];
+  }
+
+  const last = grid.length - 1;
+  return 100 + 25 * (value - grid[last]) / (grid[last] - grid[last - 1]);
+}
+
+const SUB_INDEX_FUNCTIONS = {
+  naqi: calculateSubIndex,
+  us_epa: calculateEPASubIndex,
+  eu_caqi: calculateCAQISubIndex
+};
+
+/**
+ * Calculate an index from concentrations: the highest sub-index of the
+ * pollutants the standard covers
+ * @param {string} standard - Standard key
+ * @param {object} concentrations - Concentrations keyed by pollutant
+ * @param {object} exclusions - Pollutants to leave out, keyed by pollutant → reason
+ * @returns {object} { value, category, label, color, prominentPollutant, subIndices,
+ *   missingPollutants, excludedPollutants } (value is null without any sub-index)
+ */
+function calculateIndex(standard, concentrations, exclusions = {}) {
+  const breakdown = standard === 'naqi'
+    ? getSubIndexBreakdown(concentrations, exclusions)
+    : getBreakdown(standard, concentrations, exclusions);
+  const prominent = breakdown.prominentPollutant;
+
+  return {
+    value: prominent ? prominent.subIndex : null,
+    ...(prominent ? categorizeIndex(standard, prominent.subIndex) : { category: null, label: null, color: null }),
+    ...breakdown
+  };
+}
+
+/**
+ * Break concentrations down into sub-indices of a standard
+ * @param {string} standard - Standard key (us_epa or eu_caqi)
+ * @param {object} concentrations - Concentrations keyed by pollutant
+ * @param {object} exclusions - Pollutants to leave out, keyed by pollutant → reason
+ * @returns {object} { subIndices, prominentPollutant, missingPollutants, excludedPollutants }
+ */
+function getBreakdown(standard, concentrations, exclusions) {
+  const subIndices = {};
+  const missingPollutants = [];
+  const excludedPollutants = [];
+
+  STANDARDS[standard].pollutants.forEach(pollutant => {
+    const concentration = concentrations[pollutant];
+
+    if (exclusions[pollutant]) {
+      excludedPollutants.push({ pollutant, reason: exclusions[pollutant] });
+      return;
+    }
+    if (concentration === null || concentration === undefined) {
+      missingPollutants.push(pollutant);
+      return;
+    }
+
+    const subIndex = SUB_INDEX_FUNCTIONS[standard](pollutant, concentration);
+    if (subIndex === null) {
+      excludedPollutants.push({ pollutant, reason: `Invalid concentration ${concentration}` });
+      return;
+    }
+
+    const value = Math.round(subIndex);
+    const { category, label, color } = categorizeIndex(standard, value);
+    subIndices[pollutant] = { value, category, label, color, concentration };
+  });
+
+  const prominent = Object.keys(subIndices)
+    .reduce((a, b) => (a === null || subIndices[b].value > subIndices[a].value ? b : a), null);
+
+  return {
+    subIndices,
+    prominentPollutant: prominent
+      ? {
+        pollutant: prominent,
+        subIndex: subIndices[prominent].value,
+        category: subIndices[prominent].category,
+        label: subIndices[prominent].label
+      }
+      : null,
+    missingPollutants,
+    excludedPollutants
+  };
+}
+
+/**
+ * EPA NowCast of hourly concentrations. The weight factor is min/max of the
+ * last 12 hours (at least 0.5), so a changing situation follows the most
+ * recent hours and a steady one approaches the 12-hour mean.
+ * @param {array} hourly - Hourly means, index 0 the current hour; null for missing hours
+ * @returns {number|null} NowCast, or null without 2 of the 3 most recent hours
+ */
+function calculateNowCast(hourly) {
+  if (hourly.slice(0, 3).filter(value => value !== null).length < 2) return null;
+
+  const values = hourly.slice(0, 12);
+  const valid = values.filter(value => value !== null);
+  const max = Math.max(...valid);
+  if (max === 0) return 0;
+
+  const weight = Math.max(Math.min(...valid) / max, 0.5);
+  let weighted = 0;
+  let weights = 0;
+  values.forEach((value, hoursAgo) => {
+    if (value === null) return;
+    weighted += Math.pow(weight, hoursAgo) * value;
+    weights += Math.pow(weight, hoursAgo);
+  });
+
+  return weighted / weights;
+}
+
+/**
+ * Reduce readings to clock-hour means for the hours before a time
+ * @param {array} readings - [{ timestamp, pm25, pm10, ... }] (any order)
+ * @param {string} pollutant - Pollutant key
+ * @param {Date} at - End of the window
+ * @param {number} hours - Window length
+ * @returns {array} Hourly means, index 0 the hour containing `at`; null for hours without data
+ */
+function getHourlySeries(readings, pollutant, at, hours) {
+  const end = new Date(at).getTime();
+  const currentHour = Math.floor(end / 3600000);
+  const buckets = Array.from({ length: hours }, () => []);
+
+  readings.forEach(reading => {
+    const time = new Date(reading.timestamp).getTime();
+    const value = reading[pollutant];
+    if (time > end || !isValidConcentration(value)) return;
+
+    const hoursAgo = currentHour - Math.floor(time / 3600000);
+    if (hoursAgo < hours) buckets[hoursAgo].push(value);
+  });
+
+  return buckets.map(values => (values.length > 0
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : null));
+}
+
+/**
+ * Concentrations to index for a standard, averaged from stored readings the
+ * way the standard prescribes (see AVERAGING)
+ * @param {string} standard - Standard key (us_epa or eu_caqi)
+ * @param {array} readings - Readings covering at least the last 12 hours
+ * @param {Date} at - Time the index is reported for
+ * @returns {object} { concentrations, exclusions, averages }
+ */
+function averageForStandard(standard, readings, at = new Date()) {
+  const concentrations = {};
+  const exclusions = {};
+  const averages = {};
+
+  Object.entries(AVERAGING[standard]).forEach(([pollutant, period]) => {
+    const hourly = getHourlySeries(readings, pollutant, at, period.hours);
+    const hoursWithData = hourly.filter(value => value !== null).length;
+    if (hoursWithData === 0) return;
+
+    let value = null;
+    let reason = null;
+    if (period.statistic === 'nowcast') {
+      value = calculateNowCast(hourly);
+      if (value === null) reason = 'NowCast needs data for 2 of the last 3 hours';
+    } else if (period.statistic === 'mean') {
+      if (hoursWithData >= MIN_HOURS[period.hours]) {
+        value = hourly.filter(v => v !== null).reduce((sum, v) => sum + v, 0) / hoursWithData;
+      } else {
+        reason = `Data for ${hoursWithData} of the last ${period.hours} hours, ${MIN_HOURS[period.hours]} required`;
+      }
+    } else {
+      value = hourly.find(v => v !== null);
+    }
+
+    if (value !== null) {
+      const factor = pollutant === 'co' ? 100 : 10;
+      value = Math.round(value * factor) / factor;
+      concentrations[pollutant] = value;
+    } else {
+      exclusions[pollutant] = reason;
+    }
+
+    averages[pollutant] = {
+      value,
+      statistic: period.statistic,
+      periodHours: period.hours,
+      hours: hoursWithData
+    };
+  });
+
+  return { concentrations, exclusions, averages };
+}
+
+/**
+ * Calculate a standard's index from a location's stored readings
+ * @param {string} standard - Standard key (us_epa or eu_caqi)
+ * @param {array} readings - Readings covering at least the last 12 hours
+ * @param {Date} at - Time the index is reported for
+ * @returns {object} calculateIndex result plus the averages used
+ */
+function calculateIndexFromReadings(standard, readings, at = new Date()) {
+  const { concentrations, exclusions, averages } = averageForStandard(standard, readings, at);
+  return { ...calculateIndex(standard, concentrations, exclusions), averages };
+}
+
+/**
+ * Index every reading of one location under a standard, each from the
+ * readings up to 12 hours before it (so US EPA PM values are NowCasts).
+ * Where too few hours precede a reading, its own concentration is used.
+ * @param {string} standard - Standard key (us_epa or eu_caqi)
+ * @param {array} readings - One location's readings, oldest first
+ * @returns {array} calculateIndex result per reading, in the same order
+ */
+function indexReadings(standard, readings) {
+  const windowMs = 12 * 60 * 60 * 1000;
+  let start = 0;
+
+  return readings.map((reading, i) => {
+    const time = new Date(reading.timestamp).getTime();
+    while (new Date(readings[start].timestamp).getTime() <= time - windowMs) start++;
+
+    const { concentrations, exclusions } = averageForStandard(standard, readings.slice(start, i + 1), reading.timestamp);
+    Object.keys(exclusions).forEach(pollutant => {
+      concentrations[pollutant] = reading[pollutant];
+    });
+    return calculateIndex(standard, concentrations);
+  });
+}
+
+/**
+ * Compare concentrations with the WHO 2021 short-term guideline levels
+ * @param {object} concentrations - Concentrations keyed by pollutant (µg/m³, mg/m³ for CO)
+ * @param {object|string} basis - How each value was obtained, per pollutant or for all
+ * @returns {object} { version, pollutants: { [p]: { value, unit, guideline, averagingPeriod,
+ *   basis, timesGuideline, exceeds, annualGuideline } }, exceeded }
+ */
+function compareWithWHO(concentrations, basis = 'latest reading') {
+  const pollutants = {};
+
+  Object.entries(WHO_GUIDELINES).forEach(([pollutant, guideline]) => {
+    const value = concentrations[pollutant];
+    if (!isValidConcentration(value)) return;
+
+    const times = value / guideline.shortTerm;
+    pollutants[pollutant] = {
+      value,
+      unit: pollutant === 'co' ? 'mg/m³' : 'µg/m³',
+      guideline: guideline.shortTerm,
+      averagingPeriod: guideline.shortTermPeriod,
+      basis: typeof basis === 'string' ? basis : basis[pollutant],
+      timesGuideline: Math.round(times * 10) / 10,
+      exceeds: times > 1,
+      annualGuideline: guideline.annual
+    };
+  });
+
+  return {
+    version: 'WHO 2021',
+    pollutants,
+    exceeded: Object.keys(pollutants).filter(pollutant => pollutants[pollutant].exceeds)
+  };
+}
+
+/**
+ * Compare a location's stored readings with the WHO guidelines, using the
+ * guideline's averaging period where enough hours have data and the latest
+ * hour otherwise
+ * @param {array} readings - Readings covering at least the last 24 hours
+ * @param {Date} at - Time of the comparison
+ * @returns {object} compareWithWHO result
+ */
+function compareReadingsWithWHO(readings, at = new Date()) {
+  const concentrations = {};
+  const basis = {};
+
+  Object.entries(WHO_GUIDELINES).forEach(([pollutant, guideline]) => {
+    const hours = parseInt(guideline.shortTermPeriod);
+    const hourly = getHourlySeries(readings, pollutant, at, hours);
+    const valid = hourly.filter(value => value !== null);
+
+    if (valid.length >= MIN_HOURS[hours]) {
+      concentrations[pollutant] = valid.reduce((sum, v) => sum + v, 0) / valid.length;
+      basis[pollutant] = `${hours}h mean`;
+    } else if (hourly.slice(0, 3).some(value => value !== null)) {
+      concentrations[pollutant] = hourly.find(value => value !== null);
+      basis[pollutant] = 'latest hour';
+    }
+
+    if (concentrations[pollutant] !== undefined) {
+      const factor = pollutant === 'co' ? 100 : 10;
+      concentrations[pollutant] = Math.round(concentrations[pollutant] * factor) / factor;
+    }
+  });
+
+  return compareWithWHO(concentrations, basis);
+}
+
+/**
+ * Whether a value is a usable concentration
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is a non-negative number
+ */
+function isValidConcentration(value) {
+  return value !== null && value !== undefined && !isNaN(value) && value >= 0;
+}
+
+module.exports = {
+  STANDARDS,
+  DEFAULT_STANDARD,
+  parseStandard,
+  describeStandard,
+  categorizeIndex,
+  calculateIndex,
+  calculateIndexFromReadings,
+  indexReadings,
+  calculateEPASubIndex,
+  epaSubIndexToConcentration,
+  calculateCAQISubIndex,
+  calculateNowCast,
+  compareWithWHO,
+  compareReadingsWithWHO
+};
@@ -57,9 +57,78 @@ const POLLUTANT_LIMITS = {
     POOR: 208,
     VERY_POOR: 748,
     SEVERE: Infinity
+  },
+  NH3: {
+    GOOD: 200,
+    SATISFACTORY: 400,
+    MODERATE: 800,
+    POOR: 1200,
+    VERY_POOR: 1800,
+    SEVERE: Infinity
+  },
+  PB: {
+    GOOD: 0.5,
+    SATISFACTORY: 1.0,
+    MODERATE: 2.0,
+    POOR: 3.0,
+    VERY_POOR: 3.5,
+    SEVERE: Infinity
   }
 };
 
+// US EPA AQI categories (2024 revision, Hazardous spans 301-500)
+const US_EPA_CATEGORIES = {
+  GOOD: { min: 0, max: 50, label: 'Good', color: '#00E400' },
+  MODERATE: { min: 51, max: 100, label: 'Moderate', color: '#FFFF00' },
+  UNHEALTHY_SENSITIVE: { min: 101, max: 150, label: 'Unhealthy for Sensitive Groups', color: '#FF7E00' },
+  UNHEALTHY: { min: 151, max: 200, label: 'Unhealthy', color: '#FF0000' },
+  VERY_UNHEALTHY: { min: 201, max: 300, label: 'Very Unhealthy', color: '#8F3F97' },
+  HAZARDOUS: { min: 301, max: 500, label: 'Hazardous', color: '#7E0023' }
+};
+
+// US EPA breakpoints in EPA units: PM µg/m³, O3 and CO ppm, NO2 and SO2 ppb.
+// Each band is [cLow, cHigh] for the US_EPA_CATEGORIES band in the same order.
+const US_EPA_BREAKPOINTS = {
+  pm25: { unit: 'µg/m³', decimals: 1, bands: [[0, 9.0], [9.1, 35.4], [35.5, 55.4], [55.5, 125.4], [125.5, 225.4], [225.5, 325.4]] },
+  pm10: { unit: 'µg/m³', decimals: 0, bands: [[0, 54], [55, 154], [155, 254], [255, 354], [355, 424], [425, 604]] },
+  // 8-hour O3; EPA has no 8-hour Hazardous band, so the 1-hour table's top is used
+  o3: { unit: 'ppm', decimals: 3, bands: [[0, 0.054], [0.055, 0.070], [0.071, 0.085], [0.086, 0.105], [0.106, 0.200], [0.201, 0.604]] },
+  co: { unit: 'ppm', decimals: 1, bands: [[0, 4.4], [4.5, 9.4], [9.5, 12.4], [12.5, 15.4], [15.5, 30.4], [30.5, 50.4]] },
+  // 1-hour SO2 up to Unhealthy; above that EPA uses the 24-hour bands
+  so2: { unit: 'ppb', decimals: 0, bands: [[0, 35], [36, 75], [76, 185], [186, 304], [305, 604], [605, 1004]] },
+  no2: { unit: 'ppb', decimals: 0, bands: [[0, 53], [54, 100], [101, 360], [361, 649], [650, 1249], [1250, 2049]] }
+};
+
+// European Common Air Quality Index (CAQI, hourly background grid)
+const CAQI_CATEGORIES = {
+  VERY_LOW: { min: 0, max: 25, label: 'Very Low', color: '#79BC6A' },
+  LOW: { min: 25, max: 50, label: 'Low', color: '#B9CE45' },
+  MEDIUM: { min: 50, max: 75, label: 'Medium', color: '#EDC100' },
+  HIGH: { min: 75, max: 100, label: 'High', color: '#F69208' },
+  VERY_HIGH: { min: 100, max: Infinity, label: 'Very High', color: '#F03667' }
+};
+
+// CAQI grid upper limits (µg/m³) for the index values 25, 50, 75 and 100.
+// CO is an 8-hour mean.
+const CAQI_BREAKPOINTS = {
+  no2: [50, 100, 200, 400],
+  pm10: [25, 50, 90, 180],
+  o3: [60, 120, 180, 240],
+  pm25: [15, 30, 55, 110],
+  co: [5000, 7500, 10000, 20000],
+  so2: [50, 100, 350, 500]
+};
+
+// WHO 2021 air quality guideline levels (µg/m³, mg/m³ for CO)
+const WHO_GUIDELINES = {
+  pm25: { shortTerm: 15, shortTermPeriod: '24h', annual: 5 },
+  pm10: { shortTerm: 45, shortTermPeriod: '24h', annual: 15 },
+  no2: { shortTerm: 25, shortTermPeriod: '24h', annual: 10 },
+  so2: { shortTerm: 40, shortTermPeriod: '24h', annual: null },
+  co: { shortTerm: 4, shortTermPeriod: '24h', annual: null },
+  o3: { shortTerm: 100, shortTermPeriod: '8h', annual: null, peakSeason: 60 }
+};
+
 // Default notification thresholds
 const NOTIFICATION_THRESHOLDS = {
   MODERATE: 101,
@@ -68,8 +137,31 @@ const NOTIFICATION_THRESHOLDS = {
   SEVERE: 401
 };
 
+// Typical AQI by state, the baseline of mock readings
+const MOCK_BASE_AQI = {
+  'Delhi': 180,
+  'Uttar Pradesh': 170,
+  'Haryana': 160,
+  'Punjab': 150,
+  'Bihar': 160,
+  'West Bengal': 150,
+  'Telangana': 130,
+  'Gujarat': 125,
+  'Maharashtra': 120,
+  'Tamil Nadu': 110,
+  'Karnataka': 100,
+  'Kerala': 70,
+  default: 120
+};
+
 module.exports = {
   AQI_CATEGORIES,
   POLLUTANT_LIMITS,
-  NOTIFICATION_THRESHOLDS
+  US_EPA_CATEGORIES,
+  US_EPA_BREAKPOINTS,
+  CAQI_CATEGORIES,
+  CAQI_BREAKPOINTS,
+  WHO_GUIDELINES,
+  NOTIFICATION_THRESHOLDS,
+  MOCK_BASE_AQI
 };
@@ -0,0 +1,115 @@
+/**
+ * Error types for upstream data-provider calls. Each carries the provider
+ * name, a stable `code` (reported in providerAttempts) and whether the call
+ * is worth retrying.
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} provider - Provider name
+   * @param {string} message - Error message
+   * @param {object} options - { code, retryable, status, cause }
+   */
+  constructor(provider, message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.provider = provider;
+    this.code = options.code || 'provider_error';
+    this.retryable = options.retryable ?? false;
+    this.status = options.status;
+    // Whether the failure says something about the provider's health
+    this.countsAsFailure = options.countsAsFailure ?? true;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+/** Request did not complete within the timeout */
+class ProviderTimeoutError extends ProviderError {
+  constructor(provider, timeoutMs, cause) {
+    const message = timeoutMs ? `${provider} did not respond within ${timeoutMs}ms` : `${provider} request timed out`;
+    super(provider, message, { code: 'timeout', retryable: true, cause });
+  }
+}
+
+/** Network failure or 5xx from the provider */
+class ProviderUnavailableError extends ProviderError {
+  constructor(provider, message, status, cause) {
+    super(provider, message, { code: 'unavailable', retryable: true, status, cause });
+  }
+}
+
+/** Provider answered 429, or our own quota budget for it is spent */
+class ProviderRateLimitError extends ProviderError {
+  /**
+   * @param {string} provider - Provider name
+   * @param {string} message - Error message
+   * @param {number} retryAfterMs - How long to stay away from the provider
+   */
+  constructor(provider, message, retryAfterMs, cause) {
+    super(provider, message, { code: 'rate_limited', retryable: false, status: 429, countsAsFailure: false, cause });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** API key rejected (401/403) */
+class ProviderAuthError extends ProviderError {
+  constructor(provider, status, cause) {
+    super(provider, `${provider} rejected the API key (HTTP ${status})`, { code: 'auth', retryable: false, status, cause });
+  }
+}
+
+/** Provider answered, but with something we cannot use */
+class ProviderResponseError extends ProviderError {
+  constructor(provider, message, status, cause) {
+    super(provider, message, { code: 'bad_response', retryable: false, status, cause });
+  }
+}
+
+/** Provider works but has no data for this request (e.g. no station nearby) */
+class ProviderNoDataError extends ProviderError {
+  constructor(provider, message) {
+    super(provider, message, { code: 'no_data', retryable: false, countsAsFailure: false });
+  }
+}
+
+/**
+ * Turn an axios (or other) error into a ProviderError
+ * @param {string} provider - Provider name
+ * @param {Error} error - Original error
+ * @returns {ProviderError} Typed error
+ */
+function toProviderError(provider, error) {
+  if (error instanceof ProviderError) return error;
+
+  const status = error.response?.status;
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+    return new ProviderTimeoutError(provider, error.config?.timeout, error);
+  }
+  if (status === 429) {
+    const retryAfter = parseInt(error.response.headers?.['retry-after']);
+    return new ProviderRateLimitError(
+      provider,
+      `${provider} rate limit reached`,
+      isNaN(retryAfter) ? 60000 : retryAfter * 1000,
+      error
+    );
+  }
+  if (status === 401 || status === 403) {
+    return new ProviderAuthError(provider, status, error);
+  }
+  if (status >= 500 || (!status && error.request)) {
+    return new ProviderUnavailableError(provider, `${provider} unavailable: ${error.message}`, status, error);
+  }
+  return new ProviderResponseError(provider, error.message, status, error);
+}
+
+module.exports = {
+  ProviderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  ProviderRateLimitError,
+  ProviderAuthError,
+  ProviderResponseError,
+  ProviderNoDataError,
+  toProviderError
+};
@@ -0,0 +1,292 @@
+const { calculateDistance, categorizeAQI, round } = require('./helpers');
+const { AQI_CATEGORIES } = require('./constants');
+
+// Travel modes: typical urban speed and the air breathed at that activity
+// (US EPA Exposure Factors Handbook, adult inhalation rates by activity level)
+const TRAVEL_MODES = {
+  walking: { speedKmh: 5, inhalationRate: 1.4 },
+  cycling: { speedKmh: 15, inhalationRate: 2.5 },
+  transit: { speedKmh: 20, inhalationRate: 0.7 },
+  driving: { speedKmh: 30, inhalationRate: 0.6 }
+};
+
+// Routes are resampled every SAMPLE_SPACING_KM and reported in SEGMENT_LENGTH_KM pieces
+const SAMPLE_SPACING_KM = 0.2;
+const SEGMENT_LENGTH_KM = 1;
+const MIN_STEP_KM = 0.001;
+
+// Most polluted segments listed per route
+const PEAK_SEGMENTS = 3;
+
+// Limits of one request
+const MAX_ROUTES = 5;
+const MAX_ROUTE_POINTS = 10000;
+const MAX_ROUTE_LENGTH_KM = 300;
+
+/**
+ * Decode an encoded polyline (Google polyline algorithm)
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places encoded: 5 (Google) or 6 (OSRM/Valhalla polyline6)
+ * @returns {array|null} [[lng, lat]] in GeoJSON order, or null if the string is malformed
+ */
+function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) return null;
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) return null;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  };
+
+  while (index < encoded.length) {
+    const dLat = nextValue();
+    const dLng = nextValue();
+    if (dLat === null || dLng === null) return null;
+    lat += dLat;
+    lng += dLng;
+    coordinates.push([lng / factor, lat / factor]);
+  }
+
+  return coordinates;
+}
+
+/**
+ * Read the coordinates of a submitted route
+ * @param {object} route - { polyline, precision } or { geometry } (GeoJSON LineString, or a Feature of one)
+ * @returns {array|null} [[lng, lat]], or null if the route has no valid line
+ */
+function parseRouteCoordinates(route) {
+  let coordinates = null;
+
+  if (typeof route.polyline === 'string') {
+    coordinates = decodePolyline(route.polyline, route.precision === 6 ? 6 : 5);
+  } else if (route.geometry) {
+    const geometry = route.geometry.type === 'Feature' ? route.geometry.geometry : route.geometry;
+    if (geometry && geometry.type === 'LineString') coordinates = geometry.coordinates;
+  }
+
+  if (!Array.isArray(coordinates) || coordinates.length < 2 || coordinates.length > MAX_ROUTE_POINTS) return null;
+
+  const valid = coordinates.every(point => Array.isArray(point) &&
+    typeof point[0] === 'number' && typeof point[1] === 'number' &&
+    point[0] >= -180 && point[0] <= 180 && point[1] >= -90 && point[1] <= 90);
+
+  return valid ? coordinates.map(([lng, lat]) => [lng, lat]) : null;
+}
+
+/**
+ * Length of a line
+ * @param {array} coordinates - [[lng, lat]]
+ * @returns {number} Length in km
+ */
+function lineLength(coordinates) {
+  let length = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    length += calculateDistance(coordinates[i - 1][1], coordinates[i - 1][0], coordinates[i][1], coordinates[i][0]);
+  }
+  return length;
+}
+
+/**
+ * Split a line into short steps of at most SAMPLE_SPACING_KM. Steps are also
+ * cut at every SEGMENT_LENGTH_KM, so each lies in exactly one segment.
+ * @param {array} coordinates - [[lng, lat]]
+ * @returns {array} Steps { fromKm, toKm, start, end, latitude, longitude } with the step midpoint
+ */
+function sampleRoute(coordinates) {
+  const steps = [];
+  let travelled = 0;
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lng1, lat1] = coordinates[i - 1];
+    const [lng2, lat2] = coordinates[i];
+    const length = calculateDistance(lat1, lng1, lat2, lng2);
+    if (length === 0) continue;
+
+    // Evenly spaced cuts, plus the segment boundaries that fall on this edge
+    const pieces = Math.max(1, Math.ceil(length / SAMPLE_SPACING_KM));
+    const cuts = Array.from({ length: pieces + 1 }, (_, piece) => piece / pieces);
+    for (let km = (Math.floor(travelled / SEGMENT_LENGTH_KM) + 1) * SEGMENT_LENGTH_KM; km < travelled + length; km += SEGMENT_LENGTH_KM) {
+      cuts.push((km - travelled) / length);
+    }
+    // A boundary within a metre of an even cut replaces it rather than leaving a sliver
+    const fractions = cuts.sort((a, b) => a - b).reduce((kept, cut) => {
+      if (kept.length > 0 && (cut - kept[kept.length - 1]) * length < MIN_STEP_KM) {
+        if (cut === 1 || kept.length === 1) return kept;
+        kept[kept.length - 1] = cut;
+        return kept;
+      }
+      return [...kept, cut];
+    }, []);
+    fractions[fractions.length - 1] = 1;
+
+    const at = fraction => [lng1 + (lng2 - lng1) * fraction, lat1 + (lat2 - lat1) * fraction];
+    for (let i = 1; i < fractions.length; i++) {
+      const [longitude, latitude] = at((fractions[i - 1] + fractions[i]) / 2);
+      steps.push({
+        fromKm: travelled + length * fractions[i - 1],
+        toKm: travelled + length * fractions[i],
+        start: at(fractions[i - 1]),
+        end: at(fractions[i]),
+        latitude,
+        longitude
+      });
+    }
+    travelled += length;
+  }
+
+  return steps;
+}
+
+/**
+ * Work out the exposure along a sampled route
+ * @param {array} steps - sampleRoute() steps, each with aqi and pm25 (null where the surface has no value)
+ * @param {object} options - { speedKmh, inhalationRate, departure (Date) }
+ * @returns {object} { distanceKm, durationMinutes, arrivalTime, dose, aqi, timeInCategory, peakSegments, coverage }
+ */
+function summarizeExposure(steps, { speedKmh, inhalationRate, departure }) {
+  const distanceKm = steps.length > 0 ? steps[steps.length - 1].toKm : 0;
+  const durationHours = distanceKm / speedKmh;
+
+  const timeInCategory = Object.fromEntries(Object.keys(AQI_CATEGORIES).map(key => [key, 0]));
+  let aqiHours = 0;
+  let aqiTotal = 0;
+  let aqiMax = null;
+  let pm25Hours = 0;
+  let pm25Total = 0;
+
+  steps.forEach(step => {
+    const hours = (step.toKm - step.fromKm) / speedKmh;
+
+    if (step.aqi !== null) {
+      timeInCategory[categorizeAQI(Math.round(step.aqi)).category] += hours * 60;
+      aqiHours += hours;
+      aqiTotal += step.aqi * hours;
+      aqiMax = aqiMax === null ? step.aqi : Math.max(aqiMax, step.aqi);
+    }
+    if (step.pm25 !== null) {
+      pm25Hours += hours;
+      pm25Total += step.pm25 * hours;
+    }
+  });
+
+  // Dose = concentration × air breathed; steps without PM2.5 are left out
+  // rather than guessed, and `coverage` says how much of the trip that is
+  const meanPM25 = pm25Hours > 0 ? pm25Total / pm25Hours : null;
+
+  return {
+    distanceKm: round(distanceKm, 2),
+    durationMinutes: round(durationHours * 60, 1),
+    arrivalTime: new Date(departure.getTime() + durationHours * 60 * 60 * 1000).toISOString(),
+    dose: {
+      pollutant: 'pm25',
+      inhaledMicrograms: meanPM25 !== null ? round(pm25Total * inhalationRate, 1) : null,
+      meanConcentration: meanPM25 !== null ? round(meanPM25, 1) : null,
+      unit: 'µg',
+      inhalationRate
+    },
+    aqi: {
+      mean: aqiHours > 0 ? Math.round(aqiTotal / aqiHours) : null,
+      max: aqiMax !== null ? Math.round(aqiMax) : null
+    },
+    timeInCategory: Object.fromEntries(Object.entries(timeInCategory).map(([key, minutes]) => [key, round(minutes, 1)])),
+    peakSegments: findPeakSegments(steps),
+    coverage: {
+      aqi: durationHours > 0 ? round(aqiHours / durationHours, 2) : 0,
+      pm25: durationHours > 0 ? round(pm25Hours / durationHours, 2) : 0
+    }
+  };
+}
+
+/**
+ * Rank routes for the comparison: lowest inhaled dose first, mean AQI when
+ * a route has no PM2.5 along it
+ * @param {array} routes - [{ id, dose, aqi }] summaries
+ * @returns {object} { recommended, ranking, doseReductionPercent } comparing the best route with the worst
+ */
+function compareRoutes(routes) {
+  const score = route => route.dose.inhaledMicrograms ?? Infinity;
+  const ranked = [...routes].sort((a, b) =>
+    (score(a) - score(b)) || ((a.aqi.mean ?? Infinity) - (b.aqi.mean ?? Infinity))
+  );
+
+  const best = ranked[0];
+  const worst = ranked[ranked.length - 1];
+  const comparable = best.dose.inhaledMicrograms !== null && worst.dose.inhaledMicrograms > 0;
+
+  return {
+    recommended: best.id,
+    ranking: ranked.map(route => ({
+      id: route.id,
+      inhaledMicrograms: route.dose.inhaledMicrograms,
+      meanAqi: route.aqi.mean,
+      durationMinutes: route.durationMinutes
+    })),
+    doseReductionPercent: comparable
+      ? round((1 - best.dose.inhaledMicrograms / worst.dose.inhaledMicrograms) * 100, 1)
+      : null
+  };
+}
+
+/**
+ * Group steps into SEGMENT_LENGTH_KM pieces and pick the most polluted
+ * @param {array} steps - sampleRoute() steps with aqi and pm25
+ * @returns {array} Up to PEAK_SEGMENTS segments { fromKm, toKm, start, end, aqi, pm25, category }, worst first
+ */
+function findPeakSegments(steps) {
+  const segments = new Map();
+  steps.forEach(step => {
+    // Steps never cross a segment boundary, so their midpoint picks the segment
+    const key = Math.floor((step.fromKm + step.toKm) / 2 / SEGMENT_LENGTH_KM);
+    if (!segments.has(key)) segments.set(key, []);
+    segments.get(key).push(step);
+  });
+
+  return [...segments.values()]
+    .map(group => {
+      // Steps differ in length where a segment boundary cuts one short
+      const mean = field => {
+        const valued = group.filter(step => step[field] !== null);
+        const length = valued.reduce((sum, step) => sum + step.toKm - step.fromKm, 0);
+        return length > 0 ? valued.reduce((sum, step) => sum + step[field] * (step.toKm - step.fromKm), 0) / length : null;
+      };
+      const aqi = mean('aqi');
+      const pm25 = mean('pm25');
+      return {
+        fromKm: round(group[0].fromKm, 2),
+        toKm: round(group[group.length - 1].toKm, 2),
+        start: group[0].start.map(value => round(value, 6)),
+        end: group[group.length - 1].end.map(value => round(value, 6)),
+        aqi: aqi !== null ? Math.round(aqi) : null,
+        pm25: pm25 !== null ? round(pm25, 1) : null,
+        category: aqi !== null ? categorizeAQI(Math.round(aqi)).category : null
+      };
+    })
+    .filter(segment => segment.aqi !== null)
+    .sort((a, b) => b.aqi - a.aqi)
+    .slice(0, PEAK_SEGMENTS);
+}
+
+module.exports = {
+  TRAVEL_MODES,
+  MAX_ROUTES,
+  MAX_ROUTE_LENGTH_KM,
+  decodePolyline,
+  parseRouteCoordinates,
+  lineLength,
+  sampleRoute,
+  summarizeExposure,
+  compareRoutes
+};
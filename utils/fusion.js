@@ -0,0 +1,135 @@
+const { calculateDistance } = require('./helpers');
+
+const FUSED_POLLUTANTS = ['pm25', 'pm10', 'no2', 'so2', 'co', 'o3', 'nh3', 'pb'];
+
+// Distance (km) at which a source's weight falls to ~37% (e^-1)
+const DISTANCE_SCALE_KM = parseFloat(process.env.AQI_FUSION_DISTANCE_SCALE_KM) || 25;
+
+// A source "agrees" when its AQI is within this many points or this fraction of the consensus
+const AGREEMENT_POINTS = 25;
+const AGREEMENT_FRACTION = 0.25;
+
+/**
+ * Weighted median of a list of values
+ * @param {array} entries - [{ value, weight }]
+ * @returns {number|null} Weighted median, or null for an empty list
+ */
+function weightedMedian(entries) {
+  const valid = entries
+    .filter(entry => entry.value !== null && entry.value !== undefined && !isNaN(entry.value) && entry.weight > 0)
+    .sort((a, b) => a.value - b.value);
+  if (valid.length === 0) return null;
+
+  const totalWeight = valid.reduce((sum, entry) => sum + entry.weight, 0);
+  let cumulative = 0;
+
+  for (let i = 0; i < valid.length; i++) {
+    cumulative += valid[i].weight;
+    if (cumulative > totalWeight / 2) {
+      return valid[i].value;
+    }
+    // Exactly half the weight on each side: average the two middle values
+    if (cumulative === totalWeight / 2) {
+      return (valid[i].value + valid[i + 1].value) / 2;
+    }
+  }
+
+  return valid[valid.length - 1].value;
+}
+
+/**
+ * Weight of a source by reliability and distance from the requested point
+ * @param {number} reliability - Provider reliability (0-1)
+ * @param {number} distanceKm - Distance from the requested point
+ * @returns {number} Weight
+ */
+function sourceWeight(reliability, distanceKm) {
+  return reliability * Math.exp(-distanceKm / DISTANCE_SCALE_KM);
+}
+
+/**
+ * Describe each provider result for the sources[] provenance array
+ * @param {array} results - Registry results [{ provider, reliability, data }]
+ * @param {number} lat - Requested latitude
+ * @param {number} lng - Requested longitude
+ * @returns {array} Source descriptions with weights
+ */
+function describeSources(results, lat, lng) {
+  const now = Date.now();
+
+  return results.map(({ provider, reliability, data }) => {
+    const distanceKm = calculateDistance(lat, lng, data.location.latitude, data.location.longitude);
+    const updated = new Date(data.aqi.lastUpdated).getTime();
+
+    return {
+      provider,
+      source: data.source,
+      station: data.location.name,
+      stationCode: data.location.stationCode || null,
+      latitude: data.location.latitude,
+      longitude: data.location.longitude,
+      distanceKm: Math.round(distanceKm * 10) / 10,
+      ageMinutes: isNaN(updated) ? null : Math.max(0, Math.round((now - updated) / 60000)),
+      lastUpdated: data.aqi.lastUpdated,
+      aqi: data.aqi.value,
+      pollutants: data.pollutants,
+      reliability,
+      weight: Math.round(sourceWeight(reliability, distanceKm) * 1000) / 1000
+    };
+  });
+}
+
+/**
+ * Build a consensus value per pollutant using a weighted median
+ * @param {array} sources - Output of describeSources
+ * @returns {object} Fused pollutant concentrations
+ */
+function fusePollutants(sources) {
+  const pollutants = {};
+
+  FUSED_POLLUTANTS.forEach(pollutant => {
+    const value = weightedMedian(sources.map(source => ({
+      value: source.pollutants?.[pollutant],
+      weight: source.weight
+    })));
+    // CO (mg/m³) and Pb are reported with two decimals
+    const factor = pollutant === 'co' || pollutant === 'pb' ? 100 : 10;
+    pollutants[pollutant] = value === null ? null : Math.round(value * factor) / factor;
+  });
+
+  return pollutants;
+}
+
+/**
+ * Summarise how many sources agree with the consensus AQI
+ * @param {array} sources - Output of describeSources
+ * @param {number} consensusAqi - Fused AQI
+ * @returns {object} Agreement summary
+ */
+function summarizeAgreement(sources, consensusAqi) {
+  const tolerance = Math.max(AGREEMENT_POINTS, consensusAqi * AGREEMENT_FRACTION);
+  const disagreeing = sources
+    .filter(source => Math.abs(source.aqi - consensusAqi) > tolerance)
+    .map(source => source.provider);
+
+  let status = 'agree';
+  if (sources.length === 1) status = 'single_source';
+  else if (disagreeing.length > 0) status = 'disagree';
+
+  return {
+    status,
+    totalSources: sources.length,
+    agreeingSources: sources.length - disagreeing.length,
+    disagreeingProviders: disagreeing,
+    tolerance: Math.round(tolerance)
+  };
+}
+
+module.exports = {
+  FUSED_POLLUTANTS,
+  weightedMedian,
+  sourceWeight,
+  describeSources,
+  fusePollutants,
+  summarizeAgreement
+};
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateDistance } = require('./helpers');
+
+// Place names come from a GeoNames country extract (data/gazetteer/IN.txt,
+// tab-separated in the GeoNames "geoname" layout) with its admin1 (state) and
+// admin2 (district) code tables. GAZETTEER_DIR can point at a fuller GeoNames
+// download with the same file names.
+const GAZETTEER_DIR = process.env.GAZETTEER_DIR || path.join(__dirname, '..', 'data', 'gazetteer');
+
+const COUNTRY_CODE = 'IN';
+
+// Points farther than this from every known place are not labelled
+const MAX_PLACE_DISTANCE_KM = 100;
+
+// Stations this close to a place count as being in it
+const CITY_RADIUS_KM = 25;
+
+// Spatial index cell size in degrees
+const CELL_SIZE = 0.5;
+
+// Administrative seats first when several places share a name
+const FEATURE_RANK = ['PPLC', 'PPLA', 'PPLA2', 'PPLA3', 'PPLA4', 'PPL', 'PPLX'];
+
+// GeoNames "geoname" columns used here
+const COLUMNS = {
+  geonameId: 0,
+  name: 1,
+  asciiName: 2,
+  alternateNames: 3,
+  latitude: 4,
+  longitude: 5,
+  featureClass: 6,
+  featureCode: 7,
+  countryCode: 8,
+  admin1: 10,
+  admin2: 11,
+  population: 14
+};
+
+let gazetteer = null;
+
+/**
+ * Named place, district and state of a coordinate. The name is that of the
+ * most prominent populated place within CITY_RADIUS_KM (see prominentPlace),
+ * so a point in Salt Lake is named Kolkata rather than the nearest village;
+ * district and state are those of the nearest place, which the point is most
+ * likely in.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {object|null} { name, district, districtCode, state, stateCode, latitude, longitude,
+ *   population, distanceKm }, or null if no place is within MAX_PLACE_DISTANCE_KM
+ */
+function reverseGeocode(lat, lng) {
+  const { index } = load();
+  const nearest = nearestPlace(index, lat, lng);
+  if (!nearest) return null;
+
+  const place = prominentPlace(index, lat, lng) || nearest;
+  return {
+    ...describePlace(place),
+    district: nearest.district,
+    districtCode: nearest.districtCode,
+    state: nearest.state,
+    stateCode: nearest.stateCode,
+    distanceKm: Math.round(calculateDistance(lat, lng, place.latitude, place.longitude) * 10) / 10
+  };
+}
+
+/**
+ * Resolve a place name to coordinates. Matches the name, its ASCII spelling
+ * or a former name (Bangalore, Bombay), then falls back to names starting
+ * with the search. "Aurangabad, Bihar" narrows the match to a state or district.
+ * @param {string} query - Place name, optionally followed by ", state" or ", district"
+ * @param {object} options - { prefix: whether to fall back to names starting with the query }
+ * @returns {object|null} { name, district, districtCode, state, stateCode, latitude, longitude, population }
+ */
+function findPlace(query, { prefix = true } = {}) {
+  const [name, region] = String(query || '').split(',').map(normalizeName);
+  if (!name) return null;
+
+  const { places, names } = load();
+  const inRegion = place => !region ||
+    normalizeName(place.state) === region || normalizeName(place.district) === region;
+
+  let matches = (names.get(name) || []).filter(inRegion);
+  if (matches.length === 0 && prefix) {
+    matches = places.filter(place => inRegion(place) && place.searchNames.some(candidate => candidate.startsWith(name)));
+  }
+  if (matches.length === 0) return null;
+
+  const best = matches.reduce((a, b) => comparePlaces(a, b) <= 0 ? a : b);
+  return describePlace(best);
+}
+
+/**
+ * Every place in the gazetteer
+ * @returns {array} Places as returned by findPlace
+ */
+function listPlaces() {
+  return load().places.map(describePlace);
+}
+
+/**
+ * Load the gazetteer files on first use
+ * @returns {object} { places, names, index }
+ */
+function load() {
+  if (gazetteer) return gazetteer;
+
+  const states = readCodes('admin1CodesASCII.txt');
+  const districts = readCodes('admin2Codes.txt');
+
+  const places = [];
+  const lines = fs.readFileSync(path.join(GAZETTEER_DIR, `${COUNTRY_CODE}.txt`), 'utf8').split('\n');
+  for (const line of lines) {
+    const fields = line.split('\t');
+    // Full GeoNames extracts also hold rivers, hills etc.; keep populated places
+    if (fields[COLUMNS.featureClass] !== 'P' || fields[COLUMNS.countryCode] !== COUNTRY_CODE) continue;
+
+    const admin1 = `${COUNTRY_CODE}.${fields[COLUMNS.admin1]}`;
+    const alternateNames = fields[COLUMNS.alternateNames] ? fields[COLUMNS.alternateNames].split(',') : [];
+
+    places.push({
+      geonameId: fields[COLUMNS.geonameId] ? parseInt(fields[COLUMNS.geonameId]) : null,
+      name: fields[COLUMNS.name],
+      latitude: parseFloat(fields[COLUMNS.latitude]),
+      longitude: parseFloat(fields[COLUMNS.longitude]),
+      featureCode: fields[COLUMNS.featureCode],
+      population: parseInt(fields[COLUMNS.population]) || 0,
+      stateCode: admin1,
+      state: states.get(admin1) || null,
+      districtCode: fields[COLUMNS.admin2] ? `${admin1}.${fields[COLUMNS.admin2]}` : null,
+      district: fields[COLUMNS.admin2] ? districts.get(`${admin1}.${fields[COLUMNS.admin2]}`) || null : null,
+      searchNames: [...new Set([fields[COLUMNS.name], fields[COLUMNS.asciiName], ...alternateNames].map(normalizeName).filter(Boolean))]
+    });
+  }
+
+  const names = new Map();
+  const index = new Map();
+  places.forEach(place => {
+    place.searchNames.forEach(name => {
+      if (!names.has(name)) names.set(name, []);
+      names.get(name).push(place);
+    });
+
+    const key = cellKey(cellOf(place.latitude), cellOf(place.longitude));
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(place);
+  });
+
+  // Large cities often carry no district in GeoNames; take the district of
+  // the closest place in the same state that has one
+  places.filter(place => !place.district).forEach(place => {
+    const neighbour = nearestPlace(index, place.latitude, place.longitude,
+      candidate => candidate.district && candidate.stateCode === place.stateCode);
+    if (neighbour) {
+      place.district = neighbour.district;
+      place.districtCode = neighbour.districtCode;
+    }
+  });
+
+  console.log(`🗺️ Gazetteer loaded: ${places.length} places from ${GAZETTEER_DIR}`);
+  gazetteer = { places, names, index };
+  return gazetteer;
+}
+
+/**
+ * Read a GeoNames admin code table (code, name, ascii name, geonameid)
+ * @param {string} file - File name in GAZETTEER_DIR
+ * @returns {Map} Code (IN.16 or IN.16.517) to name
+ */
+function readCodes(file) {
+  const codes = new Map();
+  fs.readFileSync(path.join(GAZETTEER_DIR, file), 'utf8').split('\n').forEach(line => {
+    const [code, name] = line.split('\t');
+    if (code && code.startsWith(`${COUNTRY_CODE}.`)) codes.set(code, name);
+  });
+  return codes;
+}
+
+/**
+ * Closest place to a point, searching outwards ring by ring through the index
+ * @param {Map} index - Places by cell
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {function} filter - Optional place filter
+ * @returns {object|null} Place within MAX_PLACE_DISTANCE_KM
+ */
+function nearestPlace(index, lat, lng, filter = () => true) {
+  const row = cellOf(lat);
+  const col = cellOf(lng);
+  // Narrowest width of a cell near this latitude, in km
+  const cellKm = CELL_SIZE * 111 * Math.max(Math.cos((Math.abs(lat) + CELL_SIZE) * Math.PI / 180), 0.01);
+  const maxRing = Math.ceil(MAX_PLACE_DISTANCE_KM / cellKm);
+
+  let best = null;
+  let bestDistance = MAX_PLACE_DISTANCE_KM;
+
+  for (let ring = 0; ring <= maxRing; ring++) {
+    // Everything closer than the ring's inner edge has been seen
+    if (best && bestDistance <= (ring - 1) * cellKm) break;
+
+    for (let r = row - ring; r <= row + ring; r++) {
+      for (let c = col - ring; c <= col + ring; c++) {
+        if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+
+        (index.get(cellKey(r, c)) || []).forEach(place => {
+          if (!filter(place)) return;
+          const distance = calculateDistance(lat, lng, place.latitude, place.longitude);
+          if (distance <= bestDistance) {
+            best = place;
+            bestDistance = distance;
+          }
+        });
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Populated place within CITY_RADIUS_KM with the highest population / distance²,
+ * so a city a few km away outranks a village next door (distances under 1 km
+ * count as 1 km). Places without a population are not considered.
+ * @param {Map} index - Places by cell
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {object|null} Place, or null if no populated place is that close
+ */
+function prominentPlace(index, lat, lng) {
+  const latCells = Math.ceil(CITY_RADIUS_KM / 111 / CELL_SIZE);
+  const lngCells = Math.ceil(CITY_RADIUS_KM / (111 * Math.max(Math.cos(lat * Math.PI / 180), 0.01)) / CELL_SIZE);
+  const row = cellOf(lat);
+  const col = cellOf(lng);
+
+  let best = null;
+  let bestScore = 0;
+  for (let r = row - latCells; r <= row + latCells; r++) {
+    for (let c = col - lngCells; c <= col + lngCells; c++) {
+      (index.get(cellKey(r, c)) || []).forEach(place => {
+        if (place.population <= 0) return;
+        const distance = calculateDistance(lat, lng, place.latitude, place.longitude);
+        if (distance > CITY_RADIUS_KM) return;
+
+        const score = place.population / Math.pow(Math.max(distance, 1), 2);
+        if (score > bestScore) {
+          best = place;
+          bestScore = score;
+        }
+      });
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Order places sharing a name: administrative seats, then population
+ * @param {object} a - Place
+ * @param {object} b - Place
+ * @returns {number} Negative if a ranks first
+ */
+function comparePlaces(a, b) {
+  const rank = place => {
+    const position = FEATURE_RANK.indexOf(place.featureCode);
+    return position === -1 ? FEATURE_RANK.length : position;
+  };
+  return (rank(a) - rank(b)) || (b.population - a.population);
+}
+
+/**
+ * Public fields of a place
+ * @param {object} place - Loaded place
+ * @returns {object} { name, district, districtCode, state, stateCode, latitude, longitude, population }
+ */
+function describePlace(place) {
+  return {
+    name: place.name,
+    district: place.district,
+    districtCode: place.districtCode,
+    state: place.state,
+    stateCode: place.stateCode,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    population: place.population
+  };
+}
+
+/**
+ * Lowercase a name and strip diacritics, so "Pūnch" matches "punch"
+ * @param {string} name - Place name
+ * @returns {string} Search form
+ */
+function normalizeName(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Index cell of a coordinate
+ * @param {number} degrees - Latitude or longitude
+ * @returns {number} Cell number
+ */
+function cellOf(degrees) {
+  return Math.floor(degrees / CELL_SIZE);
+}
+
+/**
+ * Map key of an index cell
+ * @param {number} row - Latitude cell
+ * @param {number} col - Longitude cell
+ * @returns {string} Key
+ */
+function cellKey(row, col) {
+  return `${row}:${col}`;
+}
+
+module.exports = {
+  GAZETTEER_DIR,
+  MAX_PLACE_DISTANCE_KM,
+  CITY_RADIUS_KM,
+  reverseGeocode,
+  findPlace,
+  listPlaces
+};
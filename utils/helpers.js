@@ -1,4 +1,5 @@
 const { AQI_CATEGORIES } = require('./constants');
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
 
 /**
  * Categorize AQI value into Indian NAQI categories
@@ -29,42 +30,11 @@ function categorizeAQI(aqi) {
 /**
  * Get health recommendations based on AQI category
  * @param {string} category - AQI category
+ * @param {string} lang - Language code (default English)
  * @returns {object} Health advice
  */
-function getHealthAdvice(category) {
-  const advice = {
-    GOOD: {
-      general: "Air quality is excellent. Ideal for outdoor activities.",
-      sensitive: "No health implications. Enjoy outdoor activities.",
-      recommendations: ["Perfect time for outdoor exercise", "Windows can be kept open"]
-    },
-    SATISFACTORY: {
-      general: "Air quality is acceptable for most people.",
-      sensitive: "Unusually sensitive individuals may experience minor respiratory symptoms.",
-      recommendations: ["Outdoor activities are generally safe", "Consider reducing prolonged outdoor exertion"]
-    },
-    MODERATE: {
-      general: "May cause breathing discomfort to people with lung disease, children and older adults.",
-      sensitive: "People with respiratory or heart conditions should limit outdoor activities.",
-      recommendations: ["Reduce outdoor activities if experiencing symptoms", "Use air purifiers indoors", "Keep windows closed"]
-    },
-    POOR: {
-      general: "May cause breathing discomfort to most people on prolonged exposure.",
-      sensitive: "People with respiratory/heart conditions should avoid outdoor activities.",
-      recommendations: ["Avoid outdoor activities", "Use N95 masks when going outside", "Keep windows closed", "Use air purifiers"]
-    },
-    VERY_POOR: {
-      general: "May cause respiratory illness on prolonged exposure.",
-      sensitive: "People with respiratory/heart conditions must avoid outdoor activities.",
-      recommendations: ["Stay indoors", "Use N95/N99 masks if you must go outside", "Avoid all outdoor exercise", "Use air purifiers continuously"]
-    },
-    SEVERE: {
-      general: "May cause respiratory effects even on healthy people.",
-      sensitive: "Serious health effects for everyone. Avoid outdoor activities completely.",
-      recommendations: ["Stay indoors at all times", "Use N99 masks if emergency outdoor exposure", "Use multiple air purifiers", "Seek medical attention if experiencing symptoms"]
-    }
-  };
-
+function getHealthAdvice(category, lang = DEFAULT_LANGUAGE) {
+  const advice = translate(lang, 'healthAdvice');
   return advice[category] || advice.SEVERE;
 }
 
@@ -108,9 +78,52 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+// 16-point compass rose, clockwise from north
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Calculate the initial bearing from one coordinate to another
+ * @param {number} lat1 - Latitude of point 1
+ * @param {number} lon1 - Longitude of point 1
+ * @param {number} lat2 - Latitude of point 2
+ * @param {number} lon2 - Longitude of point 2
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Get the compass point of a bearing
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {string} Compass point (N, NNE, NE, ...)
+ */
+function compassDirection(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 22.5) % COMPASS_POINTS.length];
+}
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
 module.exports = {
   categorizeAQI,
   getHealthAdvice,
   formatResponse,
-  calculateDistance
+  calculateDistance,
+  calculateBearing,
+  compassDirection,
+  round
 };
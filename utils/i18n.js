@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { AQI_CATEGORIES, US_EPA_CATEGORIES, CAQI_CATEGORIES } = require('./constants');
+
+// Message catalogues live in locales/<language>.json. English is the source
+// language; any key a catalogue does not translate falls back to English.
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'हिन्दी',
+  ta: 'தமிழ்',
+  bn: 'বাংলা',
+  mr: 'मराठी',
+  te: 'తెలుగు'
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+// English category labels come from the standards' own definitions
+const CATEGORY_SOURCES = {
+  naqi: AQI_CATEGORIES,
+  us_epa: US_EPA_CATEGORIES,
+  eu_caqi: CAQI_CATEGORIES
+};
+
+const raw = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, loadCatalogue(language)]));
+raw[DEFAULT_LANGUAGE].categories = Object.fromEntries(
+  Object.entries(CATEGORY_SOURCES).map(([standard, categories]) => [
+    standard,
+    Object.fromEntries(Object.entries(categories).map(([key, category]) => [key, category.label]))
+  ])
+);
+
+const catalogues = Object.fromEntries(
+  SUPPORTED_LANGUAGES.map(language => [language, mergeCatalogues(raw[DEFAULT_LANGUAGE], raw[language])])
+);
+
+/**
+ * Pick the response language from the `lang` query parameter, falling back
+ * to the Accept-Language header and then English
+ * @param {string|undefined} lang - Requested language (e.g. 'hi' or 'hi-IN')
+ * @param {string|undefined} acceptLanguage - Accept-Language header
+ * @returns {string|null} Language code, or null if `lang` is not supported
+ */
+function negotiateLanguage(lang, acceptLanguage) {
+  if (lang !== undefined && lang !== null && lang !== '') {
+    const language = primarySubtag(lang);
+    return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+  }
+
+  if (!acceptLanguage) return DEFAULT_LANGUAGE;
+
+  const ranges = String(acceptLanguage).split(',')
+    .map((range, order) => {
+      const [tag, ...params] = range.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { language: primarySubtag(tag), q: isNaN(q) ? 0 : q, order };
+    })
+    .filter(range => range.q > 0)
+    .sort((a, b) => b.q - a.q || a.order - b.order);
+
+  const match = ranges.find(range => range.language === '*' || SUPPORTED_LANGUAGES.includes(range.language));
+  return match && match.language !== '*' ? match.language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a message
+ * @param {string} lang - Language code
+ * @param {string} key - Dot-separated key (e.g. 'healthAdvice.GOOD')
+ * @returns {any} Message (string, list or group), English if untranslated, undefined if unknown
+ */
+function translate(lang, key) {
+  return lookup(catalogues[lang] || catalogues[DEFAULT_LANGUAGE], key);
+}
+
+/**
+ * Label of an index category
+ * @param {string} standard - Standard key (naqi, us_epa, eu_caqi)
+ * @param {string} category - Category key (e.g. 'VERY_POOR')
+ * @param {string} lang - Language code
+ * @returns {string|undefined} Label
+ */
+function categoryLabel(standard, category, lang) {
+  return translate(lang, `categories.${standard}.${category}`);
+}
+
+/**
+ * Translate an English category label (as carried by forecast steps)
+ * @param {string} standard - Standard key
+ * @param {string} label - English label (e.g. 'Very Poor')
+ * @param {string} lang - Language code
+ * @returns {string} Translated label, or the label itself if it is not a known category
+ */
+function translateCategoryLabel(standard, label, lang) {
+  const categories = catalogues[DEFAULT_LANGUAGE].categories[standard] || {};
+  const key = Object.keys(categories).find(category => categories[category] === label);
+  return key ? categoryLabel(standard, key, lang) : label;
+}
+
+/**
+ * Localize the category labels of a standard description
+ * @param {object} description - describeStandard() result
+ * @param {string} lang - Language code
+ * @returns {object} Description with translated labels
+ */
+function localizeStandard(description, lang) {
+  return {
+    ...description,
+    categories: description.categories.map(category => ({
+      ...category,
+      label: categoryLabel(description.id, category.category, lang) || category.label
+    }))
+  };
+}
+
+/**
+ * List the English keys a catalogue does not translate
+ * @param {string} lang - Language code
+ * @returns {array} Dot-separated keys
+ */
+function findMissingTranslations(lang) {
+  return leafKeys(catalogues[DEFAULT_LANGUAGE])
+    .filter(key => lookup(raw[lang] || {}, key) === undefined);
+}
+
+/**
+ * Read a catalogue file
+ * @param {string} language - Language code
+ * @returns {object} Messages, empty if the file does not exist
+ */
+function loadCatalogue(language) {
+  const file = path.join(LOCALES_DIR, `${language}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Overlay a translation on the English catalogue; lists are replaced whole
+ * @param {object} base - English messages
+ * @param {object} overlay - Translated messages
+ * @returns {object} Merged messages
+ */
+function mergeCatalogues(base, overlay) {
+  const merged = { ...base };
+  Object.entries(overlay || {}).forEach(([key, value]) => {
+    const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isGroup ? mergeCatalogues(base[key] || {}, value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Follow a dot-separated key through a catalogue
+ * @param {object} catalogue - Messages
+ * @param {string} key - Dot-separated key
+ * @returns {any} Message, or undefined if missing
+ */
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node === undefined || node === null ? undefined : node[part]), catalogue);
+}
+
+/**
+ * Keys of every message in a catalogue
+ * @param {object} node - Messages
+ * @param {string} prefix - Key of the group
+ * @returns {array} Dot-separated keys
+ */
+function leafKeys(node, prefix = '') {
+  return Object.entries(node).flatMap(([key, value]) => {
+    const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+    return isGroup ? leafKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`];
+  });
+}
+
+/**
+ * Primary language subtag of a language tag
+ * @param {string} tag - Language tag (e.g. 'hi-IN')
+ * @returns {string} Lowercase primary subtag (e.g. 'hi')
+ */
+function primarySubtag(tag) {
+  return String(tag).trim().split(/[-_]/)[0].toLowerCase();
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  negotiateLanguage,
+  translate,
+  categoryLabel,
+  translateCategoryLabel,
+  localizeStandard,
+  findMissingTranslations
+};
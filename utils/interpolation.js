@@ -0,0 +1,239 @@
+const { calculateDistance, round } = require('./helpers');
+
+// Inverse-distance weighting of station values onto a regular lat/lng grid.
+// Each cell takes the IDW_NEIGHBOURS nearest stations, weighted by 1/d^IDW_POWER.
+const IDW_POWER = 2;
+const IDW_NEIGHBOURS = 8;
+
+// Stations this far outside the bounding box still shape the edges of the grid
+const SEARCH_MARGIN_KM = 50;
+
+// Cells with no station within this distance are left empty
+const MAX_STATION_DISTANCE_KM = 100;
+
+// Stations are bucketed by whole degree so a point only measures the
+// stations of the buckets within MAX_STATION_DISTANCE_KM of it
+const BUCKET_DEGREES = 1;
+const KM_PER_DEGREE = 111;
+
+// Largest grid served in one response
+const MAX_GRID_CELLS = 10000;
+
+// Grid spacing in degrees
+const DEFAULT_RESOLUTION = 0.1;
+const MIN_RESOLUTION = 0.01;
+const MAX_RESOLUTION = 1;
+
+// Values the grid can be built from: the stored AQI or one pollutant
+const GRID_VALUES = ['aqi', 'pm25', 'pm10', 'no2', 'so2', 'co', 'o3', 'nh3'];
+
+/**
+ * Parse a `bbox` query parameter
+ * @param {string} value - "west,south,east,north" in degrees (GeoJSON order)
+ * @returns {object|null} { west, south, east, north }, or null if invalid
+ */
+function parseBBox(value) {
+  if (!value) return null;
+
+  const parts = String(value).split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => isNaN(part))) return null;
+
+  const [west, south, east, north] = parts;
+  if (west < -180 || east > 180 || south < -90 || north > 90) return null;
+  if (west >= east || south >= north) return null;
+
+  return { west, south, east, north };
+}
+
+/**
+ * Grow a bounding box by a distance on every side
+ * @param {object} bbox - { west, south, east, north }
+ * @param {number} marginKm - Margin in km
+ * @returns {object} Expanded bounding box, clamped to valid coordinates
+ */
+function expandBBox(bbox, marginKm = SEARCH_MARGIN_KM) {
+  const latDelta = marginKm / 111;
+  const widestLat = Math.max(Math.abs(bbox.south), Math.abs(bbox.north));
+  const lngDelta = marginKm / (111 * Math.max(Math.cos(widestLat * Math.PI / 180), 0.01));
+
+  return {
+    west: Math.max(bbox.west - lngDelta, -180),
+    south: Math.max(bbox.south - latDelta, -90),
+    east: Math.min(bbox.east + lngDelta, 180),
+    north: Math.min(bbox.north + latDelta, 90)
+  };
+}
+
+/**
+ * Number of grid rows and columns covering a bounding box
+ * @param {object} bbox - { west, south, east, north }
+ * @param {number} resolution - Cell size in degrees
+ * @returns {object} { rows, cols }
+ */
+function gridSize(bbox, resolution) {
+  // Rounded first so 1/0.1 does not become 10.000000000000002
+  return {
+    rows: Math.ceil(Number(((bbox.north - bbox.south) / resolution).toFixed(6))),
+    cols: Math.ceil(Number(((bbox.east - bbox.west) / resolution).toFixed(6)))
+  };
+}
+
+/**
+ * Index stations for repeated interpolation (grids, tiles, routes)
+ * @param {array} stations - [{ latitude, longitude, value }]
+ * @returns {object} { buckets } keyed by "latBucket|lngBucket"
+ */
+function indexStations(stations) {
+  const buckets = new Map();
+  stations.forEach(station => {
+    const key = bucketKey(Math.floor(station.latitude / BUCKET_DEGREES), Math.floor(station.longitude / BUCKET_DEGREES));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(station);
+  });
+  return { buckets };
+}
+
+/**
+ * Estimate the value at a point from nearby stations
+ * @param {array|object} stations - [{ latitude, longitude, value }], or an indexStations() index
+ *   when interpolating many points from the same stations
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {object} { value, uncertainty, nearestStationKm, stationsUsed }; value is null
+ *   when no station is within MAX_STATION_DISTANCE_KM
+ */
+function interpolateIDW(stations, lat, lng) {
+  const index = Array.isArray(stations) ? indexStations(stations) : stations;
+  const neighbours = nearestStations(index, lat, lng);
+
+  if (neighbours.length === 0) {
+    return { value: null, uncertainty: null, nearestStationKm: null, stationsUsed: 0 };
+  }
+
+  const nearestStationKm = round(neighbours[0].distanceKm, 1);
+
+  // On top of a station: its own value
+  if (neighbours[0].distanceKm < 0.01) {
+    return { value: round(neighbours[0].value, 1), uncertainty: 0, nearestStationKm, stationsUsed: 1 };
+  }
+
+  const weights = neighbours.map(neighbour => 1 / Math.pow(neighbour.distanceKm, IDW_POWER));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const value = neighbours.reduce((sum, neighbour, i) => sum + weights[i] * neighbour.value, 0) / totalWeight;
+
+  // Weighted spread of the stations around the estimate: low where nearby
+  // stations agree, high where they disagree
+  const variance = neighbours.reduce((sum, neighbour, i) => sum + weights[i] * Math.pow(neighbour.value - value, 2), 0) / totalWeight;
+
+  return {
+    value: round(value, 1),
+    uncertainty: round(Math.sqrt(variance), 1),
+    nearestStationKm,
+    stationsUsed: neighbours.length
+  };
+}
+
+/**
+ * The IDW_NEIGHBOURS nearest stations within MAX_STATION_DISTANCE_KM of a point
+ * @param {object} index - indexStations() index
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {array} [{ value, distanceKm }], nearest first
+ */
+function nearestStations(index, lat, lng) {
+  const latDelta = MAX_STATION_DISTANCE_KM / KM_PER_DEGREE;
+  const widestLat = Math.min(Math.abs(lat) + latDelta, 90);
+  const lngDelta = MAX_STATION_DISTANCE_KM / (KM_PER_DEGREE * Math.max(Math.cos(widestLat * Math.PI / 180), 0.01));
+
+  const firstRow = Math.floor((lat - latDelta) / BUCKET_DEGREES);
+  const lastRow = Math.floor((lat + latDelta) / BUCKET_DEGREES);
+  const firstCol = Math.floor((lng - lngDelta) / BUCKET_DEGREES);
+  const lastCol = Math.min(Math.floor((lng + lngDelta) / BUCKET_DEGREES), firstCol + 360 / BUCKET_DEGREES - 1);
+
+  // Bounded insertion: only the IDW_NEIGHBOURS nearest are kept, sorted
+  const nearest = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      const bucket = index.buckets.get(bucketKey(row, col));
+      if (!bucket) continue;
+
+      bucket.forEach(station => {
+        const distanceKm = calculateDistance(lat, lng, station.latitude, station.longitude);
+        if (distanceKm > MAX_STATION_DISTANCE_KM) return;
+        if (nearest.length === IDW_NEIGHBOURS && distanceKm >= nearest[nearest.length - 1].distanceKm) return;
+
+        let i = nearest.length;
+        while (i > 0 && nearest[i - 1].distanceKm > distanceKm) i--;
+        nearest.splice(i, 0, { value: station.value, distanceKm });
+        if (nearest.length > IDW_NEIGHBOURS) nearest.pop();
+      });
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Key of a station bucket, with longitudes wrapped around the antimeridian
+ * @param {number} row - Latitude bucket
+ * @param {number} col - Longitude bucket
+ * @returns {string} Bucket key
+ */
+function bucketKey(row, col) {
+  const cols = 360 / BUCKET_DEGREES;
+  return `${row}|${((col % cols) + cols + 180 / BUCKET_DEGREES) % cols}`;
+}
+
+/**
+ * Interpolate station values onto a grid
+ * @param {array} stations - [{ latitude, longitude, value }]
+ * @param {object} bbox - { west, south, east, north }
+ * @param {number} resolution - Cell size in degrees
+ * @returns {object} { rows, cols, cells } with cells ordered north to south, west to east,
+ *   each { row, col, west, south, east, north, value, uncertainty, nearestStationKm, stationsUsed }
+ */
+function interpolateGrid(stations, bbox, resolution) {
+  const { rows, cols } = gridSize(bbox, resolution);
+  const index = indexStations(stations);
+  const cells = [];
+
+  for (let row = 0; row < rows; row++) {
+    const north = bbox.north - row * resolution;
+    const south = Math.max(north - resolution, bbox.south);
+
+    for (let col = 0; col < cols; col++) {
+      const west = bbox.west + col * resolution;
+      const east = Math.min(west + resolution, bbox.east);
+
+      cells.push({
+        row,
+        col,
+        west: round(west, 6),
+        south: round(south, 6),
+        east: round(east, 6),
+        north: round(north, 6),
+        ...interpolateIDW(index, (north + south) / 2, (west + east) / 2)
+      });
+    }
+  }
+
+  return { rows, cols, cells };
+}
+
+module.exports = {
+  IDW_POWER,
+  IDW_NEIGHBOURS,
+  SEARCH_MARGIN_KM,
+  MAX_STATION_DISTANCE_KM,
+  MAX_GRID_CELLS,
+  DEFAULT_RESOLUTION,
+  MIN_RESOLUTION,
+  MAX_RESOLUTION,
+  GRID_VALUES,
+  parseBBox,
+  expandBBox,
+  gridSize,
+  indexStations,
+  interpolateIDW,
+  interpolateGrid
+};
@@ -0,0 +1,314 @@
+const { AQI_CATEGORIES, POLLUTANT_LIMITS } = require('./constants');
+const { categorizeAQI } = require('./helpers');
+
+// Response pollutant keys → POLLUTANT_LIMITS keys
+const POLLUTANT_KEYS = {
+  pm25: 'PM25',
+  pm10: 'PM10',
+  no2: 'NO2',
+  so2: 'SO2',
+  co: 'CO',
+  o3: 'O3',
+  nh3: 'NH3',
+  pb: 'PB'
+};
+
+// Pollutants that contribute to the AQI value
+const INDEX_POLLUTANTS = ['pm25', 'pm10', 'no2', 'so2', 'co', 'o3', 'nh3', 'pb'];
+
+// CPCB averaging periods: 24-hour mean, except CO and O3 (highest hourly
+// value over the last 8 hours)
+const AVERAGING_PERIODS = {
+  pm25: { hours: 24, statistic: 'mean' },
+  pm10: { hours: 24, statistic: 'mean' },
+  no2: { hours: 24, statistic: 'mean' },
+  so2: { hours: 24, statistic: 'mean' },
+  nh3: { hours: 24, statistic: 'mean' },
+  pb: { hours: 24, statistic: 'mean' },
+  co: { hours: 8, statistic: 'max' },
+  o3: { hours: 8, statistic: 'max' }
+};
+
+// Hourly values needed for a valid average (CPCB: 16 of 24 hours)
+const MIN_HOURS = { 24: 16, 8: 6 };
+
+// NAQI is only reported with at least this many pollutants, one of them PM
+const MIN_POLLUTANTS = 3;
+const PM_POLLUTANTS = ['pm25', 'pm10'];
+
+/**
+ * Build the NAQI breakpoint table for a pollutant from POLLUTANT_LIMITS
+ * @param {string} pollutant - Pollutant key (e.g. 'pm25' or 'PM25')
+ * @returns {array|null} Breakpoints [{ cLow, cHigh, iLow, iHigh }]
+ */
+function getBreakpoints(pollutant) {
+  const key = POLLUTANT_KEYS[pollutant] || pollutant;
+  const limits = POLLUTANT_LIMITS[key];
+  if (!limits) return null;
+
+  const bands = Object.keys(AQI_CATEGORIES);
+  let cLow = 0;
+
+  return bands.map(band => {
+    // POLLUTANT_LIMITS leaves SEVERE open-ended. As in the CPCB calculator, the
+    // band is as wide as VERY_POOR; concentrations above it are reported as 500.
+    const cHigh = limits[band] === Infinity
+      ? limits.VERY_POOR + (limits.VERY_POOR - limits.POOR)
+      : limits[band];
+    const breakpoint = {
+      cLow,
+      cHigh,
+      iLow: AQI_CATEGORIES[band].min,
+      iHigh: AQI_CATEGORIES[band].max
+    };
+    cLow = cHigh;
+    return breakpoint;
+  });
+}
+
+/**
+ * Calculate the NAQI sub-index for a pollutant concentration
+ * @param {string} pollutant - Pollutant key
+ * @param {number} concentration - Concentration (µg/m³, mg/m³ for CO)
+ * @returns {number|null} Sub-index, or null if it cannot be calculated
+ */
+function calculateSubIndex(pollutant, concentration) {
+  const breakpoints = getBreakpoints(pollutant);
+  if (!breakpoints || concentration === null || concentration === undefined || isNaN(concentration) || concentration < 0) {
+    return null;
+  }
+
+  for (const bp of breakpoints) {
+    if (concentration >= bp.cLow && concentration <= bp.cHigh) {
+      return ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (concentration - bp.cLow) + bp.iLow;
+    }
+  }
+
+  // Above the SEVERE band
+  return 500;
+}
+
+/**
+ * Convert a NAQI sub-index back to the concentration it represents
+ * (used for feeds such as CPCB that publish sub-indices, not concentrations)
+ * @param {string} pollutant - Pollutant key
+ * @param {number} subIndex - Sub-index value (0-500)
+ * @returns {number|null} Concentration, or null if it cannot be calculated
+ */
+function subIndexToConcentration(pollutant, subIndex) {
+  const breakpoints = getBreakpoints(pollutant);
+  if (!breakpoints || subIndex === null || subIndex === undefined || isNaN(subIndex)) {
+    return null;
+  }
+
+  const index = Math.max(0, Math.min(500, subIndex));
+  // Sub-index bands have gaps (50 → 51); snap to the band the value falls in
+  const bp = breakpoints.find(b => index <= b.iHigh) || breakpoints[breakpoints.length - 1];
+  const position = Math.max(0, index - bp.iLow) / (bp.iHigh - bp.iLow);
+
+  return bp.cLow + position * (bp.cHigh - bp.cLow);
+}
+
+/**
+ * Calculate the Indian AQI from pollutant concentrations (highest sub-index).
+ * Used for single readings, where no averaging period is available.
+ * @param {object} pollutants - Concentrations keyed by pollutant (pm25, pm10, no2, ...)
+ * @returns {number} Indian AQI value
+ */
+function calculateIndianAQI(pollutants) {
+  const subIndices = INDEX_POLLUTANTS
+    .filter(pollutant => pollutants[pollutant] !== undefined && pollutants[pollutant] !== null)
+    .map(pollutant => calculateSubIndex(pollutant, pollutants[pollutant]))
+    .filter(subIndex => subIndex !== null);
+
+  // Return the maximum AQI (most restrictive)
+  return Math.round(Math.max(...subIndices, 1));
+}
+
+/**
+ * Average readings over the CPCB averaging period of each pollutant.
+ * Readings are first reduced to clock-hour means, so several readings in the
+ * same hour count once.
+ * @param {array} readings - [{ timestamp, pm25, pm10, ... }] (any order)
+ * @param {Date} at - End of the averaging window
+ * @returns {object} Per pollutant { value, statistic, periodHours, hours, requiredHours }
+ *   (value is null when too few hours have data); pollutants never measured are omitted
+ */
+function averageReadings(readings, at = new Date()) {
+  const end = new Date(at).getTime();
+  const averages = {};
+
+  Object.entries(AVERAGING_PERIODS).forEach(([pollutant, period]) => {
+    const start = end - period.hours * 60 * 60 * 1000;
+    const hourly = new Map();
+
+    readings.forEach(reading => {
+      const time = new Date(reading.timestamp).getTime();
+      const value = reading[pollutant];
+      if (time <= start || time > end || value === null || value === undefined || isNaN(value)) return;
+
+      const hour = Math.floor(time / 3600000);
+      if (!hourly.has(hour)) hourly.set(hour, []);
+      hourly.get(hour).push(value);
+    });
+
+    if (hourly.size === 0) return;
+
+    const hourValues = [...hourly.values()].map(values => values.reduce((sum, v) => sum + v, 0) / values.length);
+    const requiredHours = MIN_HOURS[period.hours];
+    let value = null;
+    if (hourValues.length >= requiredHours) {
+      value = period.statistic === 'max'
+        ? Math.max(...hourValues)
+        : hourValues.reduce((sum, v) => sum + v, 0) / hourValues.length;
+      // CO (mg/m³) and Pb are reported with two decimals
+      const factor = pollutant === 'co' || pollutant === 'pb' ? 100 : 10;
+      value = Math.round(value * factor) / factor;
+    }
+
+    averages[pollutant] = {
+      value,
+      statistic: period.statistic,
+      periodHours: period.hours,
+      hours: hourValues.length,
+      requiredHours
+    };
+  });
+
+  return averages;
+}
+
+/**
+ * Break concentrations down into per-pollutant sub-indices
+ * @param {object} concentrations - Concentrations keyed by pollutant
+ * @param {object} exclusions - Pollutants to leave out, keyed by pollutant → reason
+ * @returns {object} { subIndices, prominentPollutant, missingPollutants, excludedPollutants }
+ */
+function getSubIndexBreakdown(concentrations, exclusions = {}) {
+  const subIndices = {};
+  const missingPollutants = [];
+  const excludedPollutants = [];
+
+  INDEX_POLLUTANTS.forEach(pollutant => {
+    const concentration = concentrations[pollutant];
+
+    if (exclusions[pollutant]) {
+      excludedPollutants.push({ pollutant, reason: exclusions[pollutant] });
+      return;
+    }
+    if (concentration === null || concentration === undefined) {
+      missingPollutants.push(pollutant);
+      return;
+    }
+
+    const subIndex = calculateSubIndex(pollutant, concentration);
+    if (subIndex === null) {
+      excludedPollutants.push({ pollutant, reason: `Invalid concentration ${concentration}` });
+      return;
+    }
+
+    const value = Math.round(subIndex);
+    const { category, label, color } = categorizeAQI(value);
+    subIndices[pollutant] = { value, category, label, color, concentration };
+  });
+
+  // The prominent pollutant is the one with the highest sub-index
+  const prominent = Object.keys(subIndices)
+    .reduce((a, b) => (a === null || subIndices[b].value > subIndices[a].value ? b : a), null);
+
+  return {
+    subIndices,
+    prominentPollutant: prominent
+      ? {
+        pollutant: prominent,
+        subIndex: subIndices[prominent].value,
+        category: subIndices[prominent].category,
+        label: subIndices[prominent].label
+      }
+      : null,
+    missingPollutants,
+    excludedPollutants
+  };
+}
+
+/**
+ * Pollutant with the highest sub-index in a single reading
+ * @param {object} pollutants - Concentrations keyed by pollutant
+ * @returns {string|null} Pollutant key
+ */
+function getProminentPollutant(pollutants) {
+  const { prominentPollutant } = getSubIndexBreakdown(pollutants);
+  return prominentPollutant ? prominentPollutant.pollutant : null;
+}
+
+/**
+ * Calculate the official NAQI from averaged concentrations.
+ * The index is the highest sub-index, and is only reported when at least
+ * three pollutants (one of them PM2.5 or PM10) have valid averages.
+ * @param {object} concentrations - Averaged concentrations keyed by pollutant
+ * @param {object} exclusions - Pollutants without a valid average, keyed by pollutant → reason
+ * @returns {object} { aqi, valid, reason, pollutantsUsed } plus the sub-index breakdown
+ */
+function calculateNAQI(concentrations, exclusions = {}) {
+  const breakdown = getSubIndexBreakdown(concentrations, exclusions);
+  const pollutantsUsed = Object.keys(breakdown.subIndices);
+
+  let reason = null;
+  if (pollutantsUsed.length < MIN_POLLUTANTS) {
+    reason = `Valid averages for ${pollutantsUsed.length} pollutant(s), at least ${MIN_POLLUTANTS} are required`;
+  } else if (!PM_POLLUTANTS.some(pollutant => pollutant in breakdown.subIndices)) {
+    reason = 'No valid PM2.5 or PM10 average';
+  }
+
+  return {
+    aqi: reason ? null : breakdown.prominentPollutant.subIndex,
+    valid: !reason,
+    reason,
+    pollutantsUsed,
+    ...breakdown
+  };
+}
+
+/**
+ * Calculate the official NAQI from a location's stored readings
+ * @param {array} readings - Readings covering at least the last 24 hours
+ * @param {Date} at - Time the index is reported for
+ * @returns {object} calculateNAQI result plus averages and the window
+ */
+function calculateNAQIFromReadings(readings, at = new Date()) {
+  const averages = averageReadings(readings, at);
+  const concentrations = {};
+  const exclusions = {};
+
+  Object.entries(averages).forEach(([pollutant, average]) => {
+    if (average.value === null) {
+      exclusions[pollutant] = `Data for ${average.hours} of the last ${average.periodHours} hours, ${average.requiredHours} required`;
+    } else {
+      concentrations[pollutant] = average.value;
+    }
+  });
+
+  return {
+    ...calculateNAQI(concentrations, exclusions),
+    averages,
+    window: {
+      from: new Date(new Date(at).getTime() - 24 * 60 * 60 * 1000).toISOString(),
+      to: new Date(at).toISOString()
+    }
+  };
+}
+
+module.exports = {
+  POLLUTANT_KEYS,
+  INDEX_POLLUTANTS,
+  AVERAGING_PERIODS,
+  calculateIndianAQI,
+  averageReadings,
+  calculateNAQI,
+  calculateNAQIFromReadings,
+  getSubIndexBreakdown,
+  getProminentPollutant,
+  getBreakpoints,
+  calculateSubIndex,
+  subIndexToConcentration
+};
@@ -0,0 +1,205 @@
+// Quality control of stored readings. Every AQI log is checked on ingestion
+// and keeps its values; failed checks are recorded as "<check>:<pollutant>"
+// flags (e.g. "spike:pm10") so flagged data can be left out on request.
+
+const QC_CHECKS = ['range', 'consistency', 'flatline', 'spike'];
+
+const QC_STATUS = {
+  UNCHECKED: 'unchecked', // stored before QC ran
+  PASSED: 'passed',
+  FLAGGED: 'flagged'
+};
+
+// How flagged readings are treated when reading data back
+const QC_MODES = ['all', 'strict'];
+
+// Highest plausible concentration (canonical units) before a value is treated
+// as an instrument error; negative values always fail
+const RANGE_LIMITS = { pm25: 1500, pm10: 3000, no2: 2000, so2: 2000, co: 100, o3: 1500, nh3: 3000, pb: 50 };
+
+// A stuck sensor: the same value for at least 4 readings spanning 3 hours
+const FLATLINE_MIN_READINGS = 4;
+const FLATLINE_HOURS = 3;
+
+// A spike: at least 10x the median of the previous 3 hours, and at least
+// this much above it (so 2 → 20 µg/m³ in clean air is not a spike)
+const SPIKE_RATIO = 10;
+const SPIKE_WINDOW_HOURS = 3;
+const SPIKE_MIN_RISE = { pm25: 50, pm10: 100, no2: 50, so2: 50, co: 2, o3: 50, nh3: 50, pb: 0.5 };
+
+// Earlier readings needed to check a reading
+const QC_HISTORY_HOURS = 6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse the `qc` query parameter
+ * @param {string} value - Requested mode (default 'all')
+ * @returns {string|null} 'all' or 'strict', or null if unknown
+ */
+function parseQCMode(value) {
+  if (value === undefined || value === null || value === '') return 'all';
+  const mode = String(value).toLowerCase();
+  return QC_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Run every check on one reading
+ * @param {object} reading - { timestamp, pm25, pm10, ... } in canonical units
+ * @param {array} history - Earlier readings of the same station and source, oldest first
+ * @returns {object} { status: 'passed' | 'flagged', flags }
+ */
+function checkReading(reading, history = []) {
+  const time = new Date(reading.timestamp).getTime();
+  const earlier = history.filter(previous => {
+    const previousTime = new Date(previous.timestamp).getTime();
+    return previousTime < time && previousTime >= time - QC_HISTORY_HOURS * HOUR_MS;
+  });
+
+  const flags = [
+    ...checkRange(reading),
+    ...checkConsistency(reading),
+    ...checkFlatline(reading, earlier),
+    ...checkSpike(reading, earlier)
+  ];
+
+  return { status: flags.length > 0 ? QC_STATUS.FLAGGED : QC_STATUS.PASSED, flags };
+}
+
+/**
+ * Check a series of readings of one station and source, each against the
+ * readings before it
+ * @param {array} readings - Readings, oldest first
+ * @returns {array} QC result of each reading
+ */
+function checkSeries(readings) {
+  let windowStart = 0;
+  return readings.map((reading, i) => {
+    const time = new Date(reading.timestamp).getTime();
+    while (new Date(readings[windowStart].timestamp).getTime() < time - QC_HISTORY_HOURS * HOUR_MS) {
+      windowStart++;
+    }
+    return checkReading(reading, readings.slice(windowStart, i));
+  });
+}
+
+/**
+ * Range check: negative or implausibly high values
+ * @param {object} reading - Reading
+ * @returns {array} Flags
+ */
+function checkRange(reading) {
+  return Object.keys(RANGE_LIMITS)
+    .filter(pollutant => hasValue(reading[pollutant]))
+    .filter(pollutant => reading[pollutant] < 0 || reading[pollutant] > RANGE_LIMITS[pollutant])
+    .map(pollutant => `range:${pollutant}`);
+}
+
+/**
+ * Consistency check: PM2.5 is part of PM10, so it cannot be higher
+ * @param {object} reading - Reading
+ * @returns {array} Flags
+ */
+function checkConsistency(reading) {
+  if (!hasValue(reading.pm25) || !hasValue(reading.pm10)) return [];
+  return reading.pm25 > reading.pm10 ? ['consistency:pm25'] : [];
+}
+
+/**
+ * Flatline check: the value has not changed for hours
+ * @param {object} reading - Reading
+ * @param {array} earlier - Readings in the QC window before it, oldest first
+ * @returns {array} Flags
+ */
+function checkFlatline(reading, earlier) {
+  const time = new Date(reading.timestamp).getTime();
+
+  return Object.keys(RANGE_LIMITS).filter(pollutant => {
+    const value = reading[pollutant];
+    if (!hasValue(value)) return false;
+
+    let count = 1;
+    let since = time;
+    for (let i = earlier.length - 1; i >= 0; i--) {
+      const previous = earlier[i][pollutant];
+      if (!hasValue(previous)) continue;
+      if (previous !== value) break;
+      count++;
+      since = new Date(earlier[i].timestamp).getTime();
+    }
+
+    return count >= FLATLINE_MIN_READINGS && time - since >= FLATLINE_HOURS * HOUR_MS;
+  }).map(pollutant => `flatline:${pollutant}`);
+}
+
+/**
+ * Spike check: a sudden jump far above the recent level
+ * @param {object} reading - Reading
+ * @param {array} earlier - Readings in the QC window before it, oldest first
+ * @returns {array} Flags
+ */
+function checkSpike(reading, earlier) {
+  const time = new Date(reading.timestamp).getTime();
+  const recent = earlier.filter(previous => new Date(previous.timestamp).getTime() >= time - SPIKE_WINDOW_HOURS * HOUR_MS);
+
+  return Object.keys(RANGE_LIMITS).filter(pollutant => {
+    const value = reading[pollutant];
+    if (!hasValue(value)) return false;
+
+    const values = recent.map(previous => previous[pollutant]).filter(hasValue);
+    if (values.length === 0) return false;
+
+    const baseline = median(values);
+    return value >= SPIKE_RATIO * baseline && value - baseline >= SPIKE_MIN_RISE[pollutant];
+  }).map(pollutant => `spike:${pollutant}`);
+}
+
+/**
+ * Count QC flags by check and by pollutant
+ * @param {array} flagCounts - [{ flag, count }]
+ * @returns {object} { checks, pollutants }
+ */
+function summarizeFlags(flagCounts) {
+  const checks = Object.fromEntries(QC_CHECKS.map(check => [check, 0]));
+  const pollutants = {};
+
+  flagCounts.forEach(({ flag, count }) => {
+    const [check, pollutant] = flag.split(':');
+    checks[check] = (checks[check] || 0) + count;
+    pollutants[pollutant] = (pollutants[pollutant] || 0) + count;
+  });
+
+  return { checks, pollutants };
+}
+
+/**
+ * Check for a usable concentration
+ * @param {number|null} value - Concentration
+ * @returns {boolean} Whether the value is a finite number
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && isFinite(value);
+}
+
+/**
+ * Median of a non-empty list
+ * @param {array} values - Numbers
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = {
+  QC_CHECKS,
+  QC_STATUS,
+  QC_MODES,
+  QC_HISTORY_HOURS,
+  RANGE_LIMITS,
+  parseQCMode,
+  checkReading,
+  checkSeries,
+  summarizeFlags
+};
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateDistance } = require('./helpers');
+const { reverseGeocode, listPlaces } = require('./gazetteer');
+
+// Boundary polygons live in <dir>/<level>s.geojson (states.geojson, districts.geojson),
+// one Polygon or MultiPolygon feature per region with `id`, `name` and, for
+// districts, `state` properties. Without a file, states fall back to the
+// gazetteer; districts are not guessed from nearby places, as a point's nearest
+// place is often across a district line.
+const BOUNDARIES_DIR = process.env.BOUNDARIES_DIR || path.join(__dirname, '..', 'data', 'boundaries');
+
+const REGION_LEVELS = ['state', 'district'];
+
+// Per level: the loaded boundaries (null without a file) and where each gazetteer place falls
+const boundaries = new Map();
+const placesByLevel = new Map();
+
+/**
+ * Check whether a level can be resolved: it has boundary polygons, or it is
+ * the state level, which falls back to the gazetteer
+ * @param {string} level - 'state' or 'district'
+ * @returns {boolean} Whether findRegion() can place points in the level
+ */
+function hasRegions(level) {
+  return level === 'state' || loadBoundaries(level) !== null;
+}
+
+/**
+ * Find the region of a level a point lies in. Uses the boundary polygons when
+ * the level has a file, otherwise (states only) the state of the nearest
+ * gazetteer place.
+ * @param {string} level - 'state' or 'district'
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {object|null} { id, name, state }, or null outside every region or
+ *   for districts without boundaries
+ */
+function findRegion(level, lat, lng) {
+  const regions = loadBoundaries(level);
+  if (regions) {
+    const region = regions.find(candidate => containsPoint(candidate, lat, lng));
+    return region ? { id: region.id, name: region.name, state: region.state } : null;
+  }
+
+  if (level !== 'state') return null;
+
+  const place = reverseGeocode(lat, lng);
+  return place && place.state ? { id: place.stateCode, name: place.state, state: null } : null;
+}
+
+/**
+ * Roll up station readings by region
+ * @param {string} level - 'state' or 'district'
+ * @param {array} stations - [{ latitude, longitude, aqi }] with aqi null for stations without a current reading
+ * @returns {object} { regions, unassigned, method } with the regions that have stations, sorted by
+ *   mean AQI, highest first, each { id, name, state, stations, reporting, population, aqi: { mean, max, populationWeighted } }
+ */
+function summarizeRegions(level, stations) {
+  const regions = new Map();
+  let unassigned = 0;
+
+  const regionFor = region => {
+    if (!regions.has(region.id)) {
+      regions.set(region.id, { ...region, stations: 0, readings: [], population: 0, weighted: 0 });
+    }
+    return regions.get(region.id);
+  };
+
+  stations.forEach(station => {
+    const region = findRegion(level, station.latitude, station.longitude);
+    if (!region) {
+      unassigned++;
+      return;
+    }
+
+    const entry = regionFor(region);
+    entry.stations++;
+    if (station.aqi !== null && station.aqi !== undefined) entry.readings.push(station);
+  });
+
+  // Each populated place takes the reading of the nearest reporting station in
+  // its region, so crowded areas count for more than empty ones
+  placesInLevel(level).forEach(({ place, region }) => {
+    const entry = regions.get(region.id);
+    if (!entry) return;
+
+    entry.population += place.population;
+    if (entry.readings.length === 0) return;
+
+    const nearest = entry.readings.reduce((best, station) => {
+      const distance = calculateDistance(place.latitude, place.longitude, station.latitude, station.longitude);
+      return !best || distance < best.distance ? { station, distance } : best;
+    }, null);
+
+    entry.weighted += place.population * nearest.station.aqi;
+  });
+
+  const summaries = [...regions.values()].map(entry => {
+    const values = entry.readings.map(station => station.aqi);
+    return {
+      id: entry.id,
+      name: entry.name,
+      ...(level === 'district' && { state: entry.state }),
+      stations: entry.stations,
+      reporting: values.length,
+      population: entry.population,
+      aqi: {
+        mean: values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+        max: values.length > 0 ? Math.max(...values) : null,
+        populationWeighted: values.length > 0 && entry.population > 0 ? Math.round(entry.weighted / entry.population) : null
+      }
+    };
+  });
+
+  summaries.sort((a, b) => (b.aqi.mean ?? -1) - (a.aqi.mean ?? -1) || a.name.localeCompare(b.name));
+
+  return {
+    regions: summaries,
+    unassigned,
+    method: loadBoundaries(level) ? 'boundaries' : 'gazetteer'
+  };
+}
+
+/**
+ * Boundary geometry of a region
+ * @param {string} level - 'state' or 'district'
+ * @param {string} id - Region id
+ * @returns {object|null} GeoJSON geometry, or null without boundaries for the level
+ */
+function regionGeometry(level, id) {
+  const region = (loadBoundaries(level) || []).find(candidate => candidate.id === id);
+  return region ? region.geometry : null;
+}
+
+/**
+ * Load the boundary file of a level on first use
+ * @param {string} level - 'state' or 'district'
+ * @returns {array|null} Regions with { id, name, state, geometry, bbox, polygons }, or null without a file
+ */
+function loadBoundaries(level) {
+  if (boundaries.has(level)) return boundaries.get(level);
+
+  const file = path.join(BOUNDARIES_DIR, `${level}s.geojson`);
+  let regions = null;
+
+  if (fs.existsSync(file)) {
+    const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+    regions = collection.features
+      .filter(feature => feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+      .map(feature => {
+        const polygons = feature.geometry.type === 'Polygon'
+          ? [feature.geometry.coordinates]
+          : feature.geometry.coordinates;
+        return {
+          id: String(feature.properties.id),
+          name: feature.properties.name,
+          state: feature.properties.state || null,
+          geometry: feature.geometry,
+          bbox: polygonsBBox(polygons),
+          polygons
+        };
+      });
+    console.log(`🗺️ Loaded ${regions.length} ${level} boundaries from ${file}`);
+  } else {
+    console.log(`⚠️ No ${level} boundaries at ${file}${level === 'state' ? ', using gazetteer states' : ''}`);
+  }
+
+  boundaries.set(level, regions);
+  return regions;
+}
+
+/**
+ * Region of every populated gazetteer place, worked out once per level
+ * @param {string} level - 'state' or 'district'
+ * @returns {array} [{ place, region }]
+ */
+function placesInLevel(level) {
+  if (placesByLevel.has(level)) return placesByLevel.get(level);
+
+  const regions = loadBoundaries(level);
+  const assigned = [];
+
+  listPlaces().filter(place => place.population > 0).forEach(place => {
+    let region = null;
+    if (regions) {
+      region = regions.find(candidate => containsPoint(candidate, place.latitude, place.longitude)) || null;
+    } else if (level === 'state') {
+      region = place.state ? { id: place.stateCode } : null;
+    }
+    if (region) assigned.push({ place, region });
+  });
+
+  placesByLevel.set(level, assigned);
+  return assigned;
+}
+
+/**
+ * Check whether a point lies inside a region
+ * @param {object} region - Loaded region
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} Inside
+ */
+function containsPoint(region, lat, lng) {
+  const { bbox } = region;
+  if (lng < bbox.west || lng > bbox.east || lat < bbox.south || lat > bbox.north) return false;
+
+  // Inside the outer ring and outside every hole
+  return region.polygons.some(([outer, ...holes]) =>
+    ringContains(outer, lat, lng) && !holes.some(hole => ringContains(hole, lat, lng))
+  );
+}
+
+/**
+ * Ray-casting point-in-ring test
+ * @param {array} ring - [[lng, lat]] closed ring
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} Inside
+ */
+function ringContains(ring, lat, lng) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Bounding box of a set of polygons
+ * @param {array} polygons - GeoJSON polygon coordinates
+ * @returns {object} { west, south, east, north }
+ */
+function polygonsBBox(polygons) {
+  const bbox = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+  polygons.forEach(([outer]) => outer.forEach(([lng, lat]) => {
+    bbox.west = Math.min(bbox.west, lng);
+    bbox.south = Math.min(bbox.south, lat);
+    bbox.east = Math.max(bbox.east, lng);
+    bbox.north = Math.max(bbox.north, lat);
+  }));
+  return bbox;
+}
+
+module.exports = {
+  BOUNDARIES_DIR,
+  REGION_LEVELS,
+  hasRegions,
+  findRegion,
+  summarizeRegions,
+  regionGeometry
+};
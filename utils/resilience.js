@@ -0,0 +1,237 @@
+const { ProviderRateLimitError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Budgets of API keys used by more than one provider, by key name
+const sharedBudgets = new Map();
+
+/**
+ * Backoff delay for a retry attempt ("full jitter": random between 0 and the
+ * exponential cap, so parallel requests do not retry in lockstep)
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {number} baseDelayMs - Delay cap for the first retry
+ * @param {number} maxDelayMs - Upper bound for any delay
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Call a function, retrying retryable errors with jittered exponential backoff
+ * @param {function} fn - Async function, receives the attempt number (0-based)
+ * @param {object} options - { retries, baseDelayMs, maxDelayMs, shouldRetry, onRetry }
+ * @returns {Promise<*>} Result of the first successful call
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 2,
+    baseDelayMs = 300,
+    maxDelayMs = 3000,
+    shouldRetry = error => error.retryable === true,
+    onRetry = () => {}
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt + 1, baseDelayMs, maxDelayMs);
+      onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Per-provider circuit breaker.
+ *   closed    → calls go through; `failureThreshold` failures in a row open it
+ *   open      → calls are skipped until `cooldownMs` has passed
+ *   half_open → one trial call; success closes it, failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} options - { failureThreshold, cooldownMs }
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may be made now (moves open → half_open after the cooldown)
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'open') return false;
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Release a half-open trial that ended without a verdict (e.g. no data nearby)
+   */
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @returns {string|null} ISO time the breaker will allow a trial call, if open
+   */
+  getRetryAt() {
+    return this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      retryAt: this.getRetryAt()
+    };
+  }
+}
+
+/**
+ * Request budget per provider, matching the API plan's per-minute and
+ * per-day limits. Windows are fixed (calendar minute, UTC day) and counted
+ * in this process only.
+ */
+class QuotaBudget {
+  /**
+   * @param {string} provider - Provider name (for errors)
+   * @param {object} limits - { perMinute, perDay } (null/0 = unlimited)
+   */
+  constructor(provider, limits = {}) {
+    this.provider = provider;
+    this.perMinute = limits.perMinute || null;
+    this.perDay = limits.perDay || null;
+    this.minute = { start: 0, used: 0 };
+    this.day = { start: 0, used: 0 };
+    // Set when the provider itself answers 429
+    this.blockedUntil = 0;
+  }
+
+  refreshWindows(now) {
+    const minuteStart = now - (now % MINUTE_MS);
+    const dayStart = now - (now % DAY_MS);
+    if (this.minute.start !== minuteStart) this.minute = { start: minuteStart, used: 0 };
+    if (this.day.start !== dayStart) this.day = { start: dayStart, used: 0 };
+  }
+
+  /**
+   * Why a call cannot be made now
+   * @param {number} cost - Requests the call will make
+   * @returns {object|null} { reason, retryAt } or null if there is budget left
+   */
+  check(cost = 1) {
+    const now = Date.now();
+    this.refreshWindows(now);
+
+    if (now < this.blockedUntil) {
+      return { reason: 'rate_limited', retryAt: this.blockedUntil };
+    }
+    if (this.perDay && this.day.used + cost > this.perDay) {
+      return { reason: 'quota_exhausted', retryAt: this.day.start + DAY_MS };
+    }
+    if (this.perMinute && this.minute.used + cost > this.perMinute) {
+      return { reason: 'rate_limited', retryAt: this.minute.start + MINUTE_MS };
+    }
+    return null;
+  }
+
+  /**
+   * Spend budget for a call
+   * @param {number} cost - Requests the call will make
+   * @throws {ProviderRateLimitError} If the budget does not allow the call
+   */
+  consume(cost = 1) {
+    const blocked = this.check(cost);
+    if (blocked) {
+      throw new ProviderRateLimitError(
+        this.provider,
+        `${this.provider} ${blocked.reason === 'quota_exhausted' ? 'daily quota exhausted' : 'rate limit reached'}`,
+        blocked.retryAt - Date.now()
+      );
+    }
+    this.minute.used += cost;
+    this.day.used += cost;
+  }
+
+  /**
+   * Stop calling the provider for a while (after it answered 429)
+   * @param {number} ms - How long to back off
+   */
+  block(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+
+  getStatus() {
+    this.refreshWindows(Date.now());
+    return {
+      perMinute: this.perMinute,
+      perDay: this.perDay,
+      usedThisMinute: this.minute.used,
+      usedToday: this.day.used,
+      remainingToday: this.perDay ? Math.max(0, this.perDay - this.day.used) : null,
+      blockedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Request budget of an API key that several providers call with (one
+ * OpenWeatherMap key serves both air pollution and weather), created on first use
+ * @param {string} key - Name of the key, e.g. OPENWEATHER_API_KEY
+ * @param {string} provider - Provider name (for errors)
+ * @param {object} limits - { perMinute, perDay } of the key's plan
+ * @returns {QuotaBudget} The same budget for every provider using the key
+ */
+function sharedQuota(key, provider, limits = {}) {
+  if (!sharedBudgets.has(key)) {
+    sharedBudgets.set(key, new QuotaBudget(provider, limits));
+  }
+  return sharedBudgets.get(key);
+}
+
+module.exports = {
+  backoffDelay,
+  retryWithBackoff,
+  CircuitBreaker,
+  QuotaBudget,
+  sharedQuota
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rendered map tiles are kept on disk as <dir>/<layer>/<frame>/<z>/<x>/<y>.png.
+// The frame is "latest" or the UTC hour of a historical frame (2025-07-05T10).
+const TILE_CACHE_DIR = process.env.TILE_CACHE_DIR || path.join(__dirname, '..', 'cache', 'tiles');
+
+const LATEST_FRAME = 'latest';
+
+// A frame shows each station's latest reading from the hours up to it
+const FRAME_WINDOW_HOURS = 3;
+
+// "latest" tiles are re-rendered after this even without new readings, as
+// old readings drop out of the frame window
+const LATEST_TILE_MAX_AGE_MINUTES = parseInt(process.env.TILE_CACHE_LATEST_MINUTES) || 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// When each frame was last invalidated in this process, so a tile rendered
+// from readings queried before that is not cached. Kept for an hour, far
+// longer than a render takes.
+const invalidatedAt = new Map();
+
+/**
+ * Cache key of the frame a time belongs to
+ * @param {Date|null} time - Frame time, null for the latest readings
+ * @returns {string} "latest" or the UTC hour (YYYY-MM-DDTHH)
+ */
+function frameKey(time) {
+  return time ? new Date(time).toISOString().slice(0, 13) : LATEST_FRAME;
+}
+
+/**
+ * Read a cached tile
+ * @param {string} layer - Layer (aqi or a pollutant)
+ * @param {string} frame - Frame key
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {Promise<Buffer|null>} PNG, or null if not cached or expired
+ */
+async function readTile(layer, frame, z, x, y) {
+  const file = tilePath(layer, frame, z, x, y);
+
+  try {
+    if (frame === LATEST_FRAME) {
+      const stats = await fs.promises.stat(file);
+      if (Date.now() - stats.mtimeMs > LATEST_TILE_MAX_AGE_MINUTES * 60 * 1000) return null;
+    }
+    return await fs.promises.readFile(file);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store a rendered tile. Written to a temporary file first so a concurrent
+ * reader never sees half a PNG. Not stored if the frame was invalidated
+ * after the render started: the tile may miss the new readings.
+ * @param {string} layer - Layer
+ * @param {string} frame - Frame key
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {Buffer} png - Tile image
+ * @param {number} renderStartedAt - When the tile's readings were queried (ms)
+ * @returns {Promise<boolean>} Whether the tile was stored
+ */
+async function writeTile(layer, frame, z, x, y, png, renderStartedAt) {
+  if (invalidatedAt.get(frame) >= renderStartedAt) return false;
+  const file = tilePath(layer, frame, z, x, y);
+
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, png);
+    await fs.promises.rename(temporary, file);
+    return true;
+  } catch (error) {
+    console.error('Failed to cache tile:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Drop the cached tiles new readings change: every "latest" frame, and the
+ * historical frames whose window covers one of the readings
+ * @param {array} timestamps - Timestamps of the new readings
+ * @returns {Promise<number>} Number of frames removed
+ */
+async function invalidateTiles(timestamps = []) {
+  const frames = new Set([LATEST_FRAME]);
+  timestamps.forEach(timestamp => {
+    const time = new Date(timestamp).getTime();
+    // Frames at the hours from the reading up to FRAME_WINDOW_HOURS after it
+    for (let hour = Math.ceil(time / HOUR_MS) * HOUR_MS; hour <= time + FRAME_WINDOW_HOURS * HOUR_MS; hour += HOUR_MS) {
+      frames.add(frameKey(new Date(hour)));
+    }
+  });
+
+  const now = Date.now();
+  invalidatedAt.forEach((time, frame) => {
+    if (now - time > HOUR_MS) invalidatedAt.delete(frame);
+  });
+  frames.forEach(frame => invalidatedAt.set(frame, now));
+
+  let removed = 0;
+  try {
+    const layers = await fs.promises.readdir(TILE_CACHE_DIR);
+    for (const layer of layers) {
+      const cached = await fs.promises.readdir(path.join(TILE_CACHE_DIR, layer));
+      for (const frame of cached.filter(name => frames.has(name))) {
+        await fs.promises.rm(path.join(TILE_CACHE_DIR, layer, frame), { recursive: true, force: true });
+        removed++;
+      }
+    }
+  } catch (error) {
+    // No cache yet
+    if (error.code !== 'ENOENT') console.error('Failed to invalidate tile cache:', error.message);
+  }
+
+  return removed;
+}
+
+/**
+ * Path of a cached tile
+ * @param {string} layer - Layer
+ * @param {string} frame - Frame key
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {string} File path
+ */
+function tilePath(layer, frame, z, x, y) {
+  return path.join(TILE_CACHE_DIR, layer, frame, String(z), String(x), `${y}.png`);
+}
+
+module.exports = {
+  TILE_CACHE_DIR,
+  FRAME_WINDOW_HOURS,
+  frameKey,
+  readTile,
+  writeTile,
+  invalidateTiles
+};
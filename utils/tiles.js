@@ -0,0 +1,154 @@
+const { PNG } = require('pngjs');
+const { categorizeAQI } = require('./helpers');
+const { calculateSubIndex } = require('./naqi');
+const { indexStations, interpolateIDW } = require('./interpolation');
+
+// XYZ (slippy map) tiles in Web Mercator, 256 px square
+const TILE_SIZE = 256;
+const MAX_TILE_ZOOM = 14;
+
+// The surface is interpolated every SAMPLE_STEP pixels and blended in between
+const SAMPLE_STEP = 4;
+
+// Alpha of colored pixels, so the base map shows through
+const TILE_OPACITY = 180;
+
+// Latitude limit of Web Mercator
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Check tile coordinates
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} Whether the tile exists at that zoom
+ */
+function isValidTile(z, x, y) {
+  const n = Math.pow(2, z);
+  return [z, x, y].every(Number.isInteger) && z >= 0 && z <= MAX_TILE_ZOOM && x >= 0 && x < n && y >= 0 && y < n;
+}
+
+/**
+ * Geographic bounds of a tile
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {object} { west, south, east, north } in degrees
+ */
+function tileBounds(z, x, y) {
+  const n = Math.pow(2, z);
+  return {
+    west: x / n * 360 - 180,
+    south: pixelToLatitude(z, (y + 1) * TILE_SIZE),
+    east: (x + 1) / n * 360 - 180,
+    north: pixelToLatitude(z, y * TILE_SIZE)
+  };
+}
+
+/**
+ * Render the interpolated surface of a tile. Pixels are colored with the NAQI
+ * category ramp, by AQI or by the pollutant's NAQI sub-index; pixels without
+ * a station in reach are transparent.
+ * @param {array} stations - [{ latitude, longitude, value }]
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {string} layer - 'aqi' or a pollutant key
+ * @returns {Buffer} PNG image
+ */
+function renderTile(stations, z, x, y, layer) {
+  const png = new PNG({ width: TILE_SIZE, height: TILE_SIZE });
+  const samplesPerSide = TILE_SIZE / SAMPLE_STEP + 1;
+  const index = indexStations(stations);
+
+  // Interpolated values on the sample lattice, tile edges included
+  const samples = [];
+  for (let row = 0; row < samplesPerSide; row++) {
+    const lat = pixelToLatitude(z, y * TILE_SIZE + row * SAMPLE_STEP);
+    for (let col = 0; col < samplesPerSide; col++) {
+      const lng = (x * TILE_SIZE + col * SAMPLE_STEP) / (Math.pow(2, z) * TILE_SIZE) * 360 - 180;
+      samples.push(stations.length > 0 ? interpolateIDW(index, lat, lng).value : null);
+    }
+  }
+
+  for (let py = 0; py < TILE_SIZE; py++) {
+    const row = Math.floor(py / SAMPLE_STEP);
+    const fy = (py + 0.5) / SAMPLE_STEP - row;
+
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const col = Math.floor(px / SAMPLE_STEP);
+      const fx = (px + 0.5) / SAMPLE_STEP - col;
+
+      const value = blend([
+        [samples[row * samplesPerSide + col], (1 - fx) * (1 - fy)],
+        [samples[row * samplesPerSide + col + 1], fx * (1 - fy)],
+        [samples[(row + 1) * samplesPerSide + col], (1 - fx) * fy],
+        [samples[(row + 1) * samplesPerSide + col + 1], fx * fy]
+      ]);
+
+      const offset = (py * TILE_SIZE + px) * 4;
+      const color = value === null ? null : colorFor(layer, value);
+      if (!color) {
+        png.data[offset + 3] = 0;
+        continue;
+      }
+
+      png.data[offset] = color[0];
+      png.data[offset + 1] = color[1];
+      png.data[offset + 2] = color[2];
+      png.data[offset + 3] = TILE_OPACITY;
+    }
+  }
+
+  return PNG.sync.write(png);
+}
+
+/**
+ * Bilinear blend of the sample values around a pixel, skipping empty samples
+ * @param {array} corners - [[value, weight]]
+ * @returns {number|null} Blended value, or null if every corner is empty
+ */
+function blend(corners) {
+  let total = 0;
+  let weight = 0;
+  corners.forEach(([value, w]) => {
+    if (value === null || value === undefined) return;
+    total += value * w;
+    weight += w;
+  });
+  return weight > 0 ? total / weight : null;
+}
+
+/**
+ * RGB color of a value on the NAQI category ramp
+ * @param {string} layer - 'aqi' or a pollutant key
+ * @param {number} value - AQI or concentration (canonical units)
+ * @returns {array|null} [r, g, b], or null if the value cannot be indexed
+ */
+function colorFor(layer, value) {
+  const index = layer === 'aqi' ? value : calculateSubIndex(layer, value);
+  if (index === null) return null;
+
+  const hex = categorizeAQI(Math.round(index)).color;
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Latitude of a global pixel row
+ * @param {number} z - Zoom
+ * @param {number} pixelY - Pixel row from the top of the world at this zoom
+ * @returns {number} Latitude in degrees
+ */
+function pixelToLatitude(z, pixelY) {
+  const n = Math.PI * (1 - 2 * pixelY / (Math.pow(2, z) * TILE_SIZE));
+  const lat = Math.atan(Math.sinh(n)) * 180 / Math.PI;
+  return Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE);
+}
+
+module.exports = {
+  TILE_SIZE,
+  MAX_TILE_ZOOM,
+  isValidTile,
+  tileBounds,
+  renderTile
+};
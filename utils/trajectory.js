@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateDistance, round } = require('./helpers');
+const { hasRegions, findRegion } = require('./regions');
+
+// Known emission sources overlaid on trajectories: GeoJSON Point files
+// (industrial sites, brick kilns, power plants...) and NASA FIRMS active fire
+// CSV exports, read from every *.geojson and *.csv in this directory
+const SOURCES_DIR = process.env.SOURCES_DIR || path.join(__dirname, '..', 'data', 'sources');
+
+// Parcels are moved in steps of STEP_MINUTES and traced for at most MAX_TRAJECTORY_HOURS
+const STEP_MINUTES = 15;
+const MAX_TRAJECTORY_HOURS = 72;
+
+// Wind at a point is interpolated from observations this close in space and time
+const WIND_SEARCH_RADIUS_KM = 150;
+const WIND_TIME_WINDOW_HOURS = 2;
+const WIND_NEIGHBOURS = 8;
+
+// Sources this close to the path are listed
+const SOURCE_CORRIDOR_KM = 20;
+
+// Fires detected up to this long before the parcel passed can still be smoking
+const FIRE_LOOKBACK_HOURS = 24;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Loaded source files by path, reloaded when a file changes
+const sourceFiles = new Map();
+
+/**
+ * Trace an air parcel backwards from a point through the observed wind field
+ * @param {object} origin - { latitude, longitude }
+ * @param {Date} arrival - Time the parcel reaches the origin
+ * @param {number} hours - Hours to trace back
+ * @param {array} observations - Wind observations [{ latitude, longitude, timestamp, windSpeed (m/s), windDirection (degrees from) }]
+ * @returns {object} { points, distanceKm, complete }: points every STEP_MINUTES from the origin
+ *   backwards, each { hoursBack, timestamp, latitude, longitude, windSpeed, windDirection };
+ *   complete is false when the trace stopped early for lack of wind observations, and no
+ *   points at all when there is no wind at the origin
+ */
+function traceBackTrajectory(origin, arrival, hours, observations) {
+  const stations = groupByStation(observations);
+  const steps = Math.round(hours * 60 / STEP_MINUTES);
+  const points = [];
+  let distanceKm = 0;
+
+  let latitude = origin.latitude;
+  let longitude = origin.longitude;
+
+  for (let step = 0; step <= steps; step++) {
+    const time = new Date(arrival.getTime() - step * STEP_MINUTES * 60 * 1000);
+    const wind = windAt(stations, latitude, longitude, time);
+
+    // Where the trace runs out of wind the parcel's last position is kept, without wind
+    if (wind || step > 0) {
+      points.push({
+        hoursBack: step * STEP_MINUTES / 60,
+        timestamp: time.toISOString(),
+        latitude,
+        longitude,
+        windSpeed: wind ? round(wind.speed, 1) : null,
+        windDirection: wind ? Math.round(wind.direction) % 360 : null
+      });
+    }
+    if (!wind) return { points, distanceKm: round(distanceKm, 1), complete: false };
+    if (step === steps) break;
+
+    // The parcel came from where the wind blows from
+    const stepKm = wind.speed * 3.6 * STEP_MINUTES / 60;
+    [latitude, longitude] = destinationPoint(latitude, longitude, wind.direction, stepKm);
+    distanceKm += stepKm;
+  }
+
+  return { points, distanceKm: round(distanceKm, 1), complete: true };
+}
+
+/**
+ * Districts a trajectory passed over, in the order the parcel left them
+ * (the origin's district first)
+ * @param {array} points - traceBackTrajectory() points
+ * @returns {array|null} [{ id, name, state, hoursBack, hoursUpwind }]: hoursBack is when the parcel
+ *   was last in the district before arriving, hoursUpwind how long the path spends in it;
+ *   null without district boundaries
+ */
+function upwindDistricts(points) {
+  if (!hasRegions('district')) return null;
+
+  const districts = new Map();
+
+  points.forEach((point, i) => {
+    const district = findRegion('district', point.latitude, point.longitude);
+    if (!district) return;
+
+    if (!districts.has(district.id)) {
+      districts.set(district.id, { ...district, hoursBack: point.hoursBack, hoursUpwind: 0 });
+    }
+
+    // Each step between two points is split between the districts at its ends
+    const before = i > 0 ? point.hoursBack - points[i - 1].hoursBack : 0;
+    const after = i < points.length - 1 ? points[i + 1].hoursBack - point.hoursBack : 0;
+    districts.get(district.id).hoursUpwind += (before + after) / 2;
+  });
+
+  return [...districts.values()].map(district => ({
+    ...district,
+    hoursUpwind: round(district.hoursUpwind, 2)
+  }));
+}
+
+/**
+ * Known emission sources near a trajectory
+ * @param {array} points - traceBackTrajectory() points
+ * @param {array} sources - loadSources() sources
+ * @returns {array} Sources within SOURCE_CORRIDOR_KM of the path, nearest in time first, each
+ *   with distanceKm to the path and hoursBack of the closest pass; fires only when detected
+ *   at most FIRE_LOOKBACK_HOURS before that pass
+ */
+function sourcesAlongPath(points, sources) {
+  if (points.length === 0) return [];
+
+  // Padded generously: a degree of longitude is over 50 km up to 60°N
+  const corridor = {
+    south: Math.min(...points.map(point => point.latitude)) - SOURCE_CORRIDOR_KM / 111,
+    north: Math.max(...points.map(point => point.latitude)) + SOURCE_CORRIDOR_KM / 111,
+    west: Math.min(...points.map(point => point.longitude)) - SOURCE_CORRIDOR_KM / 50,
+    east: Math.max(...points.map(point => point.longitude)) + SOURCE_CORRIDOR_KM / 50
+  };
+
+  const found = [];
+  sources.forEach(source => {
+    if (source.latitude < corridor.south || source.latitude > corridor.north ||
+      source.longitude < corridor.west || source.longitude > corridor.east) return;
+
+    const closest = points.reduce((best, point) => {
+      const distance = calculateDistance(source.latitude, source.longitude, point.latitude, point.longitude);
+      return !best || distance < best.distance ? { point, distance } : best;
+    }, null);
+    if (closest.distance > SOURCE_CORRIDOR_KM) return;
+
+    if (source.detectedAt) {
+      const passedAt = new Date(closest.point.timestamp).getTime();
+      const detectedAt = new Date(source.detectedAt).getTime();
+      if (detectedAt > passedAt + STEP_MINUTES * 60 * 1000 || detectedAt < passedAt - FIRE_LOOKBACK_HOURS * 60 * 60 * 1000) return;
+    }
+
+    found.push({ ...source, distanceKm: round(closest.distance, 1), hoursBack: closest.point.hoursBack });
+  });
+
+  return found.sort((a, b) => a.hoursBack - b.hoursBack || a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Read the emission source files in SOURCES_DIR, reusing files that have not changed
+ * @returns {array} [{ type, name, latitude, longitude, detectedAt, properties }]
+ */
+function loadSources() {
+  if (!fs.existsSync(SOURCES_DIR)) return [];
+
+  const files = fs.readdirSync(SOURCES_DIR)
+    .filter(file => file.endsWith('.geojson') || file.endsWith('.csv'))
+    .map(file => path.join(SOURCES_DIR, file));
+
+  return files.flatMap(file => {
+    const modified = fs.statSync(file).mtimeMs;
+    const cached = sourceFiles.get(file);
+    if (cached && cached.modified === modified) return cached.sources;
+
+    let sources = [];
+    try {
+      const content = fs.readFileSync(file, 'utf8');
+      sources = file.endsWith('.csv') ? parseFireCSV(content) : parseSourceGeoJSON(content);
+      console.log(`🏭 Loaded ${sources.length} emission sources from ${file}`);
+    } catch (error) {
+      console.error(`❌ Could not read emission sources from ${file}:`, error.message);
+    }
+
+    sourceFiles.set(file, { modified, sources });
+    return sources;
+  });
+}
+
+/**
+ * Parse a GeoJSON file of Point sources
+ * @param {string} content - FeatureCollection with `type` (industrial, fire...) and `name` properties,
+ *   and `detectedAt` for short-lived sources
+ * @returns {array} Sources
+ */
+function parseSourceGeoJSON(content) {
+  const collection = JSON.parse(content);
+  return (collection.features || [])
+    .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+    .map(feature => {
+      const { type = 'industrial', name = null, detectedAt = null, ...properties } = feature.properties || {};
+      return {
+        type,
+        name,
+        latitude: feature.geometry.coordinates[1],
+        longitude: feature.geometry.coordinates[0],
+        detectedAt: detectedAt ? new Date(detectedAt).toISOString() : null,
+        properties
+      };
+    });
+}
+
+/**
+ * Parse a NASA FIRMS active fire CSV (latitude, longitude, acq_date, acq_time in UTC HHMM,
+ * frp, confidence, satellite...)
+ * @param {string} content - CSV text
+ * @returns {array} Fire sources
+ */
+function parseFireCSV(content) {
+  const [header, ...rows] = content.trim().split(/\r?\n/);
+  const columns = header.split(',').map(column => column.trim());
+  const column = name => columns.indexOf(name);
+
+  return rows
+    .map(row => row.split(','))
+    .filter(fields => fields.length === columns.length)
+    .map(fields => {
+      const time = fields[column('acq_time')].padStart(4, '0');
+      const detectedAt = new Date(`${fields[column('acq_date')]}T${time.slice(0, 2)}:${time.slice(2)}:00Z`);
+      return {
+        type: 'fire',
+        name: null,
+        latitude: parseFloat(fields[column('latitude')]),
+        longitude: parseFloat(fields[column('longitude')]),
+        detectedAt: isNaN(detectedAt.getTime()) ? null : detectedAt.toISOString(),
+        properties: {
+          frp: column('frp') !== -1 ? parseFloat(fields[column('frp')]) : null,
+          confidence: column('confidence') !== -1 ? fields[column('confidence')] : null,
+          satellite: column('satellite') !== -1 ? fields[column('satellite')] : null
+        }
+      };
+    })
+    .filter(source => !isNaN(source.latitude) && !isNaN(source.longitude));
+}
+
+/**
+ * Group wind observations by station, oldest first
+ * @param {array} observations - Wind observations
+ * @returns {array} [{ latitude, longitude, observations }]
+ */
+function groupByStation(observations) {
+  const stations = new Map();
+  observations.forEach(observation => {
+    const key = `${observation.latitude},${observation.longitude}`;
+    if (!stations.has(key)) {
+      stations.set(key, { latitude: observation.latitude, longitude: observation.longitude, observations: [] });
+    }
+    stations.get(key).observations.push(observation);
+  });
+
+  stations.forEach(station => station.observations.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+  return [...stations.values()];
+}
+
+/**
+ * Wind at a point and time: inverse-distance weighted mean of the wind vectors
+ * of nearby stations, each at its observation closest in time
+ * @param {array} stations - groupByStation() stations
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Date} time - Time
+ * @returns {object|null} { speed (m/s), direction (degrees from) }, or null without observations
+ */
+function windAt(stations, lat, lng, time) {
+  const windowMs = WIND_TIME_WINDOW_HOURS * 60 * 60 * 1000;
+
+  const neighbours = stations
+    .map(station => ({ station, distanceKm: calculateDistance(lat, lng, station.latitude, station.longitude) }))
+    .filter(neighbour => neighbour.distanceKm <= WIND_SEARCH_RADIUS_KM)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .map(neighbour => {
+      const observation = neighbour.station.observations.reduce((best, candidate) =>
+        !best || Math.abs(new Date(candidate.timestamp) - time) < Math.abs(new Date(best.timestamp) - time) ? candidate : best
+      , null);
+      return { ...neighbour, observation };
+    })
+    .filter(neighbour => Math.abs(new Date(neighbour.observation.timestamp) - time) <= windowMs)
+    .slice(0, WIND_NEIGHBOURS);
+
+  if (neighbours.length === 0) return null;
+
+  // Vector mean, so 350° and 10° average to 0°, not 180°
+  let u = 0;
+  let v = 0;
+  let totalWeight = 0;
+  neighbours.forEach(({ observation, distanceKm }) => {
+    const weight = 1 / Math.pow(Math.max(distanceKm, 1), 2);
+    u += weight * observation.windSpeed * Math.sin(observation.windDirection * Math.PI / 180);
+    v += weight * observation.windSpeed * Math.cos(observation.windDirection * Math.PI / 180);
+    totalWeight += weight;
+  });
+  u /= totalWeight;
+  v /= totalWeight;
+
+  return {
+    speed: Math.sqrt(u * u + v * v),
+    direction: (Math.atan2(u, v) * 180 / Math.PI + 360) % 360
+  };
+}
+
+/**
+ * Point reached travelling a distance along a bearing (great circle)
+ * @param {number} lat - Start latitude
+ * @param {number} lng - Start longitude
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} distanceKm - Distance in km
+ * @returns {array} [lat, lng]
+ */
+function destinationPoint(lat, lng, bearing, distanceKm) {
+  const delta = distanceKm / EARTH_RADIUS_KM;
+  const theta = bearing * Math.PI / 180;
+  const phi1 = lat * Math.PI / 180;
+  const lambda1 = lng * Math.PI / 180;
+
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return [round(phi2 * 180 / Math.PI, 5), round(((lambda2 * 180 / Math.PI) + 540) % 360 - 180, 5)];
+}
+
+module.exports = {
+  SOURCES_DIR,
+  STEP_MINUTES,
+  MAX_TRAJECTORY_HOURS,
+  WIND_SEARCH_RADIUS_KM,
+  WIND_TIME_WINDOW_HOURS,
+  SOURCE_CORRIDOR_KM,
+  traceBackTrajectory,
+  upwindDistricts,
+  sourcesAlongPath,
+  loadSources
+};
@@ -0,0 +1,160 @@
+// Canonical units of stored and reported concentrations (AQILog columns,
+// API `pollutants`). NAQI breakpoints are defined in the same units.
+const CANONICAL_UNITS = {
+  pm25: 'µg/m³',
+  pm10: 'µg/m³',
+  no2: 'µg/m³',
+  so2: 'µg/m³',
+  co: 'mg/m³',
+  o3: 'µg/m³',
+  nh3: 'µg/m³',
+  pb: 'µg/m³'
+};
+
+// Molecular weights (g/mol) for converting gas mixing ratios to mass concentrations
+const MOLECULAR_WEIGHTS = {
+  no2: 46.01,
+  so2: 64.07,
+  co: 28.01,
+  o3: 48.00,
+  nh3: 17.03
+};
+
+// Mixing ratios are converted at 25°C and 1013.25 hPa unless a reading
+// reports its own temperature and pressure
+const STANDARD_CONDITIONS = { temperature: 25, pressure: 1013.25 };
+
+// Mass units → factor to µg/m³
+const MASS_UNITS = { 'ng/m³': 0.001, 'µg/m³': 1, 'mg/m³': 1000 };
+
+// Mixing ratio units → factor to ppb
+const MIXING_RATIO_UNITS = { ppb: 1, ppm: 1000 };
+
+// Spellings used by providers and files → unit
+const UNIT_ALIASES = {
+  'ng/m3': 'ng/m³',
+  'ug/m3': 'µg/m³',
+  'µg/m3': 'µg/m³',
+  'mg/m3': 'mg/m³',
+  'ppb': 'ppb',
+  'ppm': 'ppm'
+};
+
+// Decimals kept for canonical values
+const DECIMALS = { co: 2, pb: 2 };
+
+const GAS_CONSTANT = 8.314462618; // J/(mol·K)
+
+/**
+ * Parse a unit string as written by providers ("ug/m3", "μg/m³", "PPB", ...)
+ * @param {string} unit - Unit string
+ * @returns {string|null} One of ng/m³, µg/m³, mg/m³, ppb, ppm, or null if unknown
+ */
+function parseUnit(unit) {
+  if (!unit) return null;
+  const normalized = String(unit)
+    .trim()
+    .toLowerCase()
+    .replace(/μ/g, 'µ')
+    .replace(/³/g, '3')
+    .replace(/\s+/g, '');
+  return UNIT_ALIASES[normalized] || null;
+}
+
+/**
+ * Molar volume of an ideal gas
+ * @param {object} conditions - { temperature (°C), pressure (hPa) }
+ * @returns {number} Molar volume in L/mol (24.47 at 25°C and 1013.25 hPa)
+ */
+function molarVolume(conditions = {}) {
+  const temperature = conditions.temperature ?? STANDARD_CONDITIONS.temperature;
+  const pressure = conditions.pressure ?? STANDARD_CONDITIONS.pressure;
+  return GAS_CONSTANT * (temperature + 273.15) / (pressure * 100) * 1000;
+}
+
+/**
+ * Convert a concentration between mass (ng, µg, mg per m³) and mixing ratio
+ * (ppb, ppm) units. Mixing ratios need the pollutant's molecular weight and
+ * depend on temperature and pressure.
+ * @param {string} pollutant - Pollutant key
+ * @param {number} value - Concentration
+ * @param {string} fromUnit - Unit of the value
+ * @param {string} toUnit - Unit to convert to
+ * @param {object} conditions - { temperature (°C), pressure (hPa) }, standard conditions by default
+ * @returns {number|null} Converted value, or null for unknown units or pollutants
+ */
+function convertConcentration(pollutant, value, fromUnit, toUnit, conditions = {}) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+
+  const from = parseUnit(fromUnit);
+  const to = parseUnit(toUnit);
+  if (!from || !to) return null;
+  if (from === to) return value;
+
+  let microgramsPerM3;
+  if (from in MASS_UNITS) {
+    microgramsPerM3 = value * MASS_UNITS[from];
+  } else if (MOLECULAR_WEIGHTS[pollutant]) {
+    microgramsPerM3 = value * MIXING_RATIO_UNITS[from] * MOLECULAR_WEIGHTS[pollutant] / molarVolume(conditions);
+  } else {
+    return null;
+  }
+
+  if (to in MASS_UNITS) {
+    return microgramsPerM3 / MASS_UNITS[to];
+  }
+  if (!MOLECULAR_WEIGHTS[pollutant]) return null;
+  return microgramsPerM3 * molarVolume(conditions) / MOLECULAR_WEIGHTS[pollutant] / MIXING_RATIO_UNITS[to];
+}
+
+/**
+ * Convert a concentration to the pollutant's canonical unit
+ * @param {string} pollutant - Pollutant key
+ * @param {number} value - Concentration
+ * @param {string} fromUnit - Unit of the value
+ * @param {object} conditions - { temperature (°C), pressure (hPa) }
+ * @returns {number|null} Canonical value, or null if it cannot be converted
+ */
+function toCanonical(pollutant, value, fromUnit, conditions = {}) {
+  if (!CANONICAL_UNITS[pollutant]) return null;
+  return convertConcentration(pollutant, value, fromUnit, CANONICAL_UNITS[pollutant], conditions);
+}
+
+/**
+ * Round a canonical concentration for storage (two decimals for CO and Pb,
+ * one for the rest)
+ * @param {string} pollutant - Pollutant key
+ * @param {number|null} value - Canonical concentration
+ * @returns {number|null} Rounded value
+ */
+function roundConcentration(pollutant, value) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, DECIMALS[pollutant] ?? 1);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert a reading's pollutants to canonical units, rounded for storage
+ * @param {object} pollutants - Values keyed by pollutant, in the source units
+ * @param {object|string} units - Source unit per pollutant, or one unit for all
+ * @param {object} conditions - { temperature (°C), pressure (hPa) } of the reading
+ * @returns {object} Canonical values for every pollutant (null when missing or not convertible)
+ */
+function normalizePollutants(pollutants, units, conditions = {}) {
+  return Object.fromEntries(Object.keys(CANONICAL_UNITS).map(pollutant => {
+    const unit = typeof units === 'string' ? units : units[pollutant];
+    return [pollutant, roundConcentration(pollutant, toCanonical(pollutant, pollutants[pollutant], unit, conditions))];
+  }));
+}
+
+module.exports = {
+  CANONICAL_UNITS,
+  MOLECULAR_WEIGHTS,
+  STANDARD_CONDITIONS,
+  parseUnit,
+  molarVolume,
+  convertConcentration,
+  toCanonical,
+  roundConcentration,
+  normalizePollutants
+};